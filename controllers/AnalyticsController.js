@@ -1,11 +1,15 @@
 import * as BookingRepository from "../repositories/BookingRepository.js";
+import * as WaitlistService from "../services/WaitlistService.js";
+import * as LedgerService from "../services/LedgerService.js";
 
 /**
  * GET /api/analytics/owner/summary
  *
  * Returns aggregated stats for the authenticated venue owner:
  * - Total Bookings
- * - Total Revenue
+ * - Gross Revenue (booking amounts) and Platform Commission kept on them
+ * - Total Revenue (booking payments less refunds and commission, from the ledger)
+ * - Current Wallet Balance (from the ledger)
  * - Active Venues Count
  */
 export const getOwnerSummary = async (req, res) => {
@@ -13,7 +17,12 @@ export const getOwnerSummary = async (req, res) => {
 
     try {
         const stats = await BookingRepository.getOwnerAnalytics(userId);
-        res.json(stats);
+        const ledger = await LedgerService.getOwnerLedgerSummary(userId);
+        res.json({
+            ...stats,
+            total_revenue: ledger.revenue,
+            current_wallet_balance: ledger.balance
+        });
     } catch (err) {
         console.error("Error fetching analytics summary:", err);
         res.status(500).json({ message: "Server error" });
@@ -61,3 +70,25 @@ export const getRevenueReport = async (req, res) => {
         res.status(500).json({ message: "Server error" });
     }
 };
+
+/**
+ * GET /api/analytics/owner/waitlist
+ * Query: startDate, endDate (optional, slot start range; defaults to the last 30 days onwards)
+ *
+ * Waitlist demand per venue, sport and slot.
+ */
+export const getWaitlistDemand = async (req, res) => {
+    const userId = req.user.id;
+    const { startDate, endDate } = req.query;
+
+    try {
+        const demand = await WaitlistService.getWaitlistDemand(userId, startDate, endDate);
+        res.json({ demand });
+    } catch (err) {
+        console.error("Error fetching waitlist demand:", err);
+        if (err.message === "Invalid date range") {
+            return res.status(400).json({ message: err.message });
+        }
+        res.status(500).json({ message: "Server error" });
+    }
+};
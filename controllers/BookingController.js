@@ -1,35 +1,52 @@
 import stripe from "../config/stripe.js";
 import {
   toMySQLDateTime,
-  isValid15MinInterval,
-  isWithinBookingWindow,
-  doesBookingFitInWindow,
   getTimeValidationError,
-  createISTDate
+  createISTDate,
+  getISTDayRange
 } from "../utils/dateUtil.js";
 import * as BookingRepository from "../repositories/BookingRepository.js";
 import * as WalletRepository from "../repositories/WalletRepository.js";
+import * as CheckoutRepository from "../repositories/CheckoutRepository.js";
 import * as SplitPaymentService from "../services/SplitPaymentService.js";
 import * as BookingService from "../services/BookingService.js";
 import { calculateDynamicPrice } from "../services/VenueService.js";
 import * as CourtRepository from "../repositories/CourtRepository.js";
-
-// Helper to group contiguous 1-hour slots
-const groupContiguousSlots = (slots) => {
+import * as PaymentRepository from "../repositories/PaymentRepository.js";
+import * as CommissionRepository from "../repositories/CommissionRepository.js";
+import * as PromoRepository from "../repositories/PromoRepository.js";
+import * as LoyaltyRepository from "../repositories/LoyaltyRepository.js";
+import * as PackageRepository from "../repositories/PackageRepository.js";
+import * as SlotHoldRepository from "../repositories/SlotHoldRepository.js";
+import * as WaitlistService from "../services/WaitlistService.js";
+import * as SeriesService from "../services/SeriesService.js";
+import * as LedgerService from "../services/LedgerService.js";
+import * as CommissionService from "../services/CommissionService.js";
+import * as PromoService from "../services/PromoService.js";
+import * as LoyaltyService from "../services/LoyaltyService.js";
+import * as PackageService from "../services/PackageService.js";
+
+// Helper to group contiguous slots of the venue's slot length.
+// Slots are "HH:MM" strings or { time, courtId } when the player picked a court;
+// only slots on the same court (or all auto-assigned ones) are grouped together.
+const groupContiguousSlots = (slots, slotMinutes = 60) => {
   if (!slots || !slots.length) return [];
-  // Ensure slots are unique and sorted
-  const uniqueSlots = [...new Set(slots)];
-  const sorted = uniqueSlots.sort();
+  // Ensure slots are unique and sorted by court, then time
+  const normalized = slots.map(slot => typeof slot === 'string'
+    ? { time: slot, courtId: null }
+    : { time: slot.time, courtId: slot.courtId ? Number(slot.courtId) : null });
+  const uniqueSlots = [...new Map(normalized.map(slot => [`${slot.courtId}|${slot.time}`, slot])).values()];
+  const sorted = uniqueSlots.sort((a, b) => (a.courtId ?? 0) - (b.courtId ?? 0) || a.time.localeCompare(b.time));
   const groups = [];
   let currentGroup = [sorted[0]];
 
   for (let i = 1; i < sorted.length; i++) {
     const prev = sorted[i - 1];
     const curr = sorted[i];
-    const [prevH, prevM] = prev.split(':').map(Number);
-    const [currH, currM] = curr.split(':').map(Number);
+    const [prevH, prevM] = prev.time.split(':').map(Number);
+    const [currH, currM] = curr.time.split(':').map(Number);
 
-    if (currH * 60 + currM === prevH * 60 + prevM + 60) {
+    if (curr.courtId === prev.courtId && currH * 60 + currM === prevH * 60 + prevM + slotMinutes) {
       currentGroup.push(curr);
     } else {
       groups.push(currentGroup);
@@ -38,8 +55,9 @@ const groupContiguousSlots = (slots) => {
   }
   groups.push(currentGroup);
   return groups.map(group => ({
-    time: group[0],
-    hours: group.length
+    time: group[0].time,
+    hours: (group.length * slotMinutes) / 60,
+    courtId: group[0].courtId
   }));
 };
 
@@ -47,30 +65,65 @@ const groupContiguousSlots = (slots) => {
  * POST /api/bookings/checkout-session
  *
  * Body: { venueId, date: "YYYY-MM-DD", slots: ["HH:MM", ...], invites: ["email1", ...], useWallet: boolean }
+ * Invites split the total equally, or unequally when every invite is
+ * { email, amount } (initiator pays the rest, or pass initiatorAmount) or
+ * { email, weight } (initiatorWeight defaults to 1).
+ * A slot may be { time: "HH:MM", courtId } to book a specific court; plain
+ * times are assigned the first free court.
+ * Pass waitlistId to claim a waitlist offer; the offered slot is then booked
+ * on the court held for the player.
+ * Hours and membership discounts from the player's packages at the venue are
+ * used first (pass useEntitlements: false to keep them). Pass promoCode to
+ * apply a promo code and redeemPoints to spend loyalty points; splits are
+ * worked out on the discounted prices.
  */
 export const createCheckoutSession = async (req, res) => {
   const userId = req.user.id;
   const userEmail = req.user.email;
 
-  const { venueId, date, slots, sportId, invites: rawInvites = [], useWallet = false } = req.body;
-  const invites = rawInvites.filter(email => email !== userEmail);
+  const {
+    venueId, date, slots, sportId, waitlistId, invites: rawInvites = [], useWallet = false,
+    splitDeadlineHours, splitDeadlineAction, initiatorAmount, initiatorWeight, promoCode, redeemPoints,
+    useEntitlements = true
+  } = req.body;
 
   if (!venueId || !date || !slots || !slots.length) {
     return res.status(400).json({ message: "Missing booking details (venue, date, or slots)" });
   }
 
+  let split;
+  let splitDeadline = null;
+  try {
+    split = SplitPaymentService.normalizeInvites(rawInvites, userEmail);
+    if (split.invitees.length > 0) {
+      splitDeadline = SplitPaymentService.resolveSplitDeadlineSettings({ hours: splitDeadlineHours, action: splitDeadlineAction });
+    }
+  } catch (err) {
+    return res.status(400).json({ message: err.message });
+  }
+
   try {
     const venue = await BookingRepository.getVenueById(venueId);
     if (!venue) return res.status(404).json({ message: "Venue not found" });
 
-    const groups = groupContiguousSlots(slots);
+    let waitlistOffer = null;
+    if (waitlistId) {
+      try {
+        waitlistOffer = await WaitlistService.getActiveOffer(Number(waitlistId), userId);
+      } catch (err) {
+        return res.status(409).json({ message: err.message });
+      }
+    }
+
+    const window = await BookingService.getVenueBookingWindow(venueId, date);
+    const groups = groupContiguousSlots(slots, window.slotMinutes);
     const bookingDetails = [];
     let totalAmount = 0;
 
     for (const group of groups) {
-      const { time, hours } = group;
+      const { time, hours, courtId } = group;
 
-      const timeError = getTimeValidationError(time, hours);
+      const timeError = getTimeValidationError(time, hours, window);
       if (timeError) {
         return res.status(400).json({ message: `Invalid time for slot ${time}: ${timeError}` });
       }
@@ -80,12 +133,31 @@ export const createCheckoutSession = async (req, res) => {
       const startStr = toMySQLDateTime(start);
       const endStr = toMySQLDateTime(end);
 
-      const availableCourtId = await BookingService.findAvailableCourt(venueId, startStr, endStr, sportId);
-      if (!availableCourtId) {
-        return res.status(409).json({ message: `Slot ${time} (${hours}h) is no longer available.` });
+      let court;
+      if (waitlistOffer && waitlistOffer.startStr === startStr && waitlistOffer.endStr === endStr) {
+        // The offered court is held for this player, so it is not checked for availability
+        court = await CourtRepository.getCourtById(waitlistOffer.offered_court_id);
+      } else if (courtId) {
+        // Player picked a court: it must be free, no fallback to another one
+        court = await CourtRepository.getCourtById(courtId);
+        if (!court || court.venue_id !== Number(venueId) || !court.is_active) {
+          return res.status(404).json({ message: `Court ${courtId} not found at this venue` });
+        }
+        if (!(await CourtRepository.courtSupportsSport(court.court_id, sportId))) {
+          return res.status(400).json({ message: `${court.name} does not support this sport` });
+        }
+        if (!(await BookingService.isCourtAvailable(venueId, court.court_id, startStr, endStr))) {
+          return res.status(409).json({ message: `${court.name} is no longer available at ${time} (${hours}h).` });
+        }
+      } else {
+        const availableCourtId = await BookingService.findAvailableCourt(venueId, startStr, endStr, sportId);
+        if (!availableCourtId) {
+          return res.status(409).json({ message: `Slot ${time} (${hours}h) is no longer available.` });
+        }
+        court = await CourtRepository.getCourtById(availableCourtId);
       }
 
-      const amount = await calculateDynamicPrice(venue, date, time, hours);
+      const amount = await calculateDynamicPrice(venue, date, time, hours, court);
       totalAmount += amount;
 
       bookingDetails.push({
@@ -93,34 +165,112 @@ export const createCheckoutSession = async (req, res) => {
         hours,
         startStr,
         endStr,
-        courtId: availableCourtId,
+        courtId: court.court_id,
+        courtName: court.name,
         amount
       });
     }
 
-    const shareAmount = SplitPaymentService.calculateShares(totalAmount, invites.length);
+    if (waitlistOffer && !bookingDetails.some(b => b.courtId === waitlistOffer.offered_court_id && b.startStr === waitlistOffer.startStr)) {
+      return res.status(400).json({ message: "Checkout does not include the slot offered from the waitlist" });
+    }
 
-    // Wallet Logic (Simplified for Multi-booking: only support full points payment if it covers ALL)
-    if (useWallet) {
+    // Package hours and membership discounts come off first, then the promo
+    // and loyalty discounts are spread over the bookings; b.paid is what the
+    // player pays for each
+    const packageQuote = useEntitlements
+      ? await PackageService.quoteEntitlements(userId, venueId, sportId, bookingDetails)
+      : null;
+    const usesPackage = packageQuote?.totalDiscount > 0;
+    for (const [i, b] of bookingDetails.entries()) {
+      b.packageDiscount = packageQuote?.bookings[i].discount ?? 0;
+      b.entitlementId = packageQuote?.bookings[i].entitlementId ?? null;
+      b.entitlementHours = packageQuote?.bookings[i].hours ?? 0;
+    }
+    const promoCheckout = { userId, venue, sportId, amounts: bookingDetails.map(b => b.amount - b.packageDiscount) };
+    let promoQuote = null;
+    if (promoCode) {
+      try {
+        promoQuote = await PromoService.quotePromo(promoCode, promoCheckout);
+      } catch (err) {
+        return res.status(400).json({ message: err.message });
+      }
+    }
+    let loyaltyQuote = null;
+    if (redeemPoints) {
+      try {
+        const payable = bookingDetails.map((b, i) => b.amount - b.packageDiscount - (promoQuote?.discounts[i] ?? 0));
+        loyaltyQuote = await LoyaltyService.quoteRedemption(userId, redeemPoints, payable);
+      } catch (err) {
+        return res.status(400).json({ message: err.message });
+      }
+    }
+    for (const [i, b] of bookingDetails.entries()) {
+      b.discount = promoQuote?.discounts[i] ?? 0;
+      b.loyaltyPoints = loyaltyQuote?.bookings[i].points ?? 0;
+      b.loyaltyDiscount = loyaltyQuote?.bookings[i].discount ?? 0;
+      b.paid = Math.round((b.amount - b.packageDiscount - b.discount - b.loyaltyDiscount) * 100) / 100;
+    }
+    const totalPackageDiscount = packageQuote?.totalDiscount ?? 0;
+    const totalDiscount = promoQuote?.totalDiscount ?? 0;
+    const totalLoyaltyDiscount = loyaltyQuote?.discount ?? 0;
+    const totalPaid = Math.round((totalAmount - totalPackageDiscount - totalDiscount - totalLoyaltyDiscount) * 100) / 100;
+
+    let allocations = bookingDetails.map(() => null);
+    if (split.invitees.length > 0) {
+      try {
+        allocations = SplitPaymentService.allocateSplit(bookingDetails.map(b => b.paid), split, { initiatorAmount, initiatorWeight });
+      } catch (err) {
+        return res.status(400).json({ message: err.message });
+      }
+    }
+
+    // Platform commission comes out of the owner's share (after any discount the
+    // owner funds, package value included); the player fee is charged on top of
+    // what the player pays
+    const ownerFunded = promoQuote?.fundedBy === 'OWNER';
+    const ownerRevenue = bookingDetails.map(b => b.amount - b.packageDiscount - (ownerFunded ? b.discount : 0));
+    const fees = await CommissionService.quoteBookingFees(venueId, ownerRevenue, null, bookingDetails.map(b => b.paid));
+    const totalCommission = fees.reduce((sum, f) => sum + Math.round(f.commission * 100), 0) / 100;
+    const totalPlayerFee = fees.reduce((sum, f) => sum + Math.round(f.playerFee * 100), 0) / 100;
+    const totalCharged = Math.round((totalPaid + totalPlayerFee) * 100) / 100;
+
+    // Wallet Logic (Simplified for Multi-booking: only support full points payment if it covers ALL).
+    // A checkout that packages, the promo or points make free never goes to Stripe.
+    if (useWallet || totalCharged === 0) {
       const walletBalance = await WalletRepository.getWalletBalance(userId);
-      if (walletBalance >= totalAmount) {
+      if (walletBalance >= totalCharged) {
         const pool = BookingRepository.getPool();
         const conn = await pool.getConnection();
         try {
           await conn.beginTransaction();
+          // Lock the courts and check again, so a concurrent checkout cannot take them meanwhile
+          await CourtRepository.lockCourts(conn, [...new Set(bookingDetails.map(b => b.courtId))]);
 
-          // Deduct Points
-          await WalletRepository.updateWalletBalance(conn, userId, -totalAmount);
-          await WalletRepository.createTransaction(conn, {
-            userId,
-            amount: -totalAmount,
-            type: "DEBIT",
-            description: `Multi-slot Booking payment (Points) for ${venue.name}`,
-            referenceType: "BOOKING_PAYMENT"
-          });
+          if (waitlistOffer) {
+            await SlotHoldRepository.releaseHolds([waitlistOffer.offer_hold_id], conn);
+            await WaitlistService.markClaimed(waitlistOffer.waitlist_id, conn);
+          }
 
-          const bookingIds = [];
           for (const b of bookingDetails) {
+            if (await BookingRepository.hasBookingConflict(venueId, b.startStr, b.endStr, b.courtId, null, conn)) {
+              throw new Error(`Slot taken during processing: ${b.courtName} is no longer available at ${b.time} (${b.hours}h).`);
+            }
+          }
+
+          const reference = `POINTS_MULTI_${Date.now()}`;
+          if (promoQuote) {
+            await PromoService.recordUse(conn, promoQuote, promoCheckout, { status: 'REDEEMED', reference });
+          }
+          if (loyaltyQuote) {
+            await LoyaltyService.redeemPoints(conn, userId, loyaltyQuote.points, {
+              reference, description: `Points spent on a booking at ${venue.name}`
+            });
+          }
+
+          const bookingIds = [];
+          const confirmedBookings = [];
+          for (const [i, b] of bookingDetails.entries()) {
             const bookingId = await BookingRepository.createBooking(conn, {
               venueId,
               courtId: b.courtId,
@@ -133,36 +283,59 @@ export const createCheckoutSession = async (req, res) => {
               customCancellationPolicy: venue.custom_cancellation_policy,
               customRefundPercentage: venue.custom_refund_percentage,
               customHoursBeforeStart: venue.custom_hours_before_start,
-              pointsUsed: b.amount,
+              pointsUsed: b.paid,
               paidAmount: 0
             });
 
             await BookingRepository.addBookingParticipant(conn, {
-              bookingId, userId, shareAmount: b.amount / (invites.length + 1), isInitiator: 1, paymentStatus: 'PAID'
+              bookingId, userId, shareAmount: allocations[i]?.initiatorShare ?? b.paid, isInitiator: 1, paymentStatus: 'PAID'
             });
 
-            await SplitPaymentService.setupBookingSplits(bookingId, userId, invites, b.amount / (invites.length + 1), conn);
+            await SplitPaymentService.setupBookingSplits(bookingId, userId, allocations[i], conn, splitDeadline);
             await BookingRepository.updateBookingStatus(conn, bookingId, "CONFIRMED");
+            await CommissionRepository.setBookingFees(conn, bookingId, fees[i]);
+            if (b.discount > 0) {
+              await PromoRepository.setBookingDiscount(conn, bookingId, {
+                promoId: promoQuote.promo.promo_id, amount: b.discount, fundedBy: promoQuote.fundedBy
+              });
+            }
+            if (b.loyaltyPoints > 0) {
+              await LoyaltyRepository.setBookingRedemption(conn, bookingId, { points: b.loyaltyPoints, discount: b.loyaltyDiscount });
+            }
+            if (b.packageDiscount > 0) {
+              await PackageRepository.setBookingEntitlement(conn, bookingId, {
+                entitlementId: b.entitlementId, hours: b.entitlementHours, discount: b.packageDiscount
+              });
+            }
 
             await BookingRepository.createPayment(conn, {
-              bookingId, payerId: userId, amount: b.amount, currency: "LKR", providerReference: `POINTS_MULTI_${Date.now()}`
+              bookingId, payerId: userId, amount: b.paid + fees[i].playerFee, currency: "LKR", providerReference: reference
             });
 
             bookingIds.push(bookingId);
+            confirmedBookings.push({ bookingId, time: b.time, hours: b.hours, courtId: b.courtId, courtName: b.courtName });
           }
-
-          // Credit Owner
-          if (venue.owner_id) {
-            await WalletRepository.updateWalletBalance(conn, venue.owner_id, totalAmount);
-            await WalletRepository.createTransaction(conn, {
-              userId: venue.owner_id, amount: totalAmount, type: 'CREDIT',
-              description: `Revenue from Multi-slot Booking. IDs: ${bookingIds.join(',')}`,
-              referenceType: 'BOOKING_PAYMENT'
-            });
+          if (usesPackage) {
+            await PackageService.useEntitlements(conn, userId, packageQuote, { reference, bookingIds });
           }
 
+          // Deduct Points and Credit Owner
+          await LedgerService.postTransaction(conn, {
+            type: "BOOKING_PAYMENT",
+            description: `Revenue from Multi-slot Booking. IDs: ${bookingIds.join(',')}`,
+            legs: [
+              { userId, amount: -totalCharged, description: `Multi-slot Booking payment (Points) for ${venue.name}` },
+              ...CommissionService.revenueLegs(venue.owner_id, {
+                amount: totalAmount - totalPackageDiscount - (ownerFunded ? totalDiscount : 0),
+                commission: totalCommission,
+                playerFee: totalPlayerFee,
+                platformDiscount: (ownerFunded ? 0 : totalDiscount) + totalLoyaltyDiscount
+              })
+            ]
+          });
+
           await conn.commit();
-          return res.json({ success: true, message: "Bookings confirmed with Points!" });
+          return res.json({ success: true, message: "Bookings confirmed with Points!", bookingIds, bookings: confirmedBookings });
         } catch (err) {
           await conn.rollback();
           throw err;
@@ -172,153 +345,180 @@ export const createCheckoutSession = async (req, res) => {
       }
     }
 
+    // Hold the courts until the Stripe session expires, so nobody else can
+    // book them while this player is paying
+    const expiresAt = new Date(Date.now() + BookingService.CHECKOUT_HOLD_MINUTES * 60 * 1000);
+    const holdIds = await BookingService.holdCheckoutSlots({
+      venueId,
+      userId,
+      sportId,
+      slots: bookingDetails,
+      expiresAt,
+      releaseHoldIds: waitlistOffer ? [waitlistOffer.offer_hold_id] : []
+    });
+    if (!holdIds) {
+      return res.status(409).json({ message: "One or more selected slots are no longer available." });
+    }
+
+    // Package hours and points are spent, and the code counts towards its
+    // usage limits, until the session expires
+    let promoRedemptionId = null;
+    const packageReference = usesPackage ? `PACKAGE_${userId}_${Date.now()}` : null;
+    const loyaltyReference = loyaltyQuote ? `LOYALTY_${userId}_${Date.now()}` : null;
+    try {
+      if (usesPackage) {
+        await PackageService.reserveForCheckout(userId, packageQuote, packageReference);
+      }
+      if (promoQuote) {
+        promoRedemptionId = await PromoService.reserveUse(promoQuote, promoCheckout, expiresAt);
+      }
+      if (loyaltyQuote) {
+        await LoyaltyService.spendForCheckout(userId, loyaltyQuote.points, loyaltyReference);
+      }
+    } catch (err) {
+      await SlotHoldRepository.releaseHolds(holdIds);
+      if (packageReference) await PackageService.restoreCheckoutHours(packageReference);
+      if (promoRedemptionId) await PromoService.closeReservation(promoRedemptionId, false);
+      throw err;
+    }
+
     // Stripe Session
-    const session = await stripe.checkout.sessions.create({
-      mode: "payment",
-      payment_method_types: ["card"],
-      customer_email: userEmail,
-      line_items: bookingDetails.map(b => ({
-        price_data: {
-          currency: "lkr",
-          product_data: { name: `${venue.name} (${b.time}, ${b.hours}h)` },
-          unit_amount: Math.round(b.amount * 100),
+    let session;
+    try {
+      // Stripe caps metadata values at 500 characters, so the session only references the details
+      const checkoutId = await CheckoutRepository.createCheckout({
+        userId,
+        groups: bookingDetails.map((b, i) => ({
+          t: b.time, h: b.hours, c: b.courtId, a: b.amount, s: b.startStr, e: b.endStr,
+          ...(fees[i].commission > 0 && { m: fees[i].commission }),
+          ...(fees[i].playerFee > 0 && { f: fees[i].playerFee }),
+          ...(b.discount > 0 && { d: b.discount }),
+          ...(b.loyaltyPoints > 0 && { l: b.loyaltyDiscount, lp: b.loyaltyPoints }),
+          ...(b.packageDiscount > 0 && { k: b.packageDiscount, ...(b.entitlementId && { ke: b.entitlementId, kh: b.entitlementHours }) }),
+          ...(allocations[i] && { p: [allocations[i].initiatorShare, ...allocations[i].invitees.map(x => x.amount)] })
+        })),
+        invites: split.invitees.map(x => x.email)
+      });
+
+      session = await stripe.checkout.sessions.create({
+        mode: "payment",
+        payment_method_types: ["card"],
+        customer_email: userEmail,
+        line_items: [
+          ...bookingDetails.filter(b => b.paid > 0).map(b => ({
+            price_data: {
+              currency: "lkr",
+              product_data: {
+                name: `${venue.name} - ${b.courtName} (${b.time}, ${b.hours}h)`
+                  + (b.packageDiscount > 0 ? ' - package' : '')
+                  + (b.discount > 0 ? ` - promo ${promoQuote.promo.code}` : '')
+                  + (b.loyaltyPoints > 0 ? ` - ${b.loyaltyPoints} points` : '')
+              },
+              unit_amount: Math.round(b.paid * 100),
+            },
+            quantity: 1,
+          })),
+          ...(totalPlayerFee > 0 ? [{
+            price_data: {
+              currency: "lkr",
+              product_data: { name: "PlayLink booking fee (non-refundable)" },
+              unit_amount: Math.round(totalPlayerFee * 100),
+            },
+            quantity: 1,
+          }] : [])
+        ],
+        metadata: {
+          type: 'MULTI_BOOKING',
+          venue_id: String(venueId),
+          user_id: String(userId),
+          checkout_id: String(checkoutId),
+          sport_id: String(sportId),
+          ...(split.invitees.length > 0 && { split_method: split.method }),
+          ...(splitDeadline && {
+            split_deadline_hours: String(splitDeadline.hoursBeforeStart),
+            split_deadline_action: splitDeadline.action
+          }),
+          total_amount: String(totalAmount),
+          ...(totalPlayerFee > 0 && { player_fee: String(totalPlayerFee) }),
+          ...(promoQuote && {
+            promo_id: String(promoQuote.promo.promo_id),
+            promo_funded_by: promoQuote.fundedBy,
+            promo_redemption_id: String(promoRedemptionId)
+          }),
+          ...(loyaltyReference && { loyalty_reference: loyaltyReference }),
+          ...(packageReference && { package_reference: packageReference }),
+          owner_id: String(venue.owner_id)
         },
-        quantity: 1,
-      })),
-      metadata: {
-        type: 'MULTI_BOOKING',
-        venue_id: String(venueId),
-        user_id: String(userId),
-        group_data: JSON.stringify(bookingDetails.map(b => ({
-          t: b.time, h: b.hours, c: b.courtId, a: b.amount, s: b.startStr, e: b.endStr
-        }))),
-        sport_id: String(sportId),
-        invites: JSON.stringify(invites),
-        total_amount: String(totalAmount),
-        owner_id: String(venue.owner_id)
-      },
-      success_url: `${process.env.FRONTEND_URL}/booking-summary?session_id={CHECKOUT_SESSION_ID}`,
-      cancel_url: `${process.env.FRONTEND_URL}/booking-summary?cancelled=true`,
-    });
+        payment_intent_data: {
+          metadata: { type: 'MULTI_BOOKING', user_id: String(userId) }
+        },
+        expires_at: Math.floor(expiresAt.getTime() / 1000),
+        success_url: `${process.env.FRONTEND_URL}/booking-summary?session_id={CHECKOUT_SESSION_ID}`,
+        cancel_url: `${process.env.FRONTEND_URL}/booking-summary?cancelled=true`,
+      });
+    } catch (err) {
+      await SlotHoldRepository.releaseHolds(holdIds);
+      if (promoRedemptionId) await PromoService.closeReservation(promoRedemptionId, false);
+      if (loyaltyReference) await LoyaltyService.restoreCheckoutPoints(userId, loyaltyReference);
+      if (packageReference) await PackageService.restoreCheckoutHours(packageReference);
+      throw err;
+    }
+
+    await SlotHoldRepository.attachHoldsToSession(holdIds, session.id);
+    if (waitlistOffer) {
+      await WaitlistService.markClaimed(waitlistOffer.waitlist_id);
+    }
 
-    return res.json({ checkoutUrl: session.url });
+    return res.json({ checkoutUrl: session.url, holdExpiresAt: expiresAt.toISOString() });
   } catch (err) {
+    if (["Promo code", "Loyalty points", "Package hours", "Slot taken"].some(prefix => err.message?.startsWith(prefix))) {
+      return res.status(409).json({ message: err.message });
+    }
     console.error("Error creating checkout session", err);
     return res.status(500).json({ message: "Server error" });
   }
 };
 
+/**
+ * GET /api/bookings/checkout-success?session_id=...
+ *
+ * Read-only status lookup for the page Stripe redirects back to.
+ * Bookings are created by the Stripe webhook (POST /api/payments/stripe/webhook),
+ * so this only reports whether that has happened yet.
+ */
 export const handleCheckoutSuccess = async (req, res) => {
   const { session_id } = req.query;
   if (!session_id) return res.status(400).json({ message: "Missing session_id" });
 
   try {
-    // 0) Idempotency Check
-    const existing = await BookingRepository.getBookingByPaymentReference(session_id);
-    if (existing) {
-      const fullBooking = await BookingRepository.getBookingWithVenue(BookingRepository.getPool(), existing.booking_id);
-      return res.json({ success: true, booking: fullBooking });
-    }
-
     const session = await stripe.checkout.sessions.retrieve(session_id);
-    if (session.payment_status !== "paid") return res.status(400).json({ message: "Payment not completed" });
-
-    const { type, venue_id, user_id, owner_id, sport_id, group_data, invites, total_amount, booking_id } = session.metadata;
-
-    const pool = BookingRepository.getPool();
-    const conn = await pool.getConnection();
+    if (Number(session.metadata?.user_id) !== req.user.id) {
+      return res.status(404).json({ message: "Checkout session not found" });
+    }
 
-    // === HANDLE SHARE PAYMENT ===
-    if (type === 'SHARE_PAYMENT') {
-      try {
-        await SplitPaymentService.executeReimbursement(Number(user_id), Number(booking_id), Number(session.amount_total) / 100);
-        await BookingRepository.createPayment(conn, {
-          bookingId: Number(booking_id),
-          payerId: Number(user_id),
-          amount: Number(session.amount_total) / 100,
-          currency: "LKR",
-          providerReference: session.id,
-        });
-        await BookingRepository.updatePaymentStatus(conn, session.id, 'SUCCEEDED');
-        conn.release();
-        return res.json({ success: true, message: "Share paid via Stripe" });
-      } catch (err) {
-        console.error("Error processing share payment", err);
-        conn.release();
-        return res.status(500).json({ message: "Error processing payment" });
+    if (session.metadata.type === 'SHARE_PAYMENT') {
+      const payments = await PaymentRepository.getPaymentsByReference(session.id);
+      if (payments.length > 0) {
+        return res.json({ success: true, status: "CONFIRMED", message: "Share paid via Stripe" });
+      }
+    } else {
+      const bookingIds = await BookingRepository.getBookingIdsByPaymentReference(session.id);
+      if (bookingIds.length > 0) {
+        const pool = BookingRepository.getPool();
+        const bookings = await Promise.all(bookingIds.map(id => BookingRepository.getBookingWithVenue(pool, id)));
+        return res.json({ success: true, status: "CONFIRMED", bookingIds, booking: bookings[0], bookings });
       }
     }
 
-    // === HANDLE MULTI BOOKING ===
-    if (type === 'MULTI_BOOKING') {
-      const groups = JSON.parse(group_data);
-      const inviteeList = invites ? JSON.parse(invites) : [];
-
-      try {
-        await conn.beginTransaction();
-        const venue = await BookingRepository.getVenueById(venue_id);
-        const bookingIds = [];
-
-        for (const g of groups) {
-          // Double check if a booking for this specific slot-start already exists for this session
-          const [check] = await conn.execute(
-            "SELECT 1 FROM bookings b JOIN payments p ON b.booking_id = p.booking_id WHERE p.provider_reference = ? AND b.booking_start = ?",
-            [session.id, g.s]
-          );
-          if (check.length > 0) continue;
-
-          const bookingId = await BookingRepository.createBooking(conn, {
-            venueId: Number(venue_id),
-            courtId: Number(g.c),
-            sportId: Number(sport_id),
-            userId: Number(user_id),
-            bookingStart: g.s,
-            bookingEnd: g.e,
-            totalAmount: Number(g.a),
-            cancellationPolicyId: venue.cancellation_policy_id,
-            customCancellationPolicy: venue.custom_cancellation_policy,
-            customRefundPercentage: venue.custom_refund_percentage,
-            customHoursBeforeStart: venue.custom_hours_before_start,
-            pointsUsed: 0,
-            paidAmount: Number(g.a)
-          });
-
-          const share = Number(g.a) / (inviteeList.length + 1);
-          await BookingRepository.addBookingParticipant(conn, {
-            bookingId, userId: Number(user_id), shareAmount: share, isInitiator: 1, paymentStatus: 'PAID'
-          });
-
-          await SplitPaymentService.setupBookingSplits(bookingId, user_id, inviteeList, share, conn);
-          await BookingRepository.updateBookingStatus(conn, bookingId, "CONFIRMED");
-          await BookingRepository.createPayment(conn, {
-            bookingId, payerId: user_id, amount: Number(g.a), currency: "LKR", providerReference: session.id
-          });
-          bookingIds.push(bookingId);
-        }
-
-        if (owner_id) {
-          await WalletRepository.updateWalletBalance(conn, Number(owner_id), Number(total_amount));
-          await WalletRepository.createTransaction(conn, {
-            userId: Number(owner_id), amount: Number(total_amount), type: 'CREDIT',
-            description: `Revenue from Multi-slot Booking. IDs: ${bookingIds.join(',')}`,
-            referenceType: 'BOOKING_REVENUE',
-            referenceId: bookingIds[0] // Link to first for ref
-          });
-        }
-
-        await conn.commit();
-        const firstBooking = await BookingRepository.getBookingWithVenue(conn, bookingIds[0]);
-        conn.release();
-        return res.json({ success: true, bookingIds, booking: firstBooking });
-      } catch (err) {
-        await conn.rollback();
-        conn.release();
-        throw err;
-      }
+    if (session.status === "expired") {
+      return res.json({ success: false, status: "EXPIRED", message: "Checkout session expired" });
+    }
+    if (session.payment_status !== "paid") {
+      return res.json({ success: false, status: "PENDING", message: "Payment not completed" });
     }
 
-    conn.release();
-    return res.json({ message: "Processed" });
+    // Paid, but the webhook has not been processed yet; the client should poll
+    return res.status(202).json({ success: false, status: "PROCESSING", message: "Payment received, confirming booking" });
   } catch (err) {
     console.error("Checkout Success error", err);
     return res.status(500).json({ message: err.message });
@@ -338,10 +538,8 @@ export const paySplitShare = async (req, res) => {
   if (!bookingId) return res.status(400).json({ message: "Missing booking ID" });
 
   try {
-    const conn = await BookingRepository.getPool().getConnection();
-
     // Check if user is participant and pending
-    const [rows] = await conn.execute(
+    const [rows] = await BookingRepository.getPool().execute(
       "SELECT * FROM booking_participants WHERE booking_id = ? AND user_id = ?",
       [bookingId, userId]
     );
@@ -349,6 +547,9 @@ export const paySplitShare = async (req, res) => {
 
     if (!participant) return res.status(404).json({ message: "Participant not found" });
     if (participant.payment_status === 'PAID') return res.status(400).json({ message: "Already paid" });
+    if (participant.payment_status !== 'PENDING' || !['INVITED', 'ACCEPTED'].includes(participant.invite_status)) {
+      return res.status(400).json({ message: "This share is no longer payable" });
+    }
 
     const amountToPay = Number(participant.share_amount);
 
@@ -358,36 +559,8 @@ export const paySplitShare = async (req, res) => {
         return res.status(400).json({ message: "Insufficient wallet balance" });
       }
 
-      // Execute Reimbursement
-      // Deduct from Participant
-      const pool = BookingRepository.getPool();
-      // Need transaction manually here? executeReimbursement handles transaction internally?
-      // No, executeReimbursement handles transaction.
-      // But we need to deduct wallet here first? Or inside?
-      // Better to wrap all in one transaction or use service.
-
-      // Let's do it here:
-      try {
-        // Deduct Participant Wallet
-        await WalletRepository.updateWalletBalance(conn, userId, -amountToPay);
-        await WalletRepository.createTransaction(conn, {
-          userId,
-          amount: -amountToPay,
-          type: "DEBIT",
-          description: `Split Share Payment for Booking #${bookingId}`,
-          referenceType: "BOOKING_SPLIT_PAYMENT",
-          referenceId: bookingId
-        });
-
-        conn.release(); // release, service uses its own pool/connection logic? 
-        // Service uses pool.getConnection().
-      } catch (e) {
-        conn.release();
-        throw e;
-      }
-
-      // Call Service
-      await SplitPaymentService.executeReimbursement(userId, bookingId, amountToPay);
+      // Debits the participant's wallet and reimburses the initiator in one ledger entry
+      await SplitPaymentService.executeReimbursement(userId, bookingId, amountToPay, null, 'WALLET');
 
       return res.json({ success: true, message: "Share paid successfully" });
 
@@ -415,15 +588,20 @@ export const paySplitShare = async (req, res) => {
           booking_id: String(bookingId),
           user_id: String(userId),
         },
+        payment_intent_data: {
+          metadata: { type: 'SHARE_PAYMENT', user_id: String(userId) }
+        },
         success_url: `${process.env.FRONTEND_URL}/booking-summary?session_id={CHECKOUT_SESSION_ID}`,
         cancel_url: `${process.env.FRONTEND_URL}/booking-summary?cancelled=true`,
       });
 
-      conn.release();
       return res.json({ checkoutUrl: session.url });
     }
 
   } catch (err) {
+    if (err.message === "This share is no longer payable") {
+      return res.status(400).json({ message: err.message });
+    }
     console.error(err);
     return res.status(500).json({ message: "Server error" });
   }
@@ -443,9 +621,13 @@ export const getBookedSlots = async (req, res) => {
   if (!venueId || !date) {
     return res.status(400).json({ message: "Missing venueId or date parameter" });
   }
+  if (isNaN(createISTDate(date, '00:00').getTime())) {
+    return res.status(400).json({ message: "Invalid date" });
+  }
 
   try {
-    let slots = await BookingRepository.getBookedSlotsForDate(venueId, date);
+    const day = getISTDayRange(date);
+    let slots = await BookingRepository.getBookedSlotsInRange(venueId, day.start, day.end);
 
     // If sportId provided, only return slots that block this sport
     if (sportId) {
@@ -498,7 +680,9 @@ export const cancelBooking = async (req, res) => {
   console.log(`[CancelBooking] Request received for BookingID: ${bookingId}, UserID: ${userId}`);
 
   try {
-    const result = await BookingService.cancelBooking(bookingId, userId);
+    const result = await BookingService.cancelBooking(bookingId, userId, {
+      refundMethod: req.body?.refundMethod
+    });
     console.log(`[CancelBooking] Success`);
     return res.json(result);
   } catch (err) {
@@ -507,29 +691,425 @@ export const cancelBooking = async (req, res) => {
   }
 };
 
+/**
+ * GET /api/bookings/:id/cancellation-preview?refundMethod=WALLET|CARD
+ *
+ * What cancelling now would refund, under the booking's cancellation policy.
+ */
+export const previewCancellation = async (req, res) => {
+  try {
+    const preview = await BookingService.previewCancellation(Number(req.params.id), req.user.id, {
+      refundMethod: req.query.refundMethod
+    });
+    return res.json(preview);
+  } catch (err) {
+    console.error("Cancellation Preview Error:", err);
+    let status = 400;
+    if (err.message === "Booking not found") status = 404;
+    else if (err.message.startsWith("Unauthorized")) status = 403;
+    return res.status(status).json({ message: err.message });
+  }
+};
+
+/**
+ * PATCH /api/bookings/:id/cancel-hours
+ *
+ * Body: { hours, from?: "START" | "END" }
+ * Gives up some of a booking's hours; the refund follows the cancellation policy.
+ */
+export const cancelBookingHours = async (req, res) => {
+  const { hours, from } = req.body || {};
+  if (!hours) return res.status(400).json({ message: "hours is required" });
+
+  try {
+    const result = await BookingService.cancelBookingHours(Number(req.params.id), req.user.id, { hours, from });
+    return res.json(result);
+  } catch (err) {
+    console.error("Cancel Hours Error:", err);
+    let status = 400;
+    if (err.message === "Booking not found") status = 404;
+    else if (err.message.startsWith("Unauthorized")) status = 403;
+    else if (err.message.startsWith("Booking changed")) status = 409;
+    return res.status(status).json({ message: err.message });
+  }
+};
+
+/**
+ * PATCH /api/bookings/:id/reschedule
+ *
+ * Body: { date: "YYYY-MM-DD", time: "HH:MM", hours, paymentMethod?: "WALLET" | "CARD" }
+ * Returns a checkoutUrl when the price difference and reschedule fee are
+ * paid by card; the booking moves once the payment completes.
+ */
 export const rescheduleBooking = async (req, res) => {
   const bookingId = Number(req.params.id);
   const userId = req.user.id;
-  const { date, time, hours } = req.body;
+  const { date, time, hours, paymentMethod } = req.body;
 
   if (!date || !time || !hours) {
     return res.status(400).json({ message: "Date, time, and hours are required" });
   }
 
   try {
-    const result = await BookingService.rescheduleBooking(bookingId, userId, date, time, hours);
+    const result = await BookingService.rescheduleBooking(bookingId, userId, date, time, hours, {
+      paymentMethod,
+      email: req.user.email
+    });
     return res.json(result);
   } catch (err) {
     console.error("Reschedule Error:", err);
+    let status = 400;
+    if (err.message === "Booking not found") status = 404;
+    else if (err.message === "Unauthorized") status = 403;
+    else if (err.message.startsWith("Slot taken") || err.message.startsWith("Booking changed")
+      || err.message.startsWith("A reschedule of this booking")) status = 409;
+    return res.status(status).json({ message: err.message });
+  }
+};
+
+/**
+ * POST /api/bookings/:id/splits/reassign
+ *
+ * Body: { from: "invitee@email", to: "replacement@email" }
+ */
+export const reassignSplitShare = async (req, res) => {
+  try {
+    const result = await SplitPaymentService.reassignShare(Number(req.params.id), req.user.id, req.body?.from, req.body?.to);
+    return res.json({ message: "Share reassigned", ...result });
+  } catch (err) {
+    console.error("Reassign Share Error:", err);
+    let status = 400;
+    if (err.message === "Booking not found" || err.message === "Participant not found") status = 404;
+    else if (err.message.startsWith("Unauthorized")) status = 403;
+    return res.status(status).json({ message: err.message });
+  }
+};
+
+/**
+ * PATCH /api/bookings/:id/splits
+ *
+ * Body: { shares: [{ email, amount }] }
+ * Changes unpaid invitee shares; the initiator's share takes up the difference.
+ */
+export const updateSplitShares = async (req, res) => {
+  try {
+    const shares = await SplitPaymentService.updateSplitShares(Number(req.params.id), req.user.id, req.body?.shares);
+    return res.json({ message: "Shares updated", shares });
+  } catch (err) {
+    console.error("Update Shares Error:", err);
+    let status = 400;
+    if (err.message === "Booking not found" || err.message.startsWith("Participant not found")) status = 404;
+    else if (err.message.startsWith("Unauthorized")) status = 403;
+    return res.status(status).json({ message: err.message });
+  }
+};
+
+/**
+ * Map invitation errors to HTTP statuses
+ */
+const invitationErrorStatus = (err) => {
+  if (["Booking not found", "Invitation not found", "Participant not found"].includes(err.message)) return 404;
+  if (err.message === "This invitation has expired") return 410;
+  if (err.message.startsWith("Unauthorized")) return 403;
+  return 400;
+};
+
+/**
+ * POST /api/bookings/:id/invitation/accept
+ * POST /api/bookings/:id/invitation/decline
+ *
+ * An invited player answers a split invitation.
+ */
+export const acceptInvitation = async (req, res) => {
+  try {
+    const result = await SplitPaymentService.respondToInvitation(Number(req.params.id), req.user.id, true);
+    return res.json({ message: "Invitation accepted", ...result });
+  } catch (err) {
+    console.error("Accept Invitation Error:", err);
+    return res.status(invitationErrorStatus(err)).json({ message: err.message });
+  }
+};
+
+export const declineInvitation = async (req, res) => {
+  try {
+    const result = await SplitPaymentService.respondToInvitation(Number(req.params.id), req.user.id, false);
+    return res.json({ message: "Invitation declined", ...result });
+  } catch (err) {
+    console.error("Decline Invitation Error:", err);
+    return res.status(invitationErrorStatus(err)).json({ message: err.message });
+  }
+};
+
+/**
+ * POST /api/bookings/:id/withdraw
+ *
+ * Body: { refundMethod?: "WALLET" | "CARD" }
+ * An invitee leaves a split booking; a paid share is refunded under the
+ * cancellation policy.
+ */
+export const withdrawFromSplit = async (req, res) => {
+  try {
+    const result = await SplitPaymentService.withdrawFromSplit(Number(req.params.id), req.user.id, {
+      refundMethod: req.body?.refundMethod
+    });
+    return res.json(result);
+  } catch (err) {
+    console.error("Withdraw From Split Error:", err);
+    return res.status(invitationErrorStatus(err)).json({ message: err.message });
+  }
+};
+
+/**
+ * GET /api/bookings/invitations/:token
+ *
+ * Public: details of a guest invitation for the invite link's landing page.
+ */
+export const getGuestInvitation = async (req, res) => {
+  try {
+    const invitation = await SplitPaymentService.getGuestInvitation(req.params.token);
+    return res.json(invitation);
+  } catch (err) {
+    return res.status(invitationErrorStatus(err)).json({ message: err.message });
+  }
+};
+
+/**
+ * POST /api/bookings/invitations/:token/decline
+ *
+ * Public: a guest declines an invitation without signing up.
+ */
+export const declineGuestInvitation = async (req, res) => {
+  try {
+    await SplitPaymentService.declineGuestInvitation(req.params.token);
+    return res.json({ message: "Invitation declined" });
+  } catch (err) {
+    console.error("Decline Guest Invitation Error:", err);
+    return res.status(invitationErrorStatus(err)).json({ message: err.message });
+  }
+};
+
+/**
+ * POST /api/bookings/:id/splits/cover
+ *
+ * Body: { email }
+ * The initiator takes over an unpaid (e.g. declined) share.
+ */
+export const coverSplitShare = async (req, res) => {
+  try {
+    const result = await SplitPaymentService.coverShare(Number(req.params.id), req.user.id, req.body?.email);
+    return res.json({ message: "Share covered", ...result });
+  } catch (err) {
+    console.error("Cover Share Error:", err);
+    return res.status(invitationErrorStatus(err)).json({ message: err.message });
+  }
+};
+
+/**
+ * PATCH /api/bookings/:id/no-show
+ *
+ * Owner reports that the player did not turn up.
+ */
+export const markNoShow = async (req, res) => {
+  try {
+    const result = await BookingService.markNoShow(Number(req.params.id), req.user.id);
+    return res.json(result);
+  } catch (err) {
+    console.error("No-Show Error:", err);
+    let status = 400;
+    if (err.message === "Booking not found") status = 404;
+    else if (err.message.startsWith("Unauthorized")) status = 403;
+    return res.status(status).json({ message: err.message });
+  }
+};
+
+/**
+ * PATCH /api/bookings/:id/owner-modify
+ *
+ * Body: { courtId?, date?: "YYYY-MM-DD", time?: "HH:MM", hours?, waiveIncrease?, reason? }
+ * Owner moves a booking to another court or time, or changes its length.
+ */
+export const modifyBookingAsOwner = async (req, res) => {
+  try {
+    const result = await BookingService.modifyBookingAsOwner(Number(req.params.id), req.user.id, req.body || {});
+    return res.json(result);
+  } catch (err) {
+    console.error("Owner Modify Error:", err);
+    let status = 400;
+    if (err.message === "Booking not found" || err.message.includes("not found at this venue")) status = 404;
+    else if (err.message.startsWith("Unauthorized")) status = 403;
+    else if (err.message.includes("is not available") || err.message.startsWith("Slot taken")
+      || err.message.startsWith("Booking changed")) status = 409;
+    return res.status(status).json({ message: err.message });
+  }
+};
+
+/**
+ * POST /api/bookings/waitlist
+ *
+ * Body: { venueId, sportId, date: "YYYY-MM-DD", startTime: "HH:MM", endTime: "HH:MM" }
+ */
+export const joinWaitlist = async (req, res) => {
+  try {
+    const result = await WaitlistService.joinWaitlist(req.user.id, req.body);
+    return res.status(201).json({ message: "Added to the waitlist", ...result });
+  } catch (err) {
+    console.error("Join Waitlist Error:", err);
     return res.status(400).json({ message: err.message });
   }
 };
 
+/**
+ * GET /api/bookings/waitlist
+ */
+export const getMyWaitlist = async (req, res) => {
+  try {
+    const entries = await WaitlistService.getMyWaitlist(req.user.id);
+    return res.json({ entries });
+  } catch (err) {
+    console.error("Error fetching waitlist:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * DELETE /api/bookings/waitlist/:id
+ */
+export const leaveWaitlist = async (req, res) => {
+  try {
+    await WaitlistService.leaveWaitlist(Number(req.params.id), req.user.id);
+    return res.json({ message: "Removed from the waitlist" });
+  } catch (err) {
+    console.error("Leave Waitlist Error:", err);
+    const status = err.message === "Waitlist entry not found" ? 404 : 400;
+    return res.status(status).json({ message: err.message });
+  }
+};
+
+/**
+ * POST /api/bookings/series/preview
+ *
+ * Body: same as POST /api/bookings/series (paymentMode not needed)
+ */
+export const previewSeries = async (req, res) => {
+  try {
+    const preview = await SeriesService.previewSeries(req.body);
+    return res.json(preview);
+  } catch (err) {
+    console.error("Preview Series Error:", err);
+    const status = err.message === "Venue not found" || err.message === "Court not found" ? 404 : 400;
+    return res.status(status).json({ message: err.message });
+  }
+};
+
+/**
+ * POST /api/bookings/series
+ *
+ * Body: { venueId, sportId, courtId?, startDate, endDate, time: "HH:MM", hours,
+ *         frequency: "WEEKLY" | "FORTNIGHTLY", paymentMode: "UPFRONT" | "PER_OCCURRENCE" }
+ */
+export const createSeries = async (req, res) => {
+  try {
+    const result = await SeriesService.createSeries(req.user.id, req.body);
+    return res.status(201).json({ message: "Recurring booking created", ...result });
+  } catch (err) {
+    console.error("Create Series Error:", err);
+    const status = err.message === "Venue not found" || err.message === "Court not found" ? 404 : 400;
+    return res.status(status).json({ message: err.message });
+  }
+};
+
+/**
+ * GET /api/bookings/series
+ */
+export const getMySeries = async (req, res) => {
+  try {
+    const series = await SeriesService.getMySeries(req.user.id);
+    return res.json({ series });
+  } catch (err) {
+    console.error("Error fetching series:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * GET /api/bookings/series/:id
+ */
+export const getSeries = async (req, res) => {
+  try {
+    const series = await SeriesService.getSeriesDetails(Number(req.params.id), req.user.id);
+    return res.json(series);
+  } catch (err) {
+    console.error("Error fetching series:", err);
+    const status = err.message === "Series not found" ? 404 : 500;
+    return res.status(status).json({ message: status === 404 ? err.message : "Server error" });
+  }
+};
+
+/**
+ * PATCH /api/bookings/series/:id/cancel
+ *
+ * Cancels every upcoming occurrence. Cancel a single occurrence with
+ * PATCH /api/bookings/:id/cancel.
+ */
+export const cancelSeries = async (req, res) => {
+  try {
+    const result = await SeriesService.cancelSeries(Number(req.params.id), req.user.id, {
+      refundMethod: req.body?.refundMethod
+    });
+    return res.json({ message: "Series cancelled", ...result });
+  } catch (err) {
+    console.error("Cancel Series Error:", err);
+    const status = err.message === "Series not found" ? 404 : 400;
+    return res.status(status).json({ message: err.message });
+  }
+};
+
+/**
+ * PATCH /api/bookings/series/:id/reschedule
+ *
+ * Body: { time: "HH:MM" }. Reschedule a single occurrence with
+ * PATCH /api/bookings/:id/reschedule.
+ */
+export const rescheduleSeries = async (req, res) => {
+  try {
+    const result = await SeriesService.rescheduleSeries(Number(req.params.id), req.user.id, req.body?.time);
+    return res.json(result);
+  } catch (err) {
+    console.error("Reschedule Series Error:", err);
+    const status = err.message === "Series not found" ? 404 : 400;
+    return res.status(status).json({ message: err.message });
+  }
+};
+
+/**
+ * The court a checkout would book a slot on: the one picked, or the first
+ * free court for the sport, as createCheckoutSession assigns them. Null
+ * (priced at the venue rate) when none can be found.
+ */
+const resolvePricedCourt = async (venueId, sportId, date, time, hours, courtId) => {
+  if (courtId) return await CourtRepository.getCourtById(courtId);
+
+  const start = createISTDate(date, time);
+  if (!sportId || isNaN(start.getTime())) return null;
+  const startStr = toMySQLDateTime(start);
+  const endStr = toMySQLDateTime(new Date(start.getTime() + hours * 60 * 60 * 1000));
+  const availableCourtId = await BookingService.findAvailableCourt(venueId, startStr, endStr, sportId);
+  return availableCourtId ? await CourtRepository.getCourtById(availableCourtId) : null;
+};
+
 /**
  * POST /api/bookings/calculate-price
+ *
+ * Returns the court price (totalAmount), what the player's package hours and
+ * membership take off (packageDiscount, unless useEntitlements is false; pass
+ * sportId for sport-specific packages and codes), the promo discount
+ * (discount, when promoCode is given), the loyalty points discount
+ * (pointsDiscount, when redeemPoints is given), the player booking fee
+ * charged on top (playerFee) and what the player pays at checkout
+ * (amountPayable).
  */
 export const calculatePrice = async (req, res) => {
-  const { venueId, date, slots, time, hours } = req.body;
+  const { venueId, date, slots, time, hours, promoCode, sportId, redeemPoints, useEntitlements = true } = req.body;
   if (!venueId || !date) {
     return res.status(400).json({ message: "Missing details" });
   }
@@ -538,18 +1118,68 @@ export const calculatePrice = async (req, res) => {
     const venue = await BookingRepository.getVenueById(venueId);
     if (!venue) return res.status(404).json({ message: "Venue not found" });
 
-    let totalAmount = 0;
+    const amounts = [];
+    const priced = [];
 
+    // Each slot is priced on the court checkout would book, with its own rate
     if (slots && Array.isArray(slots)) {
-      const groups = groupContiguousSlots(slots);
+      const window = await BookingService.getVenueBookingWindow(venueId, date);
+      const groups = groupContiguousSlots(slots, window.slotMinutes);
       for (const group of groups) {
-        totalAmount += await calculateDynamicPrice(venue, date, group.time, group.hours);
+        const court = await resolvePricedCourt(venueId, sportId, date, group.time, group.hours, group.courtId);
+        amounts.push(await calculateDynamicPrice(venue, date, group.time, group.hours, court));
+        priced.push({ time: group.time, hours: group.hours });
       }
     } else if (time && hours) {
-      totalAmount = await calculateDynamicPrice(venue, date, time, hours);
+      const court = await resolvePricedCourt(venueId, sportId, date, time, Number(hours));
+      amounts.push(await calculateDynamicPrice(venue, date, time, hours, court));
+      priced.push({ time, hours });
     }
 
-    res.json({ totalAmount });
+    const totalAmount = amounts.reduce((sum, a) => sum + a, 0);
+
+    const packageQuote = useEntitlements && amounts.length > 0
+      ? await PackageService.quoteEntitlements(req.user.id, venueId, sportId, priced.map((p, i) => ({
+        startStr: toMySQLDateTime(createISTDate(date, p.time)),
+        hours: p.hours,
+        amount: amounts[i]
+      })))
+      : null;
+    const afterPackage = amounts.map((a, i) => a - (packageQuote?.bookings[i].discount ?? 0));
+
+    let promo = null;
+    if (promoCode) {
+      try {
+        promo = await PromoService.quotePromo(promoCode, { userId: req.user.id, venue, sportId, amounts: afterPackage });
+      } catch (err) {
+        return res.status(400).json({ message: err.message });
+      }
+    }
+    let payable = afterPackage.map((a, i) => a - (promo?.discounts[i] ?? 0));
+    let points = null;
+    if (redeemPoints) {
+      try {
+        points = await LoyaltyService.quoteRedemption(req.user.id, redeemPoints, payable);
+      } catch (err) {
+        return res.status(400).json({ message: err.message });
+      }
+      payable = payable.map((p, i) => p - points.bookings[i].discount);
+    }
+    const fees = await CommissionService.quoteBookingFees(venueId, amounts, null, payable);
+    const playerFee = fees.reduce((sum, f) => sum + Math.round(f.playerFee * 100), 0) / 100;
+    const discount = promo?.totalDiscount ?? 0;
+    const pointsDiscount = points?.discount ?? 0;
+    const packageDiscount = packageQuote?.totalDiscount ?? 0;
+
+    res.json({
+      totalAmount,
+      packageDiscount,
+      discount,
+      ...(promo && { promoCode: promo.promo.code }),
+      pointsDiscount,
+      playerFee,
+      amountPayable: Math.round((totalAmount - packageDiscount - discount - pointsDiscount + playerFee) * 100) / 100
+    });
   } catch (err) {
     console.error("Error calculating price:", err);
     res.status(500).json({ message: "Server error" });
@@ -558,18 +1188,18 @@ export const calculatePrice = async (req, res) => {
 
 /**
  * GET /api/bookings/available-slots/:venueId
- * Query: date (YYYY-MM-DD), hours (number)
+ * Query: date (YYYY-MM-DD), hours (number), sportId, perCourt (optional, "true" adds each court's availability)
  */
 export const getAvailableTimeSlots = async (req, res) => {
   const { venueId } = req.params;
-  const { date, hours, sportId } = req.query;
+  const { date, hours, sportId, perCourt } = req.query;
 
   if (!venueId || !date || !hours || !sportId) {
     return res.status(400).json({ message: "Missing required parameters (venueId, date, hours, sportId)" });
   }
 
   try {
-    const availableSlots = await BookingService.getAvailableTimeSlots(venueId, date, hours, Number(sportId));
+    const availableSlots = await BookingService.getAvailableTimeSlots(venueId, date, hours, Number(sportId), perCourt === 'true');
     return res.json({ slots: availableSlots });
   } catch (err) {
     console.error("Error fetching available slots:", err);
@@ -602,7 +1232,7 @@ export const getVenueCalendarBookings = async (req, res) => {
 
 export const createWalkInBooking = async (req, res) => {
   const { venueId } = req.params;
-  const { date, time, hours, notes, type, customerName, customerEmail, sportId, totalAmount } = req.body; // type: 'WALK_IN' or 'BLOCK'
+  const { date, time, hours, notes, type, customerName, customerEmail, sportId, courtId, totalAmount } = req.body; // type: 'WALK_IN' or 'BLOCK'
   const userId = req.user.id;
 
   if (!venueId || !date || !time || !hours) {
@@ -614,16 +1244,32 @@ export const createWalkInBooking = async (req, res) => {
   }
 
   try {
+    const timeError = await BookingService.getBookingTimeError(venueId, date, time, hours);
+    if (timeError) {
+      return res.status(400).json({ message: timeError });
+    }
+
     const start = createISTDate(date, time);
     const end = new Date(start.getTime() + Number(hours) * 60 * 60 * 1000);
     const startStr = toMySQLDateTime(start);
     const endStr = toMySQLDateTime(end);
 
-    // Find a court if sportId is provided, otherwise it's a legacy venue-wide block
-    const availableCourtId = sportId ? await BookingService.findAvailableCourt(venueId, startStr, endStr, sportId) : null;
-
-    if (sportId && !availableCourtId) {
-      return res.status(409).json({ message: "No courts available for this sport at the selected time" });
+    // Use the requested court, else find a court if sportId is provided, otherwise it's a legacy venue-wide block
+    let availableCourtId = null;
+    if (courtId) {
+      const court = await CourtRepository.getCourtById(courtId);
+      if (!court || court.venue_id !== Number(venueId) || !court.is_active) {
+        return res.status(404).json({ message: "Court not found" });
+      }
+      if (sportId && !(await CourtRepository.courtSupportsSport(court.court_id, sportId))) {
+        return res.status(400).json({ message: "Court does not support this sport" });
+      }
+      availableCourtId = court.court_id;
+    } else if (sportId) {
+      availableCourtId = await BookingService.findAvailableCourt(venueId, startStr, endStr, sportId);
+      if (!availableCourtId) {
+        return res.status(409).json({ message: "No courts available for this sport at the selected time" });
+      }
     }
 
     // Double check conflict on specific court (or venue-wide)
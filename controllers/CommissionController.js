@@ -0,0 +1,54 @@
+import * as CommissionService from "../services/CommissionService.js";
+
+/**
+ * GET /api/commission
+ *
+ * Admins: the global commission rule and every venue override.
+ */
+export const getRules = async (req, res) => {
+  try {
+    const rules = await CommissionService.getRules();
+    return res.json({ rules });
+  } catch (err) {
+    console.error("Error fetching commission rules", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * PUT /api/commission/global
+ * PUT /api/commission/venues/:venueId
+ *
+ * Body: { commissionType: "PERCENT" | "FLAT" | "TIERED", percent?, flatAmount?,
+ *         tiers?: [{ upTo, percent }], playerFeeType?: "NONE" | "PERCENT" | "FLAT", playerFeeValue? }
+ * Applies to bookings confirmed from now on.
+ */
+export const setRule = async (req, res) => {
+  const venueId = req.params.venueId ? Number(req.params.venueId) : null;
+  try {
+    const rule = await CommissionService.setRule(venueId, req.user.id, req.body || {});
+    return res.json({ venueId, ...rule });
+  } catch (err) {
+    console.error("Error saving commission rule", err);
+    const code = err.message === "Venue not found" ? 404 : 400;
+    return res.status(code).json({ message: err.message });
+  }
+};
+
+/**
+ * DELETE /api/commission/venues/:venueId
+ *
+ * Removes a venue override; the global rule applies again.
+ */
+export const deleteVenueRule = async (req, res) => {
+  try {
+    await CommissionService.deleteVenueRule(Number(req.params.venueId));
+    return res.json({ message: "Venue commission rule removed" });
+  } catch (err) {
+    if (err.message === "Commission rule not found") {
+      return res.status(404).json({ message: err.message });
+    }
+    console.error("Error deleting commission rule", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
@@ -0,0 +1,17 @@
+import * as LedgerService from "../services/LedgerService.js";
+
+/**
+ * GET /api/ledger/reconciliation
+ *
+ * Admins: ledger transactions that do not balance, wallets whose stored
+ * balance differs from their ledger balance, and system account balances.
+ */
+export const getReconciliationReport = async (req, res) => {
+  try {
+    const report = await LedgerService.getReconciliationReport();
+    return res.json(report);
+  } catch (err) {
+    console.error("Error building reconciliation report", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
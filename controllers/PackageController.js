@@ -0,0 +1,99 @@
+import * as PackageService from "../services/PackageService.js";
+
+const packageErrorStatus = (err) => {
+  if (err.message === "Package not found" || err.message === "Venue not found") return 404;
+  if (err.message === "Unauthorized") return 403;
+  if (err.message === "Package is no longer on sale") return 409;
+  return 400;
+};
+
+/**
+ * POST /api/packages
+ *
+ * Body: { venueId, packageType: "HOURS_PACK" | "MEMBERSHIP", name, description?, price,
+ *         includedHours?, discountPercent?, validityDays, sportId? }
+ */
+export const createPackage = async (req, res) => {
+  try {
+    const pkg = await PackageService.createPackage(req.user.id, req.body || {});
+    return res.status(201).json(pkg);
+  } catch (err) {
+    console.error("Error creating package", err);
+    return res.status(packageErrorStatus(err)).json({ message: err.message });
+  }
+};
+
+/**
+ * GET /api/packages/venues/:venueId
+ *
+ * Packages on sale at a venue; the venue's owner also sees those taken off sale.
+ */
+export const getVenuePackages = async (req, res) => {
+  try {
+    const packages = await PackageService.getVenuePackages(Number(req.params.venueId), req.user);
+    return res.json({ packages });
+  } catch (err) {
+    console.error("Error fetching packages", err);
+    return res.status(packageErrorStatus(err)).json({ message: err.message });
+  }
+};
+
+/**
+ * PATCH /api/packages/:id
+ *
+ * Body: { name?, description?, price?, isActive? }
+ */
+export const updatePackage = async (req, res) => {
+  try {
+    const pkg = await PackageService.updatePackage(Number(req.params.id), req.user.id, req.body || {});
+    return res.json(pkg);
+  } catch (err) {
+    console.error("Error updating package", err);
+    return res.status(packageErrorStatus(err)).json({ message: err.message });
+  }
+};
+
+/**
+ * POST /api/packages/:id/purchase
+ *
+ * Starts a Stripe checkout; the package is active once the payment completes.
+ */
+export const purchasePackage = async (req, res) => {
+  try {
+    const result = await PackageService.createPurchaseSession(req.user.id, req.user.email, Number(req.params.id));
+    return res.status(201).json(result);
+  } catch (err) {
+    console.error("Error starting package purchase", err);
+    return res.status(packageErrorStatus(err)).json({ message: err.message });
+  }
+};
+
+/**
+ * GET /api/packages/my-entitlements
+ *
+ * The player's packages and memberships with the hours left.
+ */
+export const getMyEntitlements = async (req, res) => {
+  try {
+    const entitlements = await PackageService.getUserEntitlements(req.user.id);
+    return res.json({ entitlements });
+  } catch (err) {
+    console.error("Error fetching entitlements", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * GET /api/packages/venues/:venueId/members
+ *
+ * Players with a running package or membership at the owner's venue.
+ */
+export const getVenueMembers = async (req, res) => {
+  try {
+    const members = await PackageService.getActiveMembers(Number(req.params.venueId), req.user.id);
+    return res.json({ members });
+  } catch (err) {
+    console.error("Error fetching venue members", err);
+    return res.status(packageErrorStatus(err)).json({ message: err.message });
+  }
+};
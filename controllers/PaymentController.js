@@ -0,0 +1,29 @@
+import stripe from "../config/stripe.js";
+import * as PaymentService from "../services/PaymentService.js";
+
+/**
+ * POST /api/payments/stripe/webhook
+ *
+ * Receives signed events from Stripe. The body must be the raw request
+ * buffer (see server.js) so the signature can be verified.
+ * A non-2xx response makes Stripe retry the delivery.
+ */
+export const handleStripeWebhook = async (req, res) => {
+  const signature = req.headers["stripe-signature"];
+
+  let event;
+  try {
+    event = stripe.webhooks.constructEvent(req.body, signature, process.env.STRIPE_WEBHOOK_SECRET);
+  } catch (err) {
+    console.error("[StripeWebhook] Signature verification failed:", err.message);
+    return res.status(400).json({ message: "Invalid webhook signature" });
+  }
+
+  try {
+    const result = await PaymentService.processStripeEvent(event);
+    return res.json({ received: true, ...result });
+  } catch (err) {
+    console.error(`[StripeWebhook] Error processing ${event.type} (${event.id}):`, err);
+    return res.status(500).json({ message: "Webhook processing failed" });
+  }
+};
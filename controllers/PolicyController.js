@@ -1,4 +1,10 @@
-import * as VenueRepository from "../repositories/VenueRepository.js";
+import * as PolicyService from "../services/PolicyService.js";
+
+const policyErrorStatus = (err) => {
+    if (err.message === "Policy not found") return 404;
+    if (err.message.startsWith("Policy") || err.message.startsWith("Cancellation tiers")) return 400;
+    return 500;
+};
 
 /**
  * Get all cancellation policies
@@ -8,10 +14,58 @@ import * as VenueRepository from "../repositories/VenueRepository.js";
  */
 export const fetchAllPolicies = async (req, res) => {
     try {
-        const policies = await VenueRepository.getAllPolicies();
+        const policies = await PolicyService.getPolicies();
         return res.json(policies);
     } catch (err) {
         console.error("Error fetching policies:", err);
         return res.status(500).json({ message: "Server error" });
     }
 };
+
+/**
+ * GET /api/policies/mine
+ *
+ * An owner's own policies, or the platform policies for admins, including
+ * withdrawn ones and how many venues use each.
+ */
+export const fetchOwnPolicies = async (req, res) => {
+    try {
+        const policies = await PolicyService.getOwnPolicies(req.user);
+        return res.json({ policies });
+    } catch (err) {
+        console.error("Error fetching own policies:", err);
+        return res.status(500).json({ message: "Server error" });
+    }
+};
+
+/**
+ * POST /api/policies
+ *
+ * Body: { name, tiers: [{ hoursBeforeStart, refundPercentage }] }
+ */
+export const createPolicy = async (req, res) => {
+    try {
+        const policy = await PolicyService.createPolicy(req.user, req.body || {});
+        return res.status(201).json(policy);
+    } catch (err) {
+        console.error("Error creating policy:", err);
+        const status = policyErrorStatus(err);
+        return res.status(status).json({ message: status === 500 ? "Server error" : err.message });
+    }
+};
+
+/**
+ * PATCH /api/policies/:id
+ *
+ * Body: { name?, tiers?, isActive? }
+ */
+export const updatePolicy = async (req, res) => {
+    try {
+        const policy = await PolicyService.updatePolicy(Number(req.params.id), req.user, req.body || {});
+        return res.json(policy);
+    } catch (err) {
+        console.error("Error updating policy:", err);
+        const status = policyErrorStatus(err);
+        return res.status(status).json({ message: status === 500 ? "Server error" : err.message });
+    }
+};
@@ -0,0 +1,56 @@
+import * as PromoService from "../services/PromoService.js";
+
+const promoErrorStatus = (err) => {
+  if (err.message === "Promo code not found" || err.message === "Venue not found") return 404;
+  if (err.message === "Unauthorized") return 403;
+  if (err.message === "Promo code already exists") return 409;
+  return 400;
+};
+
+/**
+ * POST /api/promos
+ *
+ * Body: { code, discountType: "PERCENT" | "FIXED", discountValue, maxDiscount?, minSpend?,
+ *         maxUses?, maxUsesPerUser?, validFrom?, validUntil?, venueId?, sportId? }
+ * Owners create codes for their own venues (they fund the discount);
+ * admins create platform-funded codes.
+ */
+export const createPromo = async (req, res) => {
+  try {
+    const promo = await PromoService.createPromo(req.user, req.body || {});
+    return res.status(201).json(promo);
+  } catch (err) {
+    console.error("Error creating promo code", err);
+    return res.status(promoErrorStatus(err)).json({ message: err.message });
+  }
+};
+
+/**
+ * GET /api/promos
+ *
+ * An owner's codes, or the platform codes for admins, with their usage.
+ */
+export const getPromos = async (req, res) => {
+  try {
+    const promos = await PromoService.getPromos(req.user);
+    return res.json({ promos });
+  } catch (err) {
+    console.error("Error fetching promo codes", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * PATCH /api/promos/:id
+ *
+ * Body: { isActive?, validUntil?, maxUses?, maxUsesPerUser? }
+ */
+export const updatePromo = async (req, res) => {
+  try {
+    const promo = await PromoService.updatePromo(Number(req.params.id), req.user, req.body || {});
+    return res.json(promo);
+  } catch (err) {
+    console.error("Error updating promo code", err);
+    return res.status(promoErrorStatus(err)).json({ message: err.message });
+  }
+};
@@ -14,6 +14,7 @@
  */
 
 import { getUsers, logInUser, registerUser } from "../services/UserService.js";
+import { getReferralSummary } from "../services/ReferralService.js";
 import { searchUsers as findUsers } from "../repositories/UserRepository.js";
 import { createToken, verifyToken } from "../utils/authUtil.js";
 
@@ -54,13 +55,15 @@ export const getAllUsers = async (req, res) => {
  * @param {string} req.body.password - Plain text password
  * @param {string} [req.body.phone] - Optional phone number
  * @param {string} [req.body.accountType] - Optional account type
+ * @param {string} [req.body.referralCode] - Optional referral code
+ * @param {string} [req.body.inviteToken] - Guest invite token, when signing up from a split invite
  * @param {Object} res - Express response object
  * @returns {Object} Newly created user object (excluding password)
  * @returns {number} res.status - 201 on success, 400/409/500 on error
  */
 export const register = async (req, res) => {
   try {
-    const { fullName, email, password, phone, city, accountType } = req.body;
+    const { fullName, email, password, phone, city, accountType, referralCode, inviteToken } = req.body;
 
     if (!fullName || !email || !password) {
       return res
@@ -97,6 +100,9 @@ export const register = async (req, res) => {
       phone,
       city,
       accountType: finalAccountType,
+      referralCode,
+      inviteToken,
+      deviceId: req.get("X-Device-Id"),
     });
 
     const token = createToken(user);
@@ -117,6 +123,9 @@ export const register = async (req, res) => {
     if (err.message === "Email already in use") {
       return res.status(409).json({ message: "Email already in use" });
     }
+    if (err.message === "Referral code is not valid") {
+      return res.status(400).json({ message: err.message });
+    }
 
     res.status(500).json({ message: "Server error" });
   }
@@ -152,7 +161,7 @@ export const login = async (req, res) => {
         .json({ message: "Email and password are required" });
     }
 
-    const user = await logInUser(email, password);
+    const user = await logInUser(email, password, req.get("X-Device-Id"));
 
     const token = createToken(user);
 
@@ -224,6 +233,26 @@ export const logout = (req, res) => {
   return res.json({ message: "Logged out" });
 };
 
+/**
+ * Get the current user's referral code and the players they referred
+ *
+ * @async
+ * @route GET /api/users/referrals
+ * @access Protected - Requires valid JWT token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} { referralCode, rewardPoints, referrals }
+ */
+export const getReferrals = async (req, res) => {
+  try {
+    const summary = await getReferralSummary(req.user.id);
+    return res.json(summary);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
 /**
  * Search users
  * 
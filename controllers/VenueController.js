@@ -34,6 +34,10 @@ import {
 import * as VenueRepository from "../repositories/VenueRepository.js";
 import * as BookingRepository from "../repositories/BookingRepository.js";
 import * as CourtRepository from "../repositories/CourtRepository.js";
+import * as ClosureService from "../services/ClosureService.js";
+import * as DisruptionService from "../services/DisruptionService.js";
+import * as PolicyService from "../services/PolicyService.js";
+import * as CourtService from "../services/CourtService.js";
 import { toMySQLDateTime, createISTDate } from "../utils/dateUtil.js";
 
 /**
@@ -92,7 +96,7 @@ export const fetchAmenities = async (req, res) => {
  */
 export const fetchPolicies = async (req, res) => {
   try {
-    const policies = await VenueRepository.getAllPolicies();
+    const policies = await PolicyService.getPolicies();
     res.json(policies);
   } catch (err) {
     console.error("Error fetching policies:", err);
@@ -142,7 +146,7 @@ export const getRecommendations = async (req, res) => {
 
     if (!city) {
       // Fallback to trending venues if no city available
-      const venues = await VenueRepository.findMostBookedVenuesThisWeek();
+      const venues = await ClosureService.filterOpenVenues(await VenueRepository.findMostBookedVenuesThisWeek());
       return res.json({ venues, type: 'trending', message: "Recommended for you" });
     }
 
@@ -162,9 +166,12 @@ export const getRecommendations = async (req, res) => {
       venues = await VenueRepository.findVenuesByCity(city);
     }
 
+    // Venues closed all day today are not recommended
+    venues = await ClosureService.filterOpenVenues(venues);
+
     // If not enough venues in the city, backfill with trending
     if (venues.length < 2) {
-      const trending = await VenueRepository.findMostBookedVenuesThisWeek();
+      const trending = await ClosureService.filterOpenVenues(await VenueRepository.findMostBookedVenuesThisWeek());
       // Filter out those already in 'venues'
       const filteredTrending = trending.filter(t => !venues.some(v => v.venue_id === t.venue_id));
       const combined = [...venues, ...filteredTrending].slice(0, 4);
@@ -202,6 +209,12 @@ export const create = async (req, res) => {
     res.status(201).json(result);
   } catch (err) {
     console.error("Error creating venue:", err);
+    if (err.message === "Policy not found") {
+      return res.status(404).json({ message: err.message });
+    }
+    if (err.message.startsWith("Cancellation tiers")) {
+      return res.status(400).json({ message: err.message });
+    }
     res.status(500).json({ message: "Server error" });
   }
 };
@@ -308,6 +321,40 @@ export const update = async (req, res) => {
     return res.status(400).json({ message: "Price must be at least 1000" });
   }
 
+  // Map frontend casing to DB column
+  if (updates.refundDestination !== undefined) {
+    updates.refund_destination = updates.refundDestination;
+    delete updates.refundDestination;
+  }
+
+  if (updates.slotDurationMinutes !== undefined) {
+    updates.slot_duration_minutes = updates.slotDurationMinutes;
+    delete updates.slotDurationMinutes;
+  }
+
+  // Cancellation policy
+  if (updates.cancellationPolicyId !== undefined) {
+    updates.cancellation_policy_id = updates.cancellationPolicyId;
+    delete updates.cancellationPolicyId;
+  }
+  if (updates.customCancellationTiers !== undefined) {
+    updates.custom_cancellation_tiers = updates.customCancellationTiers;
+    delete updates.customCancellationTiers;
+  }
+
+  // Reschedule policy
+  const rescheduleFields = {
+    rescheduleMaxCount: 'reschedule_max_count',
+    rescheduleCutoffHours: 'reschedule_cutoff_hours',
+    rescheduleFee: 'reschedule_fee'
+  };
+  for (const [field, column] of Object.entries(rescheduleFields)) {
+    if (updates[field] !== undefined) {
+      updates[column] = updates[field];
+      delete updates[field];
+    }
+  }
+
   try {
     const success = await updateVenueService(id, updates);
     if (!success) {
@@ -316,6 +363,18 @@ export const update = async (req, res) => {
     res.json({ message: "Venue updated successfully" });
   } catch (err) {
     console.error("Error updating venue:", err);
+    if (
+      err.message.startsWith("Refund destination") ||
+      err.message.startsWith("Slot duration") ||
+      err.message.startsWith("Reschedule") ||
+      err.message.startsWith("Cancellation tiers") ||
+      err.message.startsWith("Operating hours")
+    ) {
+      return res.status(400).json({ message: err.message });
+    }
+    if (err.message === "Policy not found") {
+      return res.status(404).json({ message: err.message });
+    }
     res.status(500).json({ message: "Server error" });
   }
 };
@@ -326,7 +385,7 @@ export const update = async (req, res) => {
  */
 export const blockSlot = async (req, res) => {
   const { id } = req.params;
-  const { date, startTime, endTime, reason, recurrence, sportId } = req.body;
+  const { date, startTime, endTime, reason, recurrence, sportId, courtId } = req.body;
 
   if (!date || !startTime || !endTime) {
     return res.status(400).json({ message: "Missing blocking details" });
@@ -341,7 +400,7 @@ export const blockSlot = async (req, res) => {
     }
 
     // Delegate to Service
-    const result = await blockVenueSlot(id, req.user.id, date, startTime, endTime, reason, recurrence, sportId);
+    const result = await blockVenueSlot(id, req.user.id, date, startTime, endTime, reason, recurrence, sportId, courtId ? Number(courtId) : null);
 
     if (recurrence && recurrence.type === 'recurring') {
       res.status(201).json({
@@ -356,6 +415,12 @@ export const blockSlot = async (req, res) => {
     if (err.message === "Slot already booked or blocked") {
       return res.status(409).json({ message: err.message });
     }
+    if (err.message === "Venue not found" || err.message === "Court not found") {
+      return res.status(404).json({ message: err.message });
+    }
+    if (err.message.startsWith("Venue is closed") || err.message.startsWith("Block must be within")) {
+      return res.status(400).json({ message: err.message });
+    }
     res.status(500).json({ message: err.message || "Server error" });
   }
 };
@@ -540,3 +605,214 @@ export const fetchVenueSports = async (req, res) => {
     res.status(500).json({ message: "Server error" });
   }
 };
+
+/**
+ * Map closure, disruption and court errors to HTTP status codes
+ */
+const ownerActionErrorStatus = (err) => {
+  if (["Venue not found", "Closure not found", "Disruption not found", "Court not found"].includes(err.message)) return 404;
+  if (err.message === "Unauthorized") return 403;
+  if (/^(Closure|Disruption|Calendar|Dates must|Court)/.test(err.message)) return 400;
+  return 500;
+};
+
+/**
+ * GET /api/venues/:id/closures
+ * Query: from, to (YYYY-MM-DD, optional)
+ *
+ * List a venue's holidays and special closures.
+ */
+export const fetchClosures = async (req, res) => {
+  const { id } = req.params;
+  const { from, to } = req.query;
+
+  try {
+    const closures = await ClosureService.getVenueClosures(id, from, to);
+    res.json({ closures });
+  } catch (err) {
+    console.error("Error fetching closures:", err);
+    const status = ownerActionErrorStatus(err);
+    res.status(status).json({ message: status === 500 ? "Server error" : err.message });
+  }
+};
+
+/**
+ * POST /api/venues/:id/closures
+ * Body: { date, startTime?, endTime?, reason?, recursAnnually? }
+ *
+ * Close a venue for a day or part of a day (Owner only).
+ */
+export const addClosure = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const result = await ClosureService.createClosure(Number(id), req.user.id, req.body);
+    res.status(201).json({ message: "Closure added", ...result });
+  } catch (err) {
+    console.error("Error adding closure:", err);
+    const status = ownerActionErrorStatus(err);
+    res.status(status).json({ message: status === 500 ? "Server error" : err.message });
+  }
+};
+
+/**
+ * POST /api/venues/:id/closures/import
+ * Body: { ics: "<contents of .ics file>", recursAnnually? }
+ *
+ * Import a holiday calendar (Owner only).
+ */
+export const importClosures = async (req, res) => {
+  const { id } = req.params;
+  const { ics, recursAnnually } = req.body;
+
+  try {
+    const result = await ClosureService.importICalClosures(Number(id), req.user.id, ics, { recursAnnually: Boolean(recursAnnually) });
+    res.status(201).json({ message: `Imported ${result.imported} closure(s)`, ...result });
+  } catch (err) {
+    console.error("Error importing closures:", err);
+    const status = ownerActionErrorStatus(err);
+    res.status(status).json({ message: status === 500 ? "Server error" : err.message });
+  }
+};
+
+/**
+ * DELETE /api/venues/:id/closures/:closureId
+ */
+export const deleteClosure = async (req, res) => {
+  const { id, closureId } = req.params;
+
+  try {
+    await ClosureService.deleteClosure(Number(id), req.user.id, Number(closureId));
+    res.json({ message: "Closure deleted" });
+  } catch (err) {
+    console.error("Error deleting closure:", err);
+    const status = ownerActionErrorStatus(err);
+    res.status(status).json({ message: status === 500 ? "Server error" : err.message });
+  }
+};
+
+/**
+ * GET /api/venues/:id/disruptions
+ *
+ * List a venue's disruptions with how many bookings each affected (Owner only).
+ */
+export const fetchDisruptions = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const disruptions = await DisruptionService.getDisruptions(Number(id), req.user.id);
+    res.json({ disruptions });
+  } catch (err) {
+    console.error("Error fetching disruptions:", err);
+    const status = ownerActionErrorStatus(err);
+    res.status(status).json({ message: status === 500 ? "Server error" : err.message });
+  }
+};
+
+/**
+ * GET /api/venues/:id/disruptions/:disruptionId
+ *
+ * What happened to each booking of a disruption (Owner only).
+ */
+export const fetchDisruptionReport = async (req, res) => {
+  const { id, disruptionId } = req.params;
+
+  try {
+    const disruption = await DisruptionService.getDisruptionReport(Number(id), req.user.id, Number(disruptionId));
+    res.json(disruption);
+  } catch (err) {
+    console.error("Error fetching disruption:", err);
+    const status = ownerActionErrorStatus(err);
+    res.status(status).json({ message: status === 500 ? "Server error" : err.message });
+  }
+};
+
+/**
+ * POST /api/venues/:id/disruptions
+ * Body: { date, endDate?, startTime?, endTime?, courtId?, sportId?, action, reason,
+ *         rebookingCreditPercent?, refundMethod? }
+ *
+ * Cancel, or offer a free reschedule for, every booking at the venue (or one
+ * court or sport) in a time range, with full refunds (Owner only).
+ */
+export const addDisruption = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const result = await DisruptionService.createDisruption(Number(id), req.user.id, req.body);
+    res.status(201).json({ message: `${result.bookings.length} booking(s) affected`, ...result });
+  } catch (err) {
+    console.error("Error adding disruption:", err);
+    const status = ownerActionErrorStatus(err);
+    res.status(status).json({ message: status === 500 ? "Server error" : err.message });
+  }
+};
+
+/**
+ * GET /api/venues/:id/courts
+ *
+ * List all courts of a venue, including inactive ones.
+ */
+export const fetchCourts = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const courts = await CourtService.listCourts(id);
+    res.json({ courts });
+  } catch (err) {
+    console.error("Error fetching courts:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * POST /api/venues/:id/courts
+ * Body: { name, sportIds: [..], pricePerHour?, capacity? }
+ */
+export const addCourt = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const courtId = await CourtService.createCourt(Number(id), req.user.id, req.body);
+    res.status(201).json({ message: "Court added", courtId });
+  } catch (err) {
+    console.error("Error adding court:", err);
+    const status = ownerActionErrorStatus(err);
+    res.status(status).json({ message: status === 500 ? "Server error" : err.message });
+  }
+};
+
+/**
+ * PUT /api/venues/:id/courts/:courtId
+ * Body: any of { name, sportIds, pricePerHour, capacity, isActive }
+ */
+export const updateCourt = async (req, res) => {
+  const { id, courtId } = req.params;
+
+  try {
+    const result = await CourtService.updateCourt(Number(id), req.user.id, Number(courtId), req.body);
+    res.json({ message: "Court updated", ...result });
+  } catch (err) {
+    console.error("Error updating court:", err);
+    const status = ownerActionErrorStatus(err);
+    res.status(status).json({ message: status === 500 ? "Server error" : err.message });
+  }
+};
+
+/**
+ * DELETE /api/venues/:id/courts/:courtId
+ *
+ * Deactivate a court. Upcoming bookings on it are returned with a warning.
+ */
+export const deactivateCourt = async (req, res) => {
+  const { id, courtId } = req.params;
+
+  try {
+    const result = await CourtService.deactivateCourt(Number(id), req.user.id, Number(courtId));
+    res.json({ message: "Court deactivated", ...result });
+  } catch (err) {
+    console.error("Error deactivating court:", err);
+    const status = ownerActionErrorStatus(err);
+    res.status(status).json({ message: status === 500 ? "Server error" : err.message });
+  }
+};
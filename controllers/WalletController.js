@@ -26,3 +26,84 @@ export const getMySummary = async (req, res) => {
         return res.status(500).json({ message: "Server error" });
     }
 };
+
+/**
+ * POST /api/wallet/top-up
+ *
+ * Body: { amount }
+ * Starts a Stripe checkout; the wallet is credited when the payment completes.
+ */
+export const createTopUp = async (req, res) => {
+    try {
+        const result = await WalletService.createTopUpSession(req.user.id, req.user.email, req.body?.amount);
+        return res.json(result);
+    } catch (err) {
+        if (err.message.startsWith("Top-up amount")) {
+            return res.status(400).json({ message: err.message });
+        }
+        console.error("Error creating top-up session", err);
+        return res.status(500).json({ message: "Server error" });
+    }
+};
+
+/**
+ * POST /api/wallet/withdrawals
+ *
+ * Body: { amount, payoutDetails }
+ * Venue owners request a payout; the amount is held until it is reviewed.
+ */
+export const requestWithdrawal = async (req, res) => {
+    try {
+        const result = await WalletService.requestWithdrawal(req.user.id, req.body);
+        return res.status(201).json({ message: "Withdrawal requested", ...result });
+    } catch (err) {
+        console.error("Error requesting withdrawal", err);
+        return res.status(400).json({ message: err.message });
+    }
+};
+
+/**
+ * GET /api/wallet/withdrawals
+ */
+export const getMyWithdrawals = async (req, res) => {
+    try {
+        const withdrawals = await WalletService.getMyWithdrawals(req.user.id);
+        return res.json(withdrawals);
+    } catch (err) {
+        console.error("Error fetching withdrawals", err);
+        return res.status(500).json({ message: "Server error" });
+    }
+};
+
+/**
+ * GET /api/wallet/withdrawals/review?status=PENDING
+ *
+ * Admins: open withdrawal requests (or those with the given status).
+ */
+export const getWithdrawalsForReview = async (req, res) => {
+    try {
+        const withdrawals = await WalletService.getWithdrawalsForReview(req.query.status);
+        return res.json(withdrawals);
+    } catch (err) {
+        console.error("Error fetching withdrawals for review", err);
+        return res.status(400).json({ message: err.message });
+    }
+};
+
+/**
+ * PATCH /api/wallet/withdrawals/:id
+ *
+ * Body: { status: "APPROVED" | "PAID" | "REJECTED", payoutReference?, reason? }
+ * Admins move a request along; PAID needs the payout reference.
+ */
+export const reviewWithdrawal = async (req, res) => {
+    const { status, payoutReference, reason } = req.body || {};
+    try {
+        const withdrawal = await WalletService.reviewWithdrawal(Number(req.params.id), req.user.id, status, { payoutReference, reason });
+        return res.json(withdrawal);
+    } catch (err) {
+        console.error("Error reviewing withdrawal", err);
+        const code = err.message === "Withdrawal not found" ? 404 : 400;
+        return res.status(code).json({ message: err.message });
+    }
+};
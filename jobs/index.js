@@ -0,0 +1,62 @@
+/**
+ * Scheduled Jobs
+ *
+ * Periodic maintenance tasks that run inside the API process.
+ * Each job runs on its own interval; a failing run is logged and
+ * retried on the next tick.
+ *
+ * @module jobs/index
+ */
+
+import * as BookingService from "../services/BookingService.js";
+import * as WaitlistService from "../services/WaitlistService.js";
+import * as SeriesService from "../services/SeriesService.js";
+import * as SplitPaymentService from "../services/SplitPaymentService.js";
+import * as LedgerService from "../services/LedgerService.js";
+import * as LoyaltyService from "../services/LoyaltyService.js";
+import * as ReferralService from "../services/ReferralService.js";
+import * as DisruptionService from "../services/DisruptionService.js";
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Registered jobs
+ * @type {{name: string, intervalMs: number, run: Function}[]}
+ */
+const jobs = [
+  { name: "release-expired-holds", intervalMs: MINUTE, run: BookingService.releaseExpiredHolds },
+  { name: "complete-past-bookings", intervalMs: 15 * MINUTE, run: BookingService.completePastBookings },
+  { name: "expire-waitlist-offers", intervalMs: MINUTE, run: WaitlistService.processExpiredOffers },
+  { name: "expire-disruption-offers", intervalMs: 5 * MINUTE, run: DisruptionService.cancelExpiredOffers },
+  { name: "charge-series-occurrences", intervalMs: 15 * MINUTE, run: SeriesService.chargeDueOccurrences },
+  { name: "split-share-reminders", intervalMs: 15 * MINUTE, run: SplitPaymentService.sendSplitReminders },
+  { name: "enforce-split-deadlines", intervalMs: 5 * MINUTE, run: SplitPaymentService.enforceSplitDeadlines },
+  { name: "process-referral-rewards", intervalMs: 15 * MINUTE, run: ReferralService.processReferralRewards },
+  { name: "process-loyalty-points", intervalMs: 15 * MINUTE, run: LoyaltyService.processLoyaltyPoints },
+  { name: "reconcile-ledger", intervalMs: 24 * 60 * MINUTE, run: LedgerService.reconcileLedger },
+];
+
+/**
+ * Start all scheduled jobs
+ *
+ * Timers are unref'd so they never keep the process alive on their own.
+ */
+export const startScheduledJobs = () => {
+  for (const job of jobs) {
+    let running = false;
+
+    const timer = setInterval(async () => {
+      if (running) return; // Skip overlapping runs of slow jobs
+      running = true;
+      try {
+        await job.run();
+      } catch (err) {
+        console.error(`[Jobs] ${job.name} failed:`, err);
+      } finally {
+        running = false;
+      }
+    }, job.intervalMs);
+
+    timer.unref();
+  }
+};
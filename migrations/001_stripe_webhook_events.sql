@@ -0,0 +1,8 @@
+-- Stripe webhook idempotency
+-- Each processed event is recorded once; redeliveries of the same event ID are skipped.
+
+CREATE TABLE IF NOT EXISTS stripe_webhook_events (
+  event_id VARCHAR(255) NOT NULL PRIMARY KEY,
+  event_type VARCHAR(100) NOT NULL,
+  processed_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
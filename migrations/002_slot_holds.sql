@@ -0,0 +1,19 @@
+-- Temporary court holds taken while a player completes Stripe checkout.
+-- PENDING holds block availability until expires_at (the Stripe session expiry).
+
+CREATE TABLE IF NOT EXISTS slot_holds (
+  hold_id INT AUTO_INCREMENT PRIMARY KEY,
+  venue_id INT NOT NULL,
+  court_id INT NULL,
+  sport_id INT NULL,
+  user_id INT NOT NULL,
+  hold_start DATETIME NOT NULL,
+  hold_end DATETIME NOT NULL,
+  checkout_session_id VARCHAR(255) NULL,
+  status ENUM('PENDING', 'CONVERTED', 'RELEASED') NOT NULL DEFAULT 'PENDING',
+  expires_at DATETIME NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_slot_holds_venue_start (venue_id, hold_start),
+  KEY idx_slot_holds_session (checkout_session_id),
+  KEY idx_slot_holds_expiry (status, expires_at)
+);
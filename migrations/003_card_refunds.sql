@@ -0,0 +1,12 @@
+-- Card refunds on cancellation
+-- Stripe refund issued against each card payment, and an optional per-venue
+-- override of where cancellation refunds go (NULL = player's choice / platform default).
+
+ALTER TABLE payments
+  ADD COLUMN refund_id VARCHAR(255) NULL,
+  ADD COLUMN refund_status VARCHAR(50) NULL,
+  ADD COLUMN refund_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  ADD KEY idx_payments_refund (refund_id);
+
+ALTER TABLE venues
+  ADD COLUMN refund_destination ENUM('WALLET', 'CARD') NULL;
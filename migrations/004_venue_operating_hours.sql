@@ -0,0 +1,19 @@
+-- Per-venue operating hours and slot length
+-- One row per venue and day of week (0 = Sunday). Times are IST; close_time
+-- may be 24:00:00 for venues open until midnight. Days without a row use the
+-- platform default of 07:00-22:00.
+-- venues.slot_duration_minutes puts a venue on a slot grid: bookings start on
+-- a slot from opening time and last whole slots. NULL keeps the platform
+-- default of any quarter-hour start and at least an hour, shown in hourly slots.
+
+CREATE TABLE IF NOT EXISTS venue_operating_hours (
+  venue_id INT NOT NULL,
+  day_of_week TINYINT NOT NULL,
+  open_time TIME NOT NULL,
+  close_time TIME NOT NULL,
+  is_closed TINYINT(1) NOT NULL DEFAULT 0,
+  PRIMARY KEY (venue_id, day_of_week)
+);
+
+ALTER TABLE venues
+  ADD COLUMN slot_duration_minutes INT NULL;
@@ -0,0 +1,22 @@
+-- Holiday and special-closure calendar
+-- A closure with NULL start_time/end_time closes the venue for the whole day;
+-- otherwise only that time range (IST) is closed. recurs_annually repeats the
+-- closure on the same month and day every year from closure_date onwards.
+-- external_uid is set for closures imported from an iCal file so re-importing
+-- the same calendar does not create duplicates.
+
+CREATE TABLE IF NOT EXISTS venue_closures (
+  closure_id INT AUTO_INCREMENT PRIMARY KEY,
+  venue_id INT NOT NULL,
+  closure_date DATE NOT NULL,
+  start_time TIME NULL,
+  end_time TIME NULL,
+  reason VARCHAR(255) NULL,
+  recurs_annually TINYINT(1) NOT NULL DEFAULT 0,
+  source ENUM('MANUAL', 'ICAL') NOT NULL DEFAULT 'MANUAL',
+  external_uid VARCHAR(255) NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_venue_closures_date (venue_id, closure_date),
+  UNIQUE KEY uq_venue_closures_uid (venue_id, external_uid)
+);
@@ -0,0 +1,8 @@
+-- Court-level management
+-- price_per_hour overrides the venue's hourly rate for bookings on this court
+-- (NULL = use the venue rate). capacity is the number of players the court
+-- takes (NULL = not specified).
+
+ALTER TABLE courts
+  ADD COLUMN price_per_hour DECIMAL(10, 2) NULL,
+  ADD COLUMN capacity INT NULL;
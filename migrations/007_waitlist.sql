@@ -0,0 +1,23 @@
+-- Waitlist for fully booked slots
+-- A player queues for a venue, sport and time range (UTC). When a matching
+-- court frees up, the first WAITING entry is OFFERED: a slot hold (offer_hold_id)
+-- keeps the court for them until offer_expires_at. Starting checkout with the
+-- entry marks it CLAIMED; an unclaimed offer EXPIRES and moves to the next entry.
+
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+  waitlist_id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  venue_id INT NOT NULL,
+  sport_id INT NOT NULL,
+  desired_start DATETIME NOT NULL,
+  desired_end DATETIME NOT NULL,
+  status ENUM('WAITING', 'OFFERED', 'CLAIMED', 'EXPIRED', 'CANCELLED') NOT NULL DEFAULT 'WAITING',
+  offered_court_id INT NULL,
+  offer_hold_id INT NULL,
+  offer_expires_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NULL ON UPDATE CURRENT_TIMESTAMP,
+  KEY idx_waitlist_queue (venue_id, status, desired_start),
+  KEY idx_waitlist_user (user_id, status),
+  KEY idx_waitlist_offer_expiry (status, offer_expires_at)
+);
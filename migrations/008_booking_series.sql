@@ -0,0 +1,28 @@
+-- Recurring player bookings
+-- A series books the same weekday and time (IST) every week or every second
+-- week between start_date and end_date. Each occurrence is a normal booking
+-- linked by bookings.series_id.
+-- payment_mode UPFRONT pays every occurrence from the wallet when the series
+-- is created. PER_OCCURRENCE keeps occurrences PENDING (the court is still
+-- reserved) and charges the wallet shortly before each one starts.
+
+CREATE TABLE IF NOT EXISTS booking_series (
+  series_id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  venue_id INT NOT NULL,
+  sport_id INT NOT NULL,
+  court_id INT NULL,
+  start_time TIME NOT NULL,
+  hours DECIMAL(4, 2) NOT NULL,
+  frequency ENUM('WEEKLY', 'FORTNIGHTLY') NOT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  payment_mode ENUM('UPFRONT', 'PER_OCCURRENCE') NOT NULL,
+  status ENUM('ACTIVE', 'CANCELLED') NOT NULL DEFAULT 'ACTIVE',
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_series_user (user_id, status)
+);
+
+ALTER TABLE bookings
+  ADD COLUMN series_id INT NULL,
+  ADD KEY idx_bookings_series (series_id, booking_start);
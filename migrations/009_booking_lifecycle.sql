@@ -0,0 +1,15 @@
+-- Booking lifecycle
+-- PENDING -> CONFIRMED once paid; CONFIRMED -> COMPLETED after the booking
+-- ends (scheduled job) or NO_SHOW when the owner reports the player did not
+-- turn up. CANCELLED and REFUNDED are final. BLOCKED marks owner blocks.
+-- users.no_show_count counts the no-shows reported against a player.
+
+ALTER TABLE bookings
+  MODIFY COLUMN status ENUM('PENDING', 'CONFIRMED', 'COMPLETED', 'NO_SHOW', 'CANCELLED', 'BLOCKED', 'REFUNDED') NOT NULL DEFAULT 'PENDING',
+  ADD COLUMN completed_at DATETIME NULL,
+  ADD COLUMN no_show_at DATETIME NULL,
+  ADD COLUMN no_show_reported_by INT NULL,
+  ADD KEY idx_bookings_status_end (status, booking_end);
+
+ALTER TABLE users
+  ADD COLUMN no_show_count INT NOT NULL DEFAULT 0;
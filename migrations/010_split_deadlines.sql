@@ -0,0 +1,18 @@
+-- Split-share payment deadlines
+-- Invitees of a split booking must pay their share by bookings.split_deadline.
+-- split_deadline_action is applied to shares still unpaid at the deadline:
+--   INITIATOR_COVERS - the initiator, who paid the full price at checkout,
+--                      takes over the unpaid share
+--   REASSIGN         - the initiator gets a grace period to pass the share to
+--                      another player; whatever is still unpaid is then covered
+--                      by the initiator
+--   CANCEL           - the booking is cancelled under the venue policy
+-- booking_participants.reminders_sent counts the reminders sent for a share.
+
+ALTER TABLE bookings
+  ADD COLUMN split_deadline DATETIME NULL,
+  ADD COLUMN split_deadline_action ENUM('INITIATOR_COVERS', 'REASSIGN', 'CANCEL') NULL,
+  ADD KEY idx_bookings_split_deadline (split_deadline);
+
+ALTER TABLE booking_participants
+  ADD COLUMN reminders_sent INT NOT NULL DEFAULT 0;
@@ -0,0 +1,8 @@
+-- Unequal split allocations
+-- Invitees can be given exact amounts or weights at checkout instead of an
+-- equal split. booking_participants.share_amount holds what each person owes
+-- (in exact cents, adding up to the booking total); split_method records how
+-- the booking was divided. NULL for bookings that were not split.
+
+ALTER TABLE bookings
+  ADD COLUMN split_method ENUM('EQUAL', 'AMOUNT', 'WEIGHT') NULL;
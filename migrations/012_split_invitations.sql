@@ -0,0 +1,19 @@
+-- Split invitations
+-- Invitees now start as INVITED and accept or decline the invitation.
+-- A declined share stays unpaid until the initiator passes it to another
+-- player or covers it; at the deadline, invitations still unanswered become
+-- EXPIRED. Guest invite tokens expire at invite_expires_at (the split
+-- deadline) and are cleared once used, so each link works only once.
+
+ALTER TABLE booking_participants
+  MODIFY COLUMN invite_status VARCHAR(16) NULL;
+
+UPDATE booking_participants
+SET invite_status = 'ACCEPTED'
+WHERE invite_status IS NULL OR invite_status NOT IN ('INVITED', 'ACCEPTED', 'DECLINED', 'EXPIRED');
+
+ALTER TABLE booking_participants
+  MODIFY COLUMN invite_status ENUM('INVITED', 'ACCEPTED', 'DECLINED', 'EXPIRED') NOT NULL DEFAULT 'INVITED',
+  ADD COLUMN invite_expires_at DATETIME NULL,
+  ADD COLUMN responded_at DATETIME NULL,
+  ADD KEY idx_participants_invite_token (invite_token);
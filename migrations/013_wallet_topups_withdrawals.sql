@@ -0,0 +1,35 @@
+-- Wallet top-ups and owner withdrawals
+-- A top-up is a Stripe checkout; the wallet is credited by the
+-- checkout.session.completed webhook, once per session.
+-- A withdrawal takes the amount out of the owner's wallet as soon as it is
+-- requested, so it cannot be spent while under review. PENDING requests are
+-- APPROVED and then PAID by an admin once the payout has been sent; a
+-- REJECTED request returns the amount to the wallet.
+
+CREATE TABLE IF NOT EXISTS wallet_topups (
+  topup_id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  checkout_session_id VARCHAR(255) NOT NULL,
+  status ENUM('PENDING', 'COMPLETED', 'EXPIRED') NOT NULL DEFAULT 'PENDING',
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  completed_at DATETIME NULL,
+  UNIQUE KEY uq_topups_session (checkout_session_id),
+  KEY idx_topups_user (user_id, created_at)
+);
+
+CREATE TABLE IF NOT EXISTS wallet_withdrawals (
+  withdrawal_id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  payout_details VARCHAR(255) NOT NULL,
+  status ENUM('PENDING', 'APPROVED', 'PAID', 'REJECTED') NOT NULL DEFAULT 'PENDING',
+  reviewed_by INT NULL,
+  reviewed_at DATETIME NULL,
+  paid_at DATETIME NULL,
+  payout_reference VARCHAR(255) NULL,
+  rejection_reason VARCHAR(255) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_withdrawals_user (user_id, created_at),
+  KEY idx_withdrawals_status (status, created_at)
+);
@@ -0,0 +1,82 @@
+-- Double-entry ledger
+-- Every money movement is a ledger transaction whose entries balance
+-- (total debits = total credits). Each wallet is an account (PLAYER or OWNER,
+-- by the user's account type); system accounts hold the other side:
+--   PLATFORM         PlayLink's own revenue
+--   STRIPE_CLEARING  money paid in or out through Stripe
+--   PAYOUT_CLEARING  owner withdrawals under review
+--   OPENING_BALANCE  wallet balances that existed before the ledger
+-- A wallet account's balance is its credits minus its debits, and must equal
+-- wallets.balance; GET /api/ledger/reconciliation reports any drift.
+
+CREATE TABLE IF NOT EXISTS ledger_accounts (
+  account_id INT AUTO_INCREMENT PRIMARY KEY,
+  account_code VARCHAR(64) NOT NULL,
+  account_type ENUM('PLAYER', 'OWNER', 'PLATFORM', 'STRIPE_CLEARING', 'PAYOUT_CLEARING', 'OPENING_BALANCE') NOT NULL,
+  user_id INT NULL,
+  name VARCHAR(255) NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_ledger_accounts_code (account_code),
+  KEY idx_ledger_accounts_user (user_id)
+);
+
+CREATE TABLE IF NOT EXISTS ledger_transactions (
+  ledger_txn_id INT AUTO_INCREMENT PRIMARY KEY,
+  txn_type VARCHAR(40) NOT NULL,
+  booking_id INT NULL,
+  reference VARCHAR(255) NULL,
+  description VARCHAR(255) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_ledger_txn_type (txn_type, created_at),
+  KEY idx_ledger_txn_booking (booking_id)
+);
+
+CREATE TABLE IF NOT EXISTS ledger_entries (
+  entry_id INT AUTO_INCREMENT PRIMARY KEY,
+  ledger_txn_id INT NOT NULL,
+  account_id INT NOT NULL,
+  direction ENUM('DEBIT', 'CREDIT') NOT NULL,
+  amount DECIMAL(12, 2) NOT NULL,
+  KEY idx_ledger_entries_txn (ledger_txn_id),
+  KEY idx_ledger_entries_account (account_id)
+);
+
+INSERT IGNORE INTO ledger_accounts (account_code, account_type, user_id, name) VALUES
+  ('PLATFORM', 'PLATFORM', NULL, 'PlayLink platform'),
+  ('STRIPE_CLEARING', 'STRIPE_CLEARING', NULL, 'Stripe clearing'),
+  ('PAYOUT_CLEARING', 'PAYOUT_CLEARING', NULL, 'Owner payouts under review'),
+  ('OPENING_BALANCE', 'OPENING_BALANCE', NULL, 'Balances before the ledger');
+
+-- Carry existing wallet balances and held withdrawals over as opening entries
+INSERT IGNORE INTO ledger_accounts (account_code, account_type, user_id, name)
+SELECT CONCAT('USER:', u.user_id), IF(u.account_type = 'VENUE_OWNER', 'OWNER', 'PLAYER'), u.user_id, u.full_name
+FROM wallets w
+JOIN users u ON u.user_id = w.user_id;
+
+INSERT INTO ledger_transactions (txn_type, description)
+VALUES ('OPENING_BALANCE', 'Wallet balances and held withdrawals carried over');
+SET @opening_txn = LAST_INSERT_ID();
+
+INSERT INTO ledger_entries (ledger_txn_id, account_id, direction, amount)
+SELECT @opening_txn, a.account_id, IF(w.balance >= 0, 'CREDIT', 'DEBIT'), ABS(w.balance)
+FROM wallets w
+JOIN ledger_accounts a ON a.account_code = CONCAT('USER:', w.user_id)
+WHERE w.balance <> 0;
+
+INSERT INTO ledger_entries (ledger_txn_id, account_id, direction, amount)
+SELECT @opening_txn, a.account_id, 'CREDIT', SUM(wd.amount)
+FROM wallet_withdrawals wd
+JOIN ledger_accounts a ON a.account_code = 'PAYOUT_CLEARING'
+WHERE wd.status IN ('PENDING', 'APPROVED')
+GROUP BY a.account_id
+HAVING SUM(wd.amount) > 0;
+
+INSERT INTO ledger_entries (ledger_txn_id, account_id, direction, amount)
+SELECT @opening_txn, a.account_id,
+       IF(SUM(IF(e.direction = 'CREDIT', e.amount, -e.amount)) >= 0, 'DEBIT', 'CREDIT'),
+       ABS(SUM(IF(e.direction = 'CREDIT', e.amount, -e.amount)))
+FROM ledger_entries e
+JOIN ledger_accounts a ON a.account_code = 'OPENING_BALANCE'
+WHERE e.ledger_txn_id = @opening_txn
+GROUP BY a.account_id
+HAVING SUM(IF(e.direction = 'CREDIT', e.amount, -e.amount)) <> 0;
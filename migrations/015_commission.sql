@@ -0,0 +1,30 @@
+-- Platform commission and player booking fees
+-- commission_rules holds one rule per venue; venue_id 0 is the global rule
+-- used by venues without their own. Commission is taken from the owner's
+-- booking revenue:
+--   PERCENT - percent of the booking amount
+--   FLAT    - flat_amount per booking (capped at the booking amount)
+--   TIERED  - tiers is a JSON array of { "upTo": <amount|null>, "percent": <n> }
+--             in ascending order; each slice of the amount is charged at its
+--             tier's rate, and the last tier (upTo null) covers the rest
+-- The player fee is charged on top of the booking amount, shown as its own
+-- line at checkout, goes to the platform and is not refunded.
+-- Each booking keeps the commission and player fee charged when it was
+-- confirmed; commission_reversed is the part returned to the owner by refunds.
+
+CREATE TABLE IF NOT EXISTS commission_rules (
+  venue_id INT NOT NULL PRIMARY KEY,
+  commission_type ENUM('PERCENT', 'FLAT', 'TIERED') NOT NULL DEFAULT 'PERCENT',
+  percent DECIMAL(5, 2) NULL,
+  flat_amount DECIMAL(10, 2) NULL,
+  tiers JSON NULL,
+  player_fee_type ENUM('NONE', 'PERCENT', 'FLAT') NOT NULL DEFAULT 'NONE',
+  player_fee_value DECIMAL(10, 2) NULL,
+  updated_by INT NULL,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+ALTER TABLE bookings
+  ADD COLUMN commission_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  ADD COLUMN commission_reversed DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  ADD COLUMN player_fee DECIMAL(10, 2) NOT NULL DEFAULT 0;
@@ -0,0 +1,51 @@
+-- Promo codes
+-- A promo code with owner_id set is created by a venue owner, works only at
+-- their venues and the owner funds the discount. A code with owner_id NULL
+-- is a platform code created by an admin and funded by the platform.
+-- venue_id / sport_id optionally restrict the code further.
+-- PERCENT codes take discount_value percent off (capped at max_discount if
+-- set); FIXED codes take discount_value off the checkout total.
+-- Each use is a promo_redemptions row. A Stripe checkout RESERVES a use until
+-- its session expires; paid checkouts and wallet payments are REDEEMED.
+-- Usage limits count RESERVED (unexpired) and REDEEMED rows.
+-- Bookings keep the list price in total_amount; discount_amount is the part
+-- of it taken off by the promo, so players pay total_amount - discount_amount.
+
+CREATE TABLE IF NOT EXISTS promo_codes (
+  promo_id INT AUTO_INCREMENT PRIMARY KEY,
+  code VARCHAR(32) NOT NULL,
+  owner_id INT NULL,
+  venue_id INT NULL,
+  sport_id INT NULL,
+  discount_type ENUM('PERCENT', 'FIXED') NOT NULL,
+  discount_value DECIMAL(10, 2) NOT NULL,
+  max_discount DECIMAL(10, 2) NULL,
+  min_spend DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  max_uses INT NULL,
+  max_uses_per_user INT NULL,
+  valid_from DATETIME NOT NULL,
+  valid_until DATETIME NULL,
+  is_active TINYINT(1) NOT NULL DEFAULT 1,
+  created_by INT NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_promo_code (code),
+  KEY idx_promo_owner (owner_id)
+);
+
+CREATE TABLE IF NOT EXISTS promo_redemptions (
+  redemption_id INT AUTO_INCREMENT PRIMARY KEY,
+  promo_id INT NOT NULL,
+  user_id INT NOT NULL,
+  discount_amount DECIMAL(10, 2) NOT NULL,
+  status ENUM('RESERVED', 'REDEEMED', 'RELEASED') NOT NULL,
+  reference VARCHAR(255) NULL,
+  expires_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_redemptions_promo (promo_id, status),
+  KEY idx_redemptions_user (promo_id, user_id, status)
+);
+
+ALTER TABLE bookings
+  ADD COLUMN promo_id INT NULL,
+  ADD COLUMN discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  ADD COLUMN discount_funded_by ENUM('OWNER', 'PLATFORM') NULL;
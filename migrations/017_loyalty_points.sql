@@ -0,0 +1,47 @@
+-- Loyalty points
+-- Points are separate from the wallet's cash balance. Each award is a lot:
+-- booking points are PENDING until the no-show window after the booking has
+-- passed, then AVAILABLE until expires_at. Redemptions use up the lots that
+-- expire first (remaining). loyalty_point_history is the player-facing log
+-- of every change (earned, redeemed, restored, expired, revoked).
+-- bookings.loyalty_points_redeemed / loyalty_discount record points spent at
+-- checkout; the discount is funded by the platform, so players pay
+-- total_amount - discount_amount - loyalty_discount.
+-- bookings.points_awarded marks bookings whose points have been handed out;
+-- bookings that existed before loyalty points are marked as done.
+
+CREATE TABLE IF NOT EXISTS loyalty_point_lots (
+  lot_id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  booking_id INT NULL,
+  source ENUM('BOOKING', 'OFF_PEAK_BONUS', 'STREAK_BONUS', 'REFERRAL', 'RESTORED') NOT NULL,
+  points INT NOT NULL,
+  remaining INT NOT NULL,
+  status ENUM('PENDING', 'AVAILABLE', 'EXPIRED', 'REVOKED') NOT NULL,
+  available_at DATETIME NOT NULL,
+  expires_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_lots_user (user_id, status, expires_at),
+  KEY idx_lots_release (status, available_at),
+  KEY idx_lots_booking (booking_id)
+);
+
+CREATE TABLE IF NOT EXISTS loyalty_point_history (
+  history_id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  points INT NOT NULL,
+  type ENUM('EARNED', 'REDEEMED', 'RESTORED', 'EXPIRED', 'REVOKED') NOT NULL,
+  booking_id INT NULL,
+  reference VARCHAR(255) NULL,
+  description VARCHAR(255) NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_history_user (user_id, created_at),
+  KEY idx_history_reference (reference)
+);
+
+ALTER TABLE bookings
+  ADD COLUMN loyalty_points_redeemed INT NOT NULL DEFAULT 0,
+  ADD COLUMN loyalty_discount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  ADD COLUMN points_awarded TINYINT(1) NOT NULL DEFAULT 0;
+
+UPDATE bookings SET points_awarded = 1;
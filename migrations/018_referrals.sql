@@ -0,0 +1,46 @@
+-- Referrals
+-- Every user has a referral_code (assigned at signup, or on first use for
+-- users who signed up earlier). A signup with a referral code or through a
+-- split invite is attributed to the referrer in referrals (one row per
+-- referred user). Both players are rewarded with loyalty points once the
+-- referred player's first completed booking qualifies: PENDING -> REWARDED,
+-- or REJECTED when the anti-abuse checks find the two accounts share an
+-- email domain, a device or a card.
+-- user_devices records the device IDs seen at signup and login;
+-- user_payment_methods records the fingerprints of cards used at Stripe.
+
+ALTER TABLE users
+  ADD COLUMN referral_code VARCHAR(16) NULL,
+  ADD UNIQUE KEY uq_users_referral_code (referral_code);
+
+CREATE TABLE IF NOT EXISTS referrals (
+  referral_id INT AUTO_INCREMENT PRIMARY KEY,
+  referrer_id INT NOT NULL,
+  referred_user_id INT NOT NULL,
+  source ENUM('CODE', 'INVITE') NOT NULL,
+  status ENUM('PENDING', 'REWARDED', 'REJECTED') NOT NULL DEFAULT 'PENDING',
+  rejection_reason ENUM('SAME_EMAIL_DOMAIN', 'SAME_DEVICE', 'SAME_PAYMENT_METHOD') NULL,
+  qualifying_booking_id INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  settled_at DATETIME NULL,
+  UNIQUE KEY uq_referrals_referred (referred_user_id),
+  KEY idx_referrals_referrer (referrer_id),
+  KEY idx_referrals_status (status)
+);
+
+CREATE TABLE IF NOT EXISTS user_devices (
+  user_id INT NOT NULL,
+  device_id VARCHAR(128) NOT NULL,
+  first_seen_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_seen_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, device_id),
+  KEY idx_user_devices_device (device_id)
+);
+
+CREATE TABLE IF NOT EXISTS user_payment_methods (
+  user_id INT NOT NULL,
+  fingerprint VARCHAR(64) NOT NULL,
+  first_seen_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, fingerprint),
+  KEY idx_user_payment_methods_fingerprint (fingerprint)
+);
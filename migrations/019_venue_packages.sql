@@ -0,0 +1,72 @@
+-- Venue packages and memberships
+-- Owners sell HOURS_PACK packages ("10 hours of badminton") and MEMBERSHIP
+-- packages (a period with included hours and/or a discount on court rates),
+-- optionally for one sport. A purchase through Stripe creates a
+-- user_entitlements row: PENDING until the checkout is paid (ACTIVE), or
+-- CANCELLED if the session expires. An ACTIVE entitlement covers bookings
+-- that start between starts_at and expires_at.
+-- At checkout, included hours are used before any money is charged and the
+-- best membership discount applies to the rest. entitlement_usages logs the
+-- hours used and given back (USED / RESTORED) under the checkout reference.
+-- bookings.entitlement_id / entitlement_hours record the hours a booking
+-- used and package_discount the value they and any membership discount took
+-- off the list price. The owner was paid for it with the package, so players
+-- pay total_amount - discount_amount - loyalty_discount - package_discount.
+
+CREATE TABLE IF NOT EXISTS venue_packages (
+  package_id INT AUTO_INCREMENT PRIMARY KEY,
+  venue_id INT NOT NULL,
+  sport_id INT NULL,
+  package_type ENUM('HOURS_PACK', 'MEMBERSHIP') NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  description VARCHAR(255) NULL,
+  price DECIMAL(10, 2) NOT NULL,
+  included_hours DECIMAL(6, 2) NOT NULL DEFAULT 0,
+  discount_percent DECIMAL(5, 2) NOT NULL DEFAULT 0,
+  validity_days INT NOT NULL,
+  is_active TINYINT(1) NOT NULL DEFAULT 1,
+  created_by INT NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  KEY idx_packages_venue (venue_id, is_active)
+);
+
+CREATE TABLE IF NOT EXISTS user_entitlements (
+  entitlement_id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  package_id INT NOT NULL,
+  venue_id INT NOT NULL,
+  sport_id INT NULL,
+  package_type ENUM('HOURS_PACK', 'MEMBERSHIP') NOT NULL,
+  hours_total DECIMAL(6, 2) NOT NULL DEFAULT 0,
+  hours_remaining DECIMAL(6, 2) NOT NULL DEFAULT 0,
+  discount_percent DECIMAL(5, 2) NOT NULL DEFAULT 0,
+  validity_days INT NOT NULL,
+  price DECIMAL(10, 2) NOT NULL,
+  commission_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  status ENUM('PENDING', 'ACTIVE', 'CANCELLED') NOT NULL DEFAULT 'PENDING',
+  checkout_session_id VARCHAR(255) NULL,
+  starts_at DATETIME NULL,
+  expires_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_entitlements_session (checkout_session_id),
+  KEY idx_entitlements_user (user_id, venue_id, status, expires_at),
+  KEY idx_entitlements_venue (venue_id, status, expires_at)
+);
+
+CREATE TABLE IF NOT EXISTS entitlement_usages (
+  usage_id INT AUTO_INCREMENT PRIMARY KEY,
+  entitlement_id INT NOT NULL,
+  booking_id INT NULL,
+  type ENUM('USED', 'RESTORED') NOT NULL,
+  hours DECIMAL(6, 2) NOT NULL,
+  reference VARCHAR(255) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_usages_entitlement (entitlement_id),
+  KEY idx_usages_reference (reference)
+);
+
+ALTER TABLE bookings
+  ADD COLUMN entitlement_id INT NULL,
+  ADD COLUMN entitlement_hours DECIMAL(6, 2) NOT NULL DEFAULT 0,
+  ADD COLUMN package_discount DECIMAL(10, 2) NOT NULL DEFAULT 0;
@@ -0,0 +1,39 @@
+-- Reschedule policy and repricing
+-- Venues can limit how players reschedule: at most reschedule_max_count
+-- times per booking (NULL = no limit, 0 = not allowed), not within
+-- reschedule_cutoff_hours of the start (NULL = any time before it), and
+-- for a reschedule_fee that goes to the owner.
+-- A reschedule reprices the booking. The price difference and fee are paid
+-- from the wallet straight away, or by card: a card reschedule stays PENDING
+-- (with the new court held) until its Stripe checkout is paid, and EXPIRED
+-- if the session expires. booking_reschedules keeps every reschedule with
+-- the slot it moved from.
+
+ALTER TABLE venues
+  ADD COLUMN reschedule_max_count INT NULL,
+  ADD COLUMN reschedule_cutoff_hours INT NULL,
+  ADD COLUMN reschedule_fee DECIMAL(10, 2) NOT NULL DEFAULT 0;
+
+ALTER TABLE bookings
+  ADD COLUMN reschedule_count INT NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS booking_reschedules (
+  reschedule_id INT AUTO_INCREMENT PRIMARY KEY,
+  booking_id INT NOT NULL,
+  requested_by INT NOT NULL,
+  from_court_id INT NULL,
+  from_start DATETIME NOT NULL,
+  from_end DATETIME NOT NULL,
+  court_id INT NOT NULL,
+  booking_start DATETIME NOT NULL,
+  booking_end DATETIME NOT NULL,
+  price_difference DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  fee DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  payment_method ENUM('WALLET', 'CARD') NOT NULL DEFAULT 'WALLET',
+  status ENUM('PENDING', 'COMPLETED', 'EXPIRED') NOT NULL DEFAULT 'PENDING',
+  checkout_session_id VARCHAR(255) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  completed_at DATETIME NULL,
+  UNIQUE KEY uq_reschedules_session (checkout_session_id),
+  KEY idx_reschedules_booking (booking_id, status)
+);
@@ -0,0 +1,12 @@
+-- Partial cancellation
+-- An invitee can withdraw from a split booking before it starts. Their share
+-- is CANCELLED with invite_status WITHDRAWN and moves onto the initiator's
+-- share. If they had paid, the initiator (who received their reimbursement)
+-- gives back what the cancellation policy refunds, to the invitee's wallet
+-- or card.
+-- Cancelling some of a booking's hours (from the start or the end) needs no
+-- schema change: the booking is shortened, repriced and the refund is posted
+-- to the ledger like any other price change.
+
+ALTER TABLE booking_participants
+  MODIFY COLUMN invite_status ENUM('INVITED', 'ACCEPTED', 'DECLINED', 'EXPIRED', 'WITHDRAWN') NOT NULL DEFAULT 'INVITED';
@@ -0,0 +1,63 @@
+-- Tiered cancellation policies
+-- A policy is now a list of tiers, each refunding refund_percentage of what
+-- was paid when a player cancels more than hoursBeforeStart hours before the
+-- start, e.g. [{48, 100}, {12, 50}, {0, 0}]: 100% before 48h, 50% from 48h
+-- to 12h and nothing after that. The first tier (highest hoursBeforeStart
+-- first) that applies wins; no tier means no refund.
+-- Tiers are stored as JSON [{ "hoursBeforeStart": n, "refundPercentage": n }].
+-- Owners create their own named policies (owner_id); policies without an
+-- owner are the platform's and open to every venue. A venue uses its
+-- custom_cancellation_tiers if set, otherwise its policy's tiers, and every
+-- booking keeps a snapshot of them (bookings.cancellation_tiers) so later
+-- changes to the policy do not affect it.
+-- The single threshold columns (hours_before_start, refund_percentage and
+-- the venue's custom_refund_percentage / custom_hours_before_start) are
+-- converted: 100% before the threshold, the percentage after it. Bookings
+-- without any policy keep refunding in full.
+
+ALTER TABLE cancellation_policies
+  ADD COLUMN owner_id INT NULL,
+  ADD COLUMN tiers JSON NULL,
+  ADD COLUMN is_active TINYINT(1) NOT NULL DEFAULT 1,
+  ADD KEY idx_policies_owner (owner_id, is_active);
+
+UPDATE cancellation_policies
+SET tiers = IF(COALESCE(hours_before_start, 0) > 0,
+  JSON_ARRAY(
+    JSON_OBJECT('hoursBeforeStart', hours_before_start, 'refundPercentage', 100),
+    JSON_OBJECT('hoursBeforeStart', 0, 'refundPercentage', COALESCE(refund_percentage, 0))
+  ),
+  JSON_ARRAY(JSON_OBJECT('hoursBeforeStart', 0, 'refundPercentage', 100)))
+WHERE tiers IS NULL;
+
+ALTER TABLE venues
+  ADD COLUMN custom_cancellation_tiers JSON NULL;
+
+-- Custom policies with text only never refunded automatically
+UPDATE venues
+SET custom_cancellation_tiers = CASE
+  WHEN custom_refund_percentage IS NULL THEN JSON_ARRAY()
+  WHEN COALESCE(custom_hours_before_start, 0) > 0 THEN JSON_ARRAY(
+    JSON_OBJECT('hoursBeforeStart', custom_hours_before_start, 'refundPercentage', 100),
+    JSON_OBJECT('hoursBeforeStart', 0, 'refundPercentage', custom_refund_percentage)
+  )
+  ELSE JSON_ARRAY(JSON_OBJECT('hoursBeforeStart', 0, 'refundPercentage', 100))
+END
+WHERE custom_refund_percentage IS NOT NULL OR custom_cancellation_policy IS NOT NULL;
+
+ALTER TABLE bookings
+  ADD COLUMN cancellation_tiers JSON NULL;
+
+UPDATE bookings b
+LEFT JOIN venues v ON b.venue_id = v.venue_id
+LEFT JOIN cancellation_policies cp ON cp.policy_id = COALESCE(b.cancellation_policy_id, v.cancellation_policy_id)
+SET b.cancellation_tiers = CASE
+  WHEN b.custom_refund_percentage IS NOT NULL AND COALESCE(b.custom_hours_before_start, 0) > 0 THEN JSON_ARRAY(
+    JSON_OBJECT('hoursBeforeStart', b.custom_hours_before_start, 'refundPercentage', 100),
+    JSON_OBJECT('hoursBeforeStart', 0, 'refundPercentage', b.custom_refund_percentage)
+  )
+  WHEN b.custom_refund_percentage IS NOT NULL THEN JSON_ARRAY(JSON_OBJECT('hoursBeforeStart', 0, 'refundPercentage', 100))
+  WHEN b.custom_cancellation_policy IS NOT NULL THEN JSON_ARRAY()
+  ELSE COALESCE(cp.tiers, JSON_ARRAY(JSON_OBJECT('hoursBeforeStart', 0, 'refundPercentage', 100)))
+END
+WHERE b.cancellation_tiers IS NULL;
@@ -0,0 +1,45 @@
+-- Venue disruptions
+-- When weather or another disruption closes a venue, a court or a sport for
+-- a time range, the owner records a venue_disruptions row and every booking
+-- in it is handled at once: CANCEL cancels it with a full refund, and
+-- OFFER_RESCHEDULE lets the player move it for free (no fee, cutoff or
+-- reschedule limit) or cancel it with a full refund. Offers still open when
+-- the booking starts are cancelled with a full refund.
+-- bookings.disruption_id marks a booking with an open offer.
+-- venue_disruption_bookings reports what happened to each booking: refund,
+-- rebooking credit, or the error if it could not be handled.
+-- A rebooking credit is a single-use promo code funded by the owner, valid
+-- at the venue for the booking's creator only (promo_codes.user_id).
+
+CREATE TABLE IF NOT EXISTS venue_disruptions (
+  disruption_id INT AUTO_INCREMENT PRIMARY KEY,
+  venue_id INT NOT NULL,
+  court_id INT NULL,
+  sport_id INT NULL,
+  starts_at DATETIME NOT NULL,
+  ends_at DATETIME NOT NULL,
+  action ENUM('CANCEL', 'OFFER_RESCHEDULE') NOT NULL,
+  reason VARCHAR(255) NOT NULL,
+  credit_percent DECIMAL(5, 2) NULL,
+  created_by INT NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_disruptions_venue (venue_id, created_at)
+);
+
+CREATE TABLE IF NOT EXISTS venue_disruption_bookings (
+  disruption_id INT NOT NULL,
+  booking_id INT NOT NULL,
+  outcome ENUM('CANCELLED', 'RESCHEDULE_OFFERED', 'FAILED') NOT NULL,
+  refund_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  promo_id INT NULL,
+  error VARCHAR(255) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (disruption_id, booking_id)
+);
+
+ALTER TABLE bookings
+  ADD COLUMN disruption_id INT NULL,
+  ADD KEY idx_bookings_disruption (disruption_id);
+
+ALTER TABLE promo_codes
+  ADD COLUMN user_id INT NULL;
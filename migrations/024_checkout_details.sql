@@ -0,0 +1,13 @@
+-- Checkout details
+-- What a MULTI_BOOKING Stripe checkout is for: each slot group with its
+-- price, discounts, fees and split shares, and the invitees. Stripe caps
+-- metadata values at 500 characters, so the session only carries
+-- checkout_id and the webhook reads the rest from here.
+
+CREATE TABLE IF NOT EXISTS checkout_details (
+  checkout_id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  slot_groups JSON NOT NULL,
+  invites JSON NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
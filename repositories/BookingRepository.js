@@ -34,7 +34,7 @@ import pool from "../config/dbconnection.js";
  */
 export const getVenueById = async (venueId) => {
   const [rows] = await pool.execute(
-    "SELECT venue_id, name, price_per_hour, cancellation_policy_id, owner_id, custom_cancellation_policy, custom_refund_percentage, custom_hours_before_start FROM venues WHERE venue_id = ?",
+    "SELECT venue_id, name, price_per_hour, cancellation_policy_id, owner_id, custom_cancellation_policy, custom_refund_percentage, custom_hours_before_start, slot_duration_minutes, reschedule_max_count, reschedule_cutoff_hours, reschedule_fee FROM venues WHERE venue_id = ?",
     [venueId]
   );
   return rows[0] || null;
@@ -54,7 +54,9 @@ export const getVenueById = async (venueId) => {
  * @param {string} data.bookingStart - Start datetime (YYYY-MM-DD HH:MM:SS)
  * @param {string} data.bookingEnd - End datetime (YYYY-MM-DD HH:MM:SS)
  * @param {number} data.totalAmount - Total booking amount in LKR
- * @param {number} data.cancellationPolicyId - Cancellation policy ID
+ * @param {number} data.cancellationPolicyId - Cancellation policy ID; the
+ *   venue's custom tiers, else this policy's, are snapshotted onto the booking
+ * @param {number} [data.seriesId] - Recurring series the booking belongs to
  * @returns {Promise<number>} The inserted booking ID
  * @throws {Error} Database query error
  */
@@ -73,13 +75,18 @@ export const createBooking = async (conn, {
   pointsUsed = 0,
   paidAmount = 0,
   guestName = null,
-  guestEmail = null
+  guestEmail = null,
+  seriesId = null
 }) => {
   const [result] = await conn.execute(
     `INSERT INTO bookings
-     (venue_id, court_id, sport_id, created_by, booking_start, booking_end, total_amount, status, cancellation_policy_id, custom_cancellation_policy, custom_refund_percentage, custom_hours_before_start, points_used, paid_amount, guest_name, guest_email)
-     VALUES (?, ?, ?, ?, ?, ?, ?, 'PENDING', ?, ?, ?, ?, ?, ?, ?, ?)`,
-    [venueId, courtId, sportId, userId, bookingStart, bookingEnd, totalAmount, cancellationPolicyId, customCancellationPolicy || null, customRefundPercentage || null, customHoursBeforeStart || null, pointsUsed || 0, paidAmount || 0, guestName, guestEmail]
+     (venue_id, court_id, sport_id, created_by, booking_start, booking_end, total_amount, status, cancellation_policy_id, custom_cancellation_policy, custom_refund_percentage, custom_hours_before_start, points_used, paid_amount, guest_name, guest_email, series_id, cancellation_tiers)
+     VALUES (?, ?, ?, ?, ?, ?, ?, 'PENDING', ?, ?, ?, ?, ?, ?, ?, ?, ?,
+       COALESCE(
+         (SELECT custom_cancellation_tiers FROM venues WHERE venue_id = ?),
+         (SELECT tiers FROM cancellation_policies WHERE policy_id = ?)
+       ))`,
+    [venueId, courtId, sportId, userId, bookingStart, bookingEnd, totalAmount, cancellationPolicyId, customCancellationPolicy || null, customRefundPercentage || null, customHoursBeforeStart || null, pointsUsed || 0, paidAmount || 0, guestName, guestEmail, seriesId, venueId, cancellationPolicyId ?? null]
   );
 
   return result.insertId;
@@ -92,18 +99,22 @@ export const addBookingParticipant = async (conn, {
   isInitiator = 0,
   paymentStatus = 'PENDING',
   guestEmail = null,
-  inviteToken = null
+  inviteToken = null,
+  inviteStatus = 'ACCEPTED',
+  inviteExpiresAt = null
 }) => {
   await conn.execute(
     `INSERT INTO booking_participants
-     (booking_id, user_id, share_amount, is_initiator, invite_status, payment_status, guest_email, invite_token)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-    [bookingId, userId, shareAmount, isInitiator, 'ACCEPTED', paymentStatus, guestEmail, inviteToken]
+     (booking_id, user_id, share_amount, is_initiator, invite_status, payment_status, guest_email, invite_token, invite_expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [bookingId, userId, shareAmount, isInitiator, inviteStatus, paymentStatus, guestEmail, inviteToken, inviteExpiresAt]
   );
 };
 
 /**
  * Link guest bookings to a newly registered user
+ *
+ * Only open invitations are linked; their invite tokens are used up.
  * 
  * @param {number} userId 
  * @param {string} email 
@@ -112,7 +123,9 @@ export const addBookingParticipant = async (conn, {
 export const linkGuestBookings = async (userId, email) => {
   // 1. Find which bookings will be linked
   const [rows] = await pool.execute(
-    "SELECT booking_id FROM booking_participants WHERE guest_email = ? AND user_id IS NULL",
+    `SELECT booking_id FROM booking_participants
+     WHERE guest_email = ? AND user_id IS NULL AND invite_status = 'INVITED'
+     AND (invite_expires_at IS NULL OR invite_expires_at > UTC_TIMESTAMP())`,
     [email]
   );
 
@@ -124,7 +137,8 @@ export const linkGuestBookings = async (userId, email) => {
   await pool.execute(
     `UPDATE booking_participants 
          SET user_id = ?, guest_email = NULL, invite_token = NULL 
-         WHERE guest_email = ? AND user_id IS NULL`,
+         WHERE guest_email = ? AND user_id IS NULL AND invite_status = 'INVITED'
+         AND (invite_expires_at IS NULL OR invite_expires_at > UTC_TIMESTAMP())`,
     [userId, email]
   );
 
@@ -135,14 +149,14 @@ export const linkGuestBookings = async (userId, email) => {
  * Get initiator names for a list of bookings
  * 
  * @param {number[]} bookingIds 
- * @returns {Promise<Object[]>} Array of { booking_id, full_name }
+ * @returns {Promise<Object[]>} Array of { booking_id, user_id, full_name }
  */
 export const getBookingInitiators = async (bookingIds) => {
   if (!bookingIds || bookingIds.length === 0) return [];
 
   const placeholders = bookingIds.map(() => '?').join(',');
   const [rows] = await pool.execute(
-    `SELECT bp.booking_id, u.full_name 
+    `SELECT bp.booking_id, bp.user_id, u.full_name 
      FROM booking_participants bp
      JOIN users u ON bp.user_id = u.user_id
      WHERE bp.booking_id IN (${placeholders}) AND bp.is_initiator = 1`,
@@ -223,6 +237,57 @@ export const updateBookingStatus = async (conn, bookingId, status) => {
   );
 };
 
+/**
+ * Lock a booking row and read its status
+ *
+ * Should be called within a transaction, before changing the status.
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {number} bookingId - Booking ID
+ * @returns {Promise<string|null>} Booking status, or null if missing
+ */
+export const lockBookingStatus = async (conn, bookingId) => {
+  const [rows] = await conn.execute(
+    "SELECT status FROM bookings WHERE booking_id = ? FOR UPDATE",
+    [bookingId]
+  );
+  return rows[0]?.status || null;
+};
+
+/**
+ * Mark confirmed bookings that have ended as COMPLETED
+ *
+ * @async
+ * @returns {Promise<number>} Number of bookings completed
+ */
+export const completePastBookings = async () => {
+  const [result] = await pool.execute(
+    `UPDATE bookings
+     SET status = 'COMPLETED', completed_at = UTC_TIMESTAMP()
+     WHERE status = 'CONFIRMED' AND booking_end <= UTC_TIMESTAMP()`
+  );
+  return result.affectedRows;
+};
+
+/**
+ * Mark a booking as a no-show
+ *
+ * Should be called within a transaction.
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {number} bookingId - Booking ID
+ * @param {number} reportedBy - Owner who reported it
+ * @returns {Promise<void>}
+ */
+export const markBookingNoShow = async (conn, bookingId, reportedBy) => {
+  await conn.execute(
+    "UPDATE bookings SET status = 'NO_SHOW', no_show_at = UTC_TIMESTAMP(), no_show_reported_by = ? WHERE booking_id = ?",
+    [reportedBy, bookingId]
+  );
+};
+
 /**
  * Update booking participants payment status
  *
@@ -300,6 +365,7 @@ export const getBookingWithPolicy = async (bookingId) => {
             v.custom_cancellation_policy AS venue_custom_policy,
             v.custom_refund_percentage AS venue_refund_percentage,
             v.custom_hours_before_start AS venue_hours_before_start,
+            v.refund_destination AS venue_refund_destination,
             cp.policy_id, cp.name as policy_name, cp.refund_percentage, cp.hours_before_start
      FROM bookings b
      JOIN venues v ON b.venue_id = v.venue_id
@@ -332,6 +398,24 @@ export const updateBookingDetails = async (conn, bookingId, { courtId, bookingSt
   );
 };
 
+/**
+ * Set a booking's list price and commission after its slot was repriced
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {number} bookingId - Booking ID
+ * @param {Object} amounts
+ * @param {number} amounts.totalAmount - New list price
+ * @param {number} amounts.commission - New platform commission
+ * @returns {Promise<void>}
+ */
+export const updateBookingAmount = async (conn, bookingId, { totalAmount, commission }) => {
+  await conn.execute(
+    "UPDATE bookings SET total_amount = ?, commission_amount = ? WHERE booking_id = ?",
+    [totalAmount, commission, bookingId]
+  );
+};
+
 /**
  * Get all bookings for a user
  *
@@ -365,6 +449,7 @@ export const getUserBookings = async (userId) => {
        b.paid_amount,
        b.custom_refund_percentage,
        b.custom_hours_before_start,
+       b.cancellation_tiers,
        v.name   AS venue_name,
        v.city   AS venue_city,
        v.address AS venue_address,
@@ -373,8 +458,12 @@ export const getUserBookings = async (userId) => {
        bp.share_amount,
        bp.payment_status,
        bp.is_initiator,
+       bp.invite_status,
        s.name AS sport_name,
-       c.name AS court_name
+       b.court_id,
+       c.name AS court_name,
+       b.series_id,
+       b.split_deadline
      FROM booking_participants bp
      JOIN bookings b ON b.booking_id = bp.booking_id
      JOIN venues   v ON v.venue_id  = b.venue_id
@@ -382,6 +471,7 @@ export const getUserBookings = async (userId) => {
      LEFT JOIN courts c ON b.court_id = c.court_id
      LEFT JOIN cancellation_policies cp ON COALESCE(b.cancellation_policy_id, v.cancellation_policy_id) = cp.policy_id
      WHERE bp.user_id = ?
+     AND bp.invite_status IN ('INVITED', 'ACCEPTED')
      ORDER BY b.booking_start DESC`,
     [userId]
   );
@@ -407,17 +497,21 @@ export const getPricingRules = async (venueId) => {
 /**
  * Check for booking conflicts in a time slot
  *
- * Checks if there are any CONFIRMED bookings that overlap
- * with the requested time slot for a specific venue.
+ * Checks if there are any CONFIRMED, PENDING or BLOCKED bookings, or
+ * active checkout holds, that overlap with the requested time slot
+ * for a specific venue.
  *
  * @async
  * @param {number} venueId - Venue ID
  * @param {string} startDateTime - Start datetime (YYYY-MM-DD HH:MM:SS)
  * @param {string} endDateTime - End datetime (YYYY-MM-DD HH:MM:SS)
+ * @param {number} [courtId] - Only check this court (plus venue-wide blocks)
+ * @param {number} [excludeBookingId] - Booking to ignore (e.g. the one being rescheduled)
+ * @param {Object} [connection] - Optional database connection/transaction
  * @returns {Promise<boolean>} True if there's a conflict, false otherwise
  * @throws {Error} Database query error
  */
-export const hasBookingConflict = async (venueId, startDateTime, endDateTime, courtId = null, excludeBookingId = null) => {
+export const hasBookingConflict = async (venueId, startDateTime, endDateTime, courtId = null, excludeBookingId = null, connection = null) => {
   let query = `SELECT COUNT(*) AS conflict_count
      FROM bookings
      WHERE venue_id = ?
@@ -441,32 +535,68 @@ export const hasBookingConflict = async (venueId, startDateTime, endDateTime, co
      )`;
   params.push(endDateTime, startDateTime, startDateTime, endDateTime, startDateTime, endDateTime);
 
-  const [rows] = await pool.execute(query, params);
-  return rows[0].conflict_count > 0;
+  // Slots held by an in-progress checkout count as taken
+  let holdQuery = `SELECT COUNT(*) AS conflict_count
+     FROM slot_holds
+     WHERE venue_id = ?
+     AND status = 'PENDING' AND expires_at > UTC_TIMESTAMP()
+     AND hold_start < ? AND hold_end > ?`;
+  const holdParams = [venueId, endDateTime, startDateTime];
+
+  if (courtId) {
+    holdQuery += ` AND court_id = ?`;
+    holdParams.push(courtId);
+  }
+
+  const db = connection || pool;
+  const [rows] = await db.execute(query, params);
+  if (rows[0].conflict_count > 0) return true;
+
+  const [holdRows] = await db.execute(holdQuery, holdParams);
+  return holdRows[0].conflict_count > 0;
 };
 
 /**
- * Get all booked slots for a venue on a specific date
+ * Get all booked slots for a venue that overlap a time range
  *
- * Retrieves all confirmed and pending bookings for a venue
- * on a given date, useful for displaying availability calendar.
+ * Retrieves all confirmed, pending and blocked bookings for a venue
+ * in the range, plus active checkout holds (status 'HELD'),
+ * useful for displaying availability calendar. Pass the UTC range of an
+ * IST day (see DateUtil.getISTDayRange) for that day's slots.
  *
  * @async
  * @param {number} venueId - Venue ID
- * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} rangeStart - UTC MySQL DateTime
+ * @param {string} rangeEnd - UTC MySQL DateTime
+ * @param {number} [courtId] - Optional court filter
  * @returns {Promise<Object[]>} Array of booking slots
+ * @returns {number|null} slots[].booking_id - Booking ID (null for holds)
  * @returns {string} slots[].booking_start - Start datetime
  * @returns {string} slots[].booking_end - End datetime
- * @returns {string} slots[].status - Booking status
+ * @returns {string} slots[].status - Booking status, or 'HELD'
  * @throws {Error} Database query error
  */
-export const getBookedSlotsForDate = async (venueId, date, courtId = null) => {
-  let query = `SELECT booking_start, booking_end, status, court_id
+export const getBookedSlotsInRange = async (venueId, rangeStart, rangeEnd, courtId = null) => {
+  let query = `SELECT booking_id, booking_start, booking_end, status, court_id
      FROM bookings
      WHERE venue_id = ?
-     AND DATE(booking_start) = ?
+     AND booking_start < ? AND booking_end > ?
      AND status IN ('CONFIRMED', 'PENDING', 'BLOCKED')`;
-  const params = [venueId, date];
+  const params = [venueId, rangeEnd, rangeStart];
+
+  if (courtId) {
+    query += ` AND court_id = ?`;
+    params.push(courtId);
+  }
+
+  query += `
+     UNION ALL
+     SELECT NULL AS booking_id, hold_start AS booking_start, hold_end AS booking_end, 'HELD' AS status, court_id
+     FROM slot_holds
+     WHERE venue_id = ?
+     AND hold_start < ? AND hold_end > ?
+     AND status = 'PENDING' AND expires_at > UTC_TIMESTAMP()`;
+  params.push(venueId, rangeEnd, rangeStart);
 
   if (courtId) {
     query += ` AND court_id = ?`;
@@ -502,6 +632,28 @@ export const getBookingByPaymentReference = async (providerRef) => {
   return rows[0] || null;
 };
 
+/**
+ * Get the IDs of all bookings paid under a provider reference
+ *
+ * A multi-slot checkout creates one booking per slot group, all sharing
+ * the same Stripe session ID.
+ *
+ * @async
+ * @param {string} providerRef - Stripe session ID
+ * @returns {Promise<number[]>} Booking IDs in creation order
+ */
+export const getBookingIdsByPaymentReference = async (providerRef) => {
+  const [rows] = await pool.execute(
+    `SELECT DISTINCT b.booking_id
+     FROM bookings b
+     JOIN payments p ON b.booking_id = p.booking_id
+     WHERE p.provider_reference = ?
+     ORDER BY b.booking_id ASC`,
+    [providerRef]
+  );
+  return rows.map(r => r.booking_id);
+};
+
 /**
  * Get all bookings for an owner's venues
  *
@@ -524,7 +676,8 @@ export const getOwnerBookings = async (ownerId) => {
        u.full_name AS customer_name,
        u.email AS customer_email,
        s.name AS sport_name,
-       c.name AS court_name
+       c.name AS court_name,
+       u.no_show_count AS customer_no_shows
      FROM bookings b
      JOIN venues v ON b.venue_id = v.venue_id
      LEFT JOIN users u ON b.created_by = u.user_id
@@ -542,7 +695,8 @@ export const getOwnerBookings = async (ownerId) => {
  *
  * Aggregates statistics for owner's venues:
  * - Total Bookings
- * - Total Revenue
+ * - Promo discounts the owner funded on those bookings
+ * - Platform Commission kept on those bookings
  * - Active Venues Count
  *
  * @async
@@ -553,11 +707,13 @@ export const getOwnerAnalytics = async (ownerId) => {
   const [bookingStats] = await pool.execute(
     `SELECT
        COUNT(*) AS total_bookings,
-       COALESCE(SUM(total_amount), 0) AS total_revenue
+       COALESCE(SUM(total_amount), 0) AS total_revenue,
+       COALESCE(SUM(commission_amount - commission_reversed), 0) AS total_commission,
+       COALESCE(SUM(IF(discount_funded_by = 'OWNER', discount_amount, 0)), 0) AS total_discounts
      FROM bookings b
      JOIN venues v ON b.venue_id = v.venue_id
      WHERE v.owner_id = ?
-     AND b.status IN ('CONFIRMED', 'COMPLETED')`,
+     AND b.status IN ('CONFIRMED', 'COMPLETED', 'NO_SHOW')`,
     [ownerId]
   );
 
@@ -568,19 +724,14 @@ export const getOwnerAnalytics = async (ownerId) => {
     [ownerId]
   );
 
-  const [walletStats] = await pool.execute(
-    `SELECT balance AS total_revenue 
-     FROM wallets 
-     WHERE user_id = ?`,
-    [ownerId]
-  );
-
   // Fix: Force BigInts/Decimals to Numbers to prevent "TypeError: Do not know how to serialize a BigInt"
+  // Revenue and wallet balance come from the ledger (LedgerService.getOwnerLedgerSummary)
   return {
     total_bookings: Number(bookingStats[0]?.total_bookings || 0),
-    active_venues: Number(venueStats[0]?.active_venues || 0),
-    total_revenue: Number(walletStats[0]?.total_revenue || 0),
-    current_wallet_balance: Number(walletStats[0]?.total_revenue || 0)
+    gross_revenue: Number(bookingStats[0]?.total_revenue || 0),
+    promo_discounts: Number(bookingStats[0]?.total_discounts || 0),
+    platform_commission: Number(bookingStats[0]?.total_commission || 0),
+    active_venues: Number(venueStats[0]?.active_venues || 0)
   };
 };
 
@@ -785,7 +936,7 @@ export const getRevenueAnalytics = async (ownerId) => {
   const [revenueByVenue] = await pool.execute(
     `SELECT v.name as venue_name, COALESCE(SUM(b.total_amount), 0) as value
      FROM venues v
-     LEFT JOIN bookings b ON b.venue_id = v.venue_id AND b.status IN ('CONFIRMED', 'COMPLETED')
+     LEFT JOIN bookings b ON b.venue_id = v.venue_id AND b.status IN ('CONFIRMED', 'COMPLETED', 'NO_SHOW')
      WHERE v.owner_id = ?
      GROUP BY v.venue_id, v.name HAVING value > 0`,
     [ownerId]
@@ -800,7 +951,7 @@ export const getRevenueAnalytics = async (ownerId) => {
      FROM bookings b
      JOIN venues v ON b.venue_id = v.venue_id
      WHERE v.owner_id = ? 
-     AND b.status IN ('CONFIRMED', 'COMPLETED')
+     AND b.status IN ('CONFIRMED', 'COMPLETED', 'NO_SHOW')
      AND b.booking_start >= DATE_SUB(NOW(), INTERVAL 6 MONTH)
      GROUP BY v.venue_id, month
      ORDER BY month ASC`,
@@ -820,7 +971,9 @@ export const getRevenueAnalytics = async (ownerId) => {
  * @param {Object} filters
  * @param {string} filters.interval - 'daily', 'weekly', 'monthly'
  * @param {number} [filters.venueId] - Optional specific venue
- * @returns {Promise<Array>}
+ * @returns {Promise<Array>} Rows with gross revenue, owner-funded promo discounts,
+ *   value covered by packages (paid for when the package was bought),
+ *   platform commission and the owner's net revenue
  */
 export const getRevenueReport = async (ownerId, { interval, venueId, startDate, endDate }) => {
   let groupByString = "";
@@ -879,11 +1032,16 @@ export const getRevenueReport = async (ownerId, { interval, venueId, startDate,
         THEN b.total_amount ELSE 0 
       END) as online_revenue,
       SUM(b.total_amount) as revenue,
+      SUM(IF(b.discount_funded_by = 'OWNER', b.discount_amount, 0)) as promo_discount,
+      SUM(b.package_discount) as package_discount,
+      SUM(b.commission_amount - b.commission_reversed) as commission,
+      SUM(b.total_amount - IF(b.discount_funded_by = 'OWNER', b.discount_amount, 0) - b.package_discount
+          - b.commission_amount + b.commission_reversed) as net_revenue,
       COUNT(*) as booking_count
     FROM bookings b
     JOIN venues v ON b.venue_id = v.venue_id
     WHERE v.owner_id = ?
-    AND b.status IN ('CONFIRMED', 'COMPLETED')
+    AND b.status IN ('CONFIRMED', 'COMPLETED', 'NO_SHOW')
     AND ${dateFilter}
   `;
 
@@ -902,6 +1060,10 @@ export const getRevenueReport = async (ownerId, { interval, venueId, startDate,
     walkin_revenue: Number(r.walkin_revenue),
     online_revenue: Number(r.online_revenue),
     revenue: Number(r.revenue),
+    promo_discount: Number(r.promo_discount),
+    package_discount: Number(r.package_discount),
+    commission: Number(r.commission),
+    net_revenue: Number(r.net_revenue),
     booking_count: Number(r.booking_count)
   }));
 };
@@ -927,7 +1089,7 @@ export const getPeakBookingHours = async (ownerId, startDate, endDate) => {
       FROM bookings b
       JOIN venues v ON b.venue_id = v.venue_id
       WHERE v.owner_id = ?
-      AND b.status IN ('CONFIRMED', 'COMPLETED')
+      AND b.status IN ('CONFIRMED', 'COMPLETED', 'NO_SHOW')
       ${dateFilter}
       GROUP BY HOUR(booking_start), v.name, day_type
       ORDER BY hour_of_day ASC
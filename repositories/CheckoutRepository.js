@@ -0,0 +1,49 @@
+/**
+ * Checkout Repository
+ *
+ * Data access layer for the details of a MULTI_BOOKING Stripe checkout:
+ * its slot groups and invitees, referenced from the session metadata by
+ * checkout_id (see migration 024).
+ *
+ * @module repositories/CheckoutRepository
+ */
+
+import pool from "../config/dbconnection.js";
+
+/**
+ * Store the details of a checkout
+ *
+ * @async
+ * @param {Object} data
+ * @param {number} data.userId - Player checking out
+ * @param {Object[]} data.groups - Slot groups, in the form finalizeCheckoutBookings reads
+ * @param {string[]} data.invites - Invitee emails
+ * @returns {Promise<number>} Inserted checkout ID
+ */
+export const createCheckout = async ({ userId, groups, invites }) => {
+  const [result] = await pool.execute(
+    "INSERT INTO checkout_details (user_id, slot_groups, invites) VALUES (?, ?, ?)",
+    [userId, JSON.stringify(groups), JSON.stringify(invites)]
+  );
+  return result.insertId;
+};
+
+/**
+ * Get the details of a checkout
+ *
+ * @async
+ * @param {number} checkoutId - Checkout ID
+ * @param {Object} [connection] - Optional database connection/transaction
+ * @returns {Promise<{groups: Object[], invites: string[]}|null>}
+ */
+export const getCheckout = async (checkoutId, connection = null) => {
+  const db = connection || pool;
+  const [rows] = await db.execute(
+    "SELECT slot_groups, invites FROM checkout_details WHERE checkout_id = ?",
+    [checkoutId]
+  );
+  if (!rows[0]) return null;
+
+  const parse = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+  return { groups: parse(rows[0].slot_groups), invites: parse(rows[0].invites) || [] };
+};
@@ -0,0 +1,157 @@
+/**
+ * Closure Repository
+ *
+ * Data access layer for venue holidays and special closures.
+ *
+ * A closure covers a whole day (start_time / end_time NULL) or a time range
+ * on that day, and may repeat on the same date every year.
+ *
+ * @module repositories/ClosureRepository
+ */
+
+import pool from "../config/dbconnection.js";
+
+/**
+ * Create a closure
+ *
+ * Imported closures carry an external UID; re-importing the same one is
+ * ignored.
+ *
+ * @async
+ * @param {Object} data - Closure data
+ * @param {number} data.venueId - Venue ID
+ * @param {string} data.closureDate - YYYY-MM-DD
+ * @param {string|null} data.startTime - HH:MM (IST), null for a full day
+ * @param {string|null} data.endTime - HH:MM (IST), null for a full day
+ * @param {string|null} data.reason - Shown to players and the owner
+ * @param {boolean} data.recursAnnually - Repeat every year
+ * @param {string} [data.source] - 'MANUAL' or 'ICAL'
+ * @param {string|null} [data.externalUid] - iCal UID
+ * @param {number|null} [data.createdBy] - Owner user ID
+ * @returns {Promise<number|null>} Inserted closure ID, or null if it already existed
+ */
+export const createClosure = async ({
+  venueId,
+  closureDate,
+  startTime = null,
+  endTime = null,
+  reason = null,
+  recursAnnually = false,
+  source = "MANUAL",
+  externalUid = null,
+  createdBy = null,
+}) => {
+  const [result] = await pool.execute(
+    `INSERT IGNORE INTO venue_closures
+     (venue_id, closure_date, start_time, end_time, reason, recurs_annually, source, external_uid, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [venueId, closureDate, startTime, endTime, reason, recursAnnually ? 1 : 0, source, externalUid, createdBy]
+  );
+  return result.affectedRows > 0 ? result.insertId : null;
+};
+
+/**
+ * Get a venue's closures, optionally limited to a date range
+ *
+ * Annually recurring closures are always included so callers can
+ * expand them into the range.
+ *
+ * @async
+ * @param {number} venueId - Venue ID
+ * @param {string} [fromDate] - YYYY-MM-DD
+ * @param {string} [toDate] - YYYY-MM-DD
+ * @returns {Promise<Object[]>} Closure rows
+ */
+export const getClosures = async (venueId, fromDate = null, toDate = null) => {
+  let sql = `
+    SELECT closure_id, venue_id, DATE_FORMAT(closure_date, '%Y-%m-%d') AS closure_date,
+           start_time, end_time, reason, recurs_annually, source, created_at
+    FROM venue_closures
+    WHERE venue_id = ?`;
+  const params = [venueId];
+
+  if (fromDate && toDate) {
+    sql += ` AND (recurs_annually = 1 OR closure_date BETWEEN ? AND ?)`;
+    params.push(fromDate, toDate);
+  }
+
+  sql += ` ORDER BY closure_date ASC, start_time ASC`;
+  const [rows] = await pool.execute(sql, params);
+  return rows;
+};
+
+/**
+ * Get the closures that apply to a venue on a date
+ *
+ * Includes one-off closures on that date and annual closures on the same
+ * month and day that started on or before it.
+ *
+ * @async
+ * @param {number} venueId - Venue ID
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<Object[]>} Closure rows
+ */
+export const getClosuresForDate = async (venueId, date) => {
+  const [rows] = await pool.execute(
+    `SELECT closure_id, start_time, end_time, reason
+     FROM venue_closures
+     WHERE venue_id = ?
+     AND (
+         closure_date = ?
+         OR (recurs_annually = 1 AND closure_date <= ? AND DATE_FORMAT(closure_date, '%m-%d') = DATE_FORMAT(?, '%m-%d'))
+     )
+     ORDER BY start_time ASC`,
+    [venueId, date, date, date]
+  );
+  return rows;
+};
+
+/**
+ * Get the IDs of venues closed for the whole of a date
+ *
+ * A venue is closed if it has a full-day closure on the date or its
+ * operating hours mark that day of the week as closed.
+ *
+ * @async
+ * @param {number[]} venueIds - Venue IDs to check
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} dayOfWeek - 0 (Sunday) - 6
+ * @returns {Promise<number[]>} Closed venue IDs
+ */
+export const getVenueIdsClosedOn = async (venueIds, date, dayOfWeek) => {
+  if (!venueIds || venueIds.length === 0) return [];
+
+  const placeholders = venueIds.map(() => "?").join(",");
+  const [rows] = await pool.execute(
+    `SELECT venue_id FROM venue_closures
+     WHERE venue_id IN (${placeholders})
+     AND start_time IS NULL
+     AND (
+         closure_date = ?
+         OR (recurs_annually = 1 AND closure_date <= ? AND DATE_FORMAT(closure_date, '%m-%d') = DATE_FORMAT(?, '%m-%d'))
+     )
+     UNION
+     SELECT venue_id FROM venue_operating_hours
+     WHERE venue_id IN (${placeholders})
+     AND day_of_week = ?
+     AND is_closed = 1`,
+    [...venueIds, date, date, date, ...venueIds, dayOfWeek]
+  );
+  return rows.map((r) => r.venue_id);
+};
+
+/**
+ * Delete a closure of a venue
+ *
+ * @async
+ * @param {number} venueId - Venue ID
+ * @param {number} closureId - Closure ID
+ * @returns {Promise<boolean>} True if deleted
+ */
+export const deleteClosure = async (venueId, closureId) => {
+  const [result] = await pool.execute(
+    "DELETE FROM venue_closures WHERE closure_id = ? AND venue_id = ?",
+    [closureId, venueId]
+  );
+  return result.affectedRows > 0;
+};
@@ -0,0 +1,132 @@
+/**
+ * Commission Repository
+ *
+ * Data access layer for platform commission rules.
+ *
+ * There is one rule per venue; the rule with venue_id 0 is the global
+ * default for venues without their own.
+ *
+ * @module repositories/CommissionRepository
+ */
+
+import pool from "../config/dbconnection.js";
+
+/** venue_id of the global rule */
+export const GLOBAL_VENUE_ID = 0;
+
+/**
+ * Get the rule that applies to a venue: its own rule, else the global one
+ *
+ * @async
+ * @param {number} venueId - Venue ID
+ * @param {Object} [connection] - Optional database connection
+ * @returns {Promise<Object|null>} Rule, or null if neither is set
+ */
+export const getEffectiveRule = async (venueId, connection = null) => {
+  const db = connection || pool;
+  const [rows] = await db.execute(
+    `SELECT * FROM commission_rules
+     WHERE venue_id IN (?, ?)
+     ORDER BY venue_id DESC
+     LIMIT 1`,
+    [Number(venueId) || GLOBAL_VENUE_ID, GLOBAL_VENUE_ID]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Get the global rule and every venue rule
+ *
+ * @async
+ * @returns {Promise<Object[]>} Rules with the venue name (null for the global rule)
+ */
+export const getRules = async () => {
+  const [rows] = await pool.execute(
+    `SELECT cr.*, v.name AS venue_name
+     FROM commission_rules cr
+     LEFT JOIN venues v ON cr.venue_id = v.venue_id
+     ORDER BY cr.venue_id ASC`
+  );
+  return rows;
+};
+
+/**
+ * Create or replace the rule for a venue (or the global rule)
+ *
+ * @async
+ * @param {number} venueId - Venue ID, or GLOBAL_VENUE_ID
+ * @param {Object} rule
+ * @param {string} rule.commissionType - 'PERCENT', 'FLAT' or 'TIERED'
+ * @param {number|null} rule.percent
+ * @param {number|null} rule.flatAmount
+ * @param {Object[]|null} rule.tiers - [{ upTo, percent }]
+ * @param {string} rule.playerFeeType - 'NONE', 'PERCENT' or 'FLAT'
+ * @param {number|null} rule.playerFeeValue
+ * @param {number} rule.updatedBy - Admin making the change
+ * @returns {Promise<void>}
+ */
+export const upsertRule = async (venueId, { commissionType, percent, flatAmount, tiers, playerFeeType, playerFeeValue, updatedBy }) => {
+  await pool.execute(
+    `INSERT INTO commission_rules
+     (venue_id, commission_type, percent, flat_amount, tiers, player_fee_type, player_fee_value, updated_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE
+       commission_type = VALUES(commission_type),
+       percent = VALUES(percent),
+       flat_amount = VALUES(flat_amount),
+       tiers = VALUES(tiers),
+       player_fee_type = VALUES(player_fee_type),
+       player_fee_value = VALUES(player_fee_value),
+       updated_by = VALUES(updated_by)`,
+    [venueId, commissionType, percent, flatAmount, tiers ? JSON.stringify(tiers) : null, playerFeeType, playerFeeValue, updatedBy]
+  );
+};
+
+/**
+ * Delete a venue's rule so it falls back to the global rule
+ *
+ * @async
+ * @param {number} venueId - Venue ID
+ * @returns {Promise<boolean>} True if a rule was deleted
+ */
+export const deleteRule = async (venueId) => {
+  const [result] = await pool.execute(
+    "DELETE FROM commission_rules WHERE venue_id = ?",
+    [venueId]
+  );
+  return result.affectedRows > 0;
+};
+
+/**
+ * Record the commission and player fee charged for a confirmed booking
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {number} bookingId - Booking ID
+ * @param {Object} fees
+ * @param {number} fees.commission - Platform commission on the booking amount
+ * @param {number} fees.playerFee - Fee paid by the player on top
+ * @returns {Promise<void>}
+ */
+export const setBookingFees = async (conn, bookingId, { commission, playerFee }) => {
+  await conn.execute(
+    "UPDATE bookings SET commission_amount = ?, player_fee = ? WHERE booking_id = ?",
+    [commission, playerFee, bookingId]
+  );
+};
+
+/**
+ * Add to the commission returned to the owner by refunds
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {number} bookingId - Booking ID
+ * @param {number} amount - Commission reversed
+ * @returns {Promise<void>}
+ */
+export const addCommissionReversal = async (conn, bookingId, amount) => {
+  await conn.execute(
+    "UPDATE bookings SET commission_reversed = commission_reversed + ? WHERE booking_id = ?",
+    [amount, bookingId]
+  );
+};
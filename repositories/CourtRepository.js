@@ -43,3 +43,181 @@ export const getSportsByVenue = async (venueId) => {
     );
     return rows;
 };
+
+/**
+ * Lock court rows until the surrounding transaction ends
+ *
+ * Serialises concurrent check-then-insert sequences (e.g. checkout holds)
+ * on the same courts.
+ *
+ * @param {Object} conn - Database connection with an open transaction
+ * @param {number[]} courtIds 
+ */
+export const lockCourts = async (conn, courtIds) => {
+    if (!courtIds || courtIds.length === 0) return;
+
+    const placeholders = courtIds.map(() => '?').join(',');
+    await conn.execute(
+        `SELECT court_id FROM courts WHERE court_id IN (${placeholders}) ORDER BY court_id FOR UPDATE`,
+        courtIds
+    );
+};
+
+/**
+ * Get all courts of a venue, including inactive ones, with their sports
+ * @param {number} venueId 
+ * @returns {Promise<Object[]>} Courts with `sport_ids` and `sports` arrays
+ */
+export const getAllCourtsByVenue = async (venueId) => {
+    const [rows] = await pool.execute(
+        `SELECT c.*,
+            GROUP_CONCAT(s.sport_id ORDER BY s.name) AS sport_ids,
+            GROUP_CONCAT(s.name ORDER BY s.name) AS sport_names
+     FROM courts c
+     LEFT JOIN court_sports cs ON c.court_id = cs.court_id
+     LEFT JOIN sports s ON cs.sport_id = s.sport_id
+     WHERE c.venue_id = ?
+     GROUP BY c.court_id
+     ORDER BY c.court_id ASC`,
+        [venueId]
+    );
+    return rows.map(({ sport_ids, sport_names, ...court }) => ({
+        ...court,
+        sport_ids: sport_ids ? sport_ids.split(',').map(Number) : [],
+        sports: sport_names ? sport_names.split(',') : []
+    }));
+};
+
+/**
+ * Get a court by ID
+ * @param {number} courtId 
+ * @returns {Promise<Object|null>}
+ */
+export const getCourtById = async (courtId) => {
+    const [rows] = await pool.execute(
+        "SELECT * FROM courts WHERE court_id = ?",
+        [courtId]
+    );
+    return rows[0] || null;
+};
+
+/**
+ * Check whether a court supports a sport
+ * @param {number} courtId 
+ * @param {number} sportId 
+ * @returns {Promise<boolean>}
+ */
+export const courtSupportsSport = async (courtId, sportId) => {
+    const [rows] = await pool.execute(
+        "SELECT 1 FROM court_sports WHERE court_id = ? AND sport_id = ?",
+        [courtId, sportId]
+    );
+    return rows.length > 0;
+};
+
+/**
+ * Create a court
+ * @param {Object} conn - Database connection with an open transaction
+ * @param {Object} data
+ * @param {number} data.venueId
+ * @param {string} data.name
+ * @param {number|null} data.pricePerHour - Override of the venue rate
+ * @param {number|null} data.capacity
+ * @returns {Promise<number>} Court ID
+ */
+export const createCourt = async (conn, { venueId, name, pricePerHour = null, capacity = null }) => {
+    const [result] = await conn.execute(
+        "INSERT INTO courts (venue_id, name, is_active, price_per_hour, capacity) VALUES (?, ?, 1, ?, ?)",
+        [venueId, name, pricePerHour, capacity]
+    );
+    return result.insertId;
+};
+
+/**
+ * Update court fields
+ * @param {Object} conn - Database connection
+ * @param {number} courtId 
+ * @param {Object} updates - Any of name, is_active, price_per_hour, capacity
+ * @returns {Promise<void>}
+ */
+export const updateCourt = async (conn, courtId, updates) => {
+    const validFields = ['name', 'is_active', 'price_per_hour', 'capacity'];
+    const fieldsToUpdate = [];
+    const values = [];
+
+    for (const [key, value] of Object.entries(updates)) {
+        if (validFields.includes(key)) {
+            fieldsToUpdate.push(`${key} = ?`);
+            values.push(value);
+        }
+    }
+
+    if (fieldsToUpdate.length === 0) return;
+
+    values.push(courtId);
+    await conn.execute(`UPDATE courts SET ${fieldsToUpdate.join(', ')} WHERE court_id = ?`, values);
+};
+
+/**
+ * Replace the sports a court supports
+ *
+ * Also adds any new sport to venue_sports, which is still used for
+ * venue listings and search.
+ *
+ * @param {Object} conn - Database connection with an open transaction
+ * @param {number} venueId 
+ * @param {number} courtId 
+ * @param {number[]} sportIds 
+ * @returns {Promise<void>}
+ */
+export const setCourtSports = async (conn, venueId, courtId, sportIds) => {
+    await conn.execute("DELETE FROM court_sports WHERE court_id = ?", [courtId]);
+    if (sportIds.length === 0) return;
+
+    await conn.query(
+        "INSERT INTO court_sports (court_id, sport_id) VALUES ?",
+        [sportIds.map((sportId) => [courtId, sportId])]
+    );
+
+    for (const sportId of sportIds) {
+        await conn.execute(
+            `INSERT INTO venue_sports (venue_id, sport_id)
+         SELECT ?, ? FROM DUAL
+         WHERE NOT EXISTS (SELECT 1 FROM venue_sports WHERE venue_id = ? AND sport_id = ?)`,
+            [venueId, sportId, venueId, sportId]
+        );
+    }
+};
+
+/**
+ * Count existing sports by ID
+ * @param {number[]} sportIds 
+ * @returns {Promise<number>}
+ */
+export const countSports = async (sportIds) => {
+    if (sportIds.length === 0) return 0;
+    const placeholders = sportIds.map(() => '?').join(',');
+    const [rows] = await pool.execute(
+        `SELECT COUNT(*) AS count FROM sports WHERE sport_id IN (${placeholders})`,
+        sportIds
+    );
+    return Number(rows[0].count);
+};
+
+/**
+ * Get upcoming active bookings on a court
+ * @param {number} courtId 
+ * @returns {Promise<Object[]>}
+ */
+export const getFutureBookingsOnCourt = async (courtId) => {
+    const [rows] = await pool.execute(
+        `SELECT booking_id, booking_start, booking_end, status, created_by
+     FROM bookings
+     WHERE court_id = ?
+     AND status IN ('CONFIRMED', 'PENDING')
+     AND booking_end > UTC_TIMESTAMP()
+     ORDER BY booking_start ASC`,
+        [courtId]
+    );
+    return rows;
+};
@@ -0,0 +1,213 @@
+/**
+ * Disruption Repository
+ *
+ * Data access layer for venue disruptions: a time range in which weather or
+ * another disruption closes a venue, one of its courts or one sport, and
+ * what happened to each booking in it (see migration 023).
+ *
+ * @module repositories/DisruptionRepository
+ */
+
+import pool from "../config/dbconnection.js";
+
+/**
+ * Create a disruption
+ *
+ * @async
+ * @param {Object} data
+ * @param {number} data.venueId - Venue ID
+ * @param {number|null} data.courtId - Only this court, or null for all
+ * @param {number|null} data.sportId - Only this sport, or null for all
+ * @param {string} data.startsAt - UTC MySQL DateTime
+ * @param {string} data.endsAt - UTC MySQL DateTime
+ * @param {string} data.action - 'CANCEL' or 'OFFER_RESCHEDULE'
+ * @param {string} data.reason - Shown to players
+ * @param {number|null} data.creditPercent - Rebooking credit, % of what was paid
+ * @param {number} data.createdBy - Owner user ID
+ * @returns {Promise<number>} Inserted disruption ID
+ */
+export const createDisruption = async ({
+  venueId, courtId, sportId, startsAt, endsAt, action, reason, creditPercent, createdBy
+}) => {
+  const [result] = await pool.execute(
+    `INSERT INTO venue_disruptions
+     (venue_id, court_id, sport_id, starts_at, ends_at, action, reason, credit_percent, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [venueId, courtId, sportId, startsAt, endsAt, action, reason, creditPercent, createdBy]
+  );
+  return result.insertId;
+};
+
+/**
+ * Get a venue's disruptions with how many bookings each affected, newest first
+ *
+ * @async
+ * @param {number} venueId - Venue ID
+ * @returns {Promise<Object[]>}
+ */
+export const getDisruptions = async (venueId) => {
+  const [rows] = await pool.execute(
+    `SELECT d.*, c.name AS court_name, s.name AS sport_name,
+            COUNT(db.booking_id) AS bookings_affected,
+            COALESCE(SUM(db.outcome = 'FAILED'), 0) AS bookings_failed,
+            COALESCE(SUM(db.refund_amount), 0) AS total_refunded
+     FROM venue_disruptions d
+     LEFT JOIN courts c ON d.court_id = c.court_id
+     LEFT JOIN sports s ON d.sport_id = s.sport_id
+     LEFT JOIN venue_disruption_bookings db ON db.disruption_id = d.disruption_id
+     WHERE d.venue_id = ?
+     GROUP BY d.disruption_id
+     ORDER BY d.created_at DESC`,
+    [venueId]
+  );
+  return rows.map(r => ({
+    ...r,
+    bookings_affected: Number(r.bookings_affected),
+    bookings_failed: Number(r.bookings_failed),
+    total_refunded: Number(r.total_refunded)
+  }));
+};
+
+/**
+ * Get a disruption by ID
+ *
+ * @async
+ * @param {number} disruptionId - Disruption ID
+ * @returns {Promise<Object|null>}
+ */
+export const getDisruptionById = async (disruptionId) => {
+  const [rows] = await pool.execute(
+    "SELECT * FROM venue_disruptions WHERE disruption_id = ?",
+    [disruptionId]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Get the bookings a disruption covers: confirmed bookings, and unpaid
+ * occurrences of series, that overlap the range and have not ended
+ *
+ * @async
+ * @param {number} venueId - Venue ID
+ * @param {string} startsAt - UTC MySQL DateTime
+ * @param {string} endsAt - UTC MySQL DateTime
+ * @param {Object} filters
+ * @param {number|null} filters.courtId
+ * @param {number|null} filters.sportId
+ * @returns {Promise<Object[]>} Bookings, earliest first
+ */
+export const getDisruptedBookings = async (venueId, startsAt, endsAt, { courtId, sportId }) => {
+  const [rows] = await pool.execute(
+    `SELECT b.*, c.name AS court_name, s.name AS sport_name
+     FROM bookings b
+     LEFT JOIN courts c ON b.court_id = c.court_id
+     LEFT JOIN sports s ON b.sport_id = s.sport_id
+     WHERE b.venue_id = ?
+     AND (b.status = 'CONFIRMED' OR (b.status = 'PENDING' AND b.series_id IS NOT NULL))
+     AND b.booking_start < ? AND b.booking_end > ?
+     AND b.booking_end > UTC_TIMESTAMP()
+     AND (? IS NULL OR b.court_id = ?)
+     AND (? IS NULL OR b.sport_id = ?)
+     ORDER BY b.booking_start ASC`,
+    [venueId, endsAt, startsAt, courtId, courtId, sportId, sportId]
+  );
+  return rows;
+};
+
+/**
+ * Record what happened to a booking
+ *
+ * @async
+ * @param {number} disruptionId - Disruption ID
+ * @param {Object} result
+ * @param {number} result.bookingId
+ * @param {string} result.outcome - 'CANCELLED', 'RESCHEDULE_OFFERED' or 'FAILED'
+ * @param {number} [result.refundAmount]
+ * @param {number|null} [result.promoId] - Rebooking credit
+ * @param {string|null} [result.error]
+ * @returns {Promise<void>}
+ */
+export const addDisruptionBooking = async (disruptionId, { bookingId, outcome, refundAmount = 0, promoId = null, error = null }) => {
+  await pool.execute(
+    `INSERT INTO venue_disruption_bookings (disruption_id, booking_id, outcome, refund_amount, promo_id, error)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [disruptionId, bookingId, outcome, refundAmount, promoId, error]
+  );
+};
+
+/**
+ * Get the bookings of a disruption with what happened to each and where
+ * they are now
+ *
+ * @async
+ * @param {number} disruptionId - Disruption ID
+ * @returns {Promise<Object[]>}
+ */
+export const getDisruptionBookings = async (disruptionId) => {
+  const [rows] = await pool.execute(
+    `SELECT db.booking_id, db.outcome, db.refund_amount, db.error, db.promo_id,
+            p.code AS credit_code, p.discount_value AS credit_amount,
+            b.status, b.booking_start, b.booking_end, b.created_by,
+            (b.disruption_id IS NOT NULL AND b.status IN ('CONFIRMED', 'PENDING')) AS offer_open,
+            c.name AS court_name, u.full_name AS customer_name
+     FROM venue_disruption_bookings db
+     JOIN bookings b ON db.booking_id = b.booking_id
+     LEFT JOIN courts c ON b.court_id = c.court_id
+     LEFT JOIN users u ON b.created_by = u.user_id
+     LEFT JOIN promo_codes p ON db.promo_id = p.promo_id
+     WHERE db.disruption_id = ?
+     ORDER BY b.booking_start ASC`,
+    [disruptionId]
+  );
+  return rows.map(r => ({ ...r, offer_open: Boolean(r.offer_open) }));
+};
+
+/**
+ * Mark a booking as offered a free reschedule under a disruption
+ *
+ * @async
+ * @param {number} bookingId - Booking ID
+ * @param {number} disruptionId - Disruption ID
+ * @returns {Promise<boolean>} False if the booking is no longer active
+ */
+export const setBookingDisruption = async (bookingId, disruptionId) => {
+  const [result] = await pool.execute(
+    `UPDATE bookings SET disruption_id = ?
+     WHERE booking_id = ? AND (status = 'CONFIRMED' OR (status = 'PENDING' AND series_id IS NOT NULL))`,
+    [disruptionId, bookingId]
+  );
+  return result.affectedRows > 0;
+};
+
+/**
+ * Close a booking's reschedule offer
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {number} bookingId - Booking ID
+ * @returns {Promise<void>}
+ */
+export const clearBookingDisruption = async (conn, bookingId) => {
+  await conn.execute(
+    "UPDATE bookings SET disruption_id = NULL WHERE booking_id = ?",
+    [bookingId]
+  );
+};
+
+/**
+ * Get bookings whose reschedule offer is still open at their start
+ *
+ * @async
+ * @returns {Promise<Object[]>} { booking_id, disruption_id, created_by, owner_id }
+ */
+export const getExpiredOffers = async () => {
+  const [rows] = await pool.execute(
+    `SELECT b.booking_id, b.disruption_id, b.created_by, v.owner_id
+     FROM bookings b
+     JOIN venues v ON b.venue_id = v.venue_id
+     WHERE b.disruption_id IS NOT NULL
+     AND b.booking_start <= UTC_TIMESTAMP()
+     AND b.status IN ('CONFIRMED', 'PENDING')`
+  );
+  return rows;
+};
@@ -0,0 +1,187 @@
+/**
+ * Ledger Repository
+ *
+ * Data access layer for the double-entry ledger.
+ *
+ * A ledger transaction groups entries that debit and credit accounts by
+ * equal totals. An account's balance is its credits minus its debits, so a
+ * wallet balance is what PlayLink owes the user.
+ *
+ * @module repositories/LedgerRepository
+ */
+
+import pool from "../config/dbconnection.js";
+
+/** Signed amount of an entry: credits add, debits subtract */
+const SIGNED_AMOUNT = "IF(le.direction = 'CREDIT', le.amount, -le.amount)";
+
+/**
+ * Get a system account by code
+ *
+ * @async
+ * @param {Object} conn - Database connection
+ * @param {string} code - 'PLATFORM', 'STRIPE_CLEARING', 'PAYOUT_CLEARING' or 'OPENING_BALANCE'
+ * @returns {Promise<number>} Account ID
+ * @throws {Error} If the account has not been set up
+ */
+export const getSystemAccountId = async (conn, code) => {
+  const [rows] = await conn.execute(
+    "SELECT account_id FROM ledger_accounts WHERE account_code = ? AND user_id IS NULL",
+    [code]
+  );
+  if (rows.length === 0) throw new Error(`Ledger account ${code} not found`);
+  return rows[0].account_id;
+};
+
+/**
+ * Get the wallet account of a user, creating it on first use
+ *
+ * @async
+ * @param {Object} conn - Database connection
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} Account ID
+ */
+export const getUserAccountId = async (conn, userId) => {
+  const code = `USER:${userId}`;
+  const [rows] = await conn.execute(
+    "SELECT account_id FROM ledger_accounts WHERE account_code = ?",
+    [code]
+  );
+  if (rows.length > 0) return rows[0].account_id;
+
+  await conn.execute(
+    `INSERT IGNORE INTO ledger_accounts (account_code, account_type, user_id, name)
+     SELECT ?, IF(account_type = 'VENUE_OWNER', 'OWNER', 'PLAYER'), user_id, full_name
+     FROM users WHERE user_id = ?`,
+    [code, userId]
+  );
+  const [created] = await conn.execute(
+    "SELECT account_id FROM ledger_accounts WHERE account_code = ?",
+    [code]
+  );
+  if (created.length === 0) throw new Error(`User ${userId} not found`);
+  return created[0].account_id;
+};
+
+/**
+ * Record a ledger transaction and its entries
+ *
+ * The caller checks that the entries balance.
+ * Should be called within a transaction.
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {Object} data
+ * @param {string} data.type - Transaction type, e.g. 'BOOKING_PAYMENT'
+ * @param {number|null} data.bookingId - Related booking
+ * @param {string|null} data.reference - Payment or request reference
+ * @param {string|null} data.description
+ * @param {Object[]} data.entries - [{ accountId, direction, amount }] with amount > 0
+ * @returns {Promise<number>} The ledger transaction ID
+ */
+export const createLedgerTransaction = async (conn, { type, bookingId, reference, description, entries }) => {
+  const [result] = await conn.execute(
+    `INSERT INTO ledger_transactions (txn_type, booking_id, reference, description)
+     VALUES (?, ?, ?, ?)`,
+    [type, bookingId, reference, description ? description.slice(0, 255) : null]
+  );
+  const txnId = result.insertId;
+
+  for (const entry of entries) {
+    await conn.execute(
+      `INSERT INTO ledger_entries (ledger_txn_id, account_id, direction, amount)
+       VALUES (?, ?, ?, ?)`,
+      [txnId, entry.accountId, entry.direction, entry.amount]
+    );
+  }
+  return txnId;
+};
+
+/**
+ * Get a user's revenue and balance from the ledger
+ *
+ * @async
+ * @param {number} userId - User ID
+ * @param {string[]} revenueTypes - Transaction types that count as revenue
+ * @returns {Promise<{revenue: number, balance: number}>}
+ */
+export const getUserLedgerSummary = async (userId, revenueTypes) => {
+  const placeholders = revenueTypes.map(() => '?').join(',');
+  const [rows] = await pool.execute(
+    `SELECT
+       COALESCE(SUM(CASE WHEN lt.txn_type IN (${placeholders}) THEN ${SIGNED_AMOUNT} ELSE 0 END), 0) AS revenue,
+       COALESCE(SUM(${SIGNED_AMOUNT}), 0) AS balance
+     FROM ledger_entries le
+     JOIN ledger_accounts la ON le.account_id = la.account_id
+     JOIN ledger_transactions lt ON le.ledger_txn_id = lt.ledger_txn_id
+     WHERE la.user_id = ?`,
+    [...revenueTypes, userId]
+  );
+  return { revenue: Number(rows[0].revenue), balance: Number(rows[0].balance) };
+};
+
+/**
+ * Get transactions whose debits and credits do not match
+ *
+ * @async
+ * @returns {Promise<Object[]>} Transactions with their debit and credit totals
+ */
+export const getUnbalancedTransactions = async () => {
+  const [rows] = await pool.execute(
+    `SELECT lt.ledger_txn_id, lt.txn_type, lt.booking_id, lt.reference, lt.created_at,
+            SUM(IF(le.direction = 'DEBIT', le.amount, 0)) AS debits,
+            SUM(IF(le.direction = 'CREDIT', le.amount, 0)) AS credits
+     FROM ledger_transactions lt
+     LEFT JOIN ledger_entries le ON le.ledger_txn_id = lt.ledger_txn_id
+     GROUP BY lt.ledger_txn_id
+     HAVING ABS(COALESCE(debits, 0) - COALESCE(credits, 0)) >= 0.01
+     ORDER BY lt.created_at DESC`
+  );
+  return rows.map(r => ({ ...r, debits: Number(r.debits || 0), credits: Number(r.credits || 0) }));
+};
+
+/**
+ * Get wallets whose stored balance differs from their ledger balance
+ *
+ * @async
+ * @returns {Promise<Object[]>} { user_id, full_name, wallet_balance, ledger_balance }
+ */
+export const getWalletDrift = async () => {
+  const [rows] = await pool.execute(
+    `SELECT w.user_id, u.full_name, w.balance AS wallet_balance, COALESCE(l.balance, 0) AS ledger_balance
+     FROM wallets w
+     LEFT JOIN users u ON u.user_id = w.user_id
+     LEFT JOIN (
+       SELECT la.user_id, SUM(${SIGNED_AMOUNT}) AS balance
+       FROM ledger_entries le
+       JOIN ledger_accounts la ON le.account_id = la.account_id
+       WHERE la.user_id IS NOT NULL
+       GROUP BY la.user_id
+     ) l ON l.user_id = w.user_id
+     WHERE ABS(w.balance - COALESCE(l.balance, 0)) >= 0.01
+     ORDER BY ABS(w.balance - COALESCE(l.balance, 0)) DESC`
+  );
+  return rows.map(r => ({
+    ...r,
+    wallet_balance: Number(r.wallet_balance),
+    ledger_balance: Number(r.ledger_balance)
+  }));
+};
+
+/**
+ * Get the balances of the system accounts
+ *
+ * @async
+ * @returns {Promise<Object[]>} { account_code, name, balance }
+ */
+export const getSystemBalances = async () => {
+  const [rows] = await pool.execute(
+    `SELECT la.account_code, la.name, COALESCE(SUM(${SIGNED_AMOUNT}), 0) AS balance
+     FROM ledger_accounts la
+     LEFT JOIN ledger_entries le ON le.account_id = la.account_id
+     WHERE la.user_id IS NULL
+     GROUP BY la.account_id
+     ORDER BY la.account_code`
+  );
+  return rows.map(r => ({ ...r, balance: Number(r.balance) }));
+};
@@ -0,0 +1,335 @@
+/**
+ * Loyalty Repository
+ *
+ * Data access layer for loyalty points.
+ *
+ * Points are held in lots: PENDING -> AVAILABLE -> EXPIRED, or
+ * PENDING -> REVOKED. Redemptions reduce the remaining points of
+ * AVAILABLE lots. loyalty_point_history logs every change for the player.
+ *
+ * @module repositories/LoyaltyRepository
+ */
+
+import pool from "../config/dbconnection.js";
+
+/** AVAILABLE lots that still have points and have not expired */
+const SPENDABLE_LOT = "status = 'AVAILABLE' AND remaining > 0 AND (expires_at IS NULL OR expires_at > UTC_TIMESTAMP())";
+
+/**
+ * Create a lot of points
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {Object} lot
+ * @param {number} lot.userId
+ * @param {number|null} lot.bookingId
+ * @param {string} lot.source - 'BOOKING', 'OFF_PEAK_BONUS', 'STREAK_BONUS', 'REFERRAL' or 'RESTORED'
+ * @param {number} lot.points
+ * @param {string} lot.status - 'PENDING' or 'AVAILABLE'
+ * @param {string} lot.availableAt - UTC MySQL DateTime
+ * @param {string|null} lot.expiresAt - UTC MySQL DateTime (set when the lot becomes available)
+ * @returns {Promise<number>} The inserted lot ID
+ */
+export const createLot = async (conn, { userId, bookingId, source, points, status, availableAt, expiresAt }) => {
+  const [result] = await conn.execute(
+    `INSERT INTO loyalty_point_lots (user_id, booking_id, source, points, remaining, status, available_at, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [userId, bookingId, source, points, points, status, availableAt, expiresAt]
+  );
+  return result.insertId;
+};
+
+/**
+ * Log a change to a user's points
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {Object} entry
+ * @param {number} entry.userId
+ * @param {number} entry.points - Signed change
+ * @param {string} entry.type - 'EARNED', 'REDEEMED', 'RESTORED', 'EXPIRED' or 'REVOKED'
+ * @param {number|null} [entry.bookingId]
+ * @param {string|null} [entry.reference]
+ * @param {string} entry.description
+ * @returns {Promise<void>}
+ */
+export const addHistory = async (conn, { userId, points, type, bookingId = null, reference = null, description }) => {
+  await conn.execute(
+    `INSERT INTO loyalty_point_history (user_id, points, type, booking_id, reference, description)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [userId, points, type, bookingId, reference, description]
+  );
+};
+
+/**
+ * Lock a user's spendable lots, the ones expiring first first
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {number} userId
+ * @returns {Promise<Object[]>} Lots
+ */
+export const lockSpendableLots = async (conn, userId) => {
+  const [rows] = await conn.execute(
+    `SELECT lot_id, remaining FROM loyalty_point_lots
+     WHERE user_id = ? AND ${SPENDABLE_LOT}
+     ORDER BY expires_at IS NULL, expires_at ASC, lot_id ASC
+     FOR UPDATE`,
+    [userId]
+  );
+  return rows;
+};
+
+/**
+ * Take points from a lot
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {number} lotId
+ * @param {number} points
+ * @returns {Promise<void>}
+ */
+export const takeFromLot = async (conn, lotId, points) => {
+  await conn.execute(
+    "UPDATE loyalty_point_lots SET remaining = remaining - ? WHERE lot_id = ?",
+    [points, lotId]
+  );
+};
+
+/**
+ * Get completed bookings whose points have not been handed out yet
+ *
+ * @async
+ * @param {number} [limit=200]
+ * @returns {Promise<Object[]>} Bookings with the venue owner
+ */
+export const getBookingsToAward = async (limit = 200) => {
+  const [rows] = await pool.query(
+    `SELECT b.booking_id, b.booking_start, b.booking_end, v.owner_id, v.name AS venue_name
+     FROM bookings b
+     JOIN venues v ON b.venue_id = v.venue_id
+     WHERE b.status = 'COMPLETED' AND b.points_awarded = 0
+     ORDER BY b.booking_end ASC
+     LIMIT ?`,
+    [limit]
+  );
+  return rows;
+};
+
+/**
+ * Claim a booking for awarding points, so it is only awarded once
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {number} bookingId
+ * @returns {Promise<boolean>} False if it was already awarded
+ */
+export const markPointsAwarded = async (conn, bookingId) => {
+  const [result] = await conn.execute(
+    "UPDATE bookings SET points_awarded = 1 WHERE booking_id = ? AND points_awarded = 0",
+    [bookingId]
+  );
+  return result.affectedRows > 0;
+};
+
+/**
+ * Get the weeks (Monday, IST) in which a player played a completed booking
+ * they paid for, latest first
+ *
+ * @async
+ * @param {Object} conn - Database connection
+ * @param {number} userId
+ * @param {number} [limit=60]
+ * @returns {Promise<string[]>} YYYY-MM-DD week starts
+ */
+export const getPlayedWeeks = async (conn, userId, limit = 60) => {
+  const [rows] = await conn.query(
+    `SELECT DISTINCT DATE_FORMAT(
+              DATE_SUB(DATE(DATE_ADD(b.booking_start, INTERVAL 330 MINUTE)),
+                       INTERVAL WEEKDAY(DATE_ADD(b.booking_start, INTERVAL 330 MINUTE)) DAY),
+              '%Y-%m-%d') AS week_start
+     FROM bookings b
+     JOIN booking_participants bp ON bp.booking_id = b.booking_id
+     WHERE bp.user_id = ? AND bp.payment_status = 'PAID' AND b.status = 'COMPLETED'
+     ORDER BY week_start DESC
+     LIMIT ?`,
+    [userId, limit]
+  );
+  return rows.map(r => r.week_start);
+};
+
+/**
+ * Check whether a player already got a streak bonus for a week
+ *
+ * @async
+ * @param {Object} conn - Database connection
+ * @param {number} userId
+ * @param {string} weekStart - YYYY-MM-DD (Monday, IST)
+ * @returns {Promise<boolean>}
+ */
+export const hasStreakBonusForWeek = async (conn, userId, weekStart) => {
+  const [rows] = await conn.execute(
+    `SELECT 1 FROM loyalty_point_lots l
+     JOIN bookings b ON l.booking_id = b.booking_id
+     WHERE l.user_id = ? AND l.source = 'STREAK_BONUS'
+     AND DATE_ADD(b.booking_start, INTERVAL 330 MINUTE) >= ?
+     AND DATE_ADD(b.booking_start, INTERVAL 330 MINUTE) < DATE_ADD(?, INTERVAL 7 DAY)
+     LIMIT 1`,
+    [userId, weekStart, weekStart]
+  );
+  return rows.length > 0;
+};
+
+/**
+ * Get PENDING lots whose hold has passed, with their booking's status
+ *
+ * @async
+ * @returns {Promise<Object[]>} Lots
+ */
+export const getLotsToRelease = async () => {
+  const [rows] = await pool.execute(
+    `SELECT l.lot_id, l.user_id, l.booking_id, l.points, l.source, b.status AS booking_status
+     FROM loyalty_point_lots l
+     LEFT JOIN bookings b ON l.booking_id = b.booking_id
+     WHERE l.status = 'PENDING' AND l.available_at <= UTC_TIMESTAMP()`
+  );
+  return rows;
+};
+
+/**
+ * Move a PENDING lot to AVAILABLE or REVOKED
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {number} lotId
+ * @param {string} status - 'AVAILABLE' or 'REVOKED'
+ * @param {string|null} expiresAt - UTC MySQL DateTime for AVAILABLE lots
+ * @returns {Promise<boolean>} False if the lot was no longer PENDING
+ */
+export const settlePendingLot = async (conn, lotId, status, expiresAt) => {
+  const [result] = await conn.execute(
+    `UPDATE loyalty_point_lots
+     SET status = ?, expires_at = ?, remaining = IF(? = 'REVOKED', 0, remaining)
+     WHERE lot_id = ? AND status = 'PENDING'`,
+    [status, expiresAt, status, lotId]
+  );
+  return result.affectedRows > 0;
+};
+
+/**
+ * Get AVAILABLE lots that have expired with points left
+ *
+ * @async
+ * @returns {Promise<Object[]>} Lots
+ */
+export const getExpiredLots = async () => {
+  const [rows] = await pool.execute(
+    `SELECT lot_id, user_id, remaining FROM loyalty_point_lots
+     WHERE status = 'AVAILABLE' AND remaining > 0 AND expires_at <= UTC_TIMESTAMP()`
+  );
+  return rows;
+};
+
+/**
+ * Expire a lot
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {number} lotId
+ * @returns {Promise<number>} Points that expired (0 if it was already handled)
+ */
+export const expireLot = async (conn, lotId) => {
+  const [rows] = await conn.execute(
+    "SELECT remaining FROM loyalty_point_lots WHERE lot_id = ? AND status = 'AVAILABLE' FOR UPDATE",
+    [lotId]
+  );
+  if (rows.length === 0) return 0;
+  await conn.execute(
+    "UPDATE loyalty_point_lots SET status = 'EXPIRED', remaining = 0 WHERE lot_id = ?",
+    [lotId]
+  );
+  return rows[0].remaining;
+};
+
+/**
+ * Get a user's points balance, pending points and points expiring soon
+ *
+ * @async
+ * @param {number} userId
+ * @param {number} soonDays - Window for "expiring soon"
+ * @returns {Promise<{balance: number, pending: number, expiringSoon: number, nextExpiry: Date|null}>}
+ */
+export const getPointsSummary = async (userId, soonDays) => {
+  const [rows] = await pool.execute(
+    `SELECT
+       COALESCE(SUM(CASE WHEN ${SPENDABLE_LOT} THEN remaining ELSE 0 END), 0) AS balance,
+       COALESCE(SUM(CASE WHEN status = 'PENDING' THEN points ELSE 0 END), 0) AS pending,
+       COALESCE(SUM(CASE WHEN ${SPENDABLE_LOT} AND expires_at <= DATE_ADD(UTC_TIMESTAMP(), INTERVAL ? DAY)
+                    THEN remaining ELSE 0 END), 0) AS expiring_soon,
+       MIN(CASE WHEN ${SPENDABLE_LOT} THEN expires_at END) AS next_expiry
+     FROM loyalty_point_lots
+     WHERE user_id = ?`,
+    [soonDays, userId]
+  );
+  return {
+    balance: Number(rows[0].balance),
+    pending: Number(rows[0].pending),
+    expiringSoon: Number(rows[0].expiring_soon),
+    nextExpiry: rows[0].next_expiry
+  };
+};
+
+/**
+ * Get a user's points history, newest first
+ *
+ * @async
+ * @param {number} userId
+ * @param {number} [limit=20]
+ * @returns {Promise<Object[]>} History entries
+ */
+export const getHistory = async (userId, limit = 20) => {
+  const [rows] = await pool.query(
+    `SELECT history_id, points, type, booking_id, description, created_at
+     FROM loyalty_point_history
+     WHERE user_id = ?
+     ORDER BY created_at DESC, history_id DESC
+     LIMIT ?`,
+    [userId, limit]
+  );
+  return rows;
+};
+
+/**
+ * Get the points redeemed under a checkout reference
+ *
+ * @async
+ * @param {string} reference
+ * @param {Object} [connection] - Optional database connection/transaction
+ * @returns {Promise<number>} Net points redeemed (redeemed less restored)
+ */
+export const getRedeemedByReference = async (reference, connection = null) => {
+  const db = connection || pool;
+  const [rows] = await db.execute(
+    "SELECT COALESCE(-SUM(points), 0) AS points FROM loyalty_point_history WHERE reference = ? AND type IN ('REDEEMED', 'RESTORED')",
+    [reference]
+  );
+  return Number(rows[0].points);
+};
+
+/**
+ * Record the points spent on a booking at checkout
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {number} bookingId
+ * @param {Object} redemption
+ * @param {number} redemption.points
+ * @param {number} redemption.discount - LKR taken off the booking
+ * @returns {Promise<void>}
+ */
+export const setBookingRedemption = async (conn, bookingId, { points, discount }) => {
+  await conn.execute(
+    "UPDATE bookings SET loyalty_points_redeemed = ?, loyalty_discount = ? WHERE booking_id = ?",
+    [points, discount, bookingId]
+  );
+};
@@ -0,0 +1,359 @@
+/**
+ * Package Repository
+ *
+ * Data access layer for venue packages (hour packs and memberships), the
+ * entitlements players buy and the hours they use.
+ *
+ * Entitlement status flow: PENDING -> ACTIVE or CANCELLED (checkout expired).
+ * An ACTIVE entitlement is usable until expires_at.
+ *
+ * @module repositories/PackageRepository
+ */
+
+import pool from "../config/dbconnection.js";
+
+/** ACTIVE entitlements that have not expired */
+const USABLE_ENTITLEMENT = "e.status = 'ACTIVE' AND e.expires_at > UTC_TIMESTAMP()";
+
+/**
+ * Create a package
+ *
+ * @async
+ * @param {Object} data
+ * @param {number} data.venueId
+ * @param {number|null} data.sportId
+ * @param {string} data.packageType - 'HOURS_PACK' or 'MEMBERSHIP'
+ * @param {string} data.name
+ * @param {string|null} data.description
+ * @param {number} data.price
+ * @param {number} data.includedHours
+ * @param {number} data.discountPercent
+ * @param {number} data.validityDays
+ * @param {number} data.createdBy
+ * @returns {Promise<number>} The inserted package ID
+ */
+export const createPackage = async ({
+  venueId, sportId, packageType, name, description, price, includedHours, discountPercent, validityDays, createdBy
+}) => {
+  const [result] = await pool.execute(
+    `INSERT INTO venue_packages
+     (venue_id, sport_id, package_type, name, description, price, included_hours, discount_percent, validity_days, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [venueId, sportId, packageType, name, description, price, includedHours, discountPercent, validityDays, createdBy]
+  );
+  return result.insertId;
+};
+
+/**
+ * Get a package with its venue's owner
+ *
+ * @async
+ * @param {number} packageId
+ * @returns {Promise<Object|null>} Package (with owner_id, venue_name)
+ */
+export const getPackageById = async (packageId) => {
+  const [rows] = await pool.execute(
+    `SELECT p.*, v.owner_id, v.name AS venue_name
+     FROM venue_packages p
+     JOIN venues v ON p.venue_id = v.venue_id
+     WHERE p.package_id = ?`,
+    [packageId]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * List a venue's packages
+ *
+ * @async
+ * @param {number} venueId
+ * @param {boolean} [activeOnly=true] - Only packages on sale
+ * @returns {Promise<Object[]>} Packages, with the sport name
+ */
+export const getVenuePackages = async (venueId, activeOnly = true) => {
+  const [rows] = await pool.execute(
+    `SELECT p.*, s.name AS sport_name
+     FROM venue_packages p
+     LEFT JOIN sports s ON p.sport_id = s.sport_id
+     WHERE p.venue_id = ?${activeOnly ? " AND p.is_active = 1" : ""}
+     ORDER BY p.package_type, p.price`,
+    [venueId]
+  );
+  return rows;
+};
+
+/**
+ * Update the editable fields of a package
+ *
+ * @async
+ * @param {number} packageId
+ * @param {Object} changes
+ * @param {string} changes.name
+ * @param {string|null} changes.description
+ * @param {number} changes.price
+ * @param {boolean} changes.isActive
+ * @returns {Promise<void>}
+ */
+export const updatePackage = async (packageId, { name, description, price, isActive }) => {
+  await pool.execute(
+    "UPDATE venue_packages SET name = ?, description = ?, price = ?, is_active = ? WHERE package_id = ?",
+    [name, description, price, isActive ? 1 : 0, packageId]
+  );
+};
+
+/**
+ * Record a purchase awaiting payment. The package's terms are copied so
+ * later changes to the package do not affect it.
+ *
+ * @async
+ * @param {number} userId
+ * @param {Object} pkg - Package row
+ * @param {string} sessionId - Stripe session ID
+ * @returns {Promise<number>} The inserted entitlement ID
+ */
+export const createEntitlement = async (userId, pkg, sessionId) => {
+  const [result] = await pool.execute(
+    `INSERT INTO user_entitlements
+     (user_id, package_id, venue_id, sport_id, package_type, hours_total, hours_remaining,
+      discount_percent, validity_days, price, checkout_session_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [userId, pkg.package_id, pkg.venue_id, pkg.sport_id, pkg.package_type, pkg.included_hours, pkg.included_hours,
+      pkg.discount_percent, pkg.validity_days, pkg.price, sessionId]
+  );
+  return result.insertId;
+};
+
+/**
+ * Lock the entitlement bought in a Stripe session
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {string} sessionId - Stripe session ID
+ * @returns {Promise<Object|null>} Entitlement with the venue owner and package name
+ */
+export const lockEntitlementBySession = async (conn, sessionId) => {
+  const [rows] = await conn.execute(
+    `SELECT e.*, v.owner_id, v.name AS venue_name, p.name AS package_name
+     FROM user_entitlements e
+     JOIN venues v ON e.venue_id = v.venue_id
+     JOIN venue_packages p ON e.package_id = p.package_id
+     WHERE e.checkout_session_id = ?
+     FOR UPDATE`,
+    [sessionId]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Activate a paid entitlement
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {number} entitlementId
+ * @param {Object} activation
+ * @param {string} activation.startsAt - UTC MySQL DateTime
+ * @param {string} activation.expiresAt - UTC MySQL DateTime
+ * @param {number} activation.commission - Platform commission on the sale
+ * @returns {Promise<void>}
+ */
+export const activateEntitlement = async (conn, entitlementId, { startsAt, expiresAt, commission }) => {
+  await conn.execute(
+    `UPDATE user_entitlements
+     SET status = 'ACTIVE', starts_at = ?, expires_at = ?, commission_amount = ?
+     WHERE entitlement_id = ?`,
+    [startsAt, expiresAt, commission, entitlementId]
+  );
+};
+
+/**
+ * Cancel an entitlement whose checkout expired unpaid
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {number} entitlementId
+ * @returns {Promise<void>}
+ */
+export const cancelEntitlement = async (conn, entitlementId) => {
+  await conn.execute(
+    "UPDATE user_entitlements SET status = 'CANCELLED' WHERE entitlement_id = ? AND status = 'PENDING'",
+    [entitlementId]
+  );
+};
+
+/**
+ * Get the latest expiry of a user's usable entitlements of a package
+ *
+ * @async
+ * @param {Object} conn - Database connection
+ * @param {number} userId
+ * @param {number} packageId
+ * @returns {Promise<Date|null>}
+ */
+export const getLatestExpiry = async (conn, userId, packageId) => {
+  const [rows] = await conn.execute(
+    `SELECT MAX(e.expires_at) AS expires_at FROM user_entitlements e
+     WHERE e.user_id = ? AND e.package_id = ? AND ${USABLE_ENTITLEMENT}`,
+    [userId, packageId]
+  );
+  return rows[0]?.expires_at || null;
+};
+
+/**
+ * Get a user's usable entitlements at a venue, the ones expiring first first
+ *
+ * @async
+ * @param {number} userId
+ * @param {number} venueId
+ * @param {Object} [connection] - Optional connection; locks the rows when given
+ * @returns {Promise<Object[]>} Entitlements
+ */
+export const getUsableEntitlements = async (userId, venueId, connection = null) => {
+  const db = connection || pool;
+  const [rows] = await db.execute(
+    `SELECT e.* FROM user_entitlements e
+     WHERE e.user_id = ? AND e.venue_id = ? AND ${USABLE_ENTITLEMENT}
+     ORDER BY e.expires_at ASC, e.entitlement_id ASC${connection ? " FOR UPDATE" : ""}`,
+    [userId, venueId]
+  );
+  return rows;
+};
+
+/**
+ * Take hours from an entitlement
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {number} entitlementId
+ * @param {number} hours
+ * @returns {Promise<boolean>} False if it no longer has that many hours
+ */
+export const takeHours = async (conn, entitlementId, hours) => {
+  const [result] = await conn.execute(
+    `UPDATE user_entitlements SET hours_remaining = hours_remaining - ?
+     WHERE entitlement_id = ? AND hours_remaining >= ?`,
+    [hours, entitlementId, hours]
+  );
+  return result.affectedRows > 0;
+};
+
+/**
+ * Give hours back to an entitlement
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {number} entitlementId
+ * @param {number} hours
+ * @returns {Promise<void>}
+ */
+export const returnHours = async (conn, entitlementId, hours) => {
+  await conn.execute(
+    `UPDATE user_entitlements SET hours_remaining = LEAST(hours_remaining + ?, hours_total)
+     WHERE entitlement_id = ?`,
+    [hours, entitlementId]
+  );
+};
+
+/**
+ * Log hours used or given back
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {Object} usage
+ * @param {number} usage.entitlementId
+ * @param {string} usage.type - 'USED' or 'RESTORED'
+ * @param {number} usage.hours
+ * @param {number|null} [usage.bookingId]
+ * @param {string|null} [usage.reference] - Checkout reference
+ * @returns {Promise<void>}
+ */
+export const addUsage = async (conn, { entitlementId, type, hours, bookingId = null, reference = null }) => {
+  await conn.execute(
+    `INSERT INTO entitlement_usages (entitlement_id, booking_id, type, hours, reference)
+     VALUES (?, ?, ?, ?, ?)`,
+    [entitlementId, bookingId, type, hours, reference]
+  );
+};
+
+/**
+ * Get the hours used under a checkout reference and not given back yet
+ *
+ * @async
+ * @param {string} reference
+ * @param {Object} [connection] - Optional database connection/transaction
+ * @returns {Promise<Object[]>} [{ entitlement_id, hours }]
+ */
+export const getOutstandingUsage = async (reference, connection = null) => {
+  const db = connection || pool;
+  const [rows] = await db.execute(
+    `SELECT entitlement_id, SUM(IF(type = 'USED', hours, -hours)) AS hours
+     FROM entitlement_usages
+     WHERE reference = ?
+     GROUP BY entitlement_id
+     HAVING hours > 0`,
+    [reference]
+  );
+  return rows.map(r => ({ entitlement_id: r.entitlement_id, hours: Number(r.hours) }));
+};
+
+/**
+ * Record the entitlement a booking used
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {number} bookingId
+ * @param {Object} use
+ * @param {number|null} use.entitlementId - Entitlement whose hours were used
+ * @param {number} use.hours
+ * @param {number} use.discount - LKR taken off by the hours and any membership discount
+ * @returns {Promise<void>}
+ */
+export const setBookingEntitlement = async (conn, bookingId, { entitlementId, hours, discount }) => {
+  await conn.execute(
+    "UPDATE bookings SET entitlement_id = ?, entitlement_hours = ?, package_discount = ? WHERE booking_id = ?",
+    [entitlementId, hours, discount, bookingId]
+  );
+};
+
+/**
+ * Get a user's entitlements, newest first
+ *
+ * @async
+ * @param {number} userId
+ * @returns {Promise<Object[]>} Paid entitlements with the package and venue names
+ */
+export const getUserEntitlements = async (userId) => {
+  const [rows] = await pool.execute(
+    `SELECT e.entitlement_id, e.package_id, p.name AS package_name, e.package_type,
+            e.venue_id, v.name AS venue_name, e.sport_id, e.hours_total, e.hours_remaining,
+            e.discount_percent, e.price, e.starts_at, e.expires_at,
+            (${USABLE_ENTITLEMENT}) AS is_usable
+     FROM user_entitlements e
+     JOIN venue_packages p ON e.package_id = p.package_id
+     JOIN venues v ON e.venue_id = v.venue_id
+     WHERE e.user_id = ? AND e.status = 'ACTIVE'
+     ORDER BY e.expires_at DESC`,
+    [userId]
+  );
+  return rows.map(r => ({ ...r, is_usable: Boolean(r.is_usable) }));
+};
+
+/**
+ * Get the players with a usable entitlement at a venue
+ *
+ * @async
+ * @param {number} venueId
+ * @returns {Promise<Object[]>} One row per entitlement, with the player's name and email
+ */
+export const getActiveMembers = async (venueId) => {
+  const [rows] = await pool.execute(
+    `SELECT e.entitlement_id, e.user_id, u.full_name, u.email, p.name AS package_name, e.package_type,
+            e.hours_total, e.hours_remaining, e.discount_percent, e.starts_at, e.expires_at
+     FROM user_entitlements e
+     JOIN users u ON e.user_id = u.user_id
+     JOIN venue_packages p ON e.package_id = p.package_id
+     WHERE e.venue_id = ? AND ${USABLE_ENTITLEMENT}
+     ORDER BY u.full_name, e.expires_at`,
+    [venueId]
+  );
+  return rows;
+};
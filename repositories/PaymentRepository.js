@@ -0,0 +1,131 @@
+/**
+ * Payment Repository
+ *
+ * Data access layer for payment provider records.
+ *
+ * Responsibilities:
+ * - Record processed Stripe webhook events (idempotency)
+ * - Look up payment rows by provider reference
+ * - Track Stripe refunds issued against payments
+ *
+ * @module repositories/PaymentRepository
+ */
+
+import pool from "../config/dbconnection.js";
+
+/**
+ * Record a Stripe webhook event as processed
+ *
+ * Inserts the event ID into the processed-events table. The event ID is the
+ * primary key, so a duplicate delivery inserts nothing. Should be called
+ * within the same transaction as the event's side effects so that a failed
+ * run can be retried by Stripe.
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {string} eventId - Stripe event ID (evt_...)
+ * @param {string} eventType - Stripe event type
+ * @returns {Promise<boolean>} True if the event is new, false if already processed
+ */
+export const recordWebhookEvent = async (conn, eventId, eventType) => {
+  const [result] = await conn.execute(
+    "INSERT IGNORE INTO stripe_webhook_events (event_id, event_type) VALUES (?, ?)",
+    [eventId, eventType]
+  );
+  return result.affectedRows > 0;
+};
+
+/**
+ * Get all payment rows for a provider reference
+ *
+ * @async
+ * @param {string} providerReference - Stripe session ID
+ * @returns {Promise<Object[]>} Payment rows
+ */
+export const getPaymentsByReference = async (providerReference) => {
+  const [rows] = await pool.execute(
+    "SELECT * FROM payments WHERE provider_reference = ?",
+    [providerReference]
+  );
+  return rows;
+};
+
+/**
+ * Get the Stripe card payments of a booking that can still be refunded
+ *
+ * Only rows created from a Checkout Session (provider_reference "cs_...")
+ * and marked SUCCEEDED are returned; points payments are excluded.
+ *
+ * @async
+ * @param {number} bookingId - Booking ID
+ * @returns {Promise<Object[]>} Payment rows with a computed `refundable` amount
+ */
+export const getRefundableCardPayments = async (bookingId) => {
+  const [rows] = await pool.execute(
+    `SELECT *
+     FROM payments
+     WHERE booking_id = ?
+     AND status = 'SUCCEEDED'
+     AND provider_reference LIKE 'cs\\_%'
+     ORDER BY payment_id ASC`,
+    [bookingId]
+  );
+  return rows.map(p => ({
+    ...p,
+    refundable: Number(p.amount) - Number(p.refund_amount || 0)
+  }));
+};
+
+/**
+ * Store the Stripe refund issued against a payment
+ *
+ * @async
+ * @param {number} paymentId - Payment ID
+ * @param {Object} refund
+ * @param {string} refund.refundId - Stripe refund ID (re_...)
+ * @param {string} refund.status - Stripe refund status
+ * @param {number} refund.amount - Refunded amount in LKR
+ * @returns {Promise<void>}
+ */
+export const recordRefund = async (paymentId, { refundId, status, amount }) => {
+  await pool.execute(
+    `UPDATE payments
+     SET refund_id = ?, refund_status = ?, refund_amount = COALESCE(refund_amount, 0) + ?
+     WHERE payment_id = ?`,
+    [refundId, status, amount, paymentId]
+  );
+};
+
+/**
+ * Get a payment by its Stripe refund ID, locking the row
+ *
+ * Should be called within a transaction.
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {string} refundId - Stripe refund ID
+ * @returns {Promise<Object|null>} Payment row or null
+ */
+export const getPaymentByRefundId = async (conn, refundId) => {
+  const [rows] = await conn.execute(
+    "SELECT * FROM payments WHERE refund_id = ? FOR UPDATE",
+    [refundId]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Update the refund status of a payment
+ *
+ * @async
+ * @param {Object} conn - Database connection
+ * @param {string} refundId - Stripe refund ID
+ * @param {string} status - Stripe refund status
+ * @returns {Promise<void>}
+ */
+export const updateRefundStatus = async (conn, refundId, status) => {
+  await conn.execute(
+    "UPDATE payments SET refund_status = ? WHERE refund_id = ?",
+    [status, refundId]
+  );
+};
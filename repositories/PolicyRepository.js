@@ -0,0 +1,110 @@
+/**
+ * Policy Repository
+ *
+ * Data access layer for cancellation policies. Policies without an owner
+ * are the platform's; owners keep their own alongside them. Tiers are
+ * stored as JSON (see migration 022).
+ *
+ * @module repositories/PolicyRepository
+ */
+
+import pool from "../config/dbconnection.js";
+
+/**
+ * Get the active platform policies and, for an owner, their own
+ *
+ * @async
+ * @param {number|null} [ownerId] - Also include this owner's policies
+ * @returns {Promise<Object[]>} Policies, platform ones first
+ */
+export const getPolicies = async (ownerId = null) => {
+  const [rows] = await pool.execute(
+    `SELECT policy_id, name, owner_id, tiers, is_active
+     FROM cancellation_policies
+     WHERE is_active = 1 AND (owner_id IS NULL OR owner_id = ?)
+     ORDER BY owner_id IS NOT NULL, policy_id ASC`,
+    [ownerId]
+  );
+  return rows;
+};
+
+/**
+ * Get an owner's policies, including withdrawn ones, with the number of
+ * venues using each
+ *
+ * @async
+ * @param {number|null} ownerId - Owner, or null for the platform policies
+ * @returns {Promise<Object[]>}
+ */
+export const getOwnPolicies = async (ownerId) => {
+  const [rows] = await pool.execute(
+    `SELECT cp.policy_id, cp.name, cp.owner_id, cp.tiers, cp.is_active,
+            COUNT(v.venue_id) AS venue_count
+     FROM cancellation_policies cp
+     LEFT JOIN venues v ON v.cancellation_policy_id = cp.policy_id
+     WHERE cp.owner_id <=> ?
+     GROUP BY cp.policy_id
+     ORDER BY cp.policy_id ASC`,
+    [ownerId]
+  );
+  return rows;
+};
+
+/**
+ * Get a policy by ID
+ *
+ * @async
+ * @param {number} policyId
+ * @returns {Promise<Object|null>}
+ */
+export const getPolicyById = async (policyId) => {
+  const [rows] = await pool.execute(
+    "SELECT policy_id, name, owner_id, tiers, is_active FROM cancellation_policies WHERE policy_id = ?",
+    [policyId]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Create a policy
+ *
+ * hours_before_start / refund_percentage keep the single threshold the
+ * tiers come closest to, for clients that only read those.
+ *
+ * @async
+ * @param {Object} data
+ * @param {string} data.name
+ * @param {number|null} data.ownerId - null for platform policies
+ * @param {Object[]} data.tiers - Normalized tiers
+ * @param {Object} data.threshold - { hoursBeforeStart, refundPercentage }
+ * @returns {Promise<number>} The inserted policy ID
+ */
+export const createPolicy = async ({ name, ownerId, tiers, threshold }) => {
+  const [result] = await pool.execute(
+    `INSERT INTO cancellation_policies (name, owner_id, tiers, hours_before_start, refund_percentage)
+     VALUES (?, ?, ?, ?, ?)`,
+    [name, ownerId, JSON.stringify(tiers), threshold.hoursBeforeStart, threshold.refundPercentage]
+  );
+  return result.insertId;
+};
+
+/**
+ * Update a policy. Bookings keep the tiers they were made with.
+ *
+ * @async
+ * @param {number} policyId
+ * @param {Object} data
+ * @param {string} data.name
+ * @param {Object[]} data.tiers - Normalized tiers
+ * @param {Object} data.threshold - { hoursBeforeStart, refundPercentage }
+ * @param {boolean} data.isActive
+ * @returns {Promise<void>}
+ */
+export const updatePolicy = async (policyId, { name, tiers, threshold, isActive }) => {
+  await pool.execute(
+    `UPDATE cancellation_policies
+     SET name = ?, tiers = ?, hours_before_start = ?, refund_percentage = ?, is_active = ?
+     WHERE policy_id = ?`,
+    [name, JSON.stringify(tiers), threshold.hoursBeforeStart, threshold.refundPercentage, isActive ? 1 : 0, policyId]
+  );
+};
@@ -0,0 +1,209 @@
+/**
+ * Promo Repository
+ *
+ * Data access layer for promo codes and their redemptions.
+ *
+ * Redemption status flow: RESERVED -> REDEEMED or RELEASED; wallet
+ * checkouts are written as REDEEMED directly.
+ *
+ * @module repositories/PromoRepository
+ */
+
+import pool from "../config/dbconnection.js";
+
+/** Redemptions that count towards usage limits */
+const COUNTED_REDEMPTION = "(pr.status = 'REDEEMED' OR (pr.status = 'RESERVED' AND pr.expires_at > UTC_TIMESTAMP()))";
+
+/**
+ * Create a promo code
+ *
+ * @async
+ * @param {Object} data
+ * @param {string} data.code - Upper-case code
+ * @param {number|null} data.ownerId - Owner funding the code, null for platform codes
+ * @param {number|null} [data.userId] - The only player who may use the code
+ * @param {number|null} data.venueId
+ * @param {number|null} data.sportId
+ * @param {string} data.discountType - 'PERCENT' or 'FIXED'
+ * @param {number} data.discountValue
+ * @param {number|null} data.maxDiscount
+ * @param {number} data.minSpend
+ * @param {number|null} data.maxUses
+ * @param {number|null} data.maxUsesPerUser
+ * @param {string} data.validFrom - UTC MySQL DateTime
+ * @param {string|null} data.validUntil - UTC MySQL DateTime
+ * @param {number} data.createdBy
+ * @returns {Promise<number>} The inserted promo ID
+ */
+export const createPromo = async ({
+  code, ownerId, userId = null, venueId, sportId, discountType, discountValue, maxDiscount,
+  minSpend, maxUses, maxUsesPerUser, validFrom, validUntil, createdBy
+}) => {
+  const [result] = await pool.execute(
+    `INSERT INTO promo_codes
+     (code, owner_id, user_id, venue_id, sport_id, discount_type, discount_value, max_discount, min_spend,
+      max_uses, max_uses_per_user, valid_from, valid_until, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [code, ownerId, userId, venueId, sportId, discountType, discountValue, maxDiscount, minSpend,
+      maxUses, maxUsesPerUser, validFrom, validUntil, createdBy]
+  );
+  return result.insertId;
+};
+
+/**
+ * Get a promo code by its code
+ *
+ * @async
+ * @param {string} code - Upper-case code
+ * @param {Object} [connection] - Optional connection; locks the row when given
+ * @returns {Promise<Object|null>} Promo code
+ */
+export const getPromoByCode = async (code, connection = null) => {
+  const db = connection || pool;
+  const [rows] = await db.execute(
+    `SELECT * FROM promo_codes WHERE code = ?${connection ? " FOR UPDATE" : ""}`,
+    [code]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Get a promo code by ID
+ *
+ * @async
+ * @param {number} promoId - Promo ID
+ * @returns {Promise<Object|null>} Promo code
+ */
+export const getPromoById = async (promoId) => {
+  const [rows] = await pool.execute(
+    "SELECT * FROM promo_codes WHERE promo_id = ?",
+    [promoId]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * List promo codes with their usage, newest first
+ *
+ * @async
+ * @param {number|null} ownerId - Owner whose codes to list, or null for platform codes
+ * @returns {Promise<Object[]>} Promo codes with times_used and total_discount
+ */
+export const getPromos = async (ownerId) => {
+  const [rows] = await pool.execute(
+    `SELECT p.*, v.name AS venue_name,
+            COUNT(pr.redemption_id) AS times_used,
+            COALESCE(SUM(pr.discount_amount), 0) AS total_discount
+     FROM promo_codes p
+     LEFT JOIN venues v ON p.venue_id = v.venue_id
+     LEFT JOIN promo_redemptions pr ON pr.promo_id = p.promo_id AND pr.status = 'REDEEMED'
+     WHERE p.owner_id <=> ?
+     GROUP BY p.promo_id
+     ORDER BY p.created_at DESC`,
+    [ownerId]
+  );
+  return rows.map(r => ({ ...r, times_used: Number(r.times_used), total_discount: Number(r.total_discount) }));
+};
+
+/**
+ * Update the editable fields of a promo code
+ *
+ * @async
+ * @param {number} promoId - Promo ID
+ * @param {Object} changes
+ * @param {boolean} changes.isActive
+ * @param {string|null} changes.validUntil - UTC MySQL DateTime
+ * @param {number|null} changes.maxUses
+ * @param {number|null} changes.maxUsesPerUser
+ * @returns {Promise<void>}
+ */
+export const updatePromo = async (promoId, { isActive, validUntil, maxUses, maxUsesPerUser }) => {
+  await pool.execute(
+    `UPDATE promo_codes
+     SET is_active = ?, valid_until = ?, max_uses = ?, max_uses_per_user = ?
+     WHERE promo_id = ?`,
+    [isActive ? 1 : 0, validUntil, maxUses, maxUsesPerUser, promoId]
+  );
+};
+
+/**
+ * Count the uses of a promo code, in total and by one user
+ *
+ * @async
+ * @param {number} promoId - Promo ID
+ * @param {number} userId - User
+ * @param {Object} [connection] - Optional database connection/transaction
+ * @returns {Promise<{total: number, byUser: number}>}
+ */
+export const countRedemptions = async (promoId, userId, connection = null) => {
+  const db = connection || pool;
+  const [rows] = await db.execute(
+    `SELECT COUNT(*) AS total, COALESCE(SUM(pr.user_id = ?), 0) AS by_user
+     FROM promo_redemptions pr
+     WHERE pr.promo_id = ? AND ${COUNTED_REDEMPTION}`,
+    [userId, promoId]
+  );
+  return { total: Number(rows[0].total), byUser: Number(rows[0].by_user) };
+};
+
+/**
+ * Record a use of a promo code
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {Object} data
+ * @param {number} data.promoId
+ * @param {number} data.userId
+ * @param {number} data.discountAmount - Discount across the whole checkout
+ * @param {string} data.status - 'RESERVED' or 'REDEEMED'
+ * @param {string|null} [data.reference] - Payment reference
+ * @param {string|null} [data.expiresAt] - When a reservation lapses (UTC MySQL DateTime)
+ * @returns {Promise<number>} The inserted redemption ID
+ */
+export const createRedemption = async (conn, { promoId, userId, discountAmount, status, reference = null, expiresAt = null }) => {
+  const [result] = await conn.execute(
+    `INSERT INTO promo_redemptions (promo_id, user_id, discount_amount, status, reference, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [promoId, userId, discountAmount, status, reference, expiresAt]
+  );
+  return result.insertId;
+};
+
+/**
+ * Move a reservation to REDEEMED or RELEASED
+ *
+ * @async
+ * @param {number} redemptionId - Redemption ID
+ * @param {string} status - 'REDEEMED' or 'RELEASED'
+ * @param {string|null} reference - Payment reference
+ * @param {Object} [connection] - Optional database connection/transaction
+ * @returns {Promise<boolean>} False if the redemption was not RESERVED
+ */
+export const closeReservation = async (redemptionId, status, reference, connection = null) => {
+  const db = connection || pool;
+  const [result] = await db.execute(
+    `UPDATE promo_redemptions SET status = ?, reference = COALESCE(?, reference)
+     WHERE redemption_id = ? AND status = 'RESERVED'`,
+    [status, reference, redemptionId]
+  );
+  return result.affectedRows > 0;
+};
+
+/**
+ * Record the promo discount on a booking
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {number} bookingId - Booking ID
+ * @param {Object} discount
+ * @param {number} discount.promoId
+ * @param {number} discount.amount - Discount on this booking
+ * @param {string} discount.fundedBy - 'OWNER' or 'PLATFORM'
+ * @returns {Promise<void>}
+ */
+export const setBookingDiscount = async (conn, bookingId, { promoId, amount, fundedBy }) => {
+  await conn.execute(
+    "UPDATE bookings SET promo_id = ?, discount_amount = ?, discount_funded_by = ? WHERE booking_id = ?",
+    [promoId, amount, fundedBy, bookingId]
+  );
+};
@@ -0,0 +1,220 @@
+/**
+ * Referral Repository
+ *
+ * Data access layer for referral codes, referrals and the device and card
+ * records used to spot self-referrals.
+ *
+ * Referral status flow: PENDING -> REWARDED or REJECTED
+ *
+ * @module repositories/ReferralRepository
+ */
+
+import pool from "../config/dbconnection.js";
+
+/**
+ * Find a user by referral code
+ *
+ * @async
+ * @param {string} code - Upper-case code
+ * @returns {Promise<Object|null>} User (user_id, email, account_type)
+ */
+export const findUserByReferralCode = async (code) => {
+  const [rows] = await pool.execute(
+    "SELECT user_id, email, account_type FROM users WHERE referral_code = ?",
+    [code]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Get a user's referral code
+ *
+ * @async
+ * @param {number} userId
+ * @returns {Promise<string|null>} Code, or null if none assigned yet
+ */
+export const getReferralCode = async (userId) => {
+  const [rows] = await pool.execute(
+    "SELECT referral_code FROM users WHERE user_id = ?",
+    [userId]
+  );
+  return rows[0]?.referral_code || null;
+};
+
+/**
+ * Give a user a referral code if they have none
+ *
+ * @async
+ * @param {number} userId
+ * @param {string} code
+ * @returns {Promise<boolean>} False if the user already had a code
+ * @throws {Error} ER_DUP_ENTRY if another user has the code
+ */
+export const setReferralCode = async (userId, code) => {
+  const [result] = await pool.execute(
+    "UPDATE users SET referral_code = ? WHERE user_id = ? AND referral_code IS NULL",
+    [code, userId]
+  );
+  return result.affectedRows > 0;
+};
+
+/**
+ * Attribute a signup to a referrer
+ *
+ * @async
+ * @param {Object} data
+ * @param {number} data.referrerId
+ * @param {number} data.referredUserId
+ * @param {string} data.source - 'CODE' or 'INVITE'
+ * @returns {Promise<void>}
+ */
+export const createReferral = async ({ referrerId, referredUserId, source }) => {
+  await pool.execute(
+    `INSERT IGNORE INTO referrals (referrer_id, referred_user_id, source)
+     VALUES (?, ?, ?)`,
+    [referrerId, referredUserId, source]
+  );
+};
+
+/**
+ * Get PENDING referrals whose referred player has a completed booking they
+ * paid for, with the first such booking
+ *
+ * @async
+ * @param {number} [limit=100]
+ * @returns {Promise<Object[]>} Referrals with both emails and the booking's end
+ */
+export const getQualifiedReferrals = async (limit = 100) => {
+  const [rows] = await pool.query(
+    `SELECT r.referral_id, r.referrer_id, r.referred_user_id,
+            ru.email AS referrer_email, nu.email AS referred_email, nu.full_name AS referred_name,
+            fb.booking_id, b.booking_end
+     FROM referrals r
+     JOIN users ru ON r.referrer_id = ru.user_id
+     JOIN users nu ON r.referred_user_id = nu.user_id
+     JOIN (
+       SELECT bp.user_id, MIN(b.booking_id) AS booking_id
+       FROM booking_participants bp
+       JOIN bookings b ON bp.booking_id = b.booking_id
+       WHERE bp.payment_status = 'PAID' AND b.status = 'COMPLETED'
+       GROUP BY bp.user_id
+     ) fb ON fb.user_id = r.referred_user_id
+     JOIN bookings b ON b.booking_id = fb.booking_id
+     WHERE r.status = 'PENDING'
+     ORDER BY r.referral_id ASC
+     LIMIT ?`,
+    [limit]
+  );
+  return rows;
+};
+
+/**
+ * Settle a PENDING referral
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {number} referralId
+ * @param {Object} outcome
+ * @param {string} outcome.status - 'REWARDED' or 'REJECTED'
+ * @param {string|null} [outcome.reason] - Rejection reason
+ * @param {number} outcome.bookingId - Qualifying booking
+ * @returns {Promise<boolean>} False if it was settled meanwhile
+ */
+export const settleReferral = async (conn, referralId, { status, reason = null, bookingId }) => {
+  const [result] = await conn.execute(
+    `UPDATE referrals
+     SET status = ?, rejection_reason = ?, qualifying_booking_id = ?, settled_at = UTC_TIMESTAMP()
+     WHERE referral_id = ? AND status = 'PENDING'`,
+    [status, reason, bookingId, referralId]
+  );
+  return result.affectedRows > 0;
+};
+
+/**
+ * Get the players a user referred, newest first
+ *
+ * @async
+ * @param {number} referrerId
+ * @returns {Promise<Object[]>} Referrals with the referred player's name
+ */
+export const getReferralsByReferrer = async (referrerId) => {
+  const [rows] = await pool.execute(
+    `SELECT r.referral_id, r.source, r.status, r.rejection_reason, r.created_at, r.settled_at,
+            u.full_name AS referred_name
+     FROM referrals r
+     JOIN users u ON r.referred_user_id = u.user_id
+     WHERE r.referrer_id = ?
+     ORDER BY r.created_at DESC, r.referral_id DESC`,
+    [referrerId]
+  );
+  return rows;
+};
+
+/**
+ * Record a device a user signed up or logged in from
+ *
+ * @async
+ * @param {number} userId
+ * @param {string} deviceId
+ * @returns {Promise<void>}
+ */
+export const recordDevice = async (userId, deviceId) => {
+  await pool.execute(
+    `INSERT INTO user_devices (user_id, device_id) VALUES (?, ?)
+     ON DUPLICATE KEY UPDATE last_seen_at = UTC_TIMESTAMP()`,
+    [userId, deviceId]
+  );
+};
+
+/**
+ * Record the fingerprint of a card a user paid with
+ *
+ * @async
+ * @param {number} userId
+ * @param {string} fingerprint - Stripe card fingerprint
+ * @returns {Promise<void>}
+ */
+export const recordPaymentMethod = async (userId, fingerprint) => {
+  await pool.execute(
+    "INSERT IGNORE INTO user_payment_methods (user_id, fingerprint) VALUES (?, ?)",
+    [userId, fingerprint]
+  );
+};
+
+/**
+ * Check whether two users have used the same device
+ *
+ * @async
+ * @param {number} userA
+ * @param {number} userB
+ * @returns {Promise<boolean>}
+ */
+export const shareDevice = async (userA, userB) => {
+  const [rows] = await pool.execute(
+    `SELECT 1 FROM user_devices a
+     JOIN user_devices b ON a.device_id = b.device_id
+     WHERE a.user_id = ? AND b.user_id = ?
+     LIMIT 1`,
+    [userA, userB]
+  );
+  return rows.length > 0;
+};
+
+/**
+ * Check whether two users have paid with the same card
+ *
+ * @async
+ * @param {number} userA
+ * @param {number} userB
+ * @returns {Promise<boolean>}
+ */
+export const sharePaymentMethod = async (userA, userB) => {
+  const [rows] = await pool.execute(
+    `SELECT 1 FROM user_payment_methods a
+     JOIN user_payment_methods b ON a.fingerprint = b.fingerprint
+     WHERE a.user_id = ? AND b.user_id = ?
+     LIMIT 1`,
+    [userA, userB]
+  );
+  return rows.length > 0;
+};
@@ -0,0 +1,109 @@
+/**
+ * Reschedule Repository
+ *
+ * Data access layer for booking reschedules and their price settlement.
+ *
+ * A reschedule paid from the wallet is COMPLETED straight away. One paid by
+ * card is PENDING until its checkout completes (COMPLETED) or the session
+ * expires (EXPIRED).
+ *
+ * @module repositories/RescheduleRepository
+ */
+
+import pool from "../config/dbconnection.js";
+
+/**
+ * Record a reschedule
+ *
+ * @async
+ * @param {Object} data
+ * @param {number} data.bookingId
+ * @param {number} data.requestedBy - Player who rescheduled
+ * @param {Object} data.from - { courtId, startStr, endStr } before the move
+ * @param {Object} data.to - { courtId, startStr, endStr } after the move
+ * @param {number} data.priceDifference - New list price less the old one
+ * @param {number} data.fee - Venue reschedule fee
+ * @param {string} data.paymentMethod - 'WALLET' or 'CARD'
+ * @param {string} data.status - 'PENDING' or 'COMPLETED'
+ * @param {string} [data.sessionId] - Stripe session ID, for card payments
+ * @param {Object} [connection] - Optional database connection/transaction
+ * @returns {Promise<number>} The inserted reschedule ID
+ */
+export const createReschedule = async ({ bookingId, requestedBy, from, to, priceDifference, fee, paymentMethod, status, sessionId = null }, connection = null) => {
+  const db = connection || pool;
+  const [result] = await db.execute(
+    `INSERT INTO booking_reschedules
+     (booking_id, requested_by, from_court_id, from_start, from_end, court_id, booking_start, booking_end,
+      price_difference, fee, payment_method, status, checkout_session_id, completed_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, IF(? = 'COMPLETED', UTC_TIMESTAMP(), NULL))`,
+    [
+      bookingId, requestedBy, from.courtId, from.startStr, from.endStr, to.courtId, to.startStr, to.endStr,
+      priceDifference, fee, paymentMethod, status, sessionId, status
+    ]
+  );
+  return result.insertId;
+};
+
+/**
+ * Lock the reschedule of a Stripe session
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {string} sessionId - Stripe session ID
+ * @returns {Promise<Object|null>} Reschedule
+ */
+export const lockRescheduleBySession = async (conn, sessionId) => {
+  const [rows] = await conn.execute(
+    "SELECT * FROM booking_reschedules WHERE checkout_session_id = ? FOR UPDATE",
+    [sessionId]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Check whether a booking has a card reschedule awaiting payment
+ *
+ * @async
+ * @param {number} bookingId
+ * @returns {Promise<boolean>}
+ */
+export const hasPendingReschedule = async (bookingId) => {
+  const [rows] = await pool.execute(
+    "SELECT 1 FROM booking_reschedules WHERE booking_id = ? AND status = 'PENDING' LIMIT 1",
+    [bookingId]
+  );
+  return rows.length > 0;
+};
+
+/**
+ * Set the status of a reschedule
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {number} rescheduleId
+ * @param {string} status - 'COMPLETED' or 'EXPIRED'
+ * @returns {Promise<void>}
+ */
+export const updateRescheduleStatus = async (conn, rescheduleId, status) => {
+  await conn.execute(
+    `UPDATE booking_reschedules
+     SET status = ?, completed_at = IF(? = 'COMPLETED', UTC_TIMESTAMP(), completed_at)
+     WHERE reschedule_id = ?`,
+    [status, status, rescheduleId]
+  );
+};
+
+/**
+ * Count a completed reschedule against the venue's limit
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {number} bookingId
+ * @returns {Promise<void>}
+ */
+export const incrementRescheduleCount = async (conn, bookingId) => {
+  await conn.execute(
+    "UPDATE bookings SET reschedule_count = reschedule_count + 1 WHERE booking_id = ?",
+    [bookingId]
+  );
+};
@@ -0,0 +1,192 @@
+/**
+ * Series Repository
+ *
+ * Data access layer for recurring player booking series.
+ *
+ * Each occurrence of a series is a regular booking with bookings.series_id
+ * set; this repository stores the series itself and finds its occurrences.
+ *
+ * @module repositories/SeriesRepository
+ */
+
+import pool from "../config/dbconnection.js";
+
+/**
+ * Create a booking series
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {Object} data - Series data
+ * @param {number} data.userId - Player who owns the series
+ * @param {number} data.venueId - Venue ID
+ * @param {number} data.sportId - Sport ID
+ * @param {number|null} data.courtId - Preferred court
+ * @param {string} data.startTime - HH:MM (IST)
+ * @param {number} data.hours - Duration of each occurrence
+ * @param {string} data.frequency - 'WEEKLY' or 'FORTNIGHTLY'
+ * @param {string} data.startDate - YYYY-MM-DD
+ * @param {string} data.endDate - YYYY-MM-DD
+ * @param {string} data.paymentMode - 'UPFRONT' or 'PER_OCCURRENCE'
+ * @returns {Promise<number>} The inserted series ID
+ */
+export const createSeries = async (conn, {
+  userId,
+  venueId,
+  sportId,
+  courtId,
+  startTime,
+  hours,
+  frequency,
+  startDate,
+  endDate,
+  paymentMode
+}) => {
+  const [result] = await conn.execute(
+    `INSERT INTO booking_series
+     (user_id, venue_id, sport_id, court_id, start_time, hours, frequency, start_date, end_date, payment_mode, status)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'ACTIVE')`,
+    [userId, venueId, sportId, courtId, startTime, hours, frequency, startDate, endDate, paymentMode]
+  );
+  return result.insertId;
+};
+
+/**
+ * Get a series by ID
+ *
+ * @async
+ * @param {number} seriesId - Series ID
+ * @returns {Promise<Object|null>} Series with venue, sport and court names
+ */
+export const getSeriesById = async (seriesId) => {
+  const [rows] = await pool.execute(
+    `SELECT bs.*, v.name AS venue_name, s.name AS sport_name, c.name AS court_name
+     FROM booking_series bs
+     JOIN venues v ON bs.venue_id = v.venue_id
+     LEFT JOIN sports s ON bs.sport_id = s.sport_id
+     LEFT JOIN courts c ON bs.court_id = c.court_id
+     WHERE bs.series_id = ?`,
+    [seriesId]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Get a player's series, newest first
+ *
+ * @async
+ * @param {number} userId - Player
+ * @returns {Promise<Object[]>} Series with their upcoming occurrence count
+ */
+export const getUserSeries = async (userId) => {
+  const [rows] = await pool.execute(
+    `SELECT bs.*, v.name AS venue_name, s.name AS sport_name, c.name AS court_name,
+            (SELECT COUNT(*) FROM bookings b
+             WHERE b.series_id = bs.series_id
+             AND b.status IN ('CONFIRMED', 'PENDING')
+             AND b.booking_start > UTC_TIMESTAMP()) AS upcoming_occurrences
+     FROM booking_series bs
+     JOIN venues v ON bs.venue_id = v.venue_id
+     LEFT JOIN sports s ON bs.sport_id = s.sport_id
+     LEFT JOIN courts c ON bs.court_id = c.court_id
+     WHERE bs.user_id = ?
+     ORDER BY bs.created_at DESC`,
+    [userId]
+  );
+  return rows.map(r => ({ ...r, upcoming_occurrences: Number(r.upcoming_occurrences) }));
+};
+
+/**
+ * Get the occurrences of a series in date order
+ *
+ * @async
+ * @param {number} seriesId - Series ID
+ * @param {boolean} [upcomingOnly=false] - Only active occurrences that have not started
+ * @returns {Promise<Object[]>} Bookings with court names
+ */
+export const getSeriesBookings = async (seriesId, upcomingOnly = false) => {
+  const filter = upcomingOnly
+    ? "AND b.status IN ('CONFIRMED', 'PENDING') AND b.booking_start > UTC_TIMESTAMP()"
+    : "";
+  const [rows] = await pool.execute(
+    `SELECT b.booking_id, b.venue_id, b.court_id, b.sport_id, b.booking_start, b.booking_end,
+            b.total_amount, b.status, c.name AS court_name
+     FROM bookings b
+     LEFT JOIN courts c ON b.court_id = c.court_id
+     WHERE b.series_id = ?
+     ${filter}
+     ORDER BY b.booking_start ASC`,
+    [seriesId]
+  );
+  return rows;
+};
+
+/**
+ * Set the status of a series
+ *
+ * @async
+ * @param {number} seriesId - Series ID
+ * @param {string} status - 'ACTIVE' or 'CANCELLED'
+ * @returns {Promise<void>}
+ */
+export const updateSeriesStatus = async (seriesId, status) => {
+  await pool.execute(
+    "UPDATE booking_series SET status = ? WHERE series_id = ?",
+    [status, seriesId]
+  );
+};
+
+/**
+ * Set the start time of a series after it was rescheduled
+ *
+ * @async
+ * @param {number} seriesId - Series ID
+ * @param {string} startTime - HH:MM (IST)
+ * @returns {Promise<void>}
+ */
+export const updateSeriesStartTime = async (seriesId, startTime) => {
+  await pool.execute(
+    "UPDATE booking_series SET start_time = ? WHERE series_id = ?",
+    [startTime, seriesId]
+  );
+};
+
+/**
+ * Get unpaid occurrences of pay-per-occurrence series that start within
+ * the given number of hours
+ *
+ * @async
+ * @param {number} hoursAhead - Charge window before the start
+ * @returns {Promise<Object[]>} Bookings with the series, player and venue owner
+ */
+export const getDueOccurrences = async (hoursAhead) => {
+  const [rows] = await pool.execute(
+    `SELECT b.booking_id, b.series_id, b.venue_id, b.booking_start, b.booking_end, b.total_amount,
+            bs.user_id, v.name AS venue_name, v.owner_id
+     FROM bookings b
+     JOIN booking_series bs ON b.series_id = bs.series_id
+     JOIN venues v ON b.venue_id = v.venue_id
+     WHERE b.status = 'PENDING'
+     AND bs.payment_mode = 'PER_OCCURRENCE'
+     AND b.booking_start <= DATE_ADD(UTC_TIMESTAMP(), INTERVAL ? HOUR)
+     AND b.booking_start > UTC_TIMESTAMP()
+     ORDER BY b.booking_start ASC`,
+    [hoursAhead]
+  );
+  return rows;
+};
+
+/**
+ * Confirm an occurrence that has been paid from the wallet
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {number} bookingId - Booking ID
+ * @param {number} amount - Amount paid from the wallet
+ * @returns {Promise<void>}
+ */
+export const markOccurrencePaid = async (conn, bookingId, amount) => {
+  await conn.execute(
+    "UPDATE bookings SET status = 'CONFIRMED', points_used = ? WHERE booking_id = ?",
+    [amount, bookingId]
+  );
+};
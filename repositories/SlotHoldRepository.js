@@ -0,0 +1,126 @@
+/**
+ * Slot Hold Repository
+ *
+ * Data access layer for temporary court holds taken while a player
+ * completes Stripe checkout.
+ *
+ * A hold is PENDING until its checkout completes (CONVERTED) or it
+ * expires / the session is abandoned (RELEASED). Only PENDING holds
+ * whose expires_at is in the future block availability.
+ *
+ * @module repositories/SlotHoldRepository
+ */
+
+import pool from "../config/dbconnection.js";
+
+/**
+ * Create a PENDING hold on a court for a time range
+ *
+ * Should be called within a transaction.
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {Object} data - Hold data
+ * @param {number} data.venueId - Venue ID
+ * @param {number} data.courtId - Court ID
+ * @param {number} data.sportId - Sport ID
+ * @param {number} data.userId - Player holding the slot
+ * @param {string} data.holdStart - Start datetime (YYYY-MM-DD HH:MM:SS, UTC)
+ * @param {string} data.holdEnd - End datetime (YYYY-MM-DD HH:MM:SS, UTC)
+ * @param {string} data.expiresAt - Expiry datetime (YYYY-MM-DD HH:MM:SS, UTC)
+ * @returns {Promise<number>} The inserted hold ID
+ */
+export const createHold = async (conn, { venueId, courtId, sportId = null, userId, holdStart, holdEnd, expiresAt }) => {
+  const [result] = await conn.execute(
+    `INSERT INTO slot_holds
+     (venue_id, court_id, sport_id, user_id, hold_start, hold_end, status, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, 'PENDING', ?)`,
+    [venueId, courtId, sportId, userId, holdStart, holdEnd, expiresAt]
+  );
+  return result.insertId;
+};
+
+/**
+ * Link holds to the Stripe Checkout Session that pays for them
+ *
+ * @async
+ * @param {number[]} holdIds - Hold IDs
+ * @param {string} sessionId - Stripe session ID
+ * @returns {Promise<void>}
+ */
+export const attachHoldsToSession = async (holdIds, sessionId) => {
+  if (!holdIds || holdIds.length === 0) return;
+
+  const placeholders = holdIds.map(() => '?').join(',');
+  await pool.execute(
+    `UPDATE slot_holds SET checkout_session_id = ? WHERE hold_id IN (${placeholders})`,
+    [sessionId, ...holdIds]
+  );
+};
+
+/**
+ * Release PENDING holds by ID
+ *
+ * @async
+ * @param {number[]} holdIds - Hold IDs
+ * @param {Object} [connection] - Optional database connection/transaction
+ * @returns {Promise<void>}
+ */
+export const releaseHolds = async (holdIds, connection = null) => {
+  if (!holdIds || holdIds.length === 0) return;
+
+  const db = connection || pool;
+  const placeholders = holdIds.map(() => '?').join(',');
+  await db.execute(
+    `UPDATE slot_holds SET status = 'RELEASED' WHERE status = 'PENDING' AND hold_id IN (${placeholders})`,
+    holdIds
+  );
+};
+
+/**
+ * Get the holds of a checkout session that did not become bookings
+ *
+ * @async
+ * @param {Object} conn - Database connection
+ * @param {string} sessionId - Stripe session ID
+ * @returns {Promise<Object[]>} { venue_id, court_id, hold_start, hold_end }
+ */
+export const getUnconvertedSessionHolds = async (conn, sessionId) => {
+  const [rows] = await conn.execute(
+    `SELECT venue_id, court_id, hold_start, hold_end
+     FROM slot_holds
+     WHERE checkout_session_id = ? AND status IN ('PENDING', 'RELEASED')`,
+    [sessionId]
+  );
+  return rows;
+};
+
+/**
+ * Set the final status of all PENDING holds of a checkout session
+ *
+ * @async
+ * @param {Object} conn - Database connection
+ * @param {string} sessionId - Stripe session ID
+ * @param {string} status - 'CONVERTED' or 'RELEASED'
+ * @returns {Promise<number>} Number of holds updated
+ */
+export const closeSessionHolds = async (conn, sessionId, status) => {
+  const [result] = await conn.execute(
+    "UPDATE slot_holds SET status = ? WHERE checkout_session_id = ? AND status = 'PENDING'",
+    [status, sessionId]
+  );
+  return result.affectedRows;
+};
+
+/**
+ * Release every PENDING hold whose expiry has passed
+ *
+ * @async
+ * @returns {Promise<number>} Number of holds released
+ */
+export const releaseExpiredHolds = async () => {
+  const [result] = await pool.execute(
+    "UPDATE slot_holds SET status = 'RELEASED' WHERE status = 'PENDING' AND expires_at <= UTC_TIMESTAMP()"
+  );
+  return result.affectedRows;
+};
@@ -0,0 +1,384 @@
+/**
+ * Split Payment Repository
+ *
+ * Data access layer for split shares, invitations and payment deadlines.
+ *
+ * A share belongs to a booking participant, identified by booking_id and
+ * either user_id (registered players) or guest_email (invited guests).
+ *
+ * @module repositories/SplitPaymentRepository
+ */
+
+import pool from "../config/dbconnection.js";
+
+/**
+ * Set the payment deadline of a split booking
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {number} bookingId - Booking ID
+ * @param {string} deadline - UTC datetime
+ * @param {string} action - 'INITIATOR_COVERS', 'REASSIGN' or 'CANCEL'
+ * @returns {Promise<void>}
+ */
+export const setSplitDeadline = async (conn, bookingId, deadline, action) => {
+  await conn.execute(
+    "UPDATE bookings SET split_deadline = ?, split_deadline_action = ? WHERE booking_id = ?",
+    [deadline, action, bookingId]
+  );
+};
+
+/**
+ * Get unpaid invitee shares whose deadline is within the given hours
+ *
+ * @async
+ * @param {number} hoursAhead - Look-ahead window
+ * @returns {Promise<Object[]>} Shares with the payer's email and venue name
+ */
+export const getSharesDueSoon = async (hoursAhead) => {
+  const [rows] = await pool.execute(
+    `SELECT bp.booking_id, bp.user_id, bp.guest_email, bp.invite_token, bp.share_amount, bp.reminders_sent,
+            COALESCE(u.email, bp.guest_email) AS email,
+            b.split_deadline, v.name AS venue_name
+     FROM booking_participants bp
+     JOIN bookings b ON bp.booking_id = b.booking_id
+     JOIN venues v ON b.venue_id = v.venue_id
+     LEFT JOIN users u ON bp.user_id = u.user_id
+     WHERE bp.is_initiator = 0
+     AND bp.payment_status = 'PENDING'
+     AND bp.invite_status IN ('INVITED', 'ACCEPTED')
+     AND b.status = 'CONFIRMED'
+     AND b.split_deadline > UTC_TIMESTAMP()
+     AND b.split_deadline <= DATE_ADD(UTC_TIMESTAMP(), INTERVAL ? HOUR)`,
+    [hoursAhead]
+  );
+  return rows;
+};
+
+/**
+ * Record how many reminders have been sent for a share
+ *
+ * @async
+ * @param {Object} share - { booking_id, user_id, guest_email }
+ * @param {number} count - Reminders sent so far
+ * @returns {Promise<void>}
+ */
+export const setRemindersSent = async ({ booking_id, user_id, guest_email }, count) => {
+  await pool.execute(
+    `UPDATE booking_participants SET reminders_sent = ?
+     WHERE booking_id = ? AND user_id <=> ? AND guest_email <=> ?`,
+    [count, booking_id, user_id, guest_email]
+  );
+};
+
+/**
+ * Get confirmed split bookings past their deadline with unpaid shares
+ *
+ * @async
+ * @returns {Promise<Object[]>} Bookings with the initiator and venue name
+ */
+export const getExpiredSplitBookings = async () => {
+  const [rows] = await pool.execute(
+    `SELECT b.booking_id, b.created_by, b.booking_start, b.split_deadline, b.split_deadline_action,
+            v.name AS venue_name
+     FROM bookings b
+     JOIN venues v ON b.venue_id = v.venue_id
+     WHERE b.status = 'CONFIRMED'
+     AND b.split_deadline <= UTC_TIMESTAMP()
+     AND EXISTS (
+       SELECT 1 FROM booking_participants bp
+       WHERE bp.booking_id = b.booking_id AND bp.is_initiator = 0 AND bp.payment_status = 'PENDING'
+     )
+     ORDER BY b.split_deadline ASC`
+  );
+  return rows;
+};
+
+/**
+ * Lock a split booking and read its deadline
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {number} bookingId - Booking ID
+ * @returns {Promise<Object|null>} { status, split_deadline, split_deadline_action }
+ */
+export const lockSplitBooking = async (conn, bookingId) => {
+  const [rows] = await conn.execute(
+    "SELECT status, split_deadline, split_deadline_action FROM bookings WHERE booking_id = ? FOR UPDATE",
+    [bookingId]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Get the unpaid invitee shares of a booking
+ *
+ * @async
+ * @param {number} bookingId - Booking ID
+ * @param {Object} [connection] - Optional database connection/transaction
+ * @returns {Promise<Object[]>} Shares with the payer's name and email
+ */
+export const getUnpaidShares = async (bookingId, connection = null) => {
+  const db = connection || pool;
+  const [rows] = await db.execute(
+    `SELECT bp.user_id, bp.guest_email, bp.share_amount,
+            COALESCE(u.email, bp.guest_email) AS email,
+            COALESCE(u.full_name, bp.guest_email) AS name
+     FROM booking_participants bp
+     LEFT JOIN users u ON bp.user_id = u.user_id
+     WHERE bp.booking_id = ? AND bp.is_initiator = 0 AND bp.payment_status = 'PENDING'`,
+    [bookingId]
+  );
+  return rows;
+};
+
+/**
+ * Move the unpaid invitee shares of a booking onto the initiator's share.
+ * Invitations nobody answered expire.
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {number} bookingId - Booking ID
+ * @param {number} amount - Total of the unpaid shares
+ * @returns {Promise<void>}
+ */
+export const coverUnpaidShares = async (conn, bookingId, amount) => {
+  await conn.execute(
+    `UPDATE booking_participants
+     SET payment_status = 'CANCELLED', invite_token = NULL,
+         invite_status = IF(invite_status = 'INVITED', 'EXPIRED', invite_status)
+     WHERE booking_id = ? AND is_initiator = 0 AND payment_status = 'PENDING'`,
+    [bookingId]
+  );
+  await conn.execute(
+    "UPDATE booking_participants SET share_amount = share_amount + ? WHERE booking_id = ? AND is_initiator = 1",
+    [amount, bookingId]
+  );
+};
+
+/**
+ * Find a participant of a booking by email
+ *
+ * @async
+ * @param {number} bookingId - Booking ID
+ * @param {string} email - Registered or guest email
+ * @returns {Promise<Object|null>} Participant
+ */
+export const findParticipantByEmail = async (bookingId, email) => {
+  const [rows] = await pool.execute(
+    `SELECT bp.*, COALESCE(u.email, bp.guest_email) AS email
+     FROM booking_participants bp
+     LEFT JOIN users u ON bp.user_id = u.user_id
+     WHERE bp.booking_id = ? AND (u.email = ? OR bp.guest_email = ?)`,
+    [bookingId, email, email]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Hand an unpaid share to another player
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {Object} from - Current participant { booking_id, user_id, guest_email }
+ * @param {Object} to - New payer { userId, guestEmail, inviteToken, inviteExpiresAt }
+ * @returns {Promise<boolean>} False if the share was paid meanwhile
+ */
+export const reassignShare = async (conn, { booking_id, user_id, guest_email }, { userId = null, guestEmail = null, inviteToken = null, inviteExpiresAt = null }) => {
+  const [result] = await conn.execute(
+    `UPDATE booking_participants
+     SET user_id = ?, guest_email = ?, invite_token = ?, invite_expires_at = ?, reminders_sent = 0,
+         invite_status = 'INVITED', responded_at = NULL
+     WHERE booking_id = ? AND user_id <=> ? AND guest_email <=> ?
+     AND is_initiator = 0 AND payment_status = 'PENDING'`,
+    [userId, guestEmail, inviteToken, inviteExpiresAt, booking_id, user_id, guest_email]
+  );
+  return result.affectedRows > 0;
+};
+
+/**
+ * Record how a split booking was divided
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {number} bookingId - Booking ID
+ * @param {string} method - 'EQUAL', 'AMOUNT' or 'WEIGHT'
+ * @returns {Promise<void>}
+ */
+export const setSplitMethod = async (conn, bookingId, method) => {
+  await conn.execute(
+    "UPDATE bookings SET split_method = ? WHERE booking_id = ?",
+    [method, bookingId]
+  );
+};
+
+/**
+ * Get every share of a booking, initiator first
+ *
+ * @async
+ * @param {number} bookingId - Booking ID
+ * @param {Object} [connection] - Optional database connection/transaction
+ * @returns {Promise<Object[]>} Shares with the payer's name and email
+ */
+export const getShares = async (bookingId, connection = null) => {
+  const db = connection || pool;
+  const [rows] = await db.execute(
+    `SELECT bp.user_id, bp.guest_email, bp.share_amount, bp.payment_status, bp.invite_status, bp.is_initiator,
+            COALESCE(u.email, bp.guest_email) AS email,
+            COALESCE(u.full_name, bp.guest_email) AS name
+     FROM booking_participants bp
+     LEFT JOIN users u ON bp.user_id = u.user_id
+     WHERE bp.booking_id = ?
+     ORDER BY bp.is_initiator DESC`,
+    [bookingId]
+  );
+  return rows;
+};
+
+/**
+ * Change the amount of an unpaid invitee share
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {Object} share - { booking_id, user_id, guest_email }
+ * @param {number} amount - New share amount
+ * @returns {Promise<boolean>} False if the share was paid meanwhile
+ */
+export const updateShareAmount = async (conn, { booking_id, user_id, guest_email }, amount) => {
+  const [result] = await conn.execute(
+    `UPDATE booking_participants SET share_amount = ?
+     WHERE booking_id = ? AND user_id <=> ? AND guest_email <=> ?
+     AND is_initiator = 0 AND payment_status = 'PENDING'`,
+    [amount, booking_id, user_id, guest_email]
+  );
+  return result.affectedRows > 0;
+};
+
+/**
+ * Add to (or take from) a share after the booking was repriced, whether or
+ * not it has been paid
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {Object} share - { booking_id, user_id, guest_email }
+ * @param {number} amount - Signed change
+ * @returns {Promise<void>}
+ */
+export const adjustShareAmount = async (conn, { booking_id, user_id, guest_email }, amount) => {
+  await conn.execute(
+    `UPDATE booking_participants SET share_amount = GREATEST(share_amount + ?, 0)
+     WHERE booking_id = ? AND user_id <=> ? AND guest_email <=> ?`,
+    [amount, booking_id, user_id, guest_email]
+  );
+};
+
+/**
+ * Set the initiator's share of a booking
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {number} bookingId - Booking ID
+ * @param {number} amount - New share amount
+ * @returns {Promise<void>}
+ */
+export const setInitiatorShare = async (conn, bookingId, amount) => {
+  await conn.execute(
+    "UPDATE booking_participants SET share_amount = ? WHERE booking_id = ? AND is_initiator = 1",
+    [amount, bookingId]
+  );
+};
+
+/**
+ * Find an invitation by its guest invite token
+ *
+ * @async
+ * @param {string} token - Invite token
+ * @returns {Promise<Object|null>} Participant with the booking, venue and initiator name
+ */
+export const findInvitationByToken = async (token) => {
+  const [rows] = await pool.execute(
+    `SELECT bp.*, b.status AS booking_status, b.booking_start, b.split_deadline, b.created_by,
+            v.name AS venue_name, u.full_name AS initiator_name
+     FROM booking_participants bp
+     JOIN bookings b ON bp.booking_id = b.booking_id
+     JOIN venues v ON b.venue_id = v.venue_id
+     LEFT JOIN users u ON b.created_by = u.user_id
+     WHERE bp.invite_token = ? AND bp.is_initiator = 0`,
+    [token]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Record an invitee's answer to an invitation. A guest's invite token is
+ * used up.
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {Object} share - { booking_id, user_id, guest_email }
+ * @param {string} status - 'ACCEPTED' or 'DECLINED'
+ * @returns {Promise<boolean>} False if the share was paid or settled meanwhile
+ */
+export const setInviteStatus = async (conn, { booking_id, user_id, guest_email }, status) => {
+  const [result] = await conn.execute(
+    `UPDATE booking_participants
+     SET invite_status = ?, responded_at = UTC_TIMESTAMP(), invite_token = NULL
+     WHERE booking_id = ? AND user_id <=> ? AND guest_email <=> ?
+     AND is_initiator = 0 AND payment_status = 'PENDING'`,
+    [status, booking_id, user_id, guest_email]
+  );
+  return result.affectedRows > 0;
+};
+
+/**
+ * Move one unpaid invitee share onto the initiator's share
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {Object} share - { booking_id, user_id, guest_email, share_amount }
+ * @returns {Promise<boolean>} False if the share was paid or settled meanwhile
+ */
+export const coverShare = async (conn, { booking_id, user_id, guest_email, share_amount }) => {
+  const [result] = await conn.execute(
+    `UPDATE booking_participants
+     SET payment_status = 'CANCELLED', invite_token = NULL,
+         invite_status = IF(invite_status = 'INVITED', 'EXPIRED', invite_status)
+     WHERE booking_id = ? AND user_id <=> ? AND guest_email <=> ?
+     AND is_initiator = 0 AND payment_status = 'PENDING'`,
+    [booking_id, user_id, guest_email]
+  );
+  if (result.affectedRows === 0) return false;
+
+  await conn.execute(
+    "UPDATE booking_participants SET share_amount = share_amount + ? WHERE booking_id = ? AND is_initiator = 1",
+    [share_amount, booking_id]
+  );
+  return true;
+};
+
+/**
+ * Withdraw an invitee from a booking: their unpaid or paid share is
+ * cancelled and moves onto the initiator's share
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {Object} share - { booking_id, user_id, guest_email, share_amount }
+ * @returns {Promise<boolean>} False if the share was settled meanwhile
+ */
+export const withdrawShare = async (conn, { booking_id, user_id, guest_email, share_amount }) => {
+  const [result] = await conn.execute(
+    `UPDATE booking_participants
+     SET payment_status = 'CANCELLED', invite_status = 'WITHDRAWN',
+         invite_token = NULL, responded_at = UTC_TIMESTAMP()
+     WHERE booking_id = ? AND user_id <=> ? AND guest_email <=> ?
+     AND is_initiator = 0 AND payment_status IN ('PENDING', 'PAID')`,
+    [booking_id, user_id, guest_email]
+  );
+  if (result.affectedRows === 0) return false;
+
+  await conn.execute(
+    "UPDATE booking_participants SET share_amount = share_amount + ? WHERE booking_id = ? AND is_initiator = 1",
+    [share_amount, booking_id]
+  );
+  return true;
+};
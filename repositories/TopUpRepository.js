@@ -0,0 +1,65 @@
+/**
+ * Top-Up Repository
+ *
+ * Data access layer for wallet top-ups paid through Stripe checkout.
+ *
+ * A top-up is PENDING until its checkout completes (COMPLETED) or the
+ * session expires (EXPIRED).
+ *
+ * @module repositories/TopUpRepository
+ */
+
+import pool from "../config/dbconnection.js";
+
+/**
+ * Record a top-up for a Stripe Checkout Session
+ *
+ * @async
+ * @param {Object} data
+ * @param {number} data.userId - Wallet owner
+ * @param {number} data.amount - Amount to credit
+ * @param {string} data.sessionId - Stripe session ID
+ * @returns {Promise<number>} The inserted top-up ID
+ */
+export const createTopUp = async ({ userId, amount, sessionId }) => {
+  const [result] = await pool.execute(
+    `INSERT INTO wallet_topups (user_id, amount, checkout_session_id, status)
+     VALUES (?, ?, ?, 'PENDING')`,
+    [userId, amount, sessionId]
+  );
+  return result.insertId;
+};
+
+/**
+ * Lock the top-up of a Stripe session
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {string} sessionId - Stripe session ID
+ * @returns {Promise<Object|null>} Top-up
+ */
+export const lockTopUpBySession = async (conn, sessionId) => {
+  const [rows] = await conn.execute(
+    "SELECT * FROM wallet_topups WHERE checkout_session_id = ? FOR UPDATE",
+    [sessionId]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Set the status of a top-up
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {number} topUpId - Top-up ID
+ * @param {string} status - 'COMPLETED' or 'EXPIRED'
+ * @returns {Promise<void>}
+ */
+export const updateTopUpStatus = async (conn, topUpId, status) => {
+  await conn.execute(
+    `UPDATE wallet_topups
+     SET status = ?, completed_at = IF(? = 'COMPLETED', UTC_TIMESTAMP(), completed_at)
+     WHERE topup_id = ?`,
+    [status, status, topUpId]
+  );
+};
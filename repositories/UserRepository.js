@@ -166,3 +166,18 @@ export const findOwnersByCity = async (city, excludeUserId = null) => {
   const [rows] = await connectDB.execute(sql, params);
   return rows;
 };
+
+/**
+ * Count a reported no-show against a player
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {number} userId - Player
+ * @returns {Promise<void>}
+ */
+export const incrementNoShowCount = async (conn, userId) => {
+  await conn.execute(
+    "UPDATE users SET no_show_count = no_show_count + 1 WHERE user_id = ?",
+    [userId]
+  );
+};
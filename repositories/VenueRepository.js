@@ -18,16 +18,6 @@
 
 import connectDB from "../config/dbconnection.js";
 
-/**
- * Get all cancellation policies
- * 
- * @returns {Promise<Array>} List of polices
- */
-export const getAllPolicies = async () => {
-    const [rows] = await connectDB.execute("SELECT * FROM cancellation_policies");
-    return rows;
-};
-
 /**
  * Get all available amenities
  * 
@@ -354,6 +344,7 @@ export const findVenuesBySearch = async (searchText) => {
  * @param {string} venueData.city
  * @param {number} venueData.pricePerHour
  * @param {number} venueData.cancellationPolicyId
+ * @param {Object[]} [venueData.customCancellationTiers] - Normalized tiers
  * @param {number[]} venueData.sportIds
  * @param {number[]} venueData.amenityIds
  * @param {string[]} venueData.imageUrls
@@ -375,6 +366,7 @@ export const createVenue = async (venueData) => {
             customCancellationPolicy,
             customRefundPercentage,
             customHoursBeforeStart,
+            customCancellationTiers,
             sportIds,
             amenityIds,
             imageUrls,
@@ -382,8 +374,8 @@ export const createVenue = async (venueData) => {
 
         // 1. Insert Venue
         const [result] = await conn.execute(
-            `INSERT INTO venues (owner_id, name, description, address, city, price_per_hour, cancellation_policy_id, custom_cancellation_policy, custom_refund_percentage, custom_hours_before_start) 
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            `INSERT INTO venues (owner_id, name, description, address, city, price_per_hour, cancellation_policy_id, custom_cancellation_policy, custom_refund_percentage, custom_hours_before_start, custom_cancellation_tiers) 
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
             [
                 ownerId,
                 name,
@@ -395,6 +387,7 @@ export const createVenue = async (venueData) => {
                 customCancellationPolicy || null,
                 customRefundPercentage || null,
                 customHoursBeforeStart || null,
+                customCancellationTiers ? JSON.stringify(customCancellationTiers) : null,
             ]
         );
         const venueId = result.insertId;
@@ -539,7 +532,7 @@ export const updateReviewReply = async (reviewId, reply) => {
  * @returns {Promise<boolean>} True if updated
  */
 export const updateVenue = async (venueId, updates) => {
-    const validFields = ['name', 'description', 'price_per_hour', 'address', 'city', 'cancellation_policy_id', 'custom_cancellation_policy', 'custom_refund_percentage', 'custom_hours_before_start'];
+    const validFields = ['name', 'description', 'price_per_hour', 'address', 'city', 'cancellation_policy_id', 'custom_cancellation_policy', 'custom_refund_percentage', 'custom_hours_before_start', 'custom_cancellation_tiers', 'refund_destination', 'slot_duration_minutes', 'reschedule_max_count', 'reschedule_cutoff_hours', 'reschedule_fee'];
     const fieldsToUpdate = [];
     const values = [];
 
@@ -550,7 +543,7 @@ export const updateVenue = async (venueId, updates) => {
         }
     }
 
-    if (fieldsToUpdate.length === 0) return false;
+    if (fieldsToUpdate.length === 0 && !updates.amenityIds && !updates.operatingHours) return false;
 
     // Add updated_at timestamp
     if (fieldsToUpdate.length > 0) {
@@ -583,6 +576,19 @@ export const updateVenue = async (venueId, updates) => {
             }
         }
 
+        // 3. Replace operating hours if provided
+        if (updates.operatingHours) {
+            await conn.execute("DELETE FROM venue_operating_hours WHERE venue_id = ?", [venueId]);
+
+            if (updates.operatingHours.length > 0) {
+                const hourValues = updates.operatingHours.map((h) => [venueId, h.dayOfWeek, h.openTime, h.closeTime, h.isClosed ? 1 : 0]);
+                await conn.query(
+                    `INSERT INTO venue_operating_hours (venue_id, day_of_week, open_time, close_time, is_closed) VALUES ?`,
+                    [hourValues]
+                );
+            }
+        }
+
         await conn.commit();
         return true;
     } catch (error) {
@@ -658,9 +664,16 @@ export const findVenueById = async (venueId) => {
         v.custom_cancellation_policy,
         v.custom_refund_percentage,
         v.custom_hours_before_start,
+        v.custom_cancellation_tiers,
+        v.refund_destination,
+        v.slot_duration_minutes,
+        v.reschedule_max_count,
+        v.reschedule_cutoff_hours,
+        v.reschedule_fee,
         cp.name AS policy_name,
         cp.refund_percentage,
         cp.hours_before_start,
+        cp.tiers AS policy_tiers,
         COALESCE(AVG(r.rating), 0) AS avg_rating,
         COUNT(DISTINCT r.review_id) AS review_count
     FROM venues v
@@ -696,9 +709,16 @@ export const findVenueById = async (venueId) => {
         v.custom_cancellation_policy,
         v.custom_refund_percentage,
         v.custom_hours_before_start,
+        v.custom_cancellation_tiers,
+        v.refund_destination,
+        v.slot_duration_minutes,
+        v.reschedule_max_count,
+        v.reschedule_cutoff_hours,
+        v.reschedule_fee,
         policy_name,
         refund_percentage,
-        hours_before_start
+        hours_before_start,
+        policy_tiers
     `;
     const [rows] = await connectDB.execute(sql, [venueId]);
     const venue = rows[0];
@@ -712,6 +732,47 @@ export const findVenueById = async (venueId) => {
     return venue;
 };
 
+/**
+ * Get the weekly operating hours of a venue
+ *
+ * @async
+ * @param {number} venueId
+ * @returns {Promise<Object[]>} Rows ordered by day_of_week (0 = Sunday)
+ */
+export const getOperatingHours = async (venueId) => {
+    const [rows] = await connectDB.execute(
+        `SELECT day_of_week, open_time, close_time, is_closed
+         FROM venue_operating_hours
+         WHERE venue_id = ?
+         ORDER BY day_of_week ASC`,
+        [venueId]
+    );
+    return rows;
+};
+
+/**
+ * Get a venue's slot length and its operating hours for one day of the week
+ *
+ * open_time / close_time / is_closed are NULL when the day has no
+ * configured hours.
+ *
+ * @async
+ * @param {number} venueId
+ * @param {number} dayOfWeek - 0 (Sunday) - 6
+ * @returns {Promise<Object|null>} Row or null if the venue does not exist
+ */
+export const getBookingWindow = async (venueId, dayOfWeek) => {
+    const [rows] = await connectDB.execute(
+        `SELECT v.slot_duration_minutes, oh.open_time, oh.close_time, oh.is_closed
+         FROM venues v
+         LEFT JOIN venue_operating_hours oh
+             ON oh.venue_id = v.venue_id AND oh.day_of_week = ?
+         WHERE v.venue_id = ?`,
+        [dayOfWeek, venueId]
+    );
+    return rows[0] || null;
+};
+
 /**
  * Delete a venue by ID
  * 
@@ -753,6 +814,9 @@ export const deleteVenue = async (venueId) => {
         await conn.execute("DELETE FROM venue_sports WHERE venue_id = ?", [venueId]);
         await conn.execute("DELETE FROM venue_amenities WHERE venue_id = ?", [venueId]);
         await conn.execute("DELETE FROM reviews WHERE venue_id = ?", [venueId]);
+        await conn.execute("DELETE FROM slot_holds WHERE venue_id = ?", [venueId]);
+        await conn.execute("DELETE FROM venue_operating_hours WHERE venue_id = ?", [venueId]);
+        await conn.execute("DELETE FROM venue_closures WHERE venue_id = ?", [venueId]);
         await conn.execute("DELETE FROM courts WHERE venue_id = ?", [venueId]);
 
         // Note: Bookings are deleted by BookingService/Repository before calling this, 
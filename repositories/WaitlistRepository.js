@@ -0,0 +1,227 @@
+/**
+ * Waitlist Repository
+ *
+ * Data access layer for waitlist entries on fully booked slots.
+ *
+ * An entry is WAITING in the queue, OFFERED while a freed court is held
+ * for the player, and ends CLAIMED, EXPIRED or CANCELLED.
+ *
+ * @module repositories/WaitlistRepository
+ */
+
+import pool from "../config/dbconnection.js";
+
+/**
+ * Add a player to the waitlist
+ *
+ * @async
+ * @param {Object} data - Entry data
+ * @param {number} data.userId - Player
+ * @param {number} data.venueId - Venue ID
+ * @param {number} data.sportId - Sport ID
+ * @param {string} data.desiredStart - Start datetime (YYYY-MM-DD HH:MM:SS, UTC)
+ * @param {string} data.desiredEnd - End datetime (YYYY-MM-DD HH:MM:SS, UTC)
+ * @returns {Promise<number>} The inserted waitlist ID
+ */
+export const createEntry = async ({ userId, venueId, sportId, desiredStart, desiredEnd }) => {
+  const [result] = await pool.execute(
+    `INSERT INTO waitlist_entries (user_id, venue_id, sport_id, desired_start, desired_end, status)
+     VALUES (?, ?, ?, ?, ?, 'WAITING')`,
+    [userId, venueId, sportId, desiredStart, desiredEnd]
+  );
+  return result.insertId;
+};
+
+/**
+ * Get a waitlist entry by ID
+ *
+ * @async
+ * @param {number} waitlistId - Waitlist ID
+ * @param {Object} [connection] - Optional connection; rows are locked when given
+ * @returns {Promise<Object|null>} Entry or null
+ */
+export const getEntryById = async (waitlistId, connection = null) => {
+  const db = connection || pool;
+  const [rows] = await db.execute(
+    `SELECT * FROM waitlist_entries WHERE waitlist_id = ?${connection ? " FOR UPDATE" : ""}`,
+    [waitlistId]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Check whether a player is already queued (or offered) for the same slot
+ *
+ * @async
+ * @param {Object} data - { userId, venueId, sportId, desiredStart, desiredEnd }
+ * @returns {Promise<boolean>}
+ */
+export const hasOpenEntry = async ({ userId, venueId, sportId, desiredStart, desiredEnd }) => {
+  const [rows] = await pool.execute(
+    `SELECT 1 FROM waitlist_entries
+     WHERE user_id = ? AND venue_id = ? AND sport_id = ?
+     AND desired_start = ? AND desired_end = ?
+     AND status IN ('WAITING', 'OFFERED')`,
+    [userId, venueId, sportId, desiredStart, desiredEnd]
+  );
+  return rows.length > 0;
+};
+
+/**
+ * Get a player's waitlist entries, newest first
+ *
+ * @async
+ * @param {number} userId - Player
+ * @returns {Promise<Object[]>} Entries with venue, sport and court names
+ */
+export const getUserEntries = async (userId) => {
+  const [rows] = await pool.execute(
+    `SELECT w.*, v.name AS venue_name, s.name AS sport_name, c.name AS offered_court_name
+     FROM waitlist_entries w
+     JOIN venues v ON w.venue_id = v.venue_id
+     LEFT JOIN sports s ON w.sport_id = s.sport_id
+     LEFT JOIN courts c ON w.offered_court_id = c.court_id
+     WHERE w.user_id = ?
+     ORDER BY w.created_at DESC
+     LIMIT 50`,
+    [userId]
+  );
+  return rows;
+};
+
+/**
+ * Get WAITING entries of a venue whose range overlaps a freed time range,
+ * in queue order
+ *
+ * @async
+ * @param {number} venueId - Venue ID
+ * @param {string} freedStart - UTC datetime
+ * @param {string} freedEnd - UTC datetime
+ * @returns {Promise<Object[]>} Entries, oldest first
+ */
+export const getWaitingEntriesForRange = async (venueId, freedStart, freedEnd) => {
+  const [rows] = await pool.execute(
+    `SELECT * FROM waitlist_entries
+     WHERE venue_id = ?
+     AND status = 'WAITING'
+     AND desired_start < ? AND desired_end > ?
+     AND desired_start > UTC_TIMESTAMP()
+     ORDER BY created_at ASC, waitlist_id ASC`,
+    [venueId, freedEnd, freedStart]
+  );
+  return rows;
+};
+
+/**
+ * Mark an entry as OFFERED with the court held for the player
+ *
+ * @async
+ * @param {Object} conn - Database connection
+ * @param {number} waitlistId - Waitlist ID
+ * @param {Object} offer - { courtId, holdId, expiresAt (UTC datetime) }
+ * @returns {Promise<void>}
+ */
+export const markOffered = async (conn, waitlistId, { courtId, holdId, expiresAt }) => {
+  await conn.execute(
+    `UPDATE waitlist_entries
+     SET status = 'OFFERED', offered_court_id = ?, offer_hold_id = ?, offer_expires_at = ?
+     WHERE waitlist_id = ? AND status = 'WAITING'`,
+    [courtId, holdId, expiresAt, waitlistId]
+  );
+};
+
+/**
+ * Set the status of an entry
+ *
+ * @async
+ * @param {number} waitlistId - Waitlist ID
+ * @param {string} status - 'CLAIMED', 'EXPIRED' or 'CANCELLED'
+ * @param {Object} [connection] - Optional database connection/transaction
+ * @returns {Promise<void>}
+ */
+export const updateStatus = async (waitlistId, status, connection = null) => {
+  const db = connection || pool;
+  await db.execute(
+    "UPDATE waitlist_entries SET status = ? WHERE waitlist_id = ?",
+    [status, waitlistId]
+  );
+};
+
+/**
+ * Get OFFERED entries whose claim window has passed
+ *
+ * @async
+ * @returns {Promise<Object[]>} Entries
+ */
+export const getExpiredOffers = async () => {
+  const [rows] = await pool.execute(
+    `SELECT * FROM waitlist_entries
+     WHERE status = 'OFFERED' AND offer_expires_at <= UTC_TIMESTAMP()
+     ORDER BY offer_expires_at ASC`
+  );
+  return rows;
+};
+
+/**
+ * Expire WAITING entries for slots that have already started
+ *
+ * @async
+ * @returns {Promise<number>} Number of entries expired
+ */
+export const expireStaleWaitingEntries = async () => {
+  const [result] = await pool.execute(
+    `UPDATE waitlist_entries SET status = 'EXPIRED'
+     WHERE status = 'WAITING' AND desired_start <= UTC_TIMESTAMP()`
+  );
+  return result.affectedRows;
+};
+
+/**
+ * Waitlist demand per slot for an owner's venues
+ *
+ * @async
+ * @param {number} ownerId - Owner User ID
+ * @param {string} startDate - UTC datetime lower bound on the slot start
+ * @param {string} [endDate] - UTC datetime upper bound on the slot start
+ * @returns {Promise<Object[]>} One row per venue, sport and slot, busiest first
+ */
+export const getWaitlistDemand = async (ownerId, startDate, endDate = null) => {
+  let dateFilter = "AND w.desired_start >= ?";
+  const params = [ownerId, startDate];
+  if (endDate) {
+    dateFilter += " AND w.desired_start <= ?";
+    params.push(endDate);
+  }
+
+  const [rows] = await pool.execute(
+    `SELECT
+       v.venue_id,
+       v.name AS venue_name,
+       w.sport_id,
+       s.name AS sport_name,
+       w.desired_start AS slot_start,
+       w.desired_end AS slot_end,
+       COUNT(*) AS total_requests,
+       SUM(w.status = 'WAITING') AS waiting,
+       SUM(w.status = 'OFFERED') AS offered,
+       SUM(w.status = 'CLAIMED') AS claimed,
+       SUM(w.status = 'EXPIRED') AS expired
+     FROM waitlist_entries w
+     JOIN venues v ON w.venue_id = v.venue_id
+     LEFT JOIN sports s ON w.sport_id = s.sport_id
+     WHERE v.owner_id = ?
+     AND w.status != 'CANCELLED'
+     ${dateFilter}
+     GROUP BY v.venue_id, v.name, w.sport_id, s.name, w.desired_start, w.desired_end
+     ORDER BY total_requests DESC, slot_start ASC`,
+    params
+  );
+  return rows.map(r => ({
+    ...r,
+    total_requests: Number(r.total_requests),
+    waiting: Number(r.waiting),
+    offered: Number(r.offered),
+    claimed: Number(r.claimed),
+    expired: Number(r.expired)
+  }));
+};
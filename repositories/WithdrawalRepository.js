@@ -0,0 +1,138 @@
+/**
+ * Withdrawal Repository
+ *
+ * Data access layer for owner withdrawal requests.
+ *
+ * Status flow: PENDING -> APPROVED -> PAID, or PENDING/APPROVED -> REJECTED.
+ *
+ * @module repositories/WithdrawalRepository
+ */
+
+import pool from "../config/dbconnection.js";
+
+/**
+ * Create a PENDING withdrawal request
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {Object} data
+ * @param {number} data.userId - Owner withdrawing
+ * @param {number} data.amount - Amount to pay out
+ * @param {string} data.payoutDetails - Where to send the payout
+ * @returns {Promise<number>} The inserted withdrawal ID
+ */
+export const createWithdrawal = async (conn, { userId, amount, payoutDetails }) => {
+  const [result] = await conn.execute(
+    `INSERT INTO wallet_withdrawals (user_id, amount, payout_details, status)
+     VALUES (?, ?, ?, 'PENDING')`,
+    [userId, amount, payoutDetails]
+  );
+  return result.insertId;
+};
+
+/**
+ * Get a withdrawal by ID
+ *
+ * @async
+ * @param {number} withdrawalId - Withdrawal ID
+ * @returns {Promise<Object|null>} Withdrawal
+ */
+export const getWithdrawalById = async (withdrawalId) => {
+  const [rows] = await pool.execute(
+    "SELECT * FROM wallet_withdrawals WHERE withdrawal_id = ?",
+    [withdrawalId]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Lock a withdrawal for a status change
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {number} withdrawalId - Withdrawal ID
+ * @returns {Promise<Object|null>} Withdrawal
+ */
+export const lockWithdrawal = async (conn, withdrawalId) => {
+  const [rows] = await conn.execute(
+    "SELECT * FROM wallet_withdrawals WHERE withdrawal_id = ? FOR UPDATE",
+    [withdrawalId]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Get a user's withdrawals, newest first
+ *
+ * @async
+ * @param {number} userId - Owner
+ * @returns {Promise<Object[]>} Withdrawals
+ */
+export const getUserWithdrawals = async (userId) => {
+  const [rows] = await pool.execute(
+    "SELECT * FROM wallet_withdrawals WHERE user_id = ? ORDER BY created_at DESC",
+    [userId]
+  );
+  return rows;
+};
+
+/**
+ * Get withdrawals for review, oldest first
+ *
+ * @async
+ * @param {string|null} status - Filter by status; all open requests if null
+ * @returns {Promise<Object[]>} Withdrawals with the owner's name and email
+ */
+export const getWithdrawalsForReview = async (status = null) => {
+  const filter = status ? "w.status = ?" : "w.status IN ('PENDING', 'APPROVED')";
+  const [rows] = await pool.execute(
+    `SELECT w.*, u.full_name, u.email
+     FROM wallet_withdrawals w
+     JOIN users u ON w.user_id = u.user_id
+     WHERE ${filter}
+     ORDER BY w.created_at ASC`,
+    status ? [status] : []
+  );
+  return rows;
+};
+
+/**
+ * Total of a user's withdrawals still under review
+ *
+ * @async
+ * @param {number} userId - Owner
+ * @returns {Promise<number>} Amount held
+ */
+export const getHeldAmount = async (userId) => {
+  const [rows] = await pool.execute(
+    `SELECT COALESCE(SUM(amount), 0) AS held FROM wallet_withdrawals
+     WHERE user_id = ? AND status IN ('PENDING', 'APPROVED')`,
+    [userId]
+  );
+  return Number(rows[0].held);
+};
+
+/**
+ * Move a withdrawal to a new status
+ *
+ * @async
+ * @param {Object} conn - Database connection with transaction support
+ * @param {number} withdrawalId - Withdrawal ID
+ * @param {Object} data
+ * @param {string} data.status - 'APPROVED', 'PAID' or 'REJECTED'
+ * @param {number} data.reviewedBy - Admin making the change
+ * @param {string} [data.payoutReference] - Bank or transfer reference (PAID)
+ * @param {string} [data.rejectionReason] - Shown to the owner (REJECTED)
+ * @returns {Promise<void>}
+ */
+export const updateWithdrawalStatus = async (conn, withdrawalId, { status, reviewedBy, payoutReference = null, rejectionReason = null }) => {
+  await conn.execute(
+    `UPDATE wallet_withdrawals
+     SET status = ?, reviewed_by = ?, reviewed_at = UTC_TIMESTAMP(),
+         paid_at = IF(? = 'PAID', UTC_TIMESTAMP(), paid_at),
+         payout_reference = COALESCE(?, payout_reference),
+         rejection_reason = COALESCE(?, rejection_reason)
+     WHERE withdrawal_id = ?`,
+    [status, reviewedBy, status, payoutReference, rejectionReason, withdrawalId]
+  );
+};
@@ -1,11 +1,12 @@
 import express from "express";
 import { authenticate as authMiddleware } from "../middleware/auth.js";
-import { getOwnerSummary, getOwnerDetailedAnalytics, getRevenueReport } from "../controllers/AnalyticsController.js";
+import { getOwnerSummary, getOwnerDetailedAnalytics, getRevenueReport, getWaitlistDemand } from "../controllers/AnalyticsController.js";
 
 const router = express.Router();
 
 router.get("/owner/summary", authMiddleware, getOwnerSummary);
 router.get("/owner/detailed", authMiddleware, getOwnerDetailedAnalytics);
 router.get("/owner/report", authMiddleware, getRevenueReport);
+router.get("/owner/waitlist", authMiddleware, getWaitlistDemand);
 
 export default router;
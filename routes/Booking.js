@@ -8,11 +8,32 @@ import {
   getOwnerBookings,
   paySplitShare,
   cancelBooking,
+  previewCancellation,
+  cancelBookingHours,
   rescheduleBooking,
   getAvailableTimeSlots,
   calculatePrice,
   getVenueCalendarBookings,
   createWalkInBooking,
+  joinWaitlist,
+  getMyWaitlist,
+  leaveWaitlist,
+  previewSeries,
+  createSeries,
+  getMySeries,
+  getSeries,
+  cancelSeries,
+  rescheduleSeries,
+  markNoShow,
+  modifyBookingAsOwner,
+  reassignSplitShare,
+  updateSplitShares,
+  coverSplitShare,
+  acceptInvitation,
+  declineInvitation,
+  withdrawFromSplit,
+  getGuestInvitation,
+  declineGuestInvitation,
 } from "../controllers/BookingController.js";
 
 const router = express.Router();
@@ -21,15 +42,42 @@ const router = express.Router();
 router.post("/checkout-session", authMiddleware, authorize(['PLAYER']), createCheckoutSession);
 router.get("/checkout-success", authMiddleware, authorize(['PLAYER']), handleCheckoutSuccess);
 router.post("/pay-split-share", authMiddleware, authorize(['PLAYER']), paySplitShare);
+router.post("/:id/splits/reassign", authMiddleware, authorize(['PLAYER']), reassignSplitShare);
+router.patch("/:id/splits", authMiddleware, authorize(['PLAYER']), updateSplitShares);
+router.post("/:id/splits/cover", authMiddleware, authorize(['PLAYER']), coverSplitShare);
+
+// Split invitations - invited players, and guests through their invite link
+router.post("/:id/invitation/accept", authMiddleware, authorize(['PLAYER']), acceptInvitation);
+router.post("/:id/invitation/decline", authMiddleware, authorize(['PLAYER']), declineInvitation);
+router.post("/:id/withdraw", authMiddleware, authorize(['PLAYER']), withdrawFromSplit);
+router.get("/invitations/:token", getGuestInvitation);
+router.post("/invitations/:token/decline", declineGuestInvitation);
 
 // Booking Management - Players
+router.get("/:id/cancellation-preview", authMiddleware, authorize(['PLAYER', 'VENUE_OWNER']), previewCancellation);
 router.patch("/:id/cancel", authMiddleware, authorize(['PLAYER', 'VENUE_OWNER']), cancelBooking);
+router.patch("/:id/cancel-hours", authMiddleware, authorize(['PLAYER']), cancelBookingHours);
 router.patch("/:id/reschedule", authMiddleware, authorize(['PLAYER']), rescheduleBooking);
 
 router.get("/my", authMiddleware, authorize(['PLAYER']), getMyBookings);
 
+// Waitlist for fully booked slots - Players
+router.post("/waitlist", authMiddleware, authorize(['PLAYER']), joinWaitlist);
+router.get("/waitlist", authMiddleware, authorize(['PLAYER']), getMyWaitlist);
+router.delete("/waitlist/:id", authMiddleware, authorize(['PLAYER']), leaveWaitlist);
+
+// Recurring booking series - Players
+router.post("/series/preview", authMiddleware, authorize(['PLAYER']), previewSeries);
+router.post("/series", authMiddleware, authorize(['PLAYER']), createSeries);
+router.get("/series", authMiddleware, authorize(['PLAYER']), getMySeries);
+router.get("/series/:id", authMiddleware, authorize(['PLAYER']), getSeries);
+router.patch("/series/:id/cancel", authMiddleware, authorize(['PLAYER']), cancelSeries);
+router.patch("/series/:id/reschedule", authMiddleware, authorize(['PLAYER']), rescheduleSeries);
+
 // Booking Management - Owners
 router.get("/owner", authMiddleware, authorize(['VENUE_OWNER']), getOwnerBookings);
+router.patch("/:id/no-show", authMiddleware, authorize(['VENUE_OWNER']), markNoShow);
+router.patch("/:id/owner-modify", authMiddleware, authorize(['VENUE_OWNER']), modifyBookingAsOwner);
 
 // Get booked slots for a venue on a specific date
 router.get("/booked-slots/:venueId", getBookedSlots);
@@ -0,0 +1,12 @@
+import express from "express";
+import { authenticate as authMiddleware, authorize } from "../middleware/auth.js";
+import { getRules, setRule, deleteVenueRule } from "../controllers/CommissionController.js";
+
+const router = express.Router();
+// /api/commission
+router.get("/", authMiddleware, authorize(['ADMIN']), getRules);
+router.put("/global", authMiddleware, authorize(['ADMIN']), setRule);
+router.put("/venues/:venueId", authMiddleware, authorize(['ADMIN']), setRule);
+router.delete("/venues/:venueId", authMiddleware, authorize(['ADMIN']), deleteVenueRule);
+
+export default router;
@@ -0,0 +1,9 @@
+import express from "express";
+import { authenticate as authMiddleware, authorize } from "../middleware/auth.js";
+import { getReconciliationReport } from "../controllers/LedgerController.js";
+
+const router = express.Router();
+// /api/ledger
+router.get("/reconciliation", authMiddleware, authorize(['ADMIN']), getReconciliationReport);
+
+export default router;
@@ -0,0 +1,21 @@
+import express from "express";
+import { authenticate as authMiddleware, authorize } from "../middleware/auth.js";
+import {
+  createPackage,
+  getVenuePackages,
+  updatePackage,
+  purchasePackage,
+  getMyEntitlements,
+  getVenueMembers
+} from "../controllers/PackageController.js";
+
+const router = express.Router();
+// /api/packages
+router.post("/", authMiddleware, authorize(['VENUE_OWNER']), createPackage);
+router.get("/my-entitlements", authMiddleware, authorize(['PLAYER']), getMyEntitlements);
+router.get("/venues/:venueId", authMiddleware, getVenuePackages);
+router.get("/venues/:venueId/members", authMiddleware, authorize(['VENUE_OWNER']), getVenueMembers);
+router.patch("/:id", authMiddleware, authorize(['VENUE_OWNER']), updatePackage);
+router.post("/:id/purchase", authMiddleware, authorize(['PLAYER']), purchasePackage);
+
+export default router;
@@ -0,0 +1,12 @@
+import express from "express";
+import { handleStripeWebhook } from "../controllers/PaymentController.js";
+
+const router = express.Router();
+
+/**
+ * POST /payments/stripe/webhook
+ * Public endpoint for Stripe; authenticated by the Stripe-Signature header
+ */
+router.post("/stripe/webhook", handleStripeWebhook);
+
+export default router;
@@ -1,4 +1,5 @@
 import express from "express";
+import { authenticate as authMiddleware, authorize } from "../middleware/auth.js";
 import * as PolicyController from "../controllers/PolicyController.js";
 
 const router = express.Router();
@@ -9,4 +10,9 @@ const router = express.Router();
  */
 router.get("/", PolicyController.fetchAllPolicies);
 
+// Named tiered policies - Owners (their own) and Admin (platform policies)
+router.get("/mine", authMiddleware, authorize(['VENUE_OWNER', 'ADMIN']), PolicyController.fetchOwnPolicies);
+router.post("/", authMiddleware, authorize(['VENUE_OWNER', 'ADMIN']), PolicyController.createPolicy);
+router.patch("/:id", authMiddleware, authorize(['VENUE_OWNER', 'ADMIN']), PolicyController.updatePolicy);
+
 export default router;
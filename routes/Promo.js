@@ -0,0 +1,11 @@
+import express from "express";
+import { authenticate as authMiddleware, authorize } from "../middleware/auth.js";
+import { createPromo, getPromos, updatePromo } from "../controllers/PromoController.js";
+
+const router = express.Router();
+// /api/promos
+router.post("/", authMiddleware, authorize(['VENUE_OWNER', 'ADMIN']), createPromo);
+router.get("/", authMiddleware, authorize(['VENUE_OWNER', 'ADMIN']), getPromos);
+router.patch("/:id", authMiddleware, authorize(['VENUE_OWNER', 'ADMIN']), updatePromo);
+
+export default router;
@@ -11,6 +11,7 @@
  *
  * Protected Routes (require valid JWT token):
  * - GET /users/me - Get current user profile
+ * - GET /users/referrals - Referral code and referred players
  * - GET /users - List all users
  *
  * @module routes/User
@@ -24,6 +25,7 @@ import {
   logout,
   register,
   search,
+  getReferrals,
 } from "../controllers/UserController.js";
 import { authenticate as authMiddleware, authorize } from "../middleware/auth.js";
 
@@ -62,6 +64,12 @@ router.get("/me", authMiddleware, (req, res) => {
   res.json({ user: req.user });
 });
 
+/**
+ * GET /users/referrals
+ * Protected endpoint to get the current user's referral code and referrals
+ */
+router.get("/referrals", authMiddleware, getReferrals);
+
 /**
  * GET /users/search?query=...
  * Protected endpoint to search users
@@ -52,6 +52,23 @@ router.put("/:id", authenticate, authorize(["VENUE_OWNER"]), VenueController.upd
 router.delete("/:id", authenticate, authorize(["VENUE_OWNER"]), VenueController.remove);
 router.post("/:id/block", authenticate, authorize(["VENUE_OWNER"]), VenueController.blockSlot);
 
+// Courts
+router.get("/:id/courts", VenueController.fetchCourts);
+router.post("/:id/courts", authenticate, authorize(["VENUE_OWNER"]), VenueController.addCourt);
+router.put("/:id/courts/:courtId", authenticate, authorize(["VENUE_OWNER"]), VenueController.updateCourt);
+router.delete("/:id/courts/:courtId", authenticate, authorize(["VENUE_OWNER"]), VenueController.deactivateCourt);
+
+// Holidays and special closures
+router.get("/:id/closures", VenueController.fetchClosures);
+router.post("/:id/closures", authenticate, authorize(["VENUE_OWNER"]), VenueController.addClosure);
+router.post("/:id/closures/import", authenticate, authorize(["VENUE_OWNER"]), VenueController.importClosures);
+router.delete("/:id/closures/:closureId", authenticate, authorize(["VENUE_OWNER"]), VenueController.deleteClosure);
+
+// Weather and other disruptions: bulk cancellation or free rescheduling
+router.get("/:id/disruptions", authenticate, authorize(["VENUE_OWNER"]), VenueController.fetchDisruptions);
+router.post("/:id/disruptions", authenticate, authorize(["VENUE_OWNER"]), VenueController.addDisruption);
+router.get("/:id/disruptions/:disruptionId", authenticate, authorize(["VENUE_OWNER"]), VenueController.fetchDisruptionReport);
+
 router.get("/:id/reviews", VenueController.fetchVenueReviews);
 router.post("/:id/reviews", authenticate, VenueController.addReview);
 router.delete("/:id/reviews/:reviewId", authenticate, VenueController.deleteReview);
@@ -1,10 +1,25 @@
 import express from "express";
-import { authenticate as authMiddleware } from "../middleware/auth.js";
-import { getMyBalance, getMySummary } from "../controllers/WalletController.js";
+import { authenticate as authMiddleware, authorize } from "../middleware/auth.js";
+import {
+    getMyBalance,
+    getMySummary,
+    createTopUp,
+    requestWithdrawal,
+    getMyWithdrawals,
+    getWithdrawalsForReview,
+    reviewWithdrawal
+} from "../controllers/WalletController.js";
 
 const router = express.Router();
 // /api/wallet
 router.get("/my-balance", authMiddleware, getMyBalance);
 router.get("/summary", authMiddleware, getMySummary);
+router.post("/top-up", authMiddleware, createTopUp);
+
+// Owner payouts: owners request, admins review
+router.post("/withdrawals", authMiddleware, authorize(['VENUE_OWNER']), requestWithdrawal);
+router.get("/withdrawals", authMiddleware, authorize(['VENUE_OWNER']), getMyWithdrawals);
+router.get("/withdrawals/review", authMiddleware, authorize(['ADMIN']), getWithdrawalsForReview);
+router.patch("/withdrawals/:id", authMiddleware, authorize(['ADMIN']), reviewWithdrawal);
 
 export default router;
@@ -8,6 +8,11 @@
  * - /api/users/* → User authentication and management
  * - /api/venues/* → Venue listing and search
  * - /api/policies/* → Cancellation Policies
+ * - /api/payments/* → Payment provider webhooks
+ * - /api/ledger/* → Ledger reconciliation (Admin)
+ * - /api/commission/* → Platform commission rules (Admin)
+ * - /api/promos/* → Promo codes (Owners and Admin)
+ * - /api/packages/* → Venue packages and memberships
  *
  * @module routes/index
  */
@@ -21,6 +26,11 @@ import analyticsRoutes from "./Analytics.js";
 import walletRoutes from "./Wallet.js";
 import policyRoutes from "./Policy.js";
 import notificationRoutes from "./Notification.js";
+import paymentRoutes from "./Payment.js";
+import ledgerRoutes from "./Ledger.js";
+import commissionRoutes from "./Commission.js";
+import promoRoutes from "./Promo.js";
+import packageRoutes from "./Package.js";
 
 const router = express.Router();
 
@@ -32,5 +42,10 @@ router.use("/analytics", analyticsRoutes);
 router.use("/wallet", walletRoutes);
 router.use("/policies", policyRoutes);
 router.use("/notifications", notificationRoutes);
+router.use("/payments", paymentRoutes);
+router.use("/ledger", ledgerRoutes);
+router.use("/commission", commissionRoutes);
+router.use("/promos", promoRoutes);
+router.use("/packages", packageRoutes);
 
 export default router;
@@ -11,6 +11,7 @@ import express from "express";
 import cors from "cors";
 import cookieParser from "cookie-parser";
 import routes from "./routes/index.js";
+import { startScheduledJobs } from "./jobs/index.js";
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -25,6 +26,10 @@ app.use(
   })
 );
 
+// Stripe signs the raw payload, so the webhook must see the unparsed body.
+// express.json() below skips requests whose body has already been read.
+app.use("/api/payments/stripe/webhook", express.raw({ type: "application/json" }));
+
 app.use(express.json());
 
 // Secret used for signed cookies (move to env in real app)
@@ -41,4 +46,5 @@ app.use("/api", routes);
 
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  startScheduledJobs();
 });
\ No newline at end of file
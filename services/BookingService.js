@@ -1,8 +1,34 @@
+import stripe from "../config/stripe.js";
 import * as BookingRepository from "../repositories/BookingRepository.js";
-import * as WalletRepository from "../repositories/WalletRepository.js";
 import * as CourtRepository from "../repositories/CourtRepository.js";
+import * as NotificationRepository from "../repositories/NotificationRepository.js";
+import * as SlotHoldRepository from "../repositories/SlotHoldRepository.js";
+import * as PaymentRepository from "../repositories/PaymentRepository.js";
+import * as VenueRepository from "../repositories/VenueRepository.js";
+import * as ClosureRepository from "../repositories/ClosureRepository.js";
+import * as UserRepository from "../repositories/UserRepository.js";
+import * as CommissionRepository from "../repositories/CommissionRepository.js";
+import * as PromoRepository from "../repositories/PromoRepository.js";
+import * as LoyaltyRepository from "../repositories/LoyaltyRepository.js";
+import * as PackageRepository from "../repositories/PackageRepository.js";
+import * as RescheduleRepository from "../repositories/RescheduleRepository.js";
+import * as WalletRepository from "../repositories/WalletRepository.js";
+import * as DisruptionRepository from "../repositories/DisruptionRepository.js";
+import * as CheckoutRepository from "../repositories/CheckoutRepository.js";
+import * as RefundService from "./RefundService.js";
+import * as LedgerService from "./LedgerService.js";
+import * as CommissionService from "./CommissionService.js";
+import * as PromoService from "./PromoService.js";
+import * as LoyaltyService from "./LoyaltyService.js";
+import * as PackageService from "./PackageService.js";
+import * as PolicyService from "./PolicyService.js";
+import * as SplitPaymentService from "./SplitPaymentService.js";
+import * as WaitlistService from "./WaitlistService.js";
+import * as SplitPaymentRepository from "../repositories/SplitPaymentRepository.js";
+import * as EmailUtil from "../utils/emailUtil.js";
 import * as DateUtil from "../utils/dateUtil.js";
 import { toMySQLDateTime, createISTDate } from "../utils/dateUtil.js";
+import { calculateDynamicPrice } from "./VenueService.js";
 
 /**
  * Booking Service
@@ -10,14 +36,413 @@ import { toMySQLDateTime, createISTDate } from "../utils/dateUtil.js";
  * Handles complex booking logic including cancellation, refunds, and rescheduling.
  */
 
+/**
+ * How long checkout holds last. The hold expiry is also the Stripe session's
+ * expires_at, which Stripe requires to be at least 30 minutes after the session
+ * is created; the extra minute covers the time spent creating it.
+ */
+export const CHECKOUT_HOLD_MINUTES = 31;
+
+/**
+ * Booking state machine: the statuses a booking may move to from each status.
+ *
+ * PENDING is a booking awaiting payment, CONFIRMED a paid one. CONFIRMED
+ * bookings become COMPLETED once they end (completePastBookings), or NO_SHOW
+ * when the owner reports the player did not turn up. BLOCKED marks owner
+ * blocks. CANCELLED and REFUNDED are final.
+ */
+export const BOOKING_TRANSITIONS = {
+    PENDING: ['CONFIRMED', 'CANCELLED'],
+    CONFIRMED: ['COMPLETED', 'NO_SHOW', 'CANCELLED', 'REFUNDED'],
+    COMPLETED: ['NO_SHOW', 'REFUNDED'],
+    NO_SHOW: ['REFUNDED'],
+    BLOCKED: ['CANCELLED'],
+    CANCELLED: [],
+    REFUNDED: []
+};
+
+/** How long after a booking ends the owner can still report a no-show */
+export const NO_SHOW_REPORT_HOURS = 48;
+
+/** How a player pays what a reschedule costs */
+export const RESCHEDULE_PAYMENT_METHODS = ['WALLET', 'CARD'];
+
+/** Which end of a booking cancelled hours are taken from */
+export const PARTIAL_CANCEL_SIDES = ['START', 'END'];
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+/**
+ * Throw if a booking may not move from one status to another.
+ *
+ * @param {string} from - Current status
+ * @param {string} to - New status
+ * @throws {Error} "Cannot change booking status from X to Y"
+ */
+export const assertStatusTransition = (from, to) => {
+    if (!BOOKING_TRANSITIONS[from]?.includes(to)) {
+        throw new Error(`Cannot change booking status from ${from} to ${to}`);
+    }
+};
+
+/**
+ * Lock a booking and check that it may move to a new status.
+ * Must be called inside the transaction that changes the status.
+ *
+ * @param {Object} conn - Connection with an open transaction
+ * @param {number} bookingId
+ * @param {string} to - New status
+ * @returns {Promise<string>} The current status
+ */
+const lockForTransition = async (conn, bookingId, to) => {
+    const current = await BookingRepository.lockBookingStatus(conn, bookingId);
+    if (!current) throw new Error("Booking not found");
+    assertStatusTransition(current, to);
+    return current;
+};
+
+/**
+ * Place PENDING holds on the courts chosen for a checkout.
+ *
+ * The court rows are locked for the duration of the check-and-insert so two
+ * players checking out the same court cannot both pass the conflict check.
+ *
+ * @param {Object} data
+ * @param {number} data.venueId
+ * @param {number} data.userId
+ * @param {number} data.sportId
+ * @param {Object[]} data.slots - [{ courtId, startStr, endStr }]
+ * @param {Date} data.expiresAt - When the holds (and the Stripe session) expire
+ * @param {number[]} [data.releaseHoldIds] - Holds this checkout replaces (a waitlist offer)
+ * @param {number} [data.excludeBookingId] - Booking being moved, whose own slot does not count
+ * @returns {Promise<number[]|null>} Hold IDs, or null if any slot was taken meanwhile
+ */
+export const holdCheckoutSlots = async ({ venueId, userId, sportId, slots, expiresAt, releaseHoldIds = [], excludeBookingId = null }) => {
+    const conn = await BookingRepository.getPool().getConnection();
+    try {
+        await conn.beginTransaction();
+
+        const courtIds = [...new Set(slots.map(s => s.courtId))];
+        await CourtRepository.lockCourts(conn, courtIds);
+
+        // Swap the waitlist offer hold for the checkout hold under the same lock
+        await SlotHoldRepository.releaseHolds(releaseHoldIds, conn);
+
+        const holdIds = [];
+        for (const slot of slots) {
+            const taken = await BookingRepository.hasBookingConflict(venueId, slot.startStr, slot.endStr, slot.courtId, excludeBookingId, conn);
+            if (taken) {
+                await conn.rollback();
+                return null;
+            }
+
+            holdIds.push(await SlotHoldRepository.createHold(conn, {
+                venueId,
+                courtId: slot.courtId,
+                sportId,
+                userId,
+                holdStart: slot.startStr,
+                holdEnd: slot.endStr,
+                expiresAt: toMySQLDateTime(expiresAt)
+            }));
+        }
+
+        await conn.commit();
+        return holdIds;
+    } catch (err) {
+        await conn.rollback();
+        throw err;
+    } finally {
+        conn.release();
+    }
+};
+
+/**
+ * Release checkout holds that have passed their expiry.
+ * Scheduled job; expired holds already stop blocking availability,
+ * this closes them out so they do not accumulate as PENDING.
+ *
+ * @returns {Promise<number>} Number of holds released
+ */
+export const releaseExpiredHolds = async () => {
+    const released = await SlotHoldRepository.releaseExpiredHolds();
+    if (released > 0) {
+        console.log(`[SlotHolds] Released ${released} expired hold(s)`);
+    }
+    return released;
+};
+
+/**
+ * Credit what was paid for checkout slot groups that were taken before the
+ * payment came through to the player's wallet, and give back the loyalty
+ * points and package hours spent on them.
+ *
+ * @param {Object} conn - Connection with an open transaction
+ * @param {Object} session - Stripe Checkout Session
+ * @param {Object} venue
+ * @param {Object[]} groups - Slot groups of the checkout, with their amountPaid
+ */
+const creditUnbookedGroups = async (conn, session, venue, groups) => {
+    const userId = Number(session.metadata.user_id);
+    const amount = Math.round(groups.reduce((sum, g) => sum + g.amountPaid + Number(g.f || 0), 0) * 100) / 100;
+
+    await LedgerService.postTransaction(conn, {
+        type: 'CHECKOUT_REFUND',
+        reference: session.id,
+        description: `Payment for ${groups.length} slot(s) at ${venue.name} taken before the checkout completed`,
+        legs: [
+            { account: LedgerService.ACCOUNTS.STRIPE_CLEARING, amount: -amount },
+            { userId, amount, description: `Slots at ${venue.name} no longer available (card payment credited)` }
+        ]
+    });
+
+    await LoyaltyService.awardPoints(conn, {
+        userId,
+        points: groups.reduce((sum, g) => sum + Number(g.lp || 0), 0),
+        source: 'RESTORED',
+        reference: session.metadata.loyalty_reference || null,
+        description: "Points returned: the slots were taken before the checkout completed"
+    });
+    for (const g of groups) {
+        const hours = Number(g.kh || 0);
+        if (!g.ke || !(hours > 0)) continue;
+        await PackageRepository.returnHours(conn, Number(g.ke), hours);
+        await PackageRepository.addUsage(conn, {
+            entitlementId: Number(g.ke), type: 'RESTORED', hours, reference: session.metadata.package_reference || null
+        });
+    }
+
+    await NotificationRepository.createNotification(
+        userId,
+        `${groups.length} of the slots you paid for at ${venue.name} were taken before your payment came through, so LKR ${amount} was added to your wallet.`,
+        'PAYMENT',
+        conn
+    );
+};
+
+/**
+ * Create the bookings paid for by a completed MULTI_BOOKING Stripe session.
+ *
+ * Runs on the caller's connection so the webhook can commit the bookings together
+ * with its processed-event marker. Slot groups already recorded against this
+ * session are skipped, so replaying a session never books or credits twice.
+ * Stripe may deliver the event after the session's holds have lapsed, so the
+ * slots are checked again under the court locks; a slot group taken meanwhile
+ * is credited to the player's wallet instead of booked.
+ *
+ * @param {Object} conn - Connection with an open transaction
+ * @param {Object} session - Stripe Checkout Session (metadata from createCheckoutSession)
+ * @returns {Promise<number[]>} IDs of bookings created by this call
+ */
+export const finalizeCheckoutBookings = async (conn, session) => {
+    const {
+        venue_id, user_id, owner_id, sport_id, checkout_id, group_data, invites, split_method, split_deadline_hours, split_deadline_action,
+        promo_id, promo_funded_by, promo_redemption_id
+    } = session.metadata;
+    // Sessions created before checkout details were stored carry them in the metadata
+    const checkout = checkout_id
+        ? await CheckoutRepository.getCheckout(Number(checkout_id), conn)
+        : { groups: JSON.parse(group_data), invites: invites ? JSON.parse(invites) : [] };
+    if (!checkout) throw new Error(`Checkout details ${checkout_id} not found`);
+    const { groups, invites: inviteeList } = checkout;
+    const splitDeadline = split_deadline_action
+        ? { hoursBeforeStart: Number(split_deadline_hours), action: split_deadline_action }
+        : null;
+
+    const venue = await BookingRepository.getVenueById(venue_id);
+
+    // The session's own holds give way to its bookings before the slots are re-checked
+    await CourtRepository.lockCourts(conn, [...new Set(groups.map(g => Number(g.c)))]);
+    await SlotHoldRepository.closeSessionHolds(conn, session.id, 'CONVERTED');
+
+    const bookingIds = [];
+    const unbooked = [];
+    const courtNames = [];
+    let revenue = 0;
+    let paid = 0;
+    let commission = 0;
+    let playerFees = 0;
+    let platformDiscount = 0;
+
+    for (const g of groups) {
+        // Skip slot groups that were already booked for this session
+        const [check] = await conn.execute(
+            "SELECT 1 FROM bookings b JOIN payments p ON b.booking_id = p.booking_id WHERE p.provider_reference = ? AND b.booking_start = ?",
+            [session.id, g.s]
+        );
+        if (check.length > 0) continue;
+
+        // g.d is this booking's share of the promo discount, g.l / g.lp the
+        // loyalty discount and the points spent on it, g.k / g.ke / g.kh the
+        // package discount and the entitlement hours it used
+        const discount = Number(g.d || 0);
+        const loyaltyDiscount = Number(g.l || 0);
+        const packageDiscount = Number(g.k || 0);
+        const amountPaid = Math.round((Number(g.a) - discount - loyaltyDiscount - packageDiscount) * 100) / 100;
+
+        if (await BookingRepository.hasBookingConflict(Number(venue_id), g.s, g.e, Number(g.c), null, conn)) {
+            unbooked.push({ ...g, amountPaid });
+            continue;
+        }
+
+        const bookingId = await BookingRepository.createBooking(conn, {
+            venueId: Number(venue_id),
+            courtId: Number(g.c),
+            sportId: Number(sport_id),
+            userId: Number(user_id),
+            bookingStart: g.s,
+            bookingEnd: g.e,
+            totalAmount: Number(g.a),
+            cancellationPolicyId: venue.cancellation_policy_id,
+            customCancellationPolicy: venue.custom_cancellation_policy,
+            customRefundPercentage: venue.custom_refund_percentage,
+            customHoursBeforeStart: venue.custom_hours_before_start,
+            pointsUsed: 0,
+            paidAmount: amountPaid
+        });
+
+        // g.p holds the exact shares, initiator first; sessions
+        // created before unequal splits have none and are split equally
+        let allocation = null;
+        if (g.p) {
+            allocation = {
+                method: split_method || 'EQUAL',
+                initiatorShare: Number(g.p[0]),
+                invitees: inviteeList.map((email, i) => ({ email, amount: Number(g.p[i + 1]) }))
+            };
+        } else if (inviteeList.length > 0) {
+            [allocation] = SplitPaymentService.allocateSplit([amountPaid], {
+                method: 'EQUAL',
+                invitees: inviteeList.map(email => ({ email }))
+            });
+        }
+
+        await BookingRepository.addBookingParticipant(conn, {
+            bookingId, userId: Number(user_id), shareAmount: allocation?.initiatorShare ?? amountPaid, isInitiator: 1, paymentStatus: 'PAID'
+        });
+
+        await SplitPaymentService.setupBookingSplits(bookingId, Number(user_id), allocation, conn, splitDeadline);
+        if (discount > 0) {
+            await PromoRepository.setBookingDiscount(conn, bookingId, { promoId: Number(promo_id), amount: discount, fundedBy: promo_funded_by });
+        }
+        if (loyaltyDiscount > 0) {
+            await LoyaltyRepository.setBookingRedemption(conn, bookingId, { points: Number(g.lp), discount: loyaltyDiscount });
+        }
+        if (packageDiscount > 0) {
+            await PackageRepository.setBookingEntitlement(conn, bookingId, {
+                entitlementId: g.ke ? Number(g.ke) : null, hours: Number(g.kh || 0), discount: packageDiscount
+            });
+        }
+        await BookingRepository.updateBookingStatus(conn, bookingId, "CONFIRMED");
+
+        // Commission and player fee were fixed when the session was created (g.m / g.f)
+        const fees = { commission: Number(g.m || 0), playerFee: Number(g.f || 0) };
+        await CommissionRepository.setBookingFees(conn, bookingId, fees);
+        await BookingRepository.createPayment(conn, {
+            bookingId, payerId: Number(user_id), amount: amountPaid + fees.playerFee, currency: "LKR", providerReference: session.id
+        });
+
+        bookingIds.push(bookingId);
+        const court = await CourtRepository.getCourtById(Number(g.c));
+        courtNames.push(`#${bookingId} on ${court?.name || 'a court'}`);
+        const platformFunded = (promo_funded_by === 'PLATFORM' ? discount : 0) + loyaltyDiscount;
+        revenue += Number(g.a) - (discount + loyaltyDiscount + packageDiscount - platformFunded);
+        paid += amountPaid;
+        commission += fees.commission;
+        playerFees += fees.playerFee;
+        platformDiscount += platformFunded;
+    }
+
+    if (promo_redemption_id) {
+        // The code counts as used unless every slot group was taken
+        await PromoService.closeReservation(Number(promo_redemption_id), unbooked.length < groups.length, session.id, conn);
+    }
+    if (unbooked.length > 0) {
+        await creditUnbookedGroups(conn, session, venue, unbooked);
+    }
+
+    if (bookingIds.length === 0) return bookingIds;
+
+    await BookingRepository.updatePaymentStatus(conn, session.id, 'SUCCEEDED');
+
+    await LedgerService.postTransaction(conn, {
+        type: 'BOOKING_PAYMENT',
+        bookingId: bookingIds[0], // Link to first for ref
+        reference: session.id,
+        description: `Revenue from Multi-slot Booking. IDs: ${bookingIds.join(',')}`,
+        legs: [
+            { account: LedgerService.ACCOUNTS.STRIPE_CLEARING, amount: -(paid + playerFees) },
+            ...CommissionService.revenueLegs(
+                Number(owner_id),
+                { amount: revenue, commission, playerFee: playerFees, platformDiscount },
+                { referenceType: 'BOOKING_REVENUE' }
+            )
+        ]
+    });
+
+    // The player may have closed the tab after paying, so confirm out-of-band
+    await NotificationRepository.createNotification(
+        Number(user_id),
+        `Your booking at ${venue.name} is confirmed (Booking ${courtNames.join(', ')}).`,
+        'BOOKING_ALERT',
+        conn
+    );
+
+    return bookingIds;
+};
+
+/**
+ * What cancelling a booking now refunds. Players get back the share of what
+ * was paid (the list price less any promo, loyalty and package discounts)
+ * that the tier of the booking's cancellation policy allows; the venue
+ * owner cancelling, or a player cancelling a booking they were offered a
+ * free reschedule for after a venue disruption, refunds everything,
+ * including the player booking fee (which the platform gives back).
+ *
+ * @param {Object} booking - Booking (from getBookingWithPolicy)
+ * @param {Object} options
+ * @param {boolean} options.isOwner - The venue owner is cancelling
+ * @param {Date} options.now
+ * @returns {{hoursRemaining: number, tiers: Object[], tier: Object|null, refundPercentage: number, refundShare: number, baseAmount: number, playerRefund: number, playerFeeRefund: number}}
+ */
+const quoteCancellation = (booking, { isOwner, now }) => {
+    const hoursRemaining = (new Date(booking.booking_start) - now) / (1000 * 60 * 60);
+    const tiers = PolicyService.getBookingTiers(booking);
+    const fullRefund = isOwner || Boolean(booking.disruption_id);
+    const tier = fullRefund ? null : PolicyService.findTier(tiers, hoursRemaining);
+    const refundPercentage = fullRefund ? 100 : Number(tier?.refundPercentage || 0);
+    const refundShare = refundPercentage / 100;
+    const baseAmount = CommissionService.amountPaid(booking);
+    return {
+        hoursRemaining,
+        tiers,
+        tier,
+        refundPercentage,
+        refundShare,
+        baseAmount,
+        playerRefund: Math.round(baseAmount * refundShare * 100) / 100,
+        playerFeeRefund: fullRefund ? Number(booking.player_fee || 0) : 0
+    };
+};
+
 /**
  * Cancel a booking and process refund if applicable.
  * 
+ * The refund follows the tier of the booking's cancellation policy that
+ * applies now (see quoteCancellation and previewCancellation).
+ * Refunds go to PlayLink wallets, or back to the card for payers who paid
+ * through Stripe when the resolved refund destination is CARD.
+ * 
  * @param {number} bookingId 
  * @param {number} userId - The user initiating the cancel (must be creator/initiator)
- * @returns {Promise<Object>} Result with refund amount and message
+ * @param {Object} [options]
+ * @param {string} [options.refundMethod] - Requested refund destination ('WALLET' or 'CARD')
+ * @param {boolean} [options.skipWaitlist=false] - Do not offer the freed court to the waitlist (the venue is closed)
+ * @param {Function} [options.precondition] - async (conn) => boolean, checked first in the cancelling
+ *   transaction; when it returns false nothing is cancelled and null is returned
+ * @returns {Promise<Object|null>} Result with refund amount and message
  */
-export const cancelBooking = async (bookingId, userId) => {
+export const cancelBooking = async (bookingId, userId, options = {}) => {
     const booking = await BookingRepository.getBookingWithPolicy(bookingId);
 
     if (!booking) {
@@ -33,113 +458,119 @@ export const cancelBooking = async (bookingId, userId) => {
     if (booking.status === 'CANCELLED') {
         throw new Error("Booking is already cancelled");
     }
+    assertStatusTransition(booking.status, 'CANCELLED');
 
     // Handle Unblocking (Venue Owner)
     if (booking.status === 'BLOCKED') {
         const pool = BookingRepository.getPool();
         const conn = await pool.getConnection();
         try {
+            await conn.beginTransaction();
+            await lockForTransition(conn, bookingId, 'CANCELLED');
             const cancelTime = toMySQLDateTime(new Date());
             await BookingRepository.updateBookingCancellation(conn, bookingId, cancelTime);
-            return { message: "Slot unblocked successfully", refundAmount: 0 };
+            await conn.commit();
+        } catch (err) {
+            await conn.rollback();
+            throw err;
         } finally {
             conn.release();
         }
+        await offerToWaitlist(booking);
+        return { message: "Slot unblocked successfully", refundAmount: 0 };
     }
 
     // Policy Check
     const now = new Date();
-    const start = new Date(booking.booking_start);
-    const hoursRemaining = (start - now) / (1000 * 60 * 60);
+    const { hoursRemaining, refundPercentage, refundShare, baseAmount, playerRefund, playerFeeRefund } = quoteCancellation(booking, { isOwner, now });
 
     // Only prevent cancellation if it's the PLAYER trying to cancel after start
     if (!isOwner && hoursRemaining <= 0) {
         throw new Error("Cannot cancel a booking that has already started.");
     }
 
-    // FIX: Use total_amount as the base for refund calculation.
-    // In split payments or point payments, 'paid_amount' might be partial or 0 (if valid points logic wasn't fully capturing value).
-    // The refund should be based on the VALUE of the booking.
-    const baseAmount = Number(booking.total_amount);
-    // Step B: The Math
-    let policyHours = booking.hours_before_start || 0;
-    let refundPct = booking.refund_percentage || 0;
-    let playerRefund = 0;
-    let ownerRevenueCut = 0;
-
-    if (isOwner) {
-        refundPct = 100;
-        playerRefund = baseAmount;
-        ownerRevenueCut = 0;
-    } else {
-        // PLAYER CANCELLATION
-        // Override with custom policy if present on booking (snapshot)
-        if (booking.custom_refund_percentage !== null && booking.custom_refund_percentage !== undefined) {
-            refundPct = booking.custom_refund_percentage;
-            policyHours = booking.custom_hours_before_start || 0;
-            console.log(`[CancelBooking] Using Custom Booking Policy: Refund ${refundPct}% if > ${policyHours}hrs`);
-        } else if (booking.custom_cancellation_policy) {
-            // Fallback for legacy custom text policies (if any exist without structured data)
-            console.log(`[CancelBooking] Legacy Custom Policy (Text Only). Defaulting to 0% automated refund.`);
-            refundPct = 0;
-            policyHours = 0;
+    // Unpaid occurrence of a pay-per-occurrence series: nothing to refund
+    if (booking.status === 'PENDING' && booking.series_id) {
+        const conn = await BookingRepository.getPool().getConnection();
+        try {
+            await conn.beginTransaction();
+            if (options.precondition && !(await options.precondition(conn))) {
+                await conn.rollback();
+                return null;
+            }
+            await lockForTransition(conn, bookingId, 'CANCELLED');
+            await BookingRepository.updateBookingCancellation(conn, bookingId, toMySQLDateTime(now));
+            await BookingRepository.updateParticipantsPaymentStatus(conn, bookingId, 'CANCELLED');
+            await conn.commit();
+        } catch (err) {
+            await conn.rollback();
+            throw err;
+        } finally {
+            conn.release();
         }
+        if (!options.skipWaitlist) await offerToWaitlist(booking);
+        return { success: true, refundAmount: 0, message: "Booking cancelled. It had not been paid yet, so no refund applies." };
     }
 
-    if (hoursRemaining > policyHours) {
-        // Full Refund (Before the cut-off window)
-        // Actually, wait. Standard Policy logic is:
-        // "Refund X% within Y hours".
-        // Usually it means:
-        // If > Y hours remaining: 100% Refund?
-        // Or is the policy "X% refund if cancelled MORE than Y hours before"?
-        // Let's check standard policy data.
-        // Example: "Refund 50% within 24 hours" usually means if you cancel *within* the last 24h, you get 50%. Before that you get 100%.
-        // The previous code had:
-        // if (hoursRemaining > policyHours) { playerRefund = baseAmount; } else { ... use refundPct ... }
-        // This implies: Outside the window = 100% refund. Inside the window = Policy % refund.
-
-        playerRefund = baseAmount;
-        ownerRevenueCut = 0;
-    } else {
-        // Inside the restricted window
-        // Apply the Refund Percentage
-        const decimalRefund = Number(refundPct) / 100;
-        playerRefund = baseAmount * decimalRefund;
-        ownerRevenueCut = baseAmount * (1 - decimalRefund);
-    }
+    // Card refunds are limited to what each payer paid through Stripe;
+    // anything beyond that (or any non-card payer) is credited to the wallet.
+    const refundDestination = RefundService.resolveRefundDestination(booking, options.refundMethod);
+    const cardPayments = refundDestination === 'CARD'
+        ? await PaymentRepository.getRefundableCardPayments(bookingId)
+        : [];
+    const cardRefunds = [];
+
+    const takeCardPortion = (payerId, amount) => {
+        const payment = cardPayments.find(p => p.payer_id === payerId && p.refundable > 0);
+        if (!payment) return 0;
+        const portion = Math.round(Math.min(amount, payment.refundable) * 100) / 100;
+        payment.refundable -= portion;
+        cardRefunds.push({ payment, userId: payerId, amount: portion });
+        return portion;
+    };
 
     // Atomic Transaction
     const pool = BookingRepository.getPool();
     const conn = await pool.getConnection();
+    let walletRefundTotal = 0;
 
     try {
         await conn.beginTransaction();
+        if (options.precondition && !(await options.precondition(conn))) {
+            await conn.rollback();
+            return null;
+        }
 
-        // 1. Update Booking Status
+        // 1. Update Booking Status (the lock stops a concurrent cancel refunding twice)
+        await lockForTransition(conn, bookingId, 'CANCELLED');
         const cancelTime = toMySQLDateTime(now);
         await BookingRepository.updateBookingCancellation(conn, bookingId, cancelTime);
 
         // 2. Distribute Refunds
+        // Refund legs are posted to the ledger together with the owner's
+        // deduction; card portions leave through Stripe clearing
         const participants = await BookingRepository.getBookingParticipants(bookingId);
         let totalRefundPool = playerRefund; // Total amount to be refunded
         let othersRefundTotal = 0;
+        const refundLegs = [];
+
+        const addRefundLegs = (payerId, amount, description) => {
+            const cardPortion = takeCardPortion(payerId, amount);
+            const walletPortion = Math.round((amount - cardPortion) * 100) / 100;
+            if (cardPortion > 0) {
+                refundLegs.push({ account: LedgerService.ACCOUNTS.STRIPE_CLEARING, amount: cardPortion });
+            }
+            if (walletPortion > 0) {
+                refundLegs.push({ userId: payerId, amount: walletPortion, description, referenceType: 'REFUND' });
+                walletRefundTotal += walletPortion;
+            }
+        };
 
         for (const p of participants) {
             // Refund non-initiators who have PAID
             if (!p.is_initiator && p.payment_status === 'PAID') {
-                const pRefund = Number(p.share_amount) * (hoursRemaining > policyHours ? 1 : Number(refundPct) / 100);
-
-                await WalletRepository.updateWalletBalance(conn, p.user_id, pRefund);
-                await WalletRepository.createTransaction(conn, {
-                    userId: p.user_id,
-                    amount: pRefund,
-                    type: 'CREDIT',
-                    description: `Refund for Booking #${bookingId} (${hoursRemaining > policyHours ? '100' : refundPct}% policy)`,
-                    referenceType: 'REFUND',
-                    referenceId: bookingId
-                });
-
+                const pRefund = Math.round(Number(p.share_amount) * refundShare * 100) / 100;
+                addRefundLegs(p.user_id, pRefund, `Refund for Booking #${bookingId} (${refundPercentage}% policy)`);
                 othersRefundTotal += pRefund;
             }
         }
@@ -150,71 +581,573 @@ export const cancelBooking = async (bookingId, userId) => {
         if (initiatorRefund > 0) {
             // FIX: Credit the refund to the Booking Creator (Customer), not necessarily the person cancelling (who might be the Owner)
             const beneficiaryId = booking.created_by;
-
-            await WalletRepository.updateWalletBalance(conn, beneficiaryId, initiatorRefund);
-            await WalletRepository.createTransaction(conn, {
-                userId: beneficiaryId,
-                amount: initiatorRefund,
-                type: 'CREDIT',
-                description: `Refund for Booking #${bookingId} (Initiator Share)`,
-                referenceType: 'REFUND',
-                referenceId: bookingId
-            });
+            addRefundLegs(beneficiaryId, initiatorRefund, `Refund for Booking #${bookingId} (Initiator Share)`);
+        }
+        // The player who booked paid the booking fee at checkout
+        if (playerFeeRefund > 0) {
+            addRefundLegs(booking.created_by, playerFeeRefund, `Booking fee refund for Booking #${bookingId}`);
         }
 
         // 3.5 Deduct from Venue Owner
-        if (booking.owner_id && playerRefund > 0) {
-            // Deduct the Player Refund from Owner.
-            // Since Owner has 100% of Paid Amount, deducting Player Refund leaves them with Owner Cut.
-            // Owner Balance = (Initial + Paid) - PlayerRefund = Initial + OwnerCut.
-            await WalletRepository.updateWalletBalance(conn, booking.owner_id, -playerRefund);
-            await WalletRepository.createTransaction(conn, {
-                userId: booking.owner_id,
-                amount: -playerRefund,
-                type: 'DEBIT',
+        if (refundLegs.length > 0) {
+            // Deduct the Player Refund from Owner and platform in proportion to
+            // what each received: the platform gives back the matching share of
+            // its commission (and takes back its share of a platform-funded discount).
+            // The deduction is the sum of the rounded refund legs, so the entry balances.
+            // The booking fee was the platform's alone, so it comes back from the platform.
+            const refundTotal = refundLegs.reduce((sum, leg) => sum + Math.round(leg.amount * 100), 0) / 100;
+            const deduction = CommissionService.refundDeduction(booking, (toCents(refundTotal) - toCents(playerFeeRefund)) / 100);
+            await LedgerService.postTransaction(conn, {
+                type: 'BOOKING_REFUND',
+                bookingId,
                 description: `Refund Deduction for Booking #${bookingId}`,
-                referenceType: 'REFUND_DEDUCTION',
-                referenceId: bookingId
+                legs: [
+                    ...(booking.owner_id
+                        ? [{ userId: booking.owner_id, amount: -deduction.owner, referenceType: 'REFUND_DEDUCTION' }]
+                        : []),
+                    { account: LedgerService.ACCOUNTS.PLATFORM, amount: -(toCents(deduction.platform) + toCents(playerFeeRefund)) / 100 },
+                    ...refundLegs
+                ]
             });
+            if (deduction.commissionReversed > 0) {
+                await CommissionRepository.addCommissionReversal(conn, bookingId, deduction.commissionReversed);
+            }
+        }
+
+        // Loyalty points spent on the booking come back in the same proportion as the refund
+        if (Number(booking.loyalty_points_redeemed) > 0 && baseAmount > 0) {
+            await LoyaltyService.restoreBookingPoints(conn, booking, playerRefund / baseAmount);
+        }
+        // Package hours come back under the same policy
+        if (Number(booking.entitlement_hours) > 0) {
+            await PackageService.restoreBookingHours(conn, booking, refundShare);
         }
 
         // 4. Update Participants / Payments Status
-        const status = playerRefund > 0 ? 'REFUNDED' : 'CANCELLED';
+        const status = playerRefund + playerFeeRefund > 0 ? 'REFUNDED' : 'CANCELLED';
         await BookingRepository.updateParticipantsPaymentStatus(conn, bookingId, status);
         await conn.execute("UPDATE payments SET status = ? WHERE booking_id = ? AND status = 'SUCCEEDED'", ['REFUNDED', bookingId]);
 
         await conn.commit();
+    } catch (err) {
+        await conn.rollback();
+        throw err;
+    } finally {
+        conn.release();
+    }
+
+    // 5. Card refunds go to Stripe only once the cancellation is committed
+    const cardRefundResults = await RefundService.issueCardRefunds(bookingId, cardRefunds);
+
+    // 6. Offer the freed court to the waitlist
+    if (!options.skipWaitlist) await offerToWaitlist(booking);
+    const cardRefundTotal = cardRefundResults
+        .filter(r => r.refundId && r.status !== 'failed')
+        .reduce((sum, r) => sum + r.amount, 0);
+
+    let message = "Booking cancelled. No refund applicable.";
+    if (cardRefundTotal > 0 && walletRefundTotal > 0) {
+        message = "Booking cancelled. Refunds processed to cards and wallets.";
+    } else if (cardRefundTotal > 0) {
+        message = "Booking cancelled. Refund sent to your card; it may take 5-10 days to appear.";
+    } else if (playerRefund + playerFeeRefund > 0) {
+        message = "Booking cancelled. Refunds processed to wallets.";
+    }
+
+    return {
+        success: true,
+        refundAmount: (toCents(playerRefund) + toCents(playerFeeRefund)) / 100,
+        playerFeeRefund,
+        refundDestination,
+        cardRefunds: cardRefundResults,
+        message
+    };
+};
+
+/**
+ * Preview what cancelling a booking now would refund, so the player can
+ * confirm it first. Nothing is changed.
+ *
+ * @param {number} bookingId
+ * @param {number} userId - The booking creator or the venue owner
+ * @param {Object} [options]
+ * @param {string} [options.refundMethod] - Requested refund destination ('WALLET' or 'CARD')
+ * @returns {Promise<Object>} The refund per payer, the policy's tiers and when the refund next drops
+ */
+export const previewCancellation = async (bookingId, userId, options = {}) => {
+    const booking = await BookingRepository.getBookingWithPolicy(bookingId);
+    if (!booking) throw new Error("Booking not found");
+
+    const isOwner = booking.owner_id === userId;
+    if (booking.created_by !== userId && !isOwner) {
+        throw new Error("Unauthorized: Only the booking creator or venue owner can cancel.");
+    }
+    if (booking.status === 'CANCELLED') throw new Error("Booking is already cancelled");
+    assertStatusTransition(booking.status, 'CANCELLED');
+
+    const now = new Date();
+    const quote = quoteCancellation(booking, { isOwner, now });
+    if (!isOwner && quote.hoursRemaining <= 0) {
+        throw new Error("Cannot cancel a booking that has already started.");
+    }
+
+    // Blocks and unpaid series occurrences have nothing to refund
+    const isPaid = booking.status === 'CONFIRMED';
+    const playerFeeRefund = isPaid ? quote.playerFeeRefund : 0;
+    const refundAmount = isPaid ? (toCents(quote.playerRefund) + toCents(playerFeeRefund)) / 100 : 0;
+
+    // As in cancelBooking: invitees who paid get the policy's share of their
+    // share, the player who booked the rest and any booking fee refunded
+    const refunds = [];
+    if (refundAmount > 0) {
+        let othersTotal = 0;
+        for (const p of await BookingRepository.getBookingParticipants(bookingId)) {
+            if (p.is_initiator || p.payment_status !== 'PAID') continue;
+            const amount = Math.round(Number(p.share_amount) * quote.refundShare * 100) / 100;
+            if (amount > 0) refunds.push({ userId: p.user_id, amount });
+            othersTotal += amount;
+        }
+        const initiatorRefund = Math.round((refundAmount - othersTotal) * 100) / 100;
+        if (initiatorRefund > 0) refunds.unshift({ userId: booking.created_by, amount: initiatorRefund });
+    }
 
-        return {
-            success: true,
-            refundAmount: playerRefund,
-            message: playerRefund > 0
-                ? `Booking cancelled. Refunds processed to wallets.`
-                : "Booking cancelled. No refund applicable."
+    // The refund drops once the start comes within the tier's hoursBeforeStart
+    let nextTier = null;
+    if (quote.tier && Number(quote.tier.hoursBeforeStart) > 0) {
+        const next = quote.tiers[quote.tiers.indexOf(quote.tier) + 1];
+        nextTier = {
+            startsAt: new Date(new Date(booking.booking_start).getTime() - Number(quote.tier.hoursBeforeStart) * 60 * 60 * 1000),
+            refundPercentage: Number(next?.refundPercentage || 0)
         };
+    }
+
+    return {
+        bookingId,
+        status: booking.status,
+        hoursRemaining: Math.round(quote.hoursRemaining * 100) / 100,
+        amountPaid: isPaid ? quote.baseAmount : 0,
+        refundPercentage: quote.refundPercentage,
+        refundAmount,
+        playerFeeRefund,
+        refundDestination: RefundService.resolveRefundDestination(booking, options.refundMethod),
+        refunds,
+        packageHoursRestored: isPaid
+            ? Math.round(toCents(booking.entitlement_hours || 0) * quote.refundShare) / 100
+            : 0,
+        tiers: quote.tiers,
+        nextTier
+    };
+};
+
+/**
+ * Mark confirmed bookings that have ended as COMPLETED.
+ * Scheduled job.
+ *
+ * @returns {Promise<number>} Number of bookings completed
+ */
+export const completePastBookings = async () => {
+    const completed = await BookingRepository.completePastBookings();
+    if (completed > 0) {
+        console.log(`[Bookings] Marked ${completed} past booking(s) as COMPLETED`);
+    }
+    return completed;
+};
+
+/**
+ * Report that the player did not turn up for a booking.
+ *
+ * Allowed once the booking has started and until NO_SHOW_REPORT_HOURS after
+ * it ends. Nothing is refunded; the no-show is counted against the player
+ * who made the booking (walk-ins the owner entered are not counted).
+ *
+ * @param {number} bookingId
+ * @param {number} ownerId
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+export const markNoShow = async (bookingId, ownerId) => {
+    const booking = await BookingRepository.getBookingWithPolicy(bookingId);
+    if (!booking) throw new Error("Booking not found");
+    if (booking.owner_id !== ownerId) {
+        throw new Error("Unauthorized: Only the venue owner can report a no-show.");
+    }
+    assertStatusTransition(booking.status, 'NO_SHOW');
+
+    const now = new Date();
+    if (new Date(booking.booking_start) > now) {
+        throw new Error("Cannot report a no-show before the booking starts");
+    }
+    const hoursSinceEnd = (now - new Date(booking.booking_end)) / (1000 * 60 * 60);
+    if (hoursSinceEnd > NO_SHOW_REPORT_HOURS) {
+        throw new Error(`No-shows must be reported within ${NO_SHOW_REPORT_HOURS} hours of the booking ending`);
+    }
+
+    const isPlayerBooking = booking.created_by !== booking.owner_id;
+
+    const conn = await BookingRepository.getPool().getConnection();
+    try {
+        await conn.beginTransaction();
+        await lockForTransition(conn, bookingId, 'NO_SHOW');
+        await BookingRepository.markBookingNoShow(conn, bookingId, ownerId);
+
+        if (isPlayerBooking) {
+            await UserRepository.incrementNoShowCount(conn, booking.created_by);
+            await NotificationRepository.createNotification(
+                booking.created_by,
+                `The venue reported that you did not turn up for Booking #${bookingId}. Repeated no-shows may affect your future bookings.`,
+                'BOOKING_ALERT',
+                conn
+            );
+        }
 
+        await conn.commit();
     } catch (err) {
         await conn.rollback();
         throw err;
     } finally {
         conn.release();
     }
+
+    return { success: true, message: "Booking marked as a no-show" };
+};
+
+/**
+ * Get a venue's booking window for a date.
+ *
+ * Uses the venue's operating hours for that day of the week, falling back
+ * to DateUtil.DEFAULT_BOOKING_WINDOW when none are configured. A full-day
+ * closure on the date closes the window; partial closures are listed in
+ * `closures` as minute ranges.
+ *
+ * @param {number} venueId
+ * @param {string} date (YYYY-MM-DD)
+ * @returns {Promise<Object|null>} { isClosed, closureReason, openMinutes, closeMinutes, slotMinutes, closures }, or null if the venue does not exist
+ */
+export const getVenueBookingWindow = async (venueId, date) => {
+    const row = await VenueRepository.getBookingWindow(venueId, DateUtil.getDayOfWeek(date));
+    if (!row) return null;
+
+    const slotMinutes = Number(row.slot_duration_minutes);
+    const window = {
+        ...DateUtil.DEFAULT_BOOKING_WINDOW,
+        ...(slotMinutes > 0 ? { slotMinutes, fixedSlots: true } : {})
+    };
+
+    if (row.open_time !== null) {
+        window.isClosed = Boolean(row.is_closed);
+        window.openMinutes = DateUtil.timeToMinutes(row.open_time);
+        window.closeMinutes = DateUtil.timeToMinutes(row.close_time);
+    }
+
+    // Holidays and special closures on this date
+    window.closures = [];
+    const closures = await ClosureRepository.getClosuresForDate(venueId, date);
+    for (const closure of closures) {
+        if (closure.start_time === null) {
+            window.isClosed = true;
+            window.closureReason = closure.reason;
+        } else {
+            window.closures.push({
+                startMinutes: DateUtil.timeToMinutes(closure.start_time),
+                endMinutes: DateUtil.timeToMinutes(closure.end_time),
+                reason: closure.reason
+            });
+        }
+    }
+
+    return window;
+};
+
+/**
+ * Validate a booking time against the venue's opening hours and slot length.
+ *
+ * @param {number} venueId
+ * @param {string} date (YYYY-MM-DD)
+ * @param {string} time (HH:MM)
+ * @param {number} hours
+ * @returns {Promise<string|null>} Error message, or null if valid
+ */
+export const getBookingTimeError = async (venueId, date, time, hours) => {
+    const window = await getVenueBookingWindow(venueId, date);
+    if (!window) return "Venue not found";
+    return DateUtil.getTimeValidationError(time, hours, window);
+};
+
+/**
+ * Offer a cancelled booking's time range to the waitlist.
+ * Failures are logged only; the cancellation itself has already succeeded.
+ *
+ * @param {Object} booking - Cancelled booking (from getBookingWithPolicy)
+ */
+const offerToWaitlist = async (booking) => {
+    try {
+        await WaitlistService.offerFreedSlot(
+            booking.venue_id,
+            toMySQLDateTime(new Date(booking.booking_start)),
+            toMySQLDateTime(new Date(booking.booking_end))
+        );
+    } catch (err) {
+        console.error(`[Waitlist] Failed to offer freed slot of booking #${booking.booking_id}:`, err);
+    }
+};
+
+/**
+ * The court, IST date, start time and length a booking is on now.
+ *
+ * @param {Object} booking
+ * @returns {{courtId: number, date: string, time: string, hours: number, startStr: string, endStr: string}}
+ */
+const getBookingSlot = (booking) => {
+    const start = new Date(booking.booking_start);
+    const end = new Date(booking.booking_end);
+    return {
+        courtId: booking.court_id,
+        date: DateUtil.getISTDateString(start),
+        time: DateUtil.formatISTDateTime(start).slice(11),
+        hours: (end - start) / (1000 * 60 * 60),
+        startStr: toMySQLDateTime(start),
+        endStr: toMySQLDateTime(end)
+    };
+};
+
+/**
+ * What moving a booking to another slot changes its price by. Both slots
+ * are priced at today's rates, so a change in the venue's rates since the
+ * booking was made does not count.
+ *
+ * @param {Object} venue
+ * @param {Object} from - { courtId, date, time, hours }
+ * @param {Object} to - { courtId, date, time, hours }
+ * @returns {Promise<number>} New price less the current one
+ */
+const priceSlotChange = async (venue, from, to) => {
+    const fromCourt = from.courtId ? await CourtRepository.getCourtById(from.courtId) : null;
+    const toCourt = to.courtId ? await CourtRepository.getCourtById(to.courtId) : null;
+    const before = await calculateDynamicPrice(venue, from.date, from.time, from.hours, fromCourt);
+    const after = await calculateDynamicPrice(venue, to.date, to.time, to.hours, toCourt);
+    return Math.round((after - before) * 100) / 100;
+};
+
+/**
+ * Settle a change in a booking's list price.
+ *
+ * The discounts on the booking stay as they were, so the players pay (or get
+ * back) the whole difference, never more than they paid. The difference is
+ * spread over the open and paid shares in proportion to their amounts:
+ * - an increase is paid by the player who booked (from their wallet, or by
+ *   card), who also takes on the part of invitees that already paid;
+ *   unpaid invitee shares go up by their part
+ * - a decrease is refunded to the wallets of invitees that paid for their
+ *   part and to the player who booked for the rest; unpaid invitee shares go
+ *   down by their part
+ * The commission moves by the difference the venue's current rule makes; the
+ * player fee is left alone. Unpaid series occurrences are only repriced, and
+ * bookings the owner entered keep no shares.
+ *
+ * @param {Object} conn - Connection with an open transaction
+ * @param {Object} booking - Booking (from getBookingWithPolicy)
+ * @param {number} difference - New list price less the current one
+ * @param {Object} options
+ * @param {string} options.description - Shown in the wallet history
+ * @param {boolean} [options.paidByCard=false] - An increase was paid through Stripe
+ * @returns {Promise<{charged: number, refunded: number, totalAmount: number}>}
+ * @throws {Error} "Insufficient wallet balance ..." for an increase paid from the wallet
+ */
+const settlePriceChange = async (conn, booking, difference, { description, paidByCard = false }) => {
+    // A decrease cannot take back more than the players paid
+    const changeCents = Math.max(toCents(difference), -toCents(CommissionService.amountPaid(booking)));
+    const change = changeCents / 100;
+    const totalAmount = (toCents(booking.total_amount) + changeCents) / 100;
+    const isPaid = booking.status === 'CONFIRMED';
+    let commission = Number(booking.commission_amount || 0);
+
+    if (changeCents === 0 || booking.created_by === booking.owner_id) {
+        await BookingRepository.updateBookingAmount(conn, booking.booking_id, { totalAmount, commission });
+        return { charged: 0, refunded: 0, totalAmount };
+    }
+
+    const shares = (await SplitPaymentRepository.getShares(booking.booking_id, conn))
+        .filter(s => s.payment_status === 'PAID' || s.payment_status === 'PENDING');
+    const initiator = shares.find(s => s.is_initiator);
+    let weights = shares.map(s => toCents(s.share_amount));
+    if (!weights.some(w => w > 0)) weights = shares.map(s => (s.is_initiator ? 1 : 0));
+    const portions = weights.some(w => w > 0)
+        ? SplitPaymentService.allocateCents(Math.abs(changeCents), weights)
+        : [];
+
+    const refunds = new Map();
+    for (const [i, share] of shares.entries()) {
+        const cents = portions[i] || 0;
+        if (cents === 0) continue;
+        const isOpenInvite = !share.is_initiator && share.payment_status === 'PENDING';
+        // Invitees who already paid have settled up, so the player who booked covers their part
+        const payer = changeCents > 0 && !isOpenInvite ? initiator : share;
+        if (payer) {
+            await SplitPaymentRepository.adjustShareAmount(conn, { booking_id: booking.booking_id, ...payer }, Math.sign(changeCents) * cents / 100);
+        }
+        if (changeCents < 0) {
+            const payee = share.payment_status === 'PAID' && !share.is_initiator ? share.user_id : booking.created_by;
+            refunds.set(payee, (refunds.get(payee) || 0) + cents);
+        }
+    }
+
+    if (isPaid) {
+        const ownerFundedDiscount = booking.discount_funded_by === 'OWNER' ? Number(booking.discount_amount) : 0;
+        const ownerRevenue = Number(booking.total_amount) - Number(booking.package_discount || 0) - ownerFundedDiscount;
+        const [before, after] = await CommissionService.quoteBookingFees(booking.venue_id, [ownerRevenue, ownerRevenue + change], conn);
+        commission = Math.max((toCents(commission) + toCents(after.commission) - toCents(before.commission)) / 100, 0);
+        const commissionChange = (toCents(commission) - toCents(booking.commission_amount || 0)) / 100;
+
+        const playerLegs = changeCents > 0
+            ? [paidByCard
+                ? { account: LedgerService.ACCOUNTS.STRIPE_CLEARING, amount: -change }
+                : { userId: booking.created_by, amount: -change, description }]
+            : [...refunds].map(([userId, cents]) => ({ userId, amount: cents / 100, description, referenceType: 'REFUND' }));
+        try {
+            await LedgerService.postTransaction(conn, {
+                type: changeCents > 0 ? 'BOOKING_PAYMENT' : 'BOOKING_REFUND',
+                bookingId: booking.booking_id,
+                description: `Price change for Booking #${booking.booking_id}`,
+                legs: [
+                    ...playerLegs,
+                    ...CommissionService.revenueLegs(
+                        booking.owner_id,
+                        { amount: change, commission: commissionChange },
+                        { referenceType: changeCents > 0 ? 'BOOKING_REVENUE' : 'REFUND_DEDUCTION' }
+                    )
+                ]
+            });
+        } catch (err) {
+            if (err.message.startsWith("Insufficient funds")) {
+                throw new Error(`Insufficient wallet balance for the price difference of LKR ${change}`);
+            }
+            throw err;
+        }
+    }
+
+    await BookingRepository.updateBookingAmount(conn, booking.booking_id, { totalAmount, commission });
+    return {
+        charged: isPaid && changeCents > 0 ? change : 0,
+        refunded: isPaid && changeCents < 0 ? -change : 0,
+        totalAmount
+    };
+};
+
+/**
+ * Notify everyone on a booking about a change to it. Registered players get
+ * an in-app notification; invitees who have not signed up yet are returned,
+ * to be emailed once the change is committed.
+ *
+ * @param {Object} conn - Connection with an open transaction
+ * @param {number} bookingId
+ * @param {string} message
+ * @returns {Promise<string[]>} Guest emails
+ */
+const notifyBookingChange = async (conn, bookingId, message) => {
+    const participants = await SplitPaymentRepository.getShares(bookingId, conn);
+    for (const p of participants.filter(p => p.user_id)) {
+        await NotificationRepository.createNotification(p.user_id, message, 'BOOKING_ALERT', conn);
+    }
+    return participants.filter(p => !p.user_id && p.guest_email).map(p => p.guest_email);
+};
+
+/**
+ * Move a booking, reprice it and charge the venue's reschedule fee.
+ *
+ * @param {Object} conn - Connection with an open transaction
+ * @param {Object} booking - Booking (from getBookingWithPolicy)
+ * @param {Object} reschedule
+ * @param {Object} reschedule.to - { courtId, startStr, endStr }
+ * @param {number} reschedule.difference - Price difference
+ * @param {number} reschedule.fee - Reschedule fee
+ * @param {string} reschedule.description - Shown in the wallet history
+ * @param {boolean} [reschedule.paidByCard=false]
+ * @returns {Promise<{charged: number, refunded: number, totalAmount: number}>}
+ */
+const applyReschedule = async (conn, booking, { to, difference, fee, description, paidByCard = false }) => {
+    await BookingRepository.updateBookingDetails(conn, booking.booking_id, {
+        courtId: to.courtId,
+        bookingStart: to.startStr,
+        bookingEnd: to.endStr
+    });
+    const settlement = await settlePriceChange(conn, booking, difference, { description, paidByCard });
+
+    // The fee goes to the owner in full
+    if (fee > 0) {
+        await LedgerService.postTransaction(conn, {
+            type: 'BOOKING_PAYMENT',
+            bookingId: booking.booking_id,
+            description: `Reschedule fee for Booking #${booking.booking_id}`,
+            legs: [
+                paidByCard
+                    ? { account: LedgerService.ACCOUNTS.STRIPE_CLEARING, amount: -fee }
+                    : { userId: booking.created_by, amount: -fee, description: `Reschedule fee for Booking #${booking.booking_id}` },
+                ...CommissionService.revenueLegs(booking.owner_id, { amount: fee }, { referenceType: 'BOOKING_REVENUE' })
+            ]
+        });
+    }
+
+    // A free reschedule after a venue disruption closes the offer and does not count
+    if (booking.disruption_id) {
+        await DisruptionRepository.clearBookingDisruption(conn, booking.booking_id);
+    } else {
+        await RescheduleRepository.incrementRescheduleCount(conn, booking.booking_id);
+    }
+    return settlement;
 };
 
 /**
  * Reschedule a booking to a new time.
- * 
+ *
+ * The booking is repriced for the new slot and the venue's reschedule policy
+ * applies: a limit on how often a booking can be moved, a cutoff before the
+ * start and a fee. A price increase and the fee are paid from the wallet, or
+ * by card: the new court is then held and the booking moves when the Stripe
+ * checkout is paid (completeReschedulePayment). A decrease is refunded to
+ * the wallets (see settlePriceChange). Bookings offered a free reschedule
+ * after a venue disruption skip the policy and the fee.
+ *
  * @param {number} bookingId 
  * @param {number} userId 
  * @param {string} newDate (YYYY-MM-DD)
  * @param {string} newTime (HH:MM)
  * @param {number} hours 
+ * @param {Object} [payment]
+ * @param {string} [payment.paymentMethod='WALLET'] - 'WALLET' or 'CARD'
+ * @param {string} [payment.email] - Prefilled on the Stripe checkout page
+ * @param {number} [payment.preferredCourtId] - Keep the booking on this court if it is free
+ * @returns {Promise<Object>} The result, or a checkoutUrl to pay by card
  */
-export const rescheduleBooking = async (bookingId, userId, newDate, newTime, hours) => {
+export const rescheduleBooking = async (bookingId, userId, newDate, newTime, hours, { paymentMethod = 'WALLET', email, preferredCourtId = null } = {}) => {
     const booking = await BookingRepository.getBookingWithPolicy(bookingId); // get basic info
     if (!booking) throw new Error("Booking not found");
     if (booking.created_by !== userId) throw new Error("Unauthorized");
-    if (booking.status !== 'CONFIRMED') throw new Error("Can only reschedule CONFIRMED bookings");
+    // Unpaid series occurrences still hold their court, so they can be moved too
+    const isUnpaidOccurrence = booking.status === 'PENDING' && booking.series_id;
+    if (booking.status !== 'CONFIRMED' && !isUnpaidOccurrence) {
+        throw new Error("Can only reschedule CONFIRMED bookings");
+    }
+    if (!RESCHEDULE_PAYMENT_METHODS.includes(paymentMethod)) {
+        throw new Error(`paymentMethod must be one of ${RESCHEDULE_PAYMENT_METHODS.join(', ')}`);
+    }
+
+    const now = new Date();
+
+    // The venue's reschedule policy
+    const venue = await BookingRepository.getVenueById(booking.venue_id);
+    const isFree = Boolean(booking.disruption_id);
+    const maxCount = venue.reschedule_max_count;
+    if (!isFree && maxCount !== null && booking.reschedule_count >= maxCount) {
+        throw new Error(maxCount === 0
+            ? "This venue does not allow rescheduling"
+            : `This venue allows ${maxCount} reschedule(s) per booking`);
+    }
+    const cutoffHours = venue.reschedule_cutoff_hours;
+    if (!isFree && cutoffHours !== null && (new Date(booking.booking_start) - now) / (1000 * 60 * 60) < cutoffHours) {
+        throw new Error(`Bookings at this venue cannot be rescheduled within ${cutoffHours} hours of the start`);
+    }
+    if (await RescheduleRepository.hasPendingReschedule(bookingId)) {
+        throw new Error("A reschedule of this booking is already awaiting payment");
+    }
 
     const start = createISTDate(newDate, newTime);
     const end = new Date(start.getTime() + Number(hours) * 60 * 60 * 1000);
@@ -222,50 +1155,533 @@ export const rescheduleBooking = async (bookingId, userId, newDate, newTime, hou
     // Basic Time Validations
     if (!start) throw new Error("Invalid date or time");
 
-    // Check operating hours (7am-10pm) etc.
-    // Re-use `getTimeValidationError` logic but we have separate params here.
-    // We can call the helper functions directly:
-    if (!DateUtil.isValid15MinInterval(newTime)) {
-        throw new Error("Times must be in 15-minute intervals");
+    // Check the venue's operating hours and slot length for the new date
+    const timeError = await getBookingTimeError(booking.venue_id, newDate, newTime, hours);
+    if (timeError) throw new Error(timeError);
+
+    if (start <= now) throw new Error("New time must be in the future");
+
+    const newStartStr = toMySQLDateTime(start);
+    const newEndStr = toMySQLDateTime(end);
+
+    // Conflict Check
+    const availableCourtId = preferredCourtId && await isCourtAvailable(booking.venue_id, preferredCourtId, newStartStr, newEndStr, bookingId)
+        ? preferredCourtId
+        : await findAvailableCourt(booking.venue_id, newStartStr, newEndStr, booking.sport_id, bookingId);
+    if (!availableCourtId) throw new Error("No courts available for this sport.");
+
+    // Reprice for the new slot; an unpaid occurrence is charged the new price when it falls due
+    const from = getBookingSlot(booking);
+    const to = { courtId: availableCourtId, startStr: newStartStr, endStr: newEndStr };
+    const difference = await priceSlotChange(venue, from, { courtId: availableCourtId, date: newDate, time: newTime, hours: Number(hours) });
+    const fee = isFree ? 0 : Number(venue.reschedule_fee || 0);
+    const isPaid = booking.status === 'CONFIRMED';
+    const amountDue = Math.round(((isPaid ? Math.max(difference, 0) : 0) + fee) * 100) / 100;
+    const reschedule = {
+        bookingId,
+        requestedBy: userId,
+        from: { courtId: from.courtId, startStr: from.startStr, endStr: from.endStr },
+        to,
+        priceDifference: difference,
+        fee
+    };
+
+    if (amountDue > 0 && paymentMethod === 'CARD') {
+        return await startReschedulePayment(booking, venue, reschedule, { amountDue, email });
+    }
+    if (amountDue > 0 && (await WalletRepository.getWalletBalance(userId)) < amountDue) {
+        throw new Error(`Insufficient wallet balance: this reschedule costs LKR ${amountDue}`);
+    }
+
+    const court = await CourtRepository.getCourtById(availableCourtId);
+    const summary = `${court?.name || 'a court'}, ${DateUtil.formatISTDateTime(start)} (${Number(hours)}h)`;
+    const conn = await BookingRepository.getPool().getConnection();
+    let settlement;
+    let guestEmails;
+    try {
+        await conn.beginTransaction();
+        await CourtRepository.lockCourts(conn, [availableCourtId]);
+        const status = await BookingRepository.lockBookingStatus(conn, bookingId);
+        if (status !== booking.status) throw new Error("Booking changed during processing, please try again");
+
+        const hasConflict = await BookingRepository.hasBookingConflict(booking.venue_id, newStartStr, newEndStr, availableCourtId, bookingId, conn);
+        if (hasConflict) throw new Error("Slot taken during processing");
+
+        settlement = await applyReschedule(conn, booking, {
+            to,
+            difference,
+            fee,
+            description: `Reschedule of Booking #${bookingId} at ${venue.name}`
+        });
+        await RescheduleRepository.createReschedule({ ...reschedule, paymentMethod: 'WALLET', status: 'COMPLETED' }, conn);
+        guestEmails = await notifyBookingChange(conn, bookingId, `Booking #${bookingId} at ${venue.name} was rescheduled to ${summary}.`);
+        await conn.commit();
+    } catch (err) {
+        await conn.rollback();
+        throw err;
+    } finally {
+        conn.release();
     }
-    if (!DateUtil.isWithinBookingWindow(newTime)) {
-        throw new Error("Booking must start between 7:00 AM and 10:00 PM");
+
+    for (const guestEmail of guestEmails) {
+        await EmailUtil.sendBookingChangeEmail(guestEmail, { bookingId, venueName: venue.name, summary });
     }
-    if (!DateUtil.doesBookingFitInWindow(newTime, hours)) {
-        throw new Error("Booking must end by 10:00 PM");
+    await offerToWaitlist(booking);
+
+    return {
+        success: true,
+        message: "Booking rescheduled successfully",
+        newCourtId: availableCourtId,
+        priceDifference: difference,
+        fee,
+        charged: Math.round((settlement.charged + fee) * 100) / 100,
+        refunded: settlement.refunded
+    };
+};
+
+/**
+ * Hold the new court and start a Stripe checkout for what a reschedule costs.
+ *
+ * @param {Object} booking
+ * @param {Object} venue
+ * @param {Object} reschedule - For RescheduleRepository.createReschedule
+ * @param {Object} payment - { amountDue, email }
+ * @returns {Promise<Object>} { checkoutUrl, holdExpiresAt, ... }
+ */
+const startReschedulePayment = async (booking, venue, reschedule, { amountDue, email }) => {
+    const { bookingId, to, priceDifference, fee } = reschedule;
+    const expiresAt = new Date(Date.now() + CHECKOUT_HOLD_MINUTES * 60 * 1000);
+    const holdIds = await holdCheckoutSlots({
+        venueId: booking.venue_id,
+        userId: reschedule.requestedBy,
+        sportId: booking.sport_id,
+        slots: [to],
+        expiresAt,
+        excludeBookingId: bookingId
+    });
+    if (!holdIds) throw new Error("Slot taken during processing");
+
+    const lineItem = (name, amount) => ({
+        price_data: { currency: "lkr", product_data: { name }, unit_amount: toCents(amount) },
+        quantity: 1,
+    });
+    let session;
+    try {
+        session = await stripe.checkout.sessions.create({
+            mode: "payment",
+            payment_method_types: ["card"],
+            customer_email: email,
+            line_items: [
+                ...(amountDue > fee ? [lineItem(`${venue.name} - Booking #${bookingId} price difference`, priceDifference)] : []),
+                ...(fee > 0 ? [lineItem(`${venue.name} - Reschedule fee`, fee)] : [])
+            ],
+            metadata: {
+                type: 'RESCHEDULE_PAYMENT',
+                user_id: String(reschedule.requestedBy),
+                booking_id: String(bookingId),
+            },
+            payment_intent_data: {
+                metadata: { type: 'RESCHEDULE_PAYMENT', user_id: String(reschedule.requestedBy) }
+            },
+            expires_at: Math.floor(expiresAt.getTime() / 1000),
+            success_url: `${process.env.FRONTEND_URL}/my-bookings?reschedule=success&session_id={CHECKOUT_SESSION_ID}`,
+            cancel_url: `${process.env.FRONTEND_URL}/my-bookings?reschedule=cancelled`,
+        });
+    } catch (err) {
+        await SlotHoldRepository.releaseHolds(holdIds);
+        throw err;
+    }
+
+    await SlotHoldRepository.attachHoldsToSession(holdIds, session.id);
+    await RescheduleRepository.createReschedule({ ...reschedule, paymentMethod: 'CARD', status: 'PENDING', sessionId: session.id });
+
+    return {
+        success: true,
+        message: "Pay the difference to complete the reschedule",
+        checkoutUrl: session.url,
+        holdExpiresAt: expiresAt.toISOString(),
+        newCourtId: to.courtId,
+        priceDifference,
+        fee,
+        amountDue
+    };
+};
+
+/**
+ * Move a booking once its reschedule has been paid by card. Called from the
+ * Stripe webhook; a reschedule is completed only once. If the booking can no
+ * longer be moved (it was cancelled or moved meanwhile), the payment is
+ * credited to the player's wallet instead.
+ *
+ * @param {Object} conn - Connection with an open transaction
+ * @param {Object} session - Stripe Checkout Session
+ * @returns {Promise<Function|undefined>} Emails the guests and offers the old
+ *   slot to the waitlist; call it once the transaction is committed
+ */
+export const completeReschedulePayment = async (conn, session) => {
+    const reschedule = await RescheduleRepository.lockRescheduleBySession(conn, session.id);
+    if (!reschedule || reschedule.status !== 'PENDING') return;
+
+    const bookingId = reschedule.booking_id;
+    const amount = Number(session.amount_total) / 100;
+    // The hold kept the court for this session; it gives way to the booking itself
+    await SlotHoldRepository.closeSessionHolds(conn, session.id, 'CONVERTED');
+
+    const status = await BookingRepository.lockBookingStatus(conn, bookingId);
+    const booking = await BookingRepository.getBookingWithPolicy(bookingId);
+    const to = {
+        courtId: reschedule.court_id,
+        startStr: toMySQLDateTime(new Date(reschedule.booking_start)),
+        endStr: toMySQLDateTime(new Date(reschedule.booking_end))
+    };
+    const movable = booking && status === booking.status
+        && (status === 'CONFIRMED' || (status === 'PENDING' && booking.series_id))
+        && new Date(booking.booking_start).getTime() === new Date(reschedule.from_start).getTime()
+        && !(await BookingRepository.hasBookingConflict(booking.venue_id, to.startStr, to.endStr, to.courtId, bookingId, conn));
+
+    if (!movable) {
+        await RescheduleRepository.updateRescheduleStatus(conn, reschedule.reschedule_id, 'EXPIRED');
+        await LedgerService.postTransaction(conn, {
+            type: 'RESCHEDULE_REFUND',
+            reference: session.id,
+            description: `Payment for a reschedule of Booking #${bookingId} that could not be made`,
+            legs: [
+                { account: LedgerService.ACCOUNTS.STRIPE_CLEARING, amount: -amount },
+                { userId: reschedule.requested_by, amount, description: `Reschedule of Booking #${bookingId} not made (card payment credited)` }
+            ]
+        });
+        await NotificationRepository.createNotification(
+            reschedule.requested_by,
+            `Booking #${bookingId} could no longer be rescheduled, so your payment of LKR ${amount} was added to your wallet.`,
+            'PAYMENT',
+            conn
+        );
+        return;
+    }
+
+    const venue = await BookingRepository.getVenueById(booking.venue_id);
+    await applyReschedule(conn, booking, {
+        to,
+        difference: Number(reschedule.price_difference),
+        fee: Number(reschedule.fee),
+        description: `Reschedule of Booking #${bookingId} at ${venue.name}`,
+        paidByCard: true
+    });
+    await RescheduleRepository.updateRescheduleStatus(conn, reschedule.reschedule_id, 'COMPLETED');
+    await BookingRepository.createPayment(conn, {
+        bookingId,
+        payerId: reschedule.requested_by,
+        amount,
+        currency: "LKR",
+        providerReference: session.id,
+    });
+    await BookingRepository.updatePaymentStatus(conn, session.id, "SUCCEEDED");
+
+    const court = await CourtRepository.getCourtById(to.courtId);
+    const summary = `${court?.name || 'a court'}, ${DateUtil.formatISTDateTime(new Date(reschedule.booking_start))} (${(new Date(reschedule.booking_end) - new Date(reschedule.booking_start)) / (1000 * 60 * 60)}h)`;
+    const guestEmails = await notifyBookingChange(conn, bookingId, `Booking #${bookingId} at ${venue.name} was rescheduled to ${summary}.`);
+
+    return async () => {
+        for (const guestEmail of guestEmails) {
+            await EmailUtil.sendBookingChangeEmail(guestEmail, { bookingId, venueName: venue.name, summary });
+        }
+        await offerToWaitlist(booking);
+    };
+};
+
+/**
+ * Release a card reschedule whose checkout expired unpaid; the booking
+ * stays where it was.
+ *
+ * @param {Object} conn - Connection with an open transaction
+ * @param {Object} session - Stripe Checkout Session
+ */
+export const expireReschedulePayment = async (conn, session) => {
+    const reschedule = await RescheduleRepository.lockRescheduleBySession(conn, session.id);
+    if (reschedule?.status === 'PENDING') {
+        await RescheduleRepository.updateRescheduleStatus(conn, reschedule.reschedule_id, 'EXPIRED');
+    }
+};
+
+/**
+ * Move, extend or shorten a booking at the owner's venue, e.g. when a court
+ * is out of use. Any of the court, date, start time and duration can change;
+ * the rest stay as they are.
+ *
+ * The difference between the new and the current slot is collected from or
+ * refunded to the players' wallets (see priceSlotChange and
+ * settlePriceChange). Pass waiveIncrease to keep the price when the new slot
+ * costs more. The venue's reschedule policy does not apply. A disruption
+ * reschedule offer on the booking is closed. Every participant is notified.
+ *
+ * @param {number} bookingId
+ * @param {number} ownerId
+ * @param {Object} changes
+ * @param {number} [changes.courtId]
+ * @param {string} [changes.date] - YYYY-MM-DD
+ * @param {string} [changes.time] - HH:MM
+ * @param {number} [changes.hours]
+ * @param {boolean} [changes.waiveIncrease=false]
+ * @param {string} [changes.reason] - Included in the notifications
+ * @returns {Promise<Object>} The new slot and the price change
+ */
+export const modifyBookingAsOwner = async (bookingId, ownerId, { courtId, date, time, hours, waiveIncrease = false, reason } = {}) => {
+    const booking = await BookingRepository.getBookingWithPolicy(bookingId);
+    if (!booking) throw new Error("Booking not found");
+    if (booking.owner_id !== ownerId) {
+        throw new Error("Unauthorized: Only the venue owner can modify this booking.");
+    }
+    const isUnpaidOccurrence = booking.status === 'PENDING' && booking.series_id;
+    if (booking.status !== 'CONFIRMED' && !isUnpaidOccurrence) {
+        throw new Error("Can only modify CONFIRMED bookings");
     }
 
     const now = new Date();
+    const currentStart = new Date(booking.booking_start);
+    if (new Date(booking.booking_end) <= now) throw new Error("Cannot modify a booking that has ended");
 
-    if (start <= now) throw new Error("New time must be in the future");
+    const current = getBookingSlot(booking);
+    const next = {
+        courtId: courtId !== undefined ? Number(courtId) : current.courtId,
+        date: date || current.date,
+        time: time || current.time,
+        hours: hours !== undefined ? Number(hours) : current.hours
+    };
+    if (!(next.hours > 0)) throw new Error("hours must be positive");
+    if (next.courtId === current.courtId && next.date === current.date
+        && next.time === current.time && next.hours === current.hours) {
+        throw new Error("Nothing to change");
+    }
+
+    const start = createISTDate(next.date, next.time);
+    if (isNaN(start.getTime())) throw new Error("Invalid date or time");
+    const end = new Date(start.getTime() + next.hours * 60 * 60 * 1000);
+    if (currentStart <= now && start.getTime() !== currentStart.getTime()) {
+        throw new Error("The booking has started, so only its court and duration can change");
+    }
+    if (currentStart > now && start <= now) throw new Error("New time must be in the future");
+    if (end <= now) throw new Error("New end time must be in the future");
+
+    const timeError = await getBookingTimeError(booking.venue_id, next.date, next.time, next.hours);
+    if (timeError) throw new Error(timeError);
+
+    const court = await CourtRepository.getCourtById(next.courtId);
+    if (!court || court.venue_id !== booking.venue_id || !court.is_active) {
+        throw new Error(`Court ${next.courtId} not found at this venue`);
+    }
+    if (booking.sport_id && !(await CourtRepository.courtSupportsSport(court.court_id, booking.sport_id))) {
+        throw new Error(`${court.name} does not support this sport`);
+    }
 
     const newStartStr = toMySQLDateTime(start);
     const newEndStr = toMySQLDateTime(end);
+    if (!(await isCourtAvailable(booking.venue_id, court.court_id, newStartStr, newEndStr, bookingId))) {
+        throw new Error(`${court.name} is not available at ${next.time} (${next.hours}h) on ${next.date}`);
+    }
 
-    // Conflict Check
-    const availableCourtId = await findAvailableCourt(booking.venue_id, newStartStr, newEndStr, booking.sport_id, bookingId);
-    if (!availableCourtId) throw new Error("No courts available for this sport.");
+    const venue = await BookingRepository.getVenueById(booking.venue_id);
+    let difference = await priceSlotChange(venue, current, next);
+    if (difference > 0 && waiveIncrease) difference = 0;
 
+    const summary = `${court.name}, ${DateUtil.formatISTDateTime(start)} (${next.hours}h)`;
     const conn = await BookingRepository.getPool().getConnection();
+    let settlement;
+    let guestEmails;
     try {
         await conn.beginTransaction();
-        const hasConflict = await BookingRepository.hasBookingConflict(booking.venue_id, newStartStr, newEndStr, availableCourtId, bookingId);
+        // Lock the target court first, so a concurrent checkout cannot take it meanwhile
+        await CourtRepository.lockCourts(conn, [court.court_id]);
+        const status = await BookingRepository.lockBookingStatus(conn, bookingId);
+        if (status !== booking.status) throw new Error("Booking changed during processing, please try again");
+
+        const hasConflict = await BookingRepository.hasBookingConflict(booking.venue_id, newStartStr, newEndStr, court.court_id, bookingId, conn);
         if (hasConflict) throw new Error("Slot taken during processing");
 
         await BookingRepository.updateBookingDetails(conn, bookingId, {
-            courtId: availableCourtId,
+            courtId: court.court_id,
             bookingStart: newStartStr,
             bookingEnd: newEndStr
         });
+        // The owner has moved the booking, which settles a disruption reschedule offer
+        if (booking.disruption_id) {
+            await DisruptionRepository.clearBookingDisruption(conn, bookingId);
+        }
+        settlement = await settlePriceChange(conn, booking, difference, {
+            description: `Price change for Booking #${bookingId} at ${venue.name}`
+        });
+
+        let message = `${venue.name} changed Booking #${bookingId}: it is now on ${summary}.`;
+        if (reason) message += ` Reason: ${String(reason).slice(0, 200)}`;
+        if (settlement.charged > 0) message += ` The price went up by LKR ${settlement.charged}, charged to the wallet of the player who booked.`;
+        if (settlement.refunded > 0) message += ` The price went down by LKR ${settlement.refunded}, refunded to the players' wallets.`;
+        guestEmails = await notifyBookingChange(conn, bookingId, message);
         await conn.commit();
-        return { success: true, message: "Booking rescheduled successfully", newCourtId: availableCourtId };
+    } catch (err) {
+        await conn.rollback();
+        throw err;
+    } finally {
+        conn.release();
+    }
+
+    for (const guestEmail of guestEmails) {
+        await EmailUtil.sendBookingChangeEmail(guestEmail, { bookingId, venueName: venue.name, summary });
+    }
+
+    // Whatever part of the old slot is now free goes to the waitlist
+    await offerToWaitlist(booking);
+
+    return {
+        success: true,
+        message: "Booking updated",
+        courtId: court.court_id,
+        bookingStart: newStartStr,
+        bookingEnd: newEndStr,
+        totalAmount: settlement.totalAmount,
+        priceDifference: difference,
+        charged: settlement.charged,
+        refunded: settlement.refunded
+    };
+};
+
+/**
+ * Cancel some of a booking's hours, from its start or its end.
+ *
+ * The hours given up are worth their share of what was paid for the booking
+ * (the list price less any promo, loyalty and package discounts), and the
+ * booking's cancellation policy decides how much of that comes back. The
+ * list price only goes down by the refund, so the owner keeps what the
+ * policy withholds; the refund is spread over the players' wallets like any
+ * price decrease (see settlePriceChange). Package hours and loyalty points
+ * spent on the booking come back in the same proportion. An unpaid series
+ * occurrence is repriced at today's rates instead (see priceSlotChange).
+ * The freed court time is offered to the waitlist.
+ *
+ * @param {number} bookingId
+ * @param {number} userId - Must be the booking creator
+ * @param {Object} cancellation
+ * @param {number} cancellation.hours - Hours to give up
+ * @param {string} [cancellation.from='END'] - 'START' or 'END'
+ * @returns {Promise<Object>} The shortened slot and the refund
+ */
+export const cancelBookingHours = async (bookingId, userId, { hours, from = 'END' } = {}) => {
+    const removed = Number(hours);
+    if (!(removed > 0)) throw new Error("hours must be positive");
+    if (!PARTIAL_CANCEL_SIDES.includes(from)) {
+        throw new Error(`from must be one of ${PARTIAL_CANCEL_SIDES.join(', ')}`);
+    }
+
+    const booking = await BookingRepository.getBookingWithPolicy(bookingId);
+    if (!booking) throw new Error("Booking not found");
+    if (booking.created_by !== userId) throw new Error("Unauthorized: Only the booking creator can cancel.");
+    const isUnpaidOccurrence = booking.status === 'PENDING' && booking.series_id;
+    if (booking.status !== 'CONFIRMED' && !isUnpaidOccurrence) {
+        throw new Error("Can only cancel hours of CONFIRMED bookings");
+    }
+
+    const now = new Date();
+    const start = new Date(booking.booking_start);
+    const end = new Date(booking.booking_end);
+    const hoursRemaining = (start - now) / (1000 * 60 * 60);
+    if (hoursRemaining <= 0) throw new Error("Cannot cancel a booking that has already started.");
 
+    const current = getBookingSlot(booking);
+    if (removed >= current.hours) throw new Error("To cancel every hour, cancel the booking instead");
+
+    const removedMs = removed * 60 * 60 * 1000;
+    const keptStart = from === 'START' ? new Date(start.getTime() + removedMs) : start;
+    const keptEnd = from === 'END' ? new Date(end.getTime() - removedMs) : end;
+    const kept = {
+        courtId: current.courtId,
+        date: DateUtil.getISTDateString(keptStart),
+        time: DateUtil.formatISTDateTime(keptStart).slice(11),
+        hours: current.hours - removed
+    };
+    const timeError = await getBookingTimeError(booking.venue_id, kept.date, kept.time, kept.hours);
+    if (timeError) throw new Error(timeError);
+
+    // An unpaid occurrence is simply repriced; paid hours come back under the policy
+    const venue = await BookingRepository.getVenueById(booking.venue_id);
+    const isPaid = booking.status === 'CONFIRMED';
+    const restoredShare = isPaid ? (removed / current.hours) * PolicyService.getRefundShare(booking, hoursRemaining) : 0;
+    const reduction = isPaid
+        ? Math.round(CommissionService.amountPaid(booking) * restoredShare * 100) / 100
+        : Math.max(-(await priceSlotChange(venue, current, kept)), 0);
+
+    const court = current.courtId ? await CourtRepository.getCourtById(current.courtId) : null;
+    const summary = `${court?.name || 'a court'}, ${DateUtil.formatISTDateTime(keptStart)} (${kept.hours}h)`;
+    const conn = await BookingRepository.getPool().getConnection();
+    let settlement;
+    let guestEmails;
+    let packageHoursRestored = 0;
+    let pointsRestored = 0;
+    try {
+        await conn.beginTransaction();
+        const status = await BookingRepository.lockBookingStatus(conn, bookingId);
+        if (status !== booking.status) throw new Error("Booking changed during processing, please try again");
+
+        await BookingRepository.updateBookingDetails(conn, bookingId, {
+            courtId: current.courtId,
+            bookingStart: toMySQLDateTime(keptStart),
+            bookingEnd: toMySQLDateTime(keptEnd)
+        });
+        settlement = await settlePriceChange(conn, booking, -reduction, {
+            description: `Cancelled ${removed}h of Booking #${bookingId} at ${venue.name}`
+        });
+
+        // Package hours and loyalty points come back in proportion; the booking
+        // keeps the rest, so cancelling it later cannot return them twice
+        if (restoredShare > 0 && Number(booking.entitlement_hours) > 0) {
+            packageHoursRestored = await PackageService.restoreBookingHours(conn, booking, restoredShare);
+            await PackageRepository.setBookingEntitlement(conn, bookingId, {
+                entitlementId: booking.entitlement_id,
+                hours: (toCents(booking.entitlement_hours) - toCents(packageHoursRestored)) / 100,
+                discount: Number(booking.package_discount || 0)
+            });
+        }
+        if (restoredShare > 0 && Number(booking.loyalty_points_redeemed) > 0) {
+            pointsRestored = await LoyaltyService.restoreBookingPoints(conn, booking, restoredShare);
+            await LoyaltyRepository.setBookingRedemption(conn, bookingId, {
+                points: Number(booking.loyalty_points_redeemed) - pointsRestored,
+                discount: Number(booking.loyalty_discount || 0)
+            });
+        }
+
+        let message = `${removed}h of Booking #${bookingId} at ${venue.name} was cancelled: it is now on ${summary}.`;
+        if (settlement.refunded > 0) message += ` LKR ${settlement.refunded} was refunded to the players' wallets.`;
+        if (packageHoursRestored > 0) message += ` ${packageHoursRestored} package hour(s) were returned.`;
+        guestEmails = await notifyBookingChange(conn, bookingId, message);
+        await conn.commit();
     } catch (err) {
         await conn.rollback();
         throw err;
     } finally {
         conn.release();
     }
+
+    for (const guestEmail of guestEmails) {
+        await EmailUtil.sendBookingChangeEmail(guestEmail, { bookingId, venueName: venue.name, summary });
+    }
+
+    // Only the hours given up are free for the waitlist
+    await offerToWaitlist({
+        ...booking,
+        booking_start: from === 'START' ? start : keptEnd,
+        booking_end: from === 'START' ? keptStart : end
+    });
+
+    return {
+        success: true,
+        message: settlement.refunded > 0
+            ? `Cancelled ${removed}h. LKR ${settlement.refunded} refunded to wallets.`
+            : `Cancelled ${removed}h. No refund applicable.`,
+        bookingStart: toMySQLDateTime(keptStart),
+        bookingEnd: toMySQLDateTime(keptEnd),
+        hours: kept.hours,
+        totalAmount: settlement.totalAmount,
+        refundAmount: settlement.refunded,
+        packageHoursRestored,
+        pointsRestored
+    };
 };
 
 /**
@@ -275,8 +1691,9 @@ export const rescheduleBooking = async (bookingId, userId, newDate, newTime, hou
  * @param {string} date (YYYY-MM-DD)
  * @param {number} hours 
  * @param {number} sportId 
+ * @param {boolean} [perCourt] - Also return each court's availability per slot
  */
-export const getAvailableTimeSlots = async (venueId, date, hours, sportId) => {
+export const getAvailableTimeSlots = async (venueId, date, hours, sportId, perCourt = false) => {
     const duration = Number(hours);
 
     // 1. Get all courts supporting this sport at this venue
@@ -285,50 +1702,49 @@ export const getAvailableTimeSlots = async (venueId, date, hours, sportId) => {
         return []; // No courts support this sport
     }
 
-    // 2. Get ALL booked slots for these courts on this date
-    const allSlots = await BookingRepository.getBookedSlotsForDate(venueId, date);
+    // 2. Get ALL booked slots for these courts on this (IST) date
+    const day = DateUtil.getISTDayRange(date);
+    const allSlots = await BookingRepository.getBookedSlotsInRange(venueId, day.start, day.end);
 
-    // Define operating hours (7 AM to 10 PM)
-    const openTime = 7 * 60;
-    const closeTime = 22 * 60;
-    const step = 60; // 1 hour intervals
+    // Operating hours and slot length for this day
+    const window = await getVenueBookingWindow(venueId, date);
+    if (!window || window.isClosed) {
+        return [];
+    }
+    const openTime = window.openMinutes;
+    const closeTime = window.closeMinutes;
+    const step = window.slotMinutes;
 
     const availableSlots = [];
     const now = new Date();
 
     // 3. Generate all possible start times
     for (let time = openTime; time <= closeTime - (duration * 60); time += step) {
-        const h = Math.floor(time / 60);
-        const m = time % 60;
-        const timeStr = `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+        const timeStr = DateUtil.minutesToTime(time);
 
         const startDateTime = DateUtil.createISTDate(date, timeStr);
         const endDateTime = new Date(startDateTime.getTime() + duration * 60 * 60 * 1000);
 
-        if (startDateTime <= now) {
-            availableSlots.push({ time: timeStr, available: false });
-            continue;
-        }
-
-        // A slot is available if AT LEAST ONE court is free
-        let isAnyCourtFree = false;
+        const isBookable = startDateTime > now && !DateUtil.findOverlappingClosure(timeStr, duration, window);
 
-        for (const court of courts) {
-            // Check if THIS specific court is free
-            const courtConflicts = allSlots.filter(s => {
-                const bStart = new Date(s.booking_start);
-                const bEnd = new Date(s.booking_end);
-                return (s.court_id === court.court_id || s.court_id === null) &&
-                    (startDateTime < bEnd && endDateTime > bStart);
-            });
-
-            if (courtConflicts.length === 0) {
-                isAnyCourtFree = true;
-                break;
-            }
+        if (!perCourt) {
+            // A slot is available if AT LEAST ONE court is free
+            const isAnyCourtFree = isBookable && courts.some(court => isCourtFree(allSlots, court.court_id, startDateTime, endDateTime));
+            availableSlots.push({ time: timeStr, available: isAnyCourtFree });
+            continue;
         }
 
-        availableSlots.push({ time: timeStr, available: isAnyCourtFree });
+        const courtAvailability = courts.map(court => ({
+            courtId: court.court_id,
+            name: court.name,
+            pricePerHour: court.price_per_hour,
+            available: isBookable && isCourtFree(allSlots, court.court_id, startDateTime, endDateTime)
+        }));
+        availableSlots.push({
+            time: timeStr,
+            available: courtAvailability.some(c => c.available),
+            courts: courtAvailability
+        });
     }
 
     return availableSlots;
@@ -352,21 +1768,44 @@ export const findAvailableCourt = async (venueId, startStr, endStr, sportId, exc
     const start = new Date(startStr + "Z");
     const end = new Date(endStr + "Z");
 
-    const allSlots = await BookingRepository.getBookedSlotsForDate(venueId, startStr.split(' ')[0]);
+    const allSlots = await BookingRepository.getBookedSlotsInRange(venueId, startStr, endStr);
 
-    for (const court of courts) {
-        const courtConflicts = allSlots.filter(s => {
-            const bStart = new Date(s.booking_start);
-            const bEnd = new Date(s.booking_end);
-            return (s.court_id === court.court_id || s.court_id === null) &&
-                (s.booking_id !== excludeBookingId) &&
-                (start < bEnd && end > bStart);
-        });
+    const court = courts.find(c => isCourtFree(allSlots, c.court_id, start, end, excludeBookingId));
+    return court ? court.court_id : null;
+};
 
-        if (courtConflicts.length === 0) {
-            return court.court_id;
-        }
-    }
+/**
+ * Check whether a specific court is free for a time range.
+ *
+ * @param {number} venueId 
+ * @param {number} courtId 
+ * @param {string} startStr (MySQL DateTime)
+ * @param {string} endStr (MySQL DateTime)
+ * @param {number} excludeBookingId (Optional)
+ * @returns {Promise<boolean>}
+ */
+export const isCourtAvailable = async (venueId, courtId, startStr, endStr, excludeBookingId = null) => {
+    const allSlots = await BookingRepository.getBookedSlotsInRange(venueId, startStr, endStr);
+    return isCourtFree(allSlots, courtId, new Date(startStr + "Z"), new Date(endStr + "Z"), excludeBookingId);
+};
 
-    return null;
+/**
+ * Check a court against bookings, blocks and holds.
+ * Venue-wide blocks (court_id NULL) apply to every court.
+ *
+ * @param {Object[]} allSlots - From BookingRepository.getBookedSlotsInRange
+ * @param {number} courtId 
+ * @param {Date} start 
+ * @param {Date} end 
+ * @param {number} excludeBookingId (Optional) Booking being moved
+ * @returns {boolean}
+ */
+const isCourtFree = (allSlots, courtId, start, end, excludeBookingId = null) => {
+    return !allSlots.some(s => {
+        const bStart = new Date(s.booking_start);
+        const bEnd = new Date(s.booking_end);
+        return (s.court_id === courtId || s.court_id === null) &&
+            (excludeBookingId === null || s.booking_id !== excludeBookingId) &&
+            (start < bEnd && end > bStart);
+    });
 };
@@ -0,0 +1,277 @@
+/**
+ * Closure Service
+ *
+ * Business logic for venue holidays and special closures.
+ *
+ * Responsibilities:
+ * - Validate and create full-day / partial-day closures
+ * - Import national holiday lists from iCal files
+ * - Flag existing bookings that fall on a newly closed day to the owner
+ * - Filter closed venues out of recommendations
+ *
+ * Closures are enforced on availability, checkout, reschedule, walk-ins and
+ * blocks through BookingService.getVenueBookingWindow.
+ *
+ * @module services/ClosureService
+ */
+
+import * as ClosureRepository from "../repositories/ClosureRepository.js";
+import * as BookingRepository from "../repositories/BookingRepository.js";
+import * as NotificationRepository from "../repositories/NotificationRepository.js";
+import { getOwnedVenue } from "./VenueService.js";
+import { parseICalEvents } from "../utils/icalUtil.js";
+import {
+  createISTDate,
+  toMySQLDateTime,
+  timeToMinutes,
+  getISTDateString,
+  getDayOfWeek,
+} from "../utils/dateUtil.js";
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-4]):[0-5]\d$/;
+const MAX_IMPORT_EVENT_DAYS = 31;
+
+/**
+ * Add days to a YYYY-MM-DD date
+ */
+const addDays = (dateStr, days) => {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Dates on which a closure occurs from today through the next 12 months
+ *
+ * @param {Object} closure - { closureDate, recursAnnually }
+ * @returns {string[]} YYYY-MM-DD dates
+ */
+const getUpcomingOccurrences = (closure) => {
+  const today = getISTDateString();
+  const horizon = addDays(today, 366);
+
+  if (!closure.recursAnnually) {
+    return closure.closureDate >= today ? [closure.closureDate] : [];
+  }
+
+  const monthDay = closure.closureDate.slice(5);
+  const thisYear = Number(today.slice(0, 4));
+  return [thisYear, thisYear + 1]
+    .map((year) => `${year}-${monthDay}`)
+    .filter((date) => date >= closure.closureDate && date >= today && date <= horizon);
+};
+
+/**
+ * Find bookings that fall inside new closures and notify the owner
+ *
+ * @param {Object} venue - Venue from BookingRepository.getVenueById
+ * @param {Object[]} closures - [{ closureDate, startTime, endTime, reason, recursAnnually }]
+ * @returns {Promise<Object[]>} Affected bookings [{ bookingId, date, status }]
+ */
+const flagAffectedBookings = async (venue, closures) => {
+  const affected = new Map();
+  const now = new Date();
+
+  for (const closure of closures) {
+    for (const date of getUpcomingOccurrences(closure)) {
+      const dayStart = createISTDate(date, "00:00");
+      const startMinutes = closure.startTime ? timeToMinutes(closure.startTime) : 0;
+      const endMinutes = closure.endTime ? timeToMinutes(closure.endTime) : 24 * 60;
+      const rangeStart = new Date(dayStart.getTime() + startMinutes * 60 * 1000);
+      const rangeEnd = new Date(dayStart.getTime() + endMinutes * 60 * 1000);
+
+      const bookings = await BookingRepository.getBookingsForRange(
+        venue.venue_id,
+        toMySQLDateTime(rangeStart),
+        toMySQLDateTime(rangeEnd)
+      );
+
+      for (const b of bookings) {
+        if (b.status === "BLOCKED" || affected.has(b.booking_id)) continue;
+
+        // getBookingsForRange includes bookings touching the range edges
+        const bStart = new Date(b.booking_start);
+        const bEnd = new Date(b.booking_end);
+        if (bEnd <= now || !(bStart < rangeEnd && bEnd > rangeStart)) continue;
+
+        affected.set(b.booking_id, { bookingId: b.booking_id, date, status: b.status });
+      }
+    }
+  }
+
+  const affectedBookings = [...affected.values()];
+  if (affectedBookings.length > 0) {
+    const list = affectedBookings.map((b) => `#${b.bookingId} (${b.date})`).join(", ");
+    await NotificationRepository.createNotification(
+      venue.owner_id,
+      `${affectedBookings.length} existing booking(s) at ${venue.name} fall on a closed day: ${list}. Please contact the players or cancel these bookings.`,
+      "BOOKING_ALERT"
+    );
+  }
+
+  return affectedBookings;
+};
+
+/**
+ * Get a venue's closures
+ *
+ * @param {number} venueId
+ * @param {string} [fromDate] - YYYY-MM-DD
+ * @param {string} [toDate] - YYYY-MM-DD
+ * @returns {Promise<Object[]>} Closures
+ */
+export const getVenueClosures = async (venueId, fromDate = null, toDate = null) => {
+  if ((fromDate && !DATE_PATTERN.test(fromDate)) || (toDate && !DATE_PATTERN.test(toDate))) {
+    throw new Error("Dates must be in YYYY-MM-DD format");
+  }
+  return await ClosureRepository.getClosures(venueId, fromDate, toDate);
+};
+
+/**
+ * Create a closure
+ *
+ * Omit startTime and endTime to close the venue for the whole day.
+ *
+ * @param {number} venueId
+ * @param {number} ownerId
+ * @param {Object} data
+ * @param {string} data.date - YYYY-MM-DD
+ * @param {string} [data.startTime] - HH:MM (IST)
+ * @param {string} [data.endTime] - HH:MM (IST), up to 24:00
+ * @param {string} [data.reason]
+ * @param {boolean} [data.recursAnnually]
+ * @returns {Promise<{closureId: number, affectedBookings: Object[]}>}
+ */
+export const createClosure = async (venueId, ownerId, { date, startTime, endTime, reason, recursAnnually }) => {
+  const venue = await getOwnedVenue(venueId, ownerId);
+
+  if (!date || !DATE_PATTERN.test(date)) {
+    throw new Error("Closure date must be in YYYY-MM-DD format");
+  }
+  if (Boolean(startTime) !== Boolean(endTime)) {
+    throw new Error("Closure needs both startTime and endTime, or neither for a full day");
+  }
+  if (startTime) {
+    if (!TIME_PATTERN.test(startTime) || !TIME_PATTERN.test(endTime)) {
+      throw new Error("Closure times must be in HH:MM format");
+    }
+    if (timeToMinutes(endTime) > 24 * 60 || timeToMinutes(startTime) >= timeToMinutes(endTime)) {
+      throw new Error("Closure end time must be after start time");
+    }
+  }
+
+  const closure = {
+    venueId,
+    closureDate: date,
+    startTime: startTime || null,
+    endTime: endTime || null,
+    reason: reason?.trim() || null,
+    recursAnnually: Boolean(recursAnnually),
+    createdBy: ownerId,
+  };
+
+  const closureId = await ClosureRepository.createClosure(closure);
+  const affectedBookings = await flagAffectedBookings(venue, [closure]);
+
+  return { closureId, affectedBookings };
+};
+
+/**
+ * Import closures from an iCal holiday calendar
+ *
+ * All-day events close the venue for each day they span. Timed events on a
+ * single day become partial closures. Events already imported (same UID)
+ * are skipped.
+ *
+ * @param {number} venueId
+ * @param {number} ownerId
+ * @param {string} icsText - Contents of the .ics file
+ * @param {Object} [options]
+ * @param {boolean} [options.recursAnnually] - Repeat every imported closure yearly
+ * @returns {Promise<{imported: number, skipped: number, affectedBookings: Object[]}>}
+ */
+export const importICalClosures = async (venueId, ownerId, icsText, { recursAnnually = false } = {}) => {
+  const venue = await getOwnedVenue(venueId, ownerId);
+
+  if (!icsText || !String(icsText).includes("BEGIN:VCALENDAR")) {
+    throw new Error("Calendar file is not a valid iCal file");
+  }
+
+  const events = parseICalEvents(icsText);
+  const created = [];
+  let skipped = 0;
+
+  for (const event of events) {
+    const { start, end } = event;
+    const uid = event.uid || `${start.date}-${event.summary || "closure"}`;
+    const sameDayTimed = start.time && end?.time && end.date === start.date;
+
+    const closures = [];
+    if (sameDayTimed) {
+      closures.push({ closureDate: start.date, startTime: start.time, endTime: end.time, externalUid: uid });
+    } else {
+      // DTEND of an all-day event is exclusive; a missing DTEND means one day
+      let lastDate = end?.date || start.date;
+      if (!start.time && end?.date && end.date > start.date) lastDate = addDays(end.date, -1);
+
+      for (let date = start.date, i = 0; date <= lastDate && i < MAX_IMPORT_EVENT_DAYS; date = addDays(date, 1), i++) {
+        closures.push({
+          closureDate: date,
+          startTime: null,
+          endTime: null,
+          externalUid: date === start.date ? uid : `${uid}#${date}`,
+        });
+      }
+    }
+
+    for (const closure of closures) {
+      const data = {
+        ...closure,
+        venueId,
+        reason: event.summary,
+        recursAnnually: recursAnnually || event.recursAnnually,
+        source: "ICAL",
+        createdBy: ownerId,
+      };
+      const closureId = await ClosureRepository.createClosure(data);
+      if (closureId) created.push(data);
+      else skipped++;
+    }
+  }
+
+  const affectedBookings = await flagAffectedBookings(venue, created);
+  return { imported: created.length, skipped, affectedBookings };
+};
+
+/**
+ * Delete a closure
+ *
+ * @param {number} venueId
+ * @param {number} ownerId
+ * @param {number} closureId
+ * @returns {Promise<void>}
+ */
+export const deleteClosure = async (venueId, ownerId, closureId) => {
+  await getOwnedVenue(venueId, ownerId);
+  const deleted = await ClosureRepository.deleteClosure(venueId, closureId);
+  if (!deleted) throw new Error("Closure not found");
+};
+
+/**
+ * Remove venues that are closed all day on a date
+ *
+ * @param {Object[]} venues - Venue objects with venue_id
+ * @param {string} [date] - YYYY-MM-DD, defaults to today (IST)
+ * @returns {Promise<Object[]>} Venues open on the date
+ */
+export const filterOpenVenues = async (venues, date = getISTDateString()) => {
+  if (!venues || venues.length === 0) return [];
+
+  const closedIds = await ClosureRepository.getVenueIdsClosedOn(
+    venues.map((v) => v.venue_id),
+    date,
+    getDayOfWeek(date)
+  );
+  return venues.filter((v) => !closedIds.includes(v.venue_id));
+};
@@ -0,0 +1,264 @@
+import * as CommissionRepository from "../repositories/CommissionRepository.js";
+import * as BookingRepository from "../repositories/BookingRepository.js";
+import { ACCOUNTS } from "./LedgerService.js";
+
+/**
+ * Commission Service
+ *
+ * Works out the platform's cut of each booking from the venue's commission
+ * rule (or the global rule), plus the optional booking fee players pay on
+ * top. Both are fixed on the booking when it is confirmed; refunds reverse
+ * commission in proportion to the amount refunded. The player fee is kept
+ * when a player cancels, and given back by the platform when the owner or a
+ * disruption cancels with a full refund.
+ * With no rule set, owners keep 100% and players pay no fee.
+ *
+ * Commission is charged on the owner's revenue: the list price less any
+ * owner-funded promo discount. Platform-funded discounts (platform promo
+ * codes and loyalty points) are paid out of the platform's side, so the
+ * owner is credited as if no discount applied.
+ */
+
+export const COMMISSION_TYPES = ['PERCENT', 'FLAT', 'TIERED'];
+export const PLAYER_FEE_TYPES = ['NONE', 'PERCENT', 'FLAT'];
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+const roundMoney = (amount) => Math.round(Number(amount) * 100) / 100;
+
+const isPercent = (value) => Number.isFinite(value) && value >= 0 && value <= 100;
+
+/**
+ * Commission on a booking amount. Never more than the amount itself.
+ *
+ * @param {Object|null} rule - Row from commission_rules
+ * @param {number} amount - Booking amount
+ * @returns {number}
+ */
+export const calculateCommission = (rule, amount) => {
+    const total = Number(amount);
+    if (!rule || !(total > 0)) return 0;
+
+    let commission = 0;
+    if (rule.commission_type === 'PERCENT') {
+        commission = total * Number(rule.percent || 0) / 100;
+    } else if (rule.commission_type === 'FLAT') {
+        commission = Number(rule.flat_amount || 0);
+    } else if (rule.commission_type === 'TIERED') {
+        // Marginal tiers: each slice of the amount is charged at its own rate
+        const tiers = typeof rule.tiers === 'string' ? JSON.parse(rule.tiers) : (rule.tiers || []);
+        let lower = 0;
+        for (const tier of tiers) {
+            const upper = tier.upTo === null || tier.upTo === undefined ? Infinity : Number(tier.upTo);
+            if (total <= lower) break;
+            commission += (Math.min(total, upper) - lower) * Number(tier.percent) / 100;
+            lower = upper;
+        }
+    }
+
+    return roundMoney(Math.min(commission, total));
+};
+
+/**
+ * Booking fee the player pays on top of a booking amount.
+ *
+ * @param {Object|null} rule - Row from commission_rules
+ * @param {number} amount - Booking amount
+ * @returns {number}
+ */
+export const calculatePlayerFee = (rule, amount) => {
+    if (!rule || !(Number(amount) > 0)) return 0;
+    if (rule.player_fee_type === 'PERCENT') {
+        return roundMoney(Number(amount) * Number(rule.player_fee_value || 0) / 100);
+    }
+    if (rule.player_fee_type === 'FLAT') {
+        return roundMoney(rule.player_fee_value || 0);
+    }
+    return 0;
+};
+
+/**
+ * Commission and player fee for each booking amount at a venue.
+ *
+ * @param {number} venueId
+ * @param {number[]} amounts - Owner revenue of each booking
+ * @param {Object} [conn] - Optional connection/transaction
+ * @param {number[]} [payable] - What the player pays for each booking, the
+ *   base of the player fee (defaults to amounts)
+ * @returns {Promise<Array<{commission: number, playerFee: number}>>}
+ */
+export const quoteBookingFees = async (venueId, amounts, conn = null, payable = amounts) => {
+    const rule = await CommissionRepository.getEffectiveRule(venueId, conn);
+    return amounts.map((amount, i) => ({
+        commission: calculateCommission(rule, amount),
+        playerFee: calculatePlayerFee(rule, payable[i])
+    }));
+};
+
+/**
+ * Ledger legs that credit booking revenue: the owner gets the amount less
+ * commission, the platform gets the commission and the player fee less any
+ * discount it funds. Venues without an owner credit everything to the platform.
+ *
+ * @param {number|null} ownerId
+ * @param {Object} revenue
+ * @param {number} revenue.amount - Owner revenue (list price less owner-funded promo and package discounts)
+ * @param {number} [revenue.commission=0]
+ * @param {number} [revenue.playerFee=0]
+ * @param {number} [revenue.platformDiscount=0] - Platform-funded promo and loyalty discounts
+ * @param {Object} [ownerLeg] - Extra fields for the owner leg (description, referenceType)
+ * @returns {Object[]} Legs for LedgerService.postTransaction
+ */
+export const revenueLegs = (ownerId, { amount, commission = 0, playerFee = 0, platformDiscount = 0 }, ownerLeg = {}) => {
+    if (!ownerId) {
+        return [{ account: ACCOUNTS.PLATFORM, amount: roundMoney(Number(amount) + Number(playerFee) - Number(platformDiscount)) }];
+    }
+    return [
+        { userId: ownerId, amount: roundMoney(Number(amount) - Number(commission)), ...ownerLeg },
+        { account: ACCOUNTS.PLATFORM, amount: roundMoney(Number(commission) + Number(playerFee) - Number(platformDiscount)) }
+    ];
+};
+
+/**
+ * What a player paid for a booking: the list price less its promo, loyalty
+ * and package discounts.
+ *
+ * @param {Object} booking - Booking row (total_amount, discount_amount, loyalty_discount, package_discount)
+ * @returns {number}
+ */
+export const amountPaid = (booking) => {
+    return (toCents(booking.total_amount) - toCents(booking.discount_amount || 0)
+        - toCents(booking.loyalty_discount || 0) - toCents(booking.package_discount || 0)) / 100;
+};
+
+/**
+ * Who gives back a refund. The owner and the platform each return the same
+ * share of what they received for the booking as the refund is of what the
+ * player paid: the owner gets back that share of the commission, and returns
+ * that share of any discount the platform funded.
+ *
+ * @param {Object} booking - Booking row (total_amount, discount_amount, discount_funded_by,
+ *   loyalty_discount, commission_amount, commission_reversed, owner_id)
+ * @param {number} refundAmount - Amount refunded to players
+ * @returns {{owner: number, platform: number, commissionReversed: number}}
+ *   Amounts to debit from the owner and the platform (together refundAmount)
+ */
+export const refundDeduction = (booking, refundAmount) => {
+    const refundCents = toCents(refundAmount);
+    const paidCents = toCents(amountPaid(booking));
+    if (!booking.owner_id) return { owner: 0, platform: refundCents / 100, commissionReversed: 0 };
+    if (!(paidCents > 0) || refundCents <= 0) return { owner: 0, platform: 0, commissionReversed: 0 };
+
+    const share = Math.min(refundCents / paidCents, 1);
+    const remaining = toCents(booking.commission_amount || 0) - toCents(booking.commission_reversed || 0);
+    const reversalCents = Math.max(Math.min(Math.round(toCents(booking.commission_amount || 0) * share), remaining), 0);
+    const platformFundedCents = (booking.discount_funded_by === 'PLATFORM' ? toCents(booking.discount_amount) : 0)
+        + toCents(booking.loyalty_discount || 0);
+    const platformDiscountCents = Math.round(platformFundedCents * share);
+
+    const platformCents = reversalCents - platformDiscountCents;
+    return {
+        owner: (refundCents - platformCents) / 100,
+        platform: platformCents / 100,
+        commissionReversed: reversalCents / 100
+    };
+};
+
+/**
+ * Validate and normalise a rule from an admin request.
+ *
+ * @param {Object} data
+ * @returns {Object} Rule for CommissionRepository.upsertRule
+ * @throws {Error} Describing the invalid field
+ */
+const parseRule = (data = {}) => {
+    const commissionType = data.commissionType || 'PERCENT';
+    if (!COMMISSION_TYPES.includes(commissionType)) {
+        throw new Error(`commissionType must be one of ${COMMISSION_TYPES.join(', ')}`);
+    }
+
+    const rule = { commissionType, percent: null, flatAmount: null, tiers: null };
+    if (commissionType === 'PERCENT') {
+        rule.percent = Number(data.percent);
+        if (!isPercent(rule.percent)) throw new Error("percent must be between 0 and 100");
+    } else if (commissionType === 'FLAT') {
+        rule.flatAmount = Number(data.flatAmount);
+        if (!Number.isFinite(rule.flatAmount) || rule.flatAmount < 0) {
+            throw new Error("flatAmount must be zero or more");
+        }
+    } else {
+        if (!Array.isArray(data.tiers) || data.tiers.length === 0) {
+            throw new Error("tiers must be a non-empty list of { upTo, percent }");
+        }
+        let previous = 0;
+        rule.tiers = data.tiers.map((tier, i) => {
+            const last = i === data.tiers.length - 1;
+            const upTo = tier.upTo === null || tier.upTo === undefined ? null : Number(tier.upTo);
+            const percent = Number(tier.percent);
+            if (!isPercent(percent)) throw new Error("Each tier percent must be between 0 and 100");
+            if (upTo === null && !last) throw new Error("Only the last tier may have no upper limit");
+            if (upTo !== null && (!Number.isFinite(upTo) || upTo <= previous)) {
+                throw new Error("Tier limits must be increasing amounts");
+            }
+            previous = upTo;
+            return { upTo, percent };
+        });
+        if (rule.tiers[rule.tiers.length - 1].upTo !== null) {
+            throw new Error("The last tier must have no upper limit (upTo: null)");
+        }
+    }
+
+    const playerFeeType = data.playerFeeType || 'NONE';
+    if (!PLAYER_FEE_TYPES.includes(playerFeeType)) {
+        throw new Error(`playerFeeType must be one of ${PLAYER_FEE_TYPES.join(', ')}`);
+    }
+    let playerFeeValue = null;
+    if (playerFeeType !== 'NONE') {
+        playerFeeValue = Number(data.playerFeeValue);
+        const valid = playerFeeType === 'PERCENT'
+            ? isPercent(playerFeeValue)
+            : Number.isFinite(playerFeeValue) && playerFeeValue >= 0;
+        if (!valid) throw new Error("playerFeeValue is invalid for the player fee type");
+    }
+
+    return { ...rule, playerFeeType, playerFeeValue };
+};
+
+/**
+ * Get the global rule and all venue rules.
+ */
+export const getRules = async () => {
+    const rules = await CommissionRepository.getRules();
+    return rules.map(r => ({
+        ...r,
+        scope: r.venue_id === CommissionRepository.GLOBAL_VENUE_ID ? 'GLOBAL' : 'VENUE',
+        tiers: typeof r.tiers === 'string' ? JSON.parse(r.tiers) : r.tiers
+    }));
+};
+
+/**
+ * Set the global rule (venueId null) or a venue's rule.
+ * Applies to bookings confirmed from now on.
+ *
+ * @param {number|null} venueId
+ * @param {number} adminId
+ * @param {Object} data - { commissionType, percent?, flatAmount?, tiers?, playerFeeType?, playerFeeValue? }
+ */
+export const setRule = async (venueId, adminId, data) => {
+    if (venueId !== null && !(await BookingRepository.getVenueById(venueId))) {
+        throw new Error("Venue not found");
+    }
+    const rule = parseRule(data);
+    await CommissionRepository.upsertRule(venueId ?? CommissionRepository.GLOBAL_VENUE_ID, { ...rule, updatedBy: adminId });
+    return rule;
+};
+
+/**
+ * Remove a venue's rule so the global rule applies to it again.
+ *
+ * @param {number} venueId
+ */
+export const deleteVenueRule = async (venueId) => {
+    if (!(await CommissionRepository.deleteRule(venueId))) {
+        throw new Error("Commission rule not found");
+    }
+};
@@ -0,0 +1,184 @@
+/**
+ * Court Service
+ *
+ * Business logic for owner-managed courts.
+ *
+ * Responsibilities:
+ * - Create, rename and re-price courts
+ * - Assign the sports a court supports (court_sports)
+ * - Deactivate courts, warning about upcoming bookings on them
+ *
+ * @module services/CourtService
+ */
+
+import pool from "../config/dbconnection.js";
+import * as CourtRepository from "../repositories/CourtRepository.js";
+import { getOwnedVenue } from "./VenueService.js";
+
+/**
+ * Validate the court fields shared by create and update
+ *
+ * @param {Object} data - { name, sportIds, pricePerHour, capacity }
+ * @returns {Promise<void>}
+ * @throws {Error} "Court ..." on invalid input
+ */
+const validateCourtData = async ({ name, sportIds, pricePerHour, capacity }) => {
+  if (name !== undefined && (!name || !String(name).trim())) {
+    throw new Error("Court name cannot be empty");
+  }
+  if (sportIds !== undefined) {
+    if (!Array.isArray(sportIds) || sportIds.length === 0) {
+      throw new Error("Court must support at least one sport");
+    }
+    const uniqueIds = [...new Set(sportIds.map(Number))];
+    if ((await CourtRepository.countSports(uniqueIds)) !== uniqueIds.length) {
+      throw new Error("Court sports contain an unknown sport");
+    }
+  }
+  if (pricePerHour !== undefined && pricePerHour !== null && !(Number(pricePerHour) > 0)) {
+    throw new Error("Court price must be a positive amount, or null to use the venue price");
+  }
+  if (capacity !== undefined && capacity !== null && !(Number.isInteger(Number(capacity)) && Number(capacity) > 0)) {
+    throw new Error("Court capacity must be a positive whole number, or null");
+  }
+};
+
+/**
+ * Get a court of a venue
+ *
+ * @param {number} venueId
+ * @param {number} courtId
+ * @returns {Promise<Object>} Court
+ * @throws {Error} "Court not found"
+ */
+export const getVenueCourt = async (venueId, courtId) => {
+  const court = await CourtRepository.getCourtById(courtId);
+  if (!court || court.venue_id !== Number(venueId)) {
+    throw new Error("Court not found");
+  }
+  return court;
+};
+
+/**
+ * List all courts of a venue, including inactive ones
+ *
+ * @param {number} venueId
+ * @returns {Promise<Object[]>} Courts
+ */
+export const listCourts = async (venueId) => {
+  return await CourtRepository.getAllCourtsByVenue(venueId);
+};
+
+/**
+ * Add a court to a venue
+ *
+ * @param {number} venueId
+ * @param {number} ownerId
+ * @param {Object} data
+ * @param {string} data.name
+ * @param {number[]} data.sportIds
+ * @param {number|null} [data.pricePerHour] - Overrides the venue rate
+ * @param {number|null} [data.capacity]
+ * @returns {Promise<number>} Court ID
+ */
+export const createCourt = async (venueId, ownerId, { name, sportIds, pricePerHour = null, capacity = null }) => {
+  await getOwnedVenue(venueId, ownerId);
+
+  if (name === undefined || sportIds === undefined) {
+    throw new Error("Court name and sportIds are required");
+  }
+  await validateCourtData({ name, sportIds, pricePerHour, capacity });
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const courtId = await CourtRepository.createCourt(conn, {
+      venueId,
+      name: name.trim(),
+      pricePerHour: pricePerHour === null ? null : Number(pricePerHour),
+      capacity: capacity === null ? null : Number(capacity),
+    });
+    await CourtRepository.setCourtSports(conn, venueId, courtId, [...new Set(sportIds.map(Number))]);
+    await conn.commit();
+    return courtId;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+};
+
+/**
+ * Update a court
+ *
+ * Setting isActive to false deactivates the court: it is no longer offered
+ * for new bookings, but existing bookings on it are kept. Those upcoming
+ * bookings are returned so the owner can move or cancel them.
+ *
+ * @param {number} venueId
+ * @param {number} ownerId
+ * @param {number} courtId
+ * @param {Object} data - Any of name, sportIds, pricePerHour, capacity, isActive
+ * @returns {Promise<{warning: string|null, futureBookings: Object[]}>}
+ */
+export const updateCourt = async (venueId, ownerId, courtId, data) => {
+  await getOwnedVenue(venueId, ownerId);
+  const court = await getVenueCourt(venueId, courtId);
+  await validateCourtData(data);
+
+  const updates = {};
+  if (data.name !== undefined) updates.name = String(data.name).trim();
+  if (data.pricePerHour !== undefined) updates.price_per_hour = data.pricePerHour === null ? null : Number(data.pricePerHour);
+  if (data.capacity !== undefined) updates.capacity = data.capacity === null ? null : Number(data.capacity);
+  if (data.isActive !== undefined) updates.is_active = data.isActive ? 1 : 0;
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    await CourtRepository.updateCourt(conn, courtId, updates);
+    if (data.sportIds !== undefined) {
+      await CourtRepository.setCourtSports(conn, venueId, courtId, [...new Set(data.sportIds.map(Number))]);
+    }
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  const deactivated = court.is_active && updates.is_active === 0;
+  return deactivated ? await getDeactivationWarning(courtId) : { warning: null, futureBookings: [] };
+};
+
+/**
+ * Deactivate a court
+ *
+ * Courts are never hard-deleted because bookings reference them.
+ *
+ * @param {number} venueId
+ * @param {number} ownerId
+ * @param {number} courtId
+ * @returns {Promise<{warning: string|null, futureBookings: Object[]}>}
+ */
+export const deactivateCourt = async (venueId, ownerId, courtId) => {
+  return await updateCourt(venueId, ownerId, courtId, { isActive: false });
+};
+
+/**
+ * Build the warning shown when a court with upcoming bookings is deactivated
+ *
+ * @param {number} courtId
+ * @returns {Promise<{warning: string|null, futureBookings: Object[]}>}
+ */
+const getDeactivationWarning = async (courtId) => {
+  const futureBookings = await CourtRepository.getFutureBookingsOnCourt(courtId);
+  if (futureBookings.length === 0) {
+    return { warning: null, futureBookings };
+  }
+  return {
+    warning: `This court has ${futureBookings.length} upcoming booking(s). They remain on the court; move or cancel them if it will be unavailable.`,
+    futureBookings,
+  };
+};
@@ -0,0 +1,346 @@
+import * as DisruptionRepository from "../repositories/DisruptionRepository.js";
+import * as BookingRepository from "../repositories/BookingRepository.js";
+import * as CourtRepository from "../repositories/CourtRepository.js";
+import * as VenueRepository from "../repositories/VenueRepository.js";
+import * as NotificationRepository from "../repositories/NotificationRepository.js";
+import * as SplitPaymentRepository from "../repositories/SplitPaymentRepository.js";
+import * as BookingService from "./BookingService.js";
+import * as CommissionService from "./CommissionService.js";
+import * as PromoService from "./PromoService.js";
+import { getOwnedVenue } from "./VenueService.js";
+import * as EmailUtil from "../utils/emailUtil.js";
+import { createISTDate, toMySQLDateTime, timeToMinutes, formatISTDateTime } from "../utils/dateUtil.js";
+
+/**
+ * Disruption Service
+ *
+ * Bulk handling of bookings when weather or another disruption closes a
+ * venue, one court or one sport for a time range. Every booking in the range
+ * is either cancelled with a full refund (CANCEL) or offered a free
+ * reschedule (OFFER_RESCHEDULE): the player can move it without the venue's
+ * reschedule fee, cutoff or limit, or cancel it with a full refund, until it
+ * starts. Bookings already under way, and offers nobody took up by the
+ * start, are cancelled with a full refund. The disrupted courts are blocked
+ * for the range, so nobody can book them, or move a booking onto them,
+ * until the owner lifts the blocks.
+ *
+ * Each player on a booking gets a notification and an email, and the owner
+ * can give the player who made it a single-use rebooking credit. The owner
+ * gets a report of what happened to each booking. Error messages start with
+ * "Disruption" so controllers can map them.
+ */
+
+export const DISRUPTION_ACTIONS = ['CANCEL', 'OFFER_RESCHEDULE'];
+
+/** Longest range a single disruption may cover */
+export const MAX_DISRUPTION_DAYS = 31;
+
+/** How long a rebooking credit can be used */
+export const REBOOKING_CREDIT_DAYS = 90;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-4]):[0-5]\d$/;
+const MAX_REASON_LENGTH = 255;
+
+/**
+ * Parse the range a disruption covers. It runs from date startTime to
+ * endDate endTime (IST); the times default to the whole day.
+ *
+ * @returns {{start: Date, end: Date}}
+ */
+const parseRange = ({ date, endDate, startTime, endTime }) => {
+    const lastDate = endDate || date;
+    if (!DATE_PATTERN.test(date || '') || !DATE_PATTERN.test(lastDate)) {
+        throw new Error("Disruption dates must be in YYYY-MM-DD format");
+    }
+    const fromTime = startTime || '00:00';
+    const toTime = endTime || '24:00';
+    if (!TIME_PATTERN.test(fromTime) || !TIME_PATTERN.test(toTime) || timeToMinutes(fromTime) > 24 * 60 || timeToMinutes(toTime) > 24 * 60) {
+        throw new Error("Disruption times must be in HH:MM format");
+    }
+
+    const start = new Date(createISTDate(date, '00:00').getTime() + timeToMinutes(fromTime) * 60 * 1000);
+    const end = new Date(createISTDate(lastDate, '00:00').getTime() + timeToMinutes(toTime) * 60 * 1000);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end <= start) {
+        throw new Error("Disruption must end after it starts");
+    }
+    if (end <= new Date()) throw new Error("Disruption range has already ended");
+    if (end - start > MAX_DISRUPTION_DAYS * 24 * 60 * 60 * 1000) {
+        throw new Error(`Disruption can cover at most ${MAX_DISRUPTION_DAYS} days`);
+    }
+    return { start, end };
+};
+
+/**
+ * Block the disrupted courts for the range: the one court, every court of
+ * the sport, or the whole venue.
+ *
+ * @returns {Promise<number[]>} Block IDs
+ */
+const blockRange = async (venue, disruption) => {
+    const courtIds = disruption.courtId
+        ? [disruption.courtId]
+        : disruption.sportId
+            ? (await CourtRepository.getCourtsByVenueAndSport(venue.venue_id, disruption.sportId)).map(c => c.court_id)
+            : [null];
+
+    const blockIds = [];
+    for (const courtId of courtIds) {
+        blockIds.push(await BookingRepository.createBlock(
+            venue.venue_id, disruption.createdBy, disruption.startsAt, disruption.endsAt, courtId, disruption.sportId
+        ));
+    }
+    return blockIds;
+};
+
+/**
+ * Tell everyone on a booking what the disruption means for them.
+ * Registered players get a notification; everyone with an email gets one.
+ */
+const notifyPlayers = async (venue, disruption, booking, { action, credit }) => {
+    const when = formatISTDateTime(new Date(booking.booking_start));
+    const recipients = (await SplitPaymentRepository.getShares(booking.booking_id))
+        .filter(p => p.user_id !== venue.owner_id && !['DECLINED', 'WITHDRAWN'].includes(p.invite_status));
+    // Walk-ins are made by the owner for a customer who is not on PlayLink
+    if (booking.created_by === venue.owner_id && booking.guest_email) {
+        recipients.push({ user_id: null, email: booking.guest_email, name: booking.guest_name || booking.guest_email });
+    }
+
+    for (const p of recipients) {
+        const isOrganiser = p.user_id === booking.created_by;
+        const ownCredit = isOrganiser ? credit : null;
+        if (p.user_id) {
+            let message = action === 'CANCEL'
+                ? `Hi ${p.name}, your booking #${booking.booking_id} at ${venue.name} on ${when} was cancelled: ${disruption.reason}. Anything paid for it has been refunded in full.`
+                : isOrganiser
+                    ? `Hi ${p.name}, ${venue.name} is closed for your booking #${booking.booking_id} on ${when}: ${disruption.reason}. Reschedule it for free or cancel it for a full refund before it starts.`
+                    : `Hi ${p.name}, ${venue.name} is closed for booking #${booking.booking_id} on ${when}: ${disruption.reason}. The player who made it can reschedule it for free or cancel it for a full refund.`;
+            if (ownCredit) {
+                message += ` Use code ${ownCredit.code} for LKR ${ownCredit.amount} off your next booking here, until ${ownCredit.validUntil}.`;
+            }
+            await NotificationRepository.createNotification(p.user_id, message, 'BOOKING_ALERT');
+        }
+        if (p.email) {
+            await EmailUtil.sendDisruptionEmail(p.email, {
+                name: p.name,
+                bookingId: booking.booking_id,
+                venueId: venue.venue_id,
+                venueName: venue.name,
+                when,
+                reason: disruption.reason,
+                action,
+                isOrganiser,
+                credit: ownCredit
+            });
+        }
+    }
+};
+
+/**
+ * Handle one booking: cancel it or offer a free reschedule, and give the
+ * rebooking credit.
+ *
+ * @returns {Promise<Object>} What happened, for the report
+ */
+const handleBooking = async (venue, disruption, booking, { refundMethod, now }) => {
+    // A booking already under way cannot be moved any more
+    const action = disruption.action === 'OFFER_RESCHEDULE' && new Date(booking.booking_start) > now
+        ? 'OFFER_RESCHEDULE'
+        : 'CANCEL';
+    const result = {
+        bookingId: booking.booking_id,
+        courtName: booking.court_name,
+        sportName: booking.sport_name,
+        bookingStart: booking.booking_start,
+        bookingEnd: booking.booking_end,
+        outcome: 'FAILED',
+        refundAmount: 0,
+        credit: null,
+        error: null
+    };
+
+    try {
+        if (action === 'CANCEL') {
+            const cancellation = await BookingService.cancelBooking(booking.booking_id, venue.owner_id, { refundMethod, skipWaitlist: true });
+            result.outcome = 'CANCELLED';
+            result.refundAmount = cancellation.refundAmount;
+        } else {
+            if (!(await DisruptionRepository.setBookingDisruption(booking.booking_id, disruption.disruption_id))) {
+                throw new Error("Booking changed during processing");
+            }
+            result.outcome = 'RESCHEDULE_OFFERED';
+        }
+    } catch (err) {
+        console.error(`[Disruptions] Failed to handle booking #${booking.booking_id}:`, err);
+        result.error = err.message;
+        await DisruptionRepository.addDisruptionBooking(disruption.disruption_id, result);
+        return result;
+    }
+
+    // Credits go to players who paid; walk-in customers are not on PlayLink
+    const amountPaid = booking.status === 'CONFIRMED' ? CommissionService.amountPaid(booking) : 0;
+    const creditAmount = Math.round(amountPaid * Number(disruption.credit_percent || 0)) / 100;
+    let promo = null;
+    if (creditAmount > 0 && booking.created_by !== venue.owner_id) {
+        try {
+            promo = await PromoService.issueRebookingCredit(venue, {
+                userId: booking.created_by,
+                amount: creditAmount,
+                validDays: REBOOKING_CREDIT_DAYS
+            });
+            result.credit = {
+                code: promo.code,
+                amount: creditAmount,
+                validUntil: formatISTDateTime(new Date(promo.valid_until)).slice(0, 10)
+            };
+        } catch (err) {
+            console.error(`[Disruptions] Failed to issue a rebooking credit for booking #${booking.booking_id}:`, err);
+        }
+    }
+
+    await DisruptionRepository.addDisruptionBooking(disruption.disruption_id, { ...result, promoId: promo?.promo_id ?? null });
+    try {
+        await notifyPlayers(venue, disruption, booking, { action, credit: result.credit });
+    } catch (err) {
+        console.error(`[Disruptions] Failed to notify players of booking #${booking.booking_id}:`, err);
+    }
+    return result;
+};
+
+/**
+ * Record a disruption and handle every booking in it (Owner only).
+ *
+ * @param {number} venueId
+ * @param {number} ownerId
+ * @param {Object} data
+ * @param {string} data.date - First day, YYYY-MM-DD (IST)
+ * @param {string} [data.endDate] - Last day, defaults to date
+ * @param {string} [data.startTime] - HH:MM on the first day, defaults to 00:00
+ * @param {string} [data.endTime] - HH:MM on the last day, defaults to 24:00
+ * @param {number} [data.courtId] - Only this court
+ * @param {number} [data.sportId] - Only this sport
+ * @param {string} data.action - 'CANCEL' or 'OFFER_RESCHEDULE'
+ * @param {string} data.reason - Shown to players, e.g. "Heavy monsoon rain"
+ * @param {number} [data.rebookingCreditPercent] - Credit per booking, % of what was paid
+ * @param {string} [data.refundMethod] - Requested refund destination ('WALLET' or 'CARD')
+ * @returns {Promise<Object>} The disruption and what happened to each booking
+ */
+export const createDisruption = async (venueId, ownerId, data = {}) => {
+    const venue = await getOwnedVenue(venueId, ownerId);
+
+    if (!DISRUPTION_ACTIONS.includes(data.action)) {
+        throw new Error(`Disruption action must be one of ${DISRUPTION_ACTIONS.join(', ')}`);
+    }
+    const reason = String(data.reason ?? '').trim();
+    if (!reason || reason.length > MAX_REASON_LENGTH) {
+        throw new Error(`Disruption reason is required (at most ${MAX_REASON_LENGTH} characters)`);
+    }
+    const { start, end } = parseRange(data);
+
+    const courtId = data.courtId ? Number(data.courtId) : null;
+    if (courtId) {
+        const court = await CourtRepository.getCourtById(courtId);
+        if (!court || court.venue_id !== venue.venue_id) throw new Error("Court not found");
+    }
+    const sportId = data.sportId ? Number(data.sportId) : null;
+    if (sportId && !(await VenueRepository.getVenueSports(venue.venue_id)).some(s => s.sport_id === sportId)) {
+        throw new Error("Disruption sport is not offered at this venue");
+    }
+
+    let creditPercent = null;
+    if (data.rebookingCreditPercent !== undefined && data.rebookingCreditPercent !== null && data.rebookingCreditPercent !== '') {
+        creditPercent = Number(data.rebookingCreditPercent);
+        if (!(creditPercent > 0 && creditPercent <= 100)) {
+            throw new Error("Disruption rebookingCreditPercent must be more than 0 and at most 100");
+        }
+    }
+
+    const disruption = {
+        venueId: venue.venue_id,
+        courtId,
+        sportId,
+        startsAt: toMySQLDateTime(start),
+        endsAt: toMySQLDateTime(end),
+        action: data.action,
+        reason,
+        creditPercent,
+        createdBy: ownerId
+    };
+    const disruptionId = await DisruptionRepository.createDisruption(disruption);
+    const row = await DisruptionRepository.getDisruptionById(disruptionId);
+    const blockIds = await blockRange(venue, disruption);
+
+    const now = new Date();
+    const bookings = await DisruptionRepository.getDisruptedBookings(venue.venue_id, disruption.startsAt, disruption.endsAt, { courtId, sportId });
+    const results = [];
+    for (const booking of bookings) {
+        results.push(await handleBooking(venue, row, booking, { refundMethod: data.refundMethod, now }));
+    }
+
+    return {
+        disruptionId,
+        action: data.action,
+        startsAt: start,
+        endsAt: end,
+        cancelled: results.filter(r => r.outcome === 'CANCELLED').length,
+        rescheduleOffered: results.filter(r => r.outcome === 'RESCHEDULE_OFFERED').length,
+        failed: results.filter(r => r.outcome === 'FAILED').length,
+        totalRefunded: Math.round(results.reduce((sum, r) => sum + Number(r.refundAmount), 0) * 100) / 100,
+        blockIds,
+        bookings: results
+    };
+};
+
+/**
+ * A venue's disruptions with how many bookings each affected (Owner only).
+ *
+ * @param {number} venueId
+ * @param {number} ownerId
+ */
+export const getDisruptions = async (venueId, ownerId) => {
+    await getOwnedVenue(venueId, ownerId);
+    return await DisruptionRepository.getDisruptions(venueId);
+};
+
+/**
+ * The report of a disruption: each booking, what happened to it and where
+ * it is now (Owner only).
+ *
+ * @param {number} venueId
+ * @param {number} ownerId
+ * @param {number} disruptionId
+ */
+export const getDisruptionReport = async (venueId, ownerId, disruptionId) => {
+    await getOwnedVenue(venueId, ownerId);
+    const disruption = await DisruptionRepository.getDisruptionById(disruptionId);
+    if (!disruption || disruption.venue_id !== venueId) throw new Error("Disruption not found");
+    return { ...disruption, bookings: await DisruptionRepository.getDisruptionBookings(disruptionId) };
+};
+
+/**
+ * Cancel, with a full refund, bookings whose free reschedule offer was not
+ * taken up by the time they started.
+ * Scheduled job.
+ *
+ * @returns {Promise<number>} Number of bookings cancelled
+ */
+export const cancelExpiredOffers = async () => {
+    let cancelled = 0;
+    for (const offer of await DisruptionRepository.getExpiredOffers()) {
+        try {
+            const result = await BookingService.cancelBooking(offer.booking_id, offer.owner_id, { skipWaitlist: true });
+            await NotificationRepository.createNotification(
+                offer.created_by,
+                `Booking #${offer.booking_id} was not rescheduled before it started, so it has been cancelled. Refund: LKR ${result.refundAmount}.`,
+                'BOOKING_ALERT'
+            );
+            cancelled++;
+        } catch (err) {
+            console.error(`[Disruptions] Failed to cancel booking #${offer.booking_id} after its reschedule offer expired:`, err);
+        }
+    }
+    if (cancelled > 0) {
+        console.log(`[Disruptions] Cancelled ${cancelled} booking(s) whose reschedule offer expired`);
+    }
+    return cancelled;
+};
@@ -0,0 +1,131 @@
+import * as LedgerRepository from "../repositories/LedgerRepository.js";
+import * as WalletRepository from "../repositories/WalletRepository.js";
+
+/**
+ * Ledger Service
+ *
+ * Posts every money movement as a balanced double-entry transaction.
+ * Wallet legs also update the cached wallets.balance and the user's wallet
+ * history, so callers never touch a wallet without a matching ledger entry.
+ */
+
+/** System accounts, the non-wallet side of a transaction */
+export const ACCOUNTS = {
+    PLATFORM: 'PLATFORM',
+    STRIPE_CLEARING: 'STRIPE_CLEARING',
+    PAYOUT_CLEARING: 'PAYOUT_CLEARING'
+};
+
+/** Transaction types whose owner entries count as revenue (bookings and package sales) */
+export const REVENUE_TYPES = ['BOOKING_PAYMENT', 'BOOKING_REFUND', 'PACKAGE_SALE'];
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+/**
+ * Post a balanced ledger transaction.
+ *
+ * Each leg is either a wallet ({ userId }) or a system account
+ * ({ account }), with a signed amount: positive credits the account,
+ * negative debits it. Legs must add up to zero.
+ *
+ * @param {Object} conn - Connection with an open transaction
+ * @param {Object} txn
+ * @param {string} txn.type - e.g. 'BOOKING_PAYMENT', 'BOOKING_REFUND', 'SPLIT_REIMBURSEMENT'
+ * @param {number} [txn.bookingId]
+ * @param {string} [txn.reference] - Payment or request reference
+ * @param {string} txn.description
+ * @param {Object[]} txn.legs - [{ userId | account, amount, description?, referenceType? }]
+ *   description / referenceType are shown in the wallet history of wallet legs
+ * @returns {Promise<number|null>} Ledger transaction ID, or null if nothing moved
+ * @throws {Error} "Unbalanced ledger transaction ..." if the legs do not add up
+ */
+export const postTransaction = async (conn, { type, bookingId = null, reference = null, description, legs }) => {
+    const moving = legs
+        .map(leg => ({ ...leg, cents: toCents(leg.amount) }))
+        .filter(leg => leg.cents !== 0);
+    if (moving.length === 0) return null;
+
+    const total = moving.reduce((sum, leg) => sum + leg.cents, 0);
+    if (total !== 0) {
+        throw new Error(`Unbalanced ledger transaction ${type}: legs are off by ${total / 100}`);
+    }
+
+    // Debits first, so an overdrawn wallet fails before anything is credited
+    moving.sort((a, b) => a.cents - b.cents);
+
+    const entries = [];
+    for (const leg of moving) {
+        const amount = leg.cents / 100;
+        let accountId;
+
+        if (leg.userId) {
+            await WalletRepository.updateWalletBalance(conn, leg.userId, amount);
+            await WalletRepository.createTransaction(conn, {
+                userId: leg.userId,
+                amount,
+                type: amount < 0 ? 'DEBIT' : 'CREDIT',
+                description: leg.description || description,
+                referenceType: leg.referenceType || type,
+                referenceId: bookingId
+            });
+            accountId = await LedgerRepository.getUserAccountId(conn, leg.userId);
+        } else {
+            accountId = await LedgerRepository.getSystemAccountId(conn, leg.account);
+        }
+
+        entries.push({ accountId, direction: amount < 0 ? 'DEBIT' : 'CREDIT', amount: Math.abs(amount) });
+    }
+
+    return await LedgerRepository.createLedgerTransaction(conn, { type, bookingId, reference, description, entries });
+};
+
+/**
+ * Revenue and balance of an owner, derived from ledger entries.
+ *
+ * @param {number} ownerId
+ * @returns {Promise<{revenue: number, balance: number}>}
+ */
+export const getOwnerLedgerSummary = async (ownerId) => {
+    return await LedgerRepository.getUserLedgerSummary(ownerId, REVENUE_TYPES);
+};
+
+/**
+ * Reconciliation report: unbalanced transactions and wallets whose stored
+ * balance has drifted from their ledger balance.
+ *
+ * @returns {Promise<Object>}
+ */
+export const getReconciliationReport = async () => {
+    const [unbalancedTransactions, walletDrift, systemAccounts] = await Promise.all([
+        LedgerRepository.getUnbalancedTransactions(),
+        LedgerRepository.getWalletDrift(),
+        LedgerRepository.getSystemBalances()
+    ]);
+
+    return {
+        generatedAt: new Date().toISOString(),
+        inBalance: unbalancedTransactions.length === 0 && walletDrift.length === 0,
+        unbalancedTransactions,
+        walletDrift: walletDrift.map(w => ({
+            ...w,
+            difference: Math.round((w.wallet_balance - w.ledger_balance) * 100) / 100
+        })),
+        systemAccounts
+    };
+};
+
+/**
+ * Log any drift found by the reconciliation report.
+ * Scheduled job.
+ *
+ * @returns {Promise<boolean>} True if the ledger is in balance
+ */
+export const reconcileLedger = async () => {
+    const report = await getReconciliationReport();
+    if (!report.inBalance) {
+        console.warn(
+            `[Ledger] Reconciliation found ${report.unbalancedTransactions.length} unbalanced transaction(s) and ${report.walletDrift.length} wallet(s) out of line with the ledger`
+        );
+    }
+    return report.inBalance;
+};
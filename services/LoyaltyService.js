@@ -0,0 +1,433 @@
+import * as LoyaltyRepository from "../repositories/LoyaltyRepository.js";
+import * as BookingRepository from "../repositories/BookingRepository.js";
+import * as NotificationRepository from "../repositories/NotificationRepository.js";
+import { NO_SHOW_REPORT_HOURS } from "./BookingService.js";
+import { allocateCents } from "./SplitPaymentService.js";
+import { toMySQLDateTime } from "../utils/dateUtil.js";
+
+/**
+ * Loyalty Service
+ *
+ * PlayLink loyalty points, kept apart from the wallet's cash balance.
+ *
+ * Earning: every player who paid for a completed booking earns points on
+ * their share, with a bonus for off-peak bookings and for playing several
+ * weeks in a row. Booking points stay pending until the owner can no longer
+ * report a no-show, then expire POINTS_EXPIRY_MONTHS later.
+ *
+ * Redeeming: points are spent at checkout as a discount the platform funds,
+ * using the points that expire first. Points spent on a booking come back in
+ * proportion to any refund when it is cancelled.
+ *
+ * Error messages all start with "Loyalty points" so controllers can tell
+ * them apart from other checkout errors.
+ */
+
+/** Points earned per LKR 100 paid */
+export const POINTS_PER_100_LKR = 1;
+/** Extra share of booking points for off-peak bookings */
+export const OFF_PEAK_BONUS_RATE = 0.5;
+/** Off-peak: weekdays (Mon-Fri), starting from 06:00 until before 16:00 IST */
+export const OFF_PEAK_HOURS = { start: 6, end: 16 };
+/** Weeks in a row with a completed booking for each streak bonus */
+export const STREAK_WEEKS = 4;
+export const STREAK_BONUS_POINTS = 100;
+export const POINTS_EXPIRY_MONTHS = 12;
+/** LKR value of one point at checkout */
+export const POINT_VALUE = 1;
+export const MIN_REDEEM_POINTS = 100;
+/** Largest part of a checkout that points may pay for */
+export const MAX_REDEEM_SHARE = 0.5;
+/** Window for "points about to expire" in the wallet summary */
+export const EXPIRING_SOON_DAYS = 30;
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+const expiryFrom = (date) => {
+    const expiry = new Date(date);
+    expiry.setUTCMonth(expiry.getUTCMonth() + POINTS_EXPIRY_MONTHS);
+    return toMySQLDateTime(expiry);
+};
+
+/**
+ * Whether a booking starts off-peak (weekday daytime, IST).
+ *
+ * @param {Date|string} bookingStart - UTC
+ * @returns {boolean}
+ */
+export const isOffPeak = (bookingStart) => {
+    const ist = new Date(new Date(bookingStart).getTime() + IST_OFFSET_MS);
+    const day = ist.getUTCDay();
+    const hour = ist.getUTCHours();
+    return day >= 1 && day <= 5 && hour >= OFF_PEAK_HOURS.start && hour < OFF_PEAK_HOURS.end;
+};
+
+/**
+ * Points earned on an amount paid for a booking.
+ *
+ * @param {number} amount - LKR the player paid
+ * @param {Date|string} bookingStart - UTC
+ * @returns {{points: number, offPeakBonus: number}}
+ */
+export const calculateBookingPoints = (amount, bookingStart) => {
+    const points = Math.floor(Number(amount) * POINTS_PER_100_LKR / 100);
+    const offPeakBonus = isOffPeak(bookingStart) ? Math.floor(points * OFF_PEAK_BONUS_RATE) : 0;
+    return { points, offPeakBonus };
+};
+
+/**
+ * Number of weeks in a row, ending with the latest, from week starts
+ * sorted latest first.
+ *
+ * @param {string[]} weekStarts - YYYY-MM-DD Mondays
+ * @returns {number}
+ */
+const countStreak = (weekStarts) => {
+    let streak = weekStarts.length > 0 ? 1 : 0;
+    for (let i = 1; i < weekStarts.length; i++) {
+        const gap = (new Date(weekStarts[i - 1]) - new Date(weekStarts[i])) / DAY_MS;
+        if (gap !== 7) break;
+        streak++;
+    }
+    return streak;
+};
+
+/**
+ * Add a lot of points and log it.
+ *
+ * @param {Object} conn - Connection with an open transaction
+ * @param {Object} award
+ * @param {number} award.userId
+ * @param {number} award.points
+ * @param {string} award.source - 'BOOKING', 'OFF_PEAK_BONUS', 'STREAK_BONUS', 'REFERRAL' or 'RESTORED'
+ * @param {string} award.description
+ * @param {number|null} [award.bookingId]
+ * @param {string|null} [award.reference]
+ * @param {Date|null} [award.pendingUntil] - Keep the points pending until then; otherwise available now
+ */
+export const awardPoints = async (conn, { userId, points, source, description, bookingId = null, reference = null, pendingUntil = null }) => {
+    if (!(points > 0)) return;
+    const now = new Date();
+    await LoyaltyRepository.createLot(conn, {
+        userId,
+        bookingId,
+        source,
+        points,
+        status: pendingUntil ? 'PENDING' : 'AVAILABLE',
+        availableAt: toMySQLDateTime(pendingUntil || now),
+        expiresAt: pendingUntil ? null : expiryFrom(now)
+    });
+    await LoyaltyRepository.addHistory(conn, {
+        userId,
+        points,
+        type: source === 'RESTORED' ? 'RESTORED' : 'EARNED',
+        bookingId,
+        reference,
+        description
+    });
+};
+
+/**
+ * Hand out the points for one completed booking: each paying player earns
+ * on their share, plus off-peak and streak bonuses.
+ *
+ * @param {Object} booking - Row from LoyaltyRepository.getBookingsToAward
+ * @returns {Promise<number>} Points awarded
+ */
+const awardBookingPoints = async (booking) => {
+    const participants = await BookingRepository.getBookingParticipants(booking.booking_id);
+    const pendingUntil = new Date(new Date(booking.booking_end).getTime() + NO_SHOW_REPORT_HOURS * 60 * 60 * 1000);
+    let awarded = 0;
+
+    const conn = await BookingRepository.getPool().getConnection();
+    try {
+        await conn.beginTransaction();
+        if (!(await LoyaltyRepository.markPointsAwarded(conn, booking.booking_id))) {
+            await conn.rollback();
+            return 0;
+        }
+
+        for (const p of participants) {
+            // Owners do not earn on walk-ins they entered themselves
+            if (!p.user_id || p.payment_status !== 'PAID' || p.user_id === booking.owner_id) continue;
+
+            const { points, offPeakBonus } = calculateBookingPoints(p.share_amount, booking.booking_start);
+            const base = { userId: p.user_id, bookingId: booking.booking_id, pendingUntil };
+            await awardPoints(conn, {
+                ...base, points, source: 'BOOKING', description: `Points for Booking #${booking.booking_id} at ${booking.venue_name}`
+            });
+            await awardPoints(conn, {
+                ...base, points: offPeakBonus, source: 'OFF_PEAK_BONUS', description: `Off-peak bonus for Booking #${booking.booking_id}`
+            });
+            awarded += points + offPeakBonus;
+
+            const weeks = await LoyaltyRepository.getPlayedWeeks(conn, p.user_id);
+            const streak = countStreak(weeks);
+            if (streak > 0 && streak % STREAK_WEEKS === 0 && !(await LoyaltyRepository.hasStreakBonusForWeek(conn, p.user_id, weeks[0]))) {
+                await awardPoints(conn, {
+                    ...base,
+                    points: STREAK_BONUS_POINTS,
+                    source: 'STREAK_BONUS',
+                    description: `Streak bonus: ${streak} weeks in a row`
+                });
+                awarded += STREAK_BONUS_POINTS;
+            }
+        }
+
+        await conn.commit();
+    } catch (err) {
+        await conn.rollback();
+        throw err;
+    } finally {
+        conn.release();
+    }
+    return awarded;
+};
+
+/**
+ * Release pending points whose hold has passed (revoking them if the
+ * booking became a no-show or was refunded).
+ *
+ * @returns {Promise<number>} Lots settled
+ */
+const releasePendingPoints = async () => {
+    const lots = await LoyaltyRepository.getLotsToRelease();
+    let settled = 0;
+
+    for (const lot of lots) {
+        const revoke = lot.booking_id && lot.booking_status !== 'COMPLETED';
+        const conn = await BookingRepository.getPool().getConnection();
+        try {
+            await conn.beginTransaction();
+            const status = revoke ? 'REVOKED' : 'AVAILABLE';
+            if (await LoyaltyRepository.settlePendingLot(conn, lot.lot_id, status, revoke ? null : expiryFrom(new Date()))) {
+                if (revoke) {
+                    await LoyaltyRepository.addHistory(conn, {
+                        userId: lot.user_id,
+                        points: -lot.points,
+                        type: 'REVOKED',
+                        bookingId: lot.booking_id,
+                        description: `Points for Booking #${lot.booking_id} withdrawn (booking ${String(lot.booking_status).toLowerCase().replace('_', '-')})`
+                    });
+                }
+                settled++;
+            }
+            await conn.commit();
+        } catch (err) {
+            await conn.rollback();
+            throw err;
+        } finally {
+            conn.release();
+        }
+    }
+    return settled;
+};
+
+/**
+ * Expire available points past their expiry date.
+ *
+ * @returns {Promise<number>} Points expired
+ */
+const expirePoints = async () => {
+    const lots = await LoyaltyRepository.getExpiredLots();
+    const expiredByUser = new Map();
+
+    for (const lot of lots) {
+        const conn = await BookingRepository.getPool().getConnection();
+        try {
+            await conn.beginTransaction();
+            const points = await LoyaltyRepository.expireLot(conn, lot.lot_id);
+            if (points > 0) {
+                await LoyaltyRepository.addHistory(conn, {
+                    userId: lot.user_id, points: -points, type: 'EXPIRED', description: "Points expired"
+                });
+                expiredByUser.set(lot.user_id, (expiredByUser.get(lot.user_id) || 0) + points);
+            }
+            await conn.commit();
+        } catch (err) {
+            await conn.rollback();
+            throw err;
+        } finally {
+            conn.release();
+        }
+    }
+
+    for (const [userId, points] of expiredByUser) {
+        await NotificationRepository.createNotification(userId, `${points} loyalty points have expired.`, 'PAYMENT');
+    }
+    return [...expiredByUser.values()].reduce((sum, p) => sum + p, 0);
+};
+
+/**
+ * Award points for newly completed bookings, release pending points and
+ * expire old ones.
+ * Scheduled job.
+ *
+ * @returns {Promise<number>} Points awarded
+ */
+export const processLoyaltyPoints = async () => {
+    const bookings = await LoyaltyRepository.getBookingsToAward();
+    let awarded = 0;
+    for (const booking of bookings) {
+        awarded += await awardBookingPoints(booking);
+    }
+
+    const released = await releasePendingPoints();
+    const expired = await expirePoints();
+
+    if (awarded > 0 || released > 0 || expired > 0) {
+        console.log(`[Loyalty] Awarded ${awarded} point(s), settled ${released} pending lot(s), expired ${expired} point(s)`);
+    }
+    return awarded;
+};
+
+/**
+ * Points balance, pending points, points expiring soon and recent history.
+ *
+ * @param {number} userId
+ */
+export const getPointsSummary = async (userId) => {
+    const summary = await LoyaltyRepository.getPointsSummary(userId, EXPIRING_SOON_DAYS);
+    const history = await LoyaltyRepository.getHistory(userId);
+    return {
+        ...summary,
+        expiringSoonDays: EXPIRING_SOON_DAYS,
+        pointValue: POINT_VALUE,
+        history
+    };
+};
+
+/**
+ * Check a points redemption against a checkout and spread it over the
+ * bookings in proportion to what the player pays for each.
+ *
+ * @param {number} userId
+ * @param {*} points - Points the player wants to spend
+ * @param {number[]} payable - LKR the player pays for each booking before points
+ * @returns {Promise<{points: number, discount: number, bookings: Array<{points: number, discount: number}>}>}
+ * @throws {Error} "Loyalty points ..." when the redemption is not allowed
+ */
+export const quoteRedemption = async (userId, points, payable) => {
+    const requested = Number(points);
+    if (!Number.isInteger(requested) || requested < MIN_REDEEM_POINTS) {
+        throw new Error(`Loyalty points must be redeemed in whole points, at least ${MIN_REDEEM_POINTS}`);
+    }
+
+    const { balance } = await LoyaltyRepository.getPointsSummary(userId, 0);
+    if (requested > balance) {
+        throw new Error(`Loyalty points balance is too low: you have ${balance} points`);
+    }
+
+    const payableCents = payable.map(toCents);
+    const totalCents = payableCents.reduce((sum, c) => sum + c, 0);
+    const maxPoints = Math.floor(totalCents * MAX_REDEEM_SHARE / 100 / POINT_VALUE);
+    if (requested > maxPoints) {
+        throw new Error(`Loyalty points can pay for at most ${MAX_REDEEM_SHARE * 100}% of a checkout (${maxPoints} points here)`);
+    }
+
+    const perBooking = allocateCents(requested, payableCents);
+    return {
+        points: requested,
+        discount: toCents(requested * POINT_VALUE) / 100,
+        bookings: perBooking.map(p => ({ points: p, discount: toCents(p * POINT_VALUE) / 100 }))
+    };
+};
+
+/**
+ * Spend points, using the lots that expire first.
+ *
+ * @param {Object} conn - Connection with an open transaction
+ * @param {number} userId
+ * @param {number} points
+ * @param {Object} use
+ * @param {string} use.reference - Checkout reference, to restore them if the checkout lapses
+ * @param {string} use.description
+ * @throws {Error} "Loyalty points balance is too low" if points were spent meanwhile
+ */
+export const redeemPoints = async (conn, userId, points, { reference, description }) => {
+    const lots = await LoyaltyRepository.lockSpendableLots(conn, userId);
+    let left = points;
+    for (const lot of lots) {
+        if (left === 0) break;
+        const take = Math.min(left, lot.remaining);
+        await LoyaltyRepository.takeFromLot(conn, lot.lot_id, take);
+        left -= take;
+    }
+    if (left > 0) throw new Error("Loyalty points balance is too low");
+
+    await LoyaltyRepository.addHistory(conn, { userId, points: -points, type: 'REDEEMED', reference, description });
+};
+
+/**
+ * Spend points for a Stripe checkout before the player pays; they are
+ * given back if the session expires.
+ *
+ * @param {number} userId
+ * @param {number} points
+ * @param {string} reference - Stored on the session as loyalty_reference
+ */
+export const spendForCheckout = async (userId, points, reference) => {
+    const conn = await BookingRepository.getPool().getConnection();
+    try {
+        await conn.beginTransaction();
+        await redeemPoints(conn, userId, points, { reference, description: "Points spent at checkout" });
+        await conn.commit();
+    } catch (err) {
+        await conn.rollback();
+        throw err;
+    } finally {
+        conn.release();
+    }
+};
+
+/**
+ * Give back the points spent under a checkout reference that was never
+ * paid (expired Stripe session, or one that could not be created).
+ *
+ * @param {number} userId
+ * @param {string} reference
+ * @param {Object} [conn] - Optional connection/transaction
+ * @returns {Promise<number>} Points restored
+ */
+export const restoreCheckoutPoints = async (userId, reference, conn = null) => {
+    const db = conn || await BookingRepository.getPool().getConnection();
+    try {
+        if (!conn) await db.beginTransaction();
+        const points = await LoyaltyRepository.getRedeemedByReference(reference, db);
+        if (points > 0) {
+            await awardPoints(db, {
+                userId, points, source: 'RESTORED', reference, description: "Points returned: checkout was not completed"
+            });
+        }
+        if (!conn) await db.commit();
+        return points;
+    } catch (err) {
+        if (!conn) await db.rollback();
+        throw err;
+    } finally {
+        if (!conn) db.release();
+    }
+};
+
+/**
+ * Give back the points spent on a booking in proportion to a refund.
+ *
+ * @param {Object} conn - Connection with an open transaction
+ * @param {Object} booking - Booking row (booking_id, created_by, loyalty_points_redeemed)
+ * @param {number} refundShare - Refund as a share of what was paid (0-1)
+ * @returns {Promise<number>} Points restored
+ */
+export const restoreBookingPoints = async (conn, booking, refundShare) => {
+    const points = Math.round(Number(booking.loyalty_points_redeemed || 0) * Math.min(refundShare, 1));
+    await awardPoints(conn, {
+        userId: booking.created_by,
+        points,
+        source: 'RESTORED',
+        bookingId: booking.booking_id,
+        description: `Points returned for cancelled Booking #${booking.booking_id}`
+    });
+    return points > 0 ? points : 0;
+};
@@ -0,0 +1,410 @@
+import stripe from "../config/stripe.js";
+import * as PackageRepository from "../repositories/PackageRepository.js";
+import * as BookingRepository from "../repositories/BookingRepository.js";
+import * as NotificationRepository from "../repositories/NotificationRepository.js";
+import * as CommissionService from "./CommissionService.js";
+import * as LedgerService from "./LedgerService.js";
+import { getOwnedVenue } from "./VenueService.js";
+import { toMySQLDateTime } from "../utils/dateUtil.js";
+
+/**
+ * Package Service
+ *
+ * Prepaid packages sold by venues: HOURS_PACK ("10 hours of badminton")
+ * and MEMBERSHIP (a period with included hours and/or a discount on court
+ * rates). Players buy them through Stripe; each purchase is an entitlement
+ * with its own copy of the package's terms.
+ *
+ * At checkout a booking uses the hours of the entitlement expiring first
+ * before any money is charged, and the best membership discount applies to
+ * whatever the hours do not cover. The owner was paid for that value with
+ * the package, so the booking's package_discount is owner-funded. Hours come
+ * back when an unpaid checkout expires, and in proportion to the refund when
+ * a booking is cancelled.
+ *
+ * Error messages about a checkout's hours start with "Package hours" so
+ * controllers can tell them apart from other checkout errors.
+ */
+
+export const PACKAGE_TYPES = ['HOURS_PACK', 'MEMBERSHIP'];
+export const MAX_VALIDITY_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Money and hours are both handled in hundredths */
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+/** Parse a UTC MySQL DateTime ("YYYY-MM-DD HH:MM:SS") */
+const parseUTC = (dateTime) => new Date(`${dateTime.replace(' ', 'T')}Z`);
+
+/**
+ * Create a package for one of the owner's venues.
+ *
+ * @param {number} ownerId
+ * @param {Object} data
+ * @param {number} data.venueId
+ * @param {string} data.packageType - 'HOURS_PACK' or 'MEMBERSHIP'
+ * @param {string} data.name
+ * @param {string} [data.description]
+ * @param {number} data.price - LKR
+ * @param {number} [data.includedHours] - Required for HOURS_PACK
+ * @param {number} [data.discountPercent] - MEMBERSHIP only
+ * @param {number} data.validityDays - How long a purchase can be used
+ * @param {number} [data.sportId] - Restrict to one sport
+ * @returns {Promise<Object>} The new package
+ */
+export const createPackage = async (ownerId, data = {}) => {
+    await getOwnedVenue(Number(data.venueId), ownerId);
+
+    if (!PACKAGE_TYPES.includes(data.packageType)) {
+        throw new Error(`packageType must be one of ${PACKAGE_TYPES.join(', ')}`);
+    }
+    const name = String(data.name || '').trim();
+    if (!name || name.length > 100) throw new Error("name is required (at most 100 characters)");
+
+    const price = Number(data.price);
+    if (!(price > 0)) throw new Error("price must be positive");
+    const includedHours = Number(data.includedHours || 0);
+    if (!(includedHours >= 0) || toCents(includedHours) / 100 !== includedHours) {
+        throw new Error("includedHours must be zero or more, with at most 2 decimals");
+    }
+    const discountPercent = Number(data.discountPercent || 0);
+    if (!(discountPercent >= 0 && discountPercent < 100)) throw new Error("discountPercent must be from 0 to below 100");
+    const validityDays = Number(data.validityDays);
+    if (!Number.isInteger(validityDays) || validityDays < 1 || validityDays > MAX_VALIDITY_DAYS) {
+        throw new Error(`validityDays must be a whole number from 1 to ${MAX_VALIDITY_DAYS}`);
+    }
+
+    if (data.packageType === 'HOURS_PACK' && (includedHours === 0 || discountPercent > 0)) {
+        throw new Error("An hours pack needs includedHours and has no discountPercent");
+    }
+    if (data.packageType === 'MEMBERSHIP' && includedHours === 0 && discountPercent === 0) {
+        throw new Error("A membership needs includedHours, a discountPercent or both");
+    }
+
+    const packageId = await PackageRepository.createPackage({
+        venueId: Number(data.venueId),
+        sportId: data.sportId ? Number(data.sportId) : null,
+        packageType: data.packageType,
+        name,
+        description: data.description ? String(data.description).trim().slice(0, 255) : null,
+        price,
+        includedHours,
+        discountPercent,
+        validityDays,
+        createdBy: ownerId
+    });
+    return await PackageRepository.getPackageById(packageId);
+};
+
+/**
+ * A venue's packages: those on sale, or all of them for the venue's owner.
+ *
+ * @param {number} venueId
+ * @param {Object} user - Authenticated user ({ id })
+ */
+export const getVenuePackages = async (venueId, user) => {
+    const venue = await BookingRepository.getVenueById(venueId);
+    if (!venue) throw new Error("Venue not found");
+    return await PackageRepository.getVenuePackages(venueId, venue.owner_id !== user.id);
+};
+
+/**
+ * Change a package's name, description or price, or take it off sale.
+ * Entitlements already bought keep the terms they were bought with.
+ *
+ * @param {number} packageId
+ * @param {number} ownerId
+ * @param {Object} changes - { name?, description?, price?, isActive? }
+ */
+export const updatePackage = async (packageId, ownerId, changes = {}) => {
+    const pkg = await PackageRepository.getPackageById(packageId);
+    if (!pkg) throw new Error("Package not found");
+    if (pkg.owner_id !== ownerId) throw new Error("Unauthorized");
+
+    const name = 'name' in changes ? String(changes.name || '').trim() : pkg.name;
+    if (!name || name.length > 100) throw new Error("name is required (at most 100 characters)");
+    const price = 'price' in changes ? Number(changes.price) : Number(pkg.price);
+    if (!(price > 0)) throw new Error("price must be positive");
+
+    await PackageRepository.updatePackage(packageId, {
+        name,
+        description: 'description' in changes
+            ? (changes.description ? String(changes.description).trim().slice(0, 255) : null)
+            : pkg.description,
+        price,
+        isActive: 'isActive' in changes ? Boolean(changes.isActive) : Boolean(pkg.is_active)
+    });
+    return await PackageRepository.getPackageById(packageId);
+};
+
+/**
+ * Start a Stripe checkout for a package. The entitlement is activated by
+ * the webhook once the payment completes.
+ *
+ * @param {number} userId
+ * @param {string} email - Prefilled on the checkout page
+ * @param {number} packageId
+ * @returns {Promise<{checkoutUrl: string, entitlementId: number}>}
+ */
+export const createPurchaseSession = async (userId, email, packageId) => {
+    const pkg = await PackageRepository.getPackageById(packageId);
+    if (!pkg) throw new Error("Package not found");
+    if (!pkg.is_active) throw new Error("Package is no longer on sale");
+
+    const session = await stripe.checkout.sessions.create({
+        mode: "payment",
+        payment_method_types: ["card"],
+        customer_email: email,
+        line_items: [{
+            price_data: {
+                currency: "lkr",
+                product_data: { name: `${pkg.venue_name} - ${pkg.name}` },
+                unit_amount: toCents(pkg.price),
+            },
+            quantity: 1,
+        }],
+        metadata: {
+            type: 'PACKAGE_PURCHASE',
+            user_id: String(userId),
+            package_id: String(pkg.package_id),
+        },
+        payment_intent_data: {
+            metadata: { type: 'PACKAGE_PURCHASE', user_id: String(userId) }
+        },
+        success_url: `${process.env.FRONTEND_URL}/packages?purchase=success&session_id={CHECKOUT_SESSION_ID}`,
+        cancel_url: `${process.env.FRONTEND_URL}/packages?purchase=cancelled`,
+    });
+
+    const entitlementId = await PackageRepository.createEntitlement(userId, pkg, session.id);
+    return { checkoutUrl: session.url, entitlementId };
+};
+
+/**
+ * Activate a paid package and pay the owner, less commission. Called from
+ * the Stripe webhook; a purchase is activated only once. A membership bought
+ * while another of the same package is running starts when that one ends.
+ *
+ * @param {Object} conn - Connection with an open transaction
+ * @param {Object} session - Stripe Checkout Session
+ */
+export const completePurchase = async (conn, session) => {
+    const entitlement = await PackageRepository.lockEntitlementBySession(conn, session.id);
+    if (!entitlement || entitlement.status !== 'PENDING') return;
+
+    const amount = Number(session.amount_total) / 100;
+    const now = new Date();
+    let startsAt = now;
+    if (entitlement.package_type === 'MEMBERSHIP') {
+        const running = await PackageRepository.getLatestExpiry(conn, entitlement.user_id, entitlement.package_id);
+        if (running && new Date(running) > now) startsAt = new Date(running);
+    }
+    const expiresAt = new Date(startsAt.getTime() + entitlement.validity_days * DAY_MS);
+
+    const [{ commission }] = await CommissionService.quoteBookingFees(entitlement.venue_id, [amount], conn);
+    await PackageRepository.activateEntitlement(conn, entitlement.entitlement_id, {
+        startsAt: toMySQLDateTime(startsAt),
+        expiresAt: toMySQLDateTime(expiresAt),
+        commission
+    });
+
+    await LedgerService.postTransaction(conn, {
+        type: 'PACKAGE_SALE',
+        reference: session.id,
+        description: `Package sale: ${entitlement.package_name} at ${entitlement.venue_name}`,
+        legs: [
+            { account: LedgerService.ACCOUNTS.STRIPE_CLEARING, amount: -amount },
+            ...CommissionService.revenueLegs(entitlement.owner_id, { amount, commission }, { referenceType: 'PACKAGE_SALE' })
+        ]
+    });
+
+    await NotificationRepository.createNotification(
+        entitlement.user_id,
+        `Your ${entitlement.package_name} at ${entitlement.venue_name} is active until ${toMySQLDateTime(expiresAt).slice(0, 10)}.`,
+        'PAYMENT',
+        conn
+    );
+    if (entitlement.owner_id) {
+        await NotificationRepository.createNotification(
+            entitlement.owner_id,
+            `A player bought ${entitlement.package_name} at ${entitlement.venue_name} (LKR ${amount}).`,
+            'PAYMENT',
+            conn
+        );
+    }
+};
+
+/**
+ * Cancel a purchase whose checkout expired unpaid.
+ *
+ * @param {Object} conn - Connection with an open transaction
+ * @param {Object} session - Stripe Checkout Session
+ */
+export const expirePurchase = async (conn, session) => {
+    const entitlement = await PackageRepository.lockEntitlementBySession(conn, session.id);
+    if (entitlement?.status === 'PENDING') {
+        await PackageRepository.cancelEntitlement(conn, entitlement.entitlement_id);
+    }
+};
+
+/**
+ * Work out what a player's entitlements take off a checkout. Each booking
+ * uses the hours of one entitlement (the one expiring first that still has
+ * hours); the best membership discount applies to the part not covered.
+ * Entitlements must be valid when the booking starts.
+ *
+ * @param {number} userId
+ * @param {number} venueId
+ * @param {number} sportId
+ * @param {Object[]} bookings - [{ startStr, hours, amount }]
+ * @param {Object} [conn] - Transaction; locks the entitlements
+ * @returns {Promise<{venueId: number, bookings: Array<{entitlementId: number|null, hours: number, discount: number}>, totalHours: number, totalDiscount: number}>}
+ */
+export const quoteEntitlements = async (userId, venueId, sportId, bookings, conn = null) => {
+    const entitlements = (await PackageRepository.getUsableEntitlements(userId, venueId, conn))
+        .filter(e => !e.sport_id || e.sport_id === Number(sportId));
+    const hoursLeft = new Map(entitlements.map(e => [e.entitlement_id, toCents(e.hours_remaining)]));
+
+    const quoted = bookings.map(b => {
+        const start = parseUTC(b.startStr);
+        const valid = entitlements.filter(e => new Date(e.starts_at) <= start && start < new Date(e.expires_at));
+
+        const withHours = valid.find(e => hoursLeft.get(e.entitlement_id) > 0);
+        const bookingHours = toCents(b.hours);
+        let used = 0;
+        if (withHours) {
+            used = Math.min(hoursLeft.get(withHours.entitlement_id), bookingHours);
+            hoursLeft.set(withHours.entitlement_id, hoursLeft.get(withHours.entitlement_id) - used);
+        }
+
+        const amountCents = toCents(b.amount);
+        const coveredCents = Math.round(amountCents * used / bookingHours);
+        const discountPercent = Math.max(0, ...valid.map(e => Number(e.discount_percent)));
+        const memberCents = Math.round((amountCents - coveredCents) * discountPercent / 100);
+
+        return {
+            entitlementId: used > 0 ? withHours.entitlement_id : null,
+            hours: used / 100,
+            discount: (coveredCents + memberCents) / 100
+        };
+    });
+
+    return {
+        venueId: Number(venueId),
+        bookings: quoted,
+        totalHours: quoted.reduce((sum, q) => sum + toCents(q.hours), 0) / 100,
+        totalDiscount: quoted.reduce((sum, q) => sum + toCents(q.discount), 0) / 100
+    };
+};
+
+/**
+ * Take the hours a quote uses off the entitlements.
+ *
+ * @param {Object} conn - Connection with an open transaction
+ * @param {number} userId
+ * @param {Object} quote - From quoteEntitlements
+ * @param {Object} use
+ * @param {string} use.reference - Checkout reference, to give the hours back if the checkout lapses
+ * @param {number[]} [use.bookingIds] - Bookings, in the order of the quote
+ * @throws {Error} "Package hours ..." if the hours were used or expired meanwhile
+ */
+export const useEntitlements = async (conn, userId, quote, { reference, bookingIds = [] }) => {
+    const usable = new Set((await PackageRepository.getUsableEntitlements(userId, quote.venueId, conn)).map(e => e.entitlement_id));
+    for (const [i, q] of quote.bookings.entries()) {
+        if (!q.entitlementId) continue;
+        if (!usable.has(q.entitlementId) || !(await PackageRepository.takeHours(conn, q.entitlementId, q.hours))) {
+            throw new Error("Package hours are no longer available, please review your checkout");
+        }
+        await PackageRepository.addUsage(conn, {
+            entitlementId: q.entitlementId, type: 'USED', hours: q.hours, bookingId: bookingIds[i] ?? null, reference
+        });
+    }
+};
+
+/**
+ * Use a quote's hours for a Stripe checkout before the player pays; they
+ * are given back if the session expires.
+ *
+ * @param {number} userId
+ * @param {Object} quote - From quoteEntitlements
+ * @param {string} reference - Stored on the session as package_reference
+ */
+export const reserveForCheckout = async (userId, quote, reference) => {
+    const conn = await BookingRepository.getPool().getConnection();
+    try {
+        await conn.beginTransaction();
+        await useEntitlements(conn, userId, quote, { reference });
+        await conn.commit();
+    } catch (err) {
+        await conn.rollback();
+        throw err;
+    } finally {
+        conn.release();
+    }
+};
+
+/**
+ * Give back the hours used under a checkout reference that was never paid
+ * (expired Stripe session, or one that could not be created).
+ *
+ * @param {string} reference
+ * @param {Object} [conn] - Optional connection/transaction
+ */
+export const restoreCheckoutHours = async (reference, conn = null) => {
+    const db = conn || await BookingRepository.getPool().getConnection();
+    try {
+        if (!conn) await db.beginTransaction();
+        for (const usage of await PackageRepository.getOutstandingUsage(reference, db)) {
+            await PackageRepository.returnHours(db, usage.entitlement_id, usage.hours);
+            await PackageRepository.addUsage(db, {
+                entitlementId: usage.entitlement_id, type: 'RESTORED', hours: usage.hours, reference
+            });
+        }
+        if (!conn) await db.commit();
+    } catch (err) {
+        if (!conn) await db.rollback();
+        throw err;
+    } finally {
+        if (!conn) db.release();
+    }
+};
+
+/**
+ * Give back the hours a cancelled booking used, in proportion to the refund
+ * its cancellation policy allows.
+ *
+ * @param {Object} conn - Connection with an open transaction
+ * @param {Object} booking - Booking row (booking_id, entitlement_id, entitlement_hours)
+ * @param {number} refundShare - Share of the booking refunded (0-1)
+ * @returns {Promise<number>} Hours given back
+ */
+export const restoreBookingHours = async (conn, booking, refundShare) => {
+    const hours = Math.round(toCents(booking.entitlement_hours || 0) * Math.min(refundShare, 1)) / 100;
+    if (!booking.entitlement_id || !(hours > 0)) return 0;
+
+    await PackageRepository.returnHours(conn, booking.entitlement_id, hours);
+    await PackageRepository.addUsage(conn, {
+        entitlementId: booking.entitlement_id, type: 'RESTORED', hours, bookingId: booking.booking_id
+    });
+    return hours;
+};
+
+/**
+ * A player's packages and memberships.
+ *
+ * @param {number} userId
+ */
+export const getUserEntitlements = async (userId) => {
+    return await PackageRepository.getUserEntitlements(userId);
+};
+
+/**
+ * Players with a running package or membership at one of the owner's venues.
+ *
+ * @param {number} venueId
+ * @param {number} ownerId
+ */
+export const getActiveMembers = async (venueId, ownerId) => {
+    await getOwnedVenue(venueId, ownerId);
+    return await PackageRepository.getActiveMembers(venueId);
+};
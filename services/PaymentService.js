@@ -0,0 +1,249 @@
+/**
+ * Payment Service
+ *
+ * Processes Stripe webhook events. Stripe is the source of truth for
+ * whether a checkout was paid, so bookings and share payments are
+ * finalized here rather than when the browser returns from checkout.
+ *
+ * Responsibilities:
+ * - Verify-once processing of webhook events, keyed on the event ID
+ * - Finalize MULTI_BOOKING, SHARE_PAYMENT, WALLET_TOP_UP, PACKAGE_PURCHASE and
+ *   RESCHEDULE_PAYMENT checkout sessions
+ *   and remember the card used, for referral checks
+ * - Release checkout slot holds, promo code reservations, loyalty points and
+ *   package hours when a session expires, and offer the slots to the waitlist
+ * - Reconcile refunds and failed payments
+ *
+ * @module services/PaymentService
+ */
+
+import stripe from "../config/stripe.js";
+import pool from "../config/dbconnection.js";
+import * as PaymentRepository from "../repositories/PaymentRepository.js";
+import * as BookingRepository from "../repositories/BookingRepository.js";
+import * as NotificationRepository from "../repositories/NotificationRepository.js";
+import * as SlotHoldRepository from "../repositories/SlotHoldRepository.js";
+import * as BookingService from "./BookingService.js";
+import * as SplitPaymentService from "./SplitPaymentService.js";
+import * as RefundService from "./RefundService.js";
+import * as WalletService from "./WalletService.js";
+import * as PromoService from "./PromoService.js";
+import * as LoyaltyService from "./LoyaltyService.js";
+import * as ReferralService from "./ReferralService.js";
+import * as PackageService from "./PackageService.js";
+import * as WaitlistService from "./WaitlistService.js";
+import { toMySQLDateTime } from "../utils/dateUtil.js";
+
+/**
+ * Finalize a paid SHARE_PAYMENT session
+ *
+ * @param {Object} conn - Connection with an open transaction
+ * @param {Object} session - Stripe Checkout Session
+ */
+const finalizeSharePayment = async (conn, session) => {
+  const { user_id, booking_id } = session.metadata;
+
+  // Replay guard: the payment row is only written once the share is settled
+  const existing = await PaymentRepository.getPaymentsByReference(session.id);
+  if (existing.length > 0) return;
+
+  const amount = Number(session.amount_total) / 100;
+  // A share settled otherwise meanwhile is credited to the payer's wallet, with no payment on the booking
+  if (!(await SplitPaymentService.executeReimbursement(Number(user_id), Number(booking_id), amount, conn))) return;
+  await BookingRepository.createPayment(conn, {
+    bookingId: Number(booking_id),
+    payerId: Number(user_id),
+    amount,
+    currency: "LKR",
+    providerReference: session.id,
+  });
+  await BookingRepository.updatePaymentStatus(conn, session.id, "SUCCEEDED");
+};
+
+/**
+ * checkout.session.completed
+ *
+ * @returns {Promise<Function|undefined>} Work to run once the event is committed
+ */
+const handleCheckoutCompleted = async (conn, session) => {
+  if (session.payment_status !== "paid") return;
+
+  let afterFinalize;
+  switch (session.metadata?.type) {
+    case "MULTI_BOOKING":
+      await BookingService.finalizeCheckoutBookings(conn, session);
+      break;
+    case "SHARE_PAYMENT":
+      await finalizeSharePayment(conn, session);
+      break;
+    case "WALLET_TOP_UP":
+      await WalletService.completeTopUp(conn, session);
+      break;
+    case "PACKAGE_PURCHASE":
+      await PackageService.completePurchase(conn, session);
+      break;
+    case "RESCHEDULE_PAYMENT":
+      afterFinalize = await BookingService.completeReschedulePayment(conn, session);
+      break;
+    default:
+      console.warn(`[StripeWebhook] Unhandled checkout type: ${session.metadata?.type}`);
+      return;
+  }
+  return async () => {
+    if (afterFinalize) await afterFinalize();
+    await ReferralService.recordCardPayment(session);
+  };
+};
+
+/**
+ * Offer the slots an abandoned checkout held to the waitlist.
+ * Failures are logged only; the expiry itself has been recorded.
+ *
+ * @param {Object[]} holds - From SlotHoldRepository.getUnconvertedSessionHolds
+ */
+const offerHeldSlots = async (holds) => {
+  for (const hold of holds) {
+    try {
+      await WaitlistService.offerFreedSlot(
+        hold.venue_id,
+        toMySQLDateTime(new Date(hold.hold_start)),
+        toMySQLDateTime(new Date(hold.hold_end))
+      );
+    } catch (err) {
+      console.error(`[Waitlist] Failed to offer a slot freed by an expired checkout:`, err);
+    }
+  }
+};
+
+/**
+ * checkout.session.expired
+ *
+ * The slots the checkout held go to the waitlist, as the player who started
+ * it may have claimed a waitlist offer with it.
+ *
+ * @returns {Promise<Function|undefined>} Work to run once the event is committed
+ */
+const handleCheckoutExpired = async (conn, session) => {
+  // The holds may already have been released by the expiry job
+  const holds = await SlotHoldRepository.getUnconvertedSessionHolds(conn, session.id);
+  await SlotHoldRepository.closeSessionHolds(conn, session.id, "RELEASED");
+  const afterCommit = holds.length > 0 ? () => offerHeldSlots(holds) : undefined;
+
+  if (session.metadata?.type === "WALLET_TOP_UP") {
+    await WalletService.expireTopUp(conn, session);
+    return afterCommit;
+  }
+  if (session.metadata?.type === "PACKAGE_PURCHASE") {
+    await PackageService.expirePurchase(conn, session);
+    return afterCommit;
+  }
+  if (session.metadata?.type === "RESCHEDULE_PAYMENT") {
+    await BookingService.expireReschedulePayment(conn, session);
+    return afterCommit;
+  }
+
+  const userId = Number(session.metadata?.user_id);
+  if (!userId || session.metadata?.type !== "MULTI_BOOKING") return afterCommit;
+
+  if (session.metadata.promo_redemption_id) {
+    await PromoService.closeReservation(Number(session.metadata.promo_redemption_id), false, session.id, conn);
+  }
+  if (session.metadata.loyalty_reference) {
+    await LoyaltyService.restoreCheckoutPoints(userId, session.metadata.loyalty_reference, conn);
+  }
+  if (session.metadata.package_reference) {
+    await PackageService.restoreCheckoutHours(session.metadata.package_reference, conn);
+  }
+
+  await NotificationRepository.createNotification(
+    userId,
+    "Your checkout session expired before payment was completed. The selected slots were not booked.",
+    "BOOKING_ALERT",
+    conn
+  );
+  return afterCommit;
+};
+
+/**
+ * charge.refunded
+ *
+ * Refunds issued from the Stripe dashboard are reflected on the payment rows
+ * of the originating checkout session.
+ */
+const handleChargeRefunded = async (conn, charge) => {
+  if (!charge.payment_intent || !charge.refunded) return;
+
+  const sessions = await stripe.checkout.sessions.list({ payment_intent: charge.payment_intent, limit: 1 });
+  const session = sessions.data[0];
+  if (!session) return;
+
+  await BookingRepository.updatePaymentStatus(conn, session.id, "REFUNDED");
+};
+
+/**
+ * payment_intent.payment_failed
+ */
+const handlePaymentFailed = async (conn, paymentIntent) => {
+  const userId = Number(paymentIntent.metadata?.user_id);
+  if (!userId) return;
+
+  const reason = paymentIntent.last_payment_error?.message || "The card was declined";
+  const outcome = paymentIntent.metadata?.type === "WALLET_TOP_UP" ? "Your wallet was not topped up." : "No booking was made.";
+  await NotificationRepository.createNotification(
+    userId,
+    `Your payment could not be completed: ${reason}. ${outcome}`,
+    "PAYMENT",
+    conn
+  );
+};
+
+const eventHandlers = {
+  "checkout.session.completed": handleCheckoutCompleted,
+  "checkout.session.expired": handleCheckoutExpired,
+  "charge.refunded": handleChargeRefunded,
+  "charge.refund.updated": RefundService.reconcileRefund,
+  "refund.updated": RefundService.reconcileRefund,
+  "refund.failed": RefundService.reconcileRefund,
+  "payment_intent.payment_failed": handlePaymentFailed,
+};
+
+/**
+ * Process a verified Stripe webhook event
+ *
+ * The event ID is recorded in the same transaction as the event's effects,
+ * so a redelivered event is skipped and a failed one can be retried. A
+ * handler may return a function to run once that transaction is committed.
+ *
+ * @async
+ * @param {Object} event - Event returned by stripe.webhooks.constructEvent
+ * @returns {Promise<{handled: boolean, duplicate: boolean}>}
+ */
+export const processStripeEvent = async (event) => {
+  const handler = eventHandlers[event.type];
+  if (!handler) return { handled: false, duplicate: false };
+
+  const conn = await pool.getConnection();
+  let afterCommit;
+  try {
+    await conn.beginTransaction();
+
+    const isNew = await PaymentRepository.recordWebhookEvent(conn, event.id, event.type);
+    if (!isNew) {
+      await conn.rollback();
+      return { handled: true, duplicate: true };
+    }
+
+    afterCommit = await handler(conn, event.data.object);
+
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  // Stripe lookups and waitlist offers run only once the row locks above are released
+  if (typeof afterCommit === "function") await afterCommit();
+  return { handled: true, duplicate: false };
+};
@@ -0,0 +1,228 @@
+import * as PolicyRepository from "../repositories/PolicyRepository.js";
+
+/**
+ * Policy Service
+ *
+ * Tiered cancellation policies. A policy is a list of tiers, highest
+ * hoursBeforeStart first; a player cancelling more than hoursBeforeStart
+ * hours before the start gets refundPercentage of what was paid back from
+ * the first tier that applies, and nothing if none does. For example
+ * [{48, 100}, {12, 50}, {0, 0}] refunds everything before 48 hours, half
+ * from 48 to 12 hours and nothing after that.
+ *
+ * Bookings keep a snapshot of their venue's tiers (bookings.cancellation_tiers).
+ * Error messages start with "Cancellation tiers" or "Policy" so controllers
+ * can map them.
+ */
+
+export const MAX_POLICY_TIERS = 10;
+
+const MAX_NAME_LENGTH = 100;
+
+/** The tiers that apply when a booking has no policy at all */
+const FULL_REFUND_TIERS = [{ hoursBeforeStart: 0, refundPercentage: 100 }];
+
+/**
+ * Validate tiers and sort them, highest hoursBeforeStart first.
+ *
+ * @param {Object[]} rawTiers - [{ hoursBeforeStart, refundPercentage }]
+ * @returns {Object[]} Normalized tiers
+ * @throws {Error} "Cancellation tiers ..." on invalid input
+ */
+export const normalizeTiers = (rawTiers) => {
+    if (!Array.isArray(rawTiers) || rawTiers.length === 0 || rawTiers.length > MAX_POLICY_TIERS) {
+        throw new Error(`Cancellation tiers must be a list of 1 to ${MAX_POLICY_TIERS} tiers`);
+    }
+
+    const tiers = rawTiers.map((tier) => {
+        const hoursBeforeStart = Number(tier?.hoursBeforeStart);
+        const refundPercentage = Number(tier?.refundPercentage);
+        if (!Number.isFinite(hoursBeforeStart) || hoursBeforeStart < 0) {
+            throw new Error("Cancellation tiers need hoursBeforeStart of zero or more");
+        }
+        if (!Number.isFinite(refundPercentage) || refundPercentage < 0 || refundPercentage > 100) {
+            throw new Error("Cancellation tiers need a refundPercentage from 0 to 100");
+        }
+        return {
+            hoursBeforeStart: Math.round(hoursBeforeStart * 100) / 100,
+            refundPercentage: Math.round(refundPercentage * 100) / 100
+        };
+    }).sort((a, b) => b.hoursBeforeStart - a.hoursBeforeStart);
+
+    for (let i = 1; i < tiers.length; i++) {
+        if (tiers[i].hoursBeforeStart === tiers[i - 1].hoursBeforeStart) {
+            throw new Error("Cancellation tiers must each have a different hoursBeforeStart");
+        }
+        if (tiers[i].refundPercentage > tiers[i - 1].refundPercentage) {
+            throw new Error("Cancellation tiers cannot refund more closer to the start");
+        }
+    }
+    return tiers;
+};
+
+/**
+ * Tiers for a single threshold policy: a full refund more than
+ * hoursBeforeStart hours before the start, refundPercentage after that.
+ *
+ * @param {number|null} hoursBeforeStart
+ * @param {number} refundPercentage
+ * @returns {Object[]}
+ */
+export const singleThresholdTiers = (hoursBeforeStart, refundPercentage) => {
+    const hours = Number(hoursBeforeStart || 0);
+    if (!(hours > 0)) return FULL_REFUND_TIERS;
+    return normalizeTiers([
+        { hoursBeforeStart: hours, refundPercentage: 100 },
+        { hoursBeforeStart: 0, refundPercentage: Number(refundPercentage || 0) }
+    ]);
+};
+
+/**
+ * The single threshold tiers come closest to: the top tier's
+ * hoursBeforeStart and the refund after it.
+ *
+ * @param {Object[]} tiers - Normalized tiers
+ * @returns {{hoursBeforeStart: number, refundPercentage: number}}
+ */
+const toThreshold = (tiers) => ({
+    hoursBeforeStart: Math.round(tiers[0].hoursBeforeStart),
+    refundPercentage: tiers[1]?.refundPercentage ?? 0
+});
+
+/**
+ * The tiers a booking was made with. Bookings from before tiered policies
+ * fall back to the single threshold they were made with.
+ *
+ * @param {Object} booking - Booking (from getBookingWithPolicy)
+ * @returns {Object[]} Tiers, highest hoursBeforeStart first
+ */
+export const getBookingTiers = (booking) => {
+    if (booking.cancellation_tiers) {
+        return typeof booking.cancellation_tiers === 'string'
+            ? JSON.parse(booking.cancellation_tiers)
+            : booking.cancellation_tiers;
+    }
+    if (booking.custom_refund_percentage !== null && booking.custom_refund_percentage !== undefined) {
+        return singleThresholdTiers(booking.custom_hours_before_start, booking.custom_refund_percentage);
+    }
+    // Legacy text-only custom policies have no automated refund
+    if (booking.custom_cancellation_policy) return [];
+    if (booking.policy_id) return singleThresholdTiers(booking.hours_before_start, booking.refund_percentage);
+    return FULL_REFUND_TIERS;
+};
+
+/**
+ * The tier that applies this many hours before the start.
+ *
+ * @param {Object[]} tiers - Highest hoursBeforeStart first
+ * @param {number} hoursRemaining
+ * @returns {Object|null} The tier, or null when no refund applies
+ */
+export const findTier = (tiers, hoursRemaining) => {
+    return tiers.find(tier => hoursRemaining > Number(tier.hoursBeforeStart)) || null;
+};
+
+/**
+ * The share of what was paid a player gets back for cancelling a booking
+ * this many hours before its start.
+ *
+ * @param {Object} booking - Booking (from getBookingWithPolicy)
+ * @param {number} hoursRemaining
+ * @returns {number} Share refunded (0-1)
+ */
+export const getRefundShare = (booking, hoursRemaining) => {
+    const tier = findTier(getBookingTiers(booking), hoursRemaining);
+    return Number(tier?.refundPercentage || 0) / 100;
+};
+
+/**
+ * Validate a policy name.
+ */
+const normalizeName = (name) => {
+    const trimmed = String(name ?? '').trim();
+    if (!trimmed || trimmed.length > MAX_NAME_LENGTH) {
+        throw new Error(`Policy name is required (at most ${MAX_NAME_LENGTH} characters)`);
+    }
+    return trimmed;
+};
+
+/**
+ * Check that a venue owner may use a policy.
+ *
+ * @param {number} policyId
+ * @param {number} ownerId - The venue's owner
+ * @throws {Error} "Policy not found" unless it is active and the platform's or theirs
+ */
+export const assertAssignablePolicy = async (policyId, ownerId) => {
+    const policy = await PolicyRepository.getPolicyById(policyId);
+    if (!policy || !policy.is_active || (policy.owner_id !== null && policy.owner_id !== ownerId)) {
+        throw new Error("Policy not found");
+    }
+};
+
+/**
+ * Policies a venue can use: the platform's and, for an owner, their own.
+ *
+ * @param {number|null} [ownerId]
+ */
+export const getPolicies = async (ownerId = null) => {
+    return await PolicyRepository.getPolicies(ownerId);
+};
+
+/**
+ * The caller's own policies, withdrawn ones included: an owner's, or the
+ * platform's for admins.
+ *
+ * @param {Object} user - Authenticated user ({ id, accountType })
+ */
+export const getOwnPolicies = async (user) => {
+    return await PolicyRepository.getOwnPolicies(user.accountType === 'ADMIN' ? null : user.id);
+};
+
+/**
+ * Create a named policy. Owners create their own; admins create platform
+ * policies.
+ *
+ * @param {Object} user - Authenticated user ({ id, accountType })
+ * @param {Object} data
+ * @param {string} data.name
+ * @param {Object[]} data.tiers - [{ hoursBeforeStart, refundPercentage }]
+ * @returns {Promise<Object>} The new policy
+ */
+export const createPolicy = async (user, { name, tiers } = {}) => {
+    const normalized = normalizeTiers(tiers);
+    const policyId = await PolicyRepository.createPolicy({
+        name: normalizeName(name),
+        ownerId: user.accountType === 'ADMIN' ? null : user.id,
+        tiers: normalized,
+        threshold: toThreshold(normalized)
+    });
+    return await PolicyRepository.getPolicyById(policyId);
+};
+
+/**
+ * Rename a policy, change its tiers or withdraw it. Venues using it apply
+ * the change to new bookings; existing bookings keep their snapshot. A
+ * withdrawn policy can no longer be chosen for a venue.
+ *
+ * @param {number} policyId
+ * @param {Object} user - Authenticated user ({ id, accountType })
+ * @param {Object} changes - { name?, tiers?, isActive? }
+ * @returns {Promise<Object>} The updated policy
+ */
+export const updatePolicy = async (policyId, user, changes = {}) => {
+    const policy = await PolicyRepository.getPolicyById(policyId);
+    const ownerId = user.accountType === 'ADMIN' ? null : user.id;
+    if (!policy || policy.owner_id !== ownerId) throw new Error("Policy not found");
+
+    const tiers = 'tiers' in changes
+        ? normalizeTiers(changes.tiers)
+        : normalizeTiers(typeof policy.tiers === 'string' ? JSON.parse(policy.tiers) : policy.tiers);
+    await PolicyRepository.updatePolicy(policyId, {
+        name: 'name' in changes ? normalizeName(changes.name) : policy.name,
+        tiers,
+        threshold: toThreshold(tiers),
+        isActive: 'isActive' in changes ? Boolean(changes.isActive) : Boolean(policy.is_active)
+    });
+    return await PolicyRepository.getPolicyById(policyId);
+};
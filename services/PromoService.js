@@ -0,0 +1,318 @@
+import { randomInt } from "crypto";
+import * as PromoRepository from "../repositories/PromoRepository.js";
+import * as BookingRepository from "../repositories/BookingRepository.js";
+import { getOwnedVenue } from "./VenueService.js";
+import { allocateCents } from "./SplitPaymentService.js";
+import { toMySQLDateTime } from "../utils/dateUtil.js";
+
+/**
+ * Promo Service
+ *
+ * Owner and platform promo codes applied at checkout. A code's discount is
+ * spread over the bookings of the checkout in proportion to their price and
+ * recorded on each booking; whoever issued the code funds the discount.
+ * Rebooking credits are single-use codes an owner gives one player.
+ * Error messages all start with "Promo code" so controllers can tell them
+ * apart from other checkout errors.
+ */
+
+export const DISCOUNT_TYPES = ['PERCENT', 'FIXED'];
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+
+/** Characters and length of generated rebooking credit codes */
+const CREDIT_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CREDIT_CODE_LENGTH = 8;
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+/**
+ * Parse an optional positive whole number limit.
+ */
+const parseLimit = (value, name) => {
+    if (value === undefined || value === null || value === '') return null;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 1) throw new Error(`Promo code ${name} must be a positive whole number`);
+    return n;
+};
+
+/**
+ * Parse an optional date into a UTC MySQL DateTime.
+ */
+const parseDate = (value, name) => {
+    if (value === undefined || value === null || value === '') return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw new Error(`Promo code ${name} is not a valid date`);
+    return toMySQLDateTime(date);
+};
+
+/**
+ * Who funds a promo code's discount.
+ *
+ * @param {Object} promo
+ * @returns {string} 'OWNER' or 'PLATFORM'
+ */
+export const fundedBy = (promo) => (promo.owner_id ? 'OWNER' : 'PLATFORM');
+
+/**
+ * Create a promo code. Owners create codes for their own venues; admins
+ * create platform codes.
+ *
+ * @param {Object} user - Authenticated user ({ id, accountType })
+ * @param {Object} data
+ * @param {string} data.code
+ * @param {string} data.discountType - 'PERCENT' or 'FIXED'
+ * @param {number} data.discountValue
+ * @param {number} [data.maxDiscount] - Cap for PERCENT codes
+ * @param {number} [data.minSpend]
+ * @param {number} [data.maxUses]
+ * @param {number} [data.maxUsesPerUser]
+ * @param {string} [data.validFrom] - Defaults to now
+ * @param {string} [data.validUntil]
+ * @param {number} [data.venueId]
+ * @param {number} [data.sportId]
+ * @returns {Promise<Object>} The new promo code
+ */
+export const createPromo = async (user, data = {}) => {
+    const code = String(data.code || '').trim().toUpperCase();
+    if (!CODE_PATTERN.test(code)) {
+        throw new Error("Promo code must be 3-32 letters, digits, '-' or '_'");
+    }
+
+    if (!DISCOUNT_TYPES.includes(data.discountType)) {
+        throw new Error(`Promo code discountType must be one of ${DISCOUNT_TYPES.join(', ')}`);
+    }
+    const discountValue = Number(data.discountValue);
+    if (!(discountValue > 0) || (data.discountType === 'PERCENT' && discountValue > 100)) {
+        throw new Error("Promo code discountValue must be positive (at most 100 for PERCENT)");
+    }
+    const maxDiscount = data.maxDiscount === undefined || data.maxDiscount === null ? null : Number(data.maxDiscount);
+    if (maxDiscount !== null && !(maxDiscount > 0)) throw new Error("Promo code maxDiscount must be positive");
+    const minSpend = Number(data.minSpend || 0);
+    if (!(minSpend >= 0)) throw new Error("Promo code minSpend must be zero or more");
+
+    const validFrom = parseDate(data.validFrom, 'validFrom') || toMySQLDateTime(new Date());
+    const validUntil = parseDate(data.validUntil, 'validUntil');
+    if (validUntil && validUntil <= validFrom) throw new Error("Promo code validUntil must be after validFrom");
+
+    const venueId = data.venueId ? Number(data.venueId) : null;
+    const ownerId = user.accountType === 'ADMIN' ? null : user.id;
+    if (venueId) {
+        if (ownerId) {
+            await getOwnedVenue(venueId, ownerId);
+        } else if (!(await BookingRepository.getVenueById(venueId))) {
+            throw new Error("Venue not found");
+        }
+    }
+
+    if (await PromoRepository.getPromoByCode(code)) {
+        throw new Error("Promo code already exists");
+    }
+
+    const promoId = await PromoRepository.createPromo({
+        code,
+        ownerId,
+        venueId,
+        sportId: data.sportId ? Number(data.sportId) : null,
+        discountType: data.discountType,
+        discountValue,
+        maxDiscount: data.discountType === 'PERCENT' ? maxDiscount : null,
+        minSpend,
+        maxUses: parseLimit(data.maxUses, 'maxUses'),
+        maxUsesPerUser: parseLimit(data.maxUsesPerUser, 'maxUsesPerUser'),
+        validFrom,
+        validUntil,
+        createdBy: user.id
+    });
+    return await PromoRepository.getPromoById(promoId);
+};
+
+/**
+ * Give a player a single-use credit towards their next booking at a venue,
+ * funded by the venue's owner.
+ *
+ * @param {Object} venue - Venue (venue_id, owner_id)
+ * @param {Object} credit
+ * @param {number} credit.userId - The only player who may use it
+ * @param {number} credit.amount - LKR off the booking
+ * @param {number} credit.validDays
+ * @returns {Promise<Object>} The new promo code
+ */
+export const issueRebookingCredit = async (venue, { userId, amount, validDays }) => {
+    let code;
+    do {
+        code = 'REBOOK-';
+        for (let i = 0; i < CREDIT_CODE_LENGTH; i++) code += CREDIT_CODE_ALPHABET[randomInt(CREDIT_CODE_ALPHABET.length)];
+    } while (await PromoRepository.getPromoByCode(code));
+
+    const now = new Date();
+    const promoId = await PromoRepository.createPromo({
+        code,
+        ownerId: venue.owner_id,
+        userId,
+        venueId: venue.venue_id,
+        sportId: null,
+        discountType: 'FIXED',
+        discountValue: amount,
+        maxDiscount: null,
+        minSpend: 0,
+        maxUses: 1,
+        maxUsesPerUser: 1,
+        validFrom: toMySQLDateTime(now),
+        validUntil: toMySQLDateTime(new Date(now.getTime() + validDays * 24 * 60 * 60 * 1000)),
+        createdBy: venue.owner_id
+    });
+    return await PromoRepository.getPromoById(promoId);
+};
+
+/**
+ * List the caller's promo codes: an owner's own codes, or the platform
+ * codes for admins.
+ *
+ * @param {Object} user - Authenticated user ({ id, accountType })
+ */
+export const getPromos = async (user) => {
+    return await PromoRepository.getPromos(user.accountType === 'ADMIN' ? null : user.id);
+};
+
+/**
+ * Deactivate / reactivate a code or change its end date and usage limits.
+ *
+ * @param {number} promoId
+ * @param {Object} user - Authenticated user ({ id, accountType })
+ * @param {Object} changes - { isActive?, validUntil?, maxUses?, maxUsesPerUser? }
+ */
+export const updatePromo = async (promoId, user, changes = {}) => {
+    const promo = await PromoRepository.getPromoById(promoId);
+    const ownerId = user.accountType === 'ADMIN' ? null : user.id;
+    if (!promo || promo.owner_id !== ownerId) throw new Error("Promo code not found");
+
+    const validUntil = 'validUntil' in changes
+        ? parseDate(changes.validUntil, 'validUntil')
+        : (promo.valid_until ? toMySQLDateTime(new Date(promo.valid_until)) : null);
+
+    await PromoRepository.updatePromo(promoId, {
+        isActive: 'isActive' in changes ? Boolean(changes.isActive) : Boolean(promo.is_active),
+        validUntil,
+        maxUses: 'maxUses' in changes ? parseLimit(changes.maxUses, 'maxUses') : promo.max_uses,
+        maxUsesPerUser: 'maxUsesPerUser' in changes ? parseLimit(changes.maxUsesPerUser, 'maxUsesPerUser') : promo.max_uses_per_user
+    });
+    return await PromoRepository.getPromoById(promoId);
+};
+
+/**
+ * Check a promo code against a checkout and work out its discount.
+ *
+ * @param {string} code
+ * @param {Object} checkout
+ * @param {number} checkout.userId
+ * @param {Object} checkout.venue - Venue (venue_id, owner_id)
+ * @param {number} checkout.sportId
+ * @param {number[]} checkout.amounts - Booking prices
+ * @param {Object} [conn] - Transaction; locks the code so limits hold under concurrent checkouts
+ * @returns {Promise<{promo: Object, fundedBy: string, discounts: number[], totalDiscount: number}>}
+ * @throws {Error} "Promo code ..." when the code cannot be used
+ */
+export const quotePromo = async (code, { userId, venue, sportId, amounts }, conn = null) => {
+    const promo = await PromoRepository.getPromoByCode(String(code).trim().toUpperCase(), conn);
+    if (!promo || !promo.is_active) throw new Error("Promo code is not valid");
+
+    const now = new Date();
+    if (new Date(promo.valid_from) > now) throw new Error("Promo code is not active yet");
+    if (promo.valid_until && new Date(promo.valid_until) <= now) throw new Error("Promo code has expired");
+
+    if (promo.user_id && promo.user_id !== userId) throw new Error("Promo code is not valid");
+
+    if ((promo.owner_id && promo.owner_id !== venue.owner_id) || (promo.venue_id && promo.venue_id !== Number(venue.venue_id))) {
+        throw new Error("Promo code cannot be used at this venue");
+    }
+    if (promo.sport_id && promo.sport_id !== Number(sportId)) {
+        throw new Error("Promo code cannot be used for this sport");
+    }
+
+    const totalCents = amounts.reduce((sum, a) => sum + toCents(a), 0);
+    if (totalCents < toCents(promo.min_spend)) {
+        throw new Error(`Promo code needs a minimum spend of LKR ${Number(promo.min_spend)}`);
+    }
+
+    const used = await PromoRepository.countRedemptions(promo.promo_id, userId, conn);
+    if (promo.max_uses !== null && used.total >= promo.max_uses) {
+        throw new Error("Promo code has reached its usage limit");
+    }
+    if (promo.max_uses_per_user !== null && used.byUser >= promo.max_uses_per_user) {
+        throw new Error("Promo code has already been used the maximum number of times");
+    }
+
+    let discountCents = promo.discount_type === 'PERCENT'
+        ? Math.round(totalCents * Number(promo.discount_value) / 100)
+        : toCents(promo.discount_value);
+    if (promo.max_discount !== null) discountCents = Math.min(discountCents, toCents(promo.max_discount));
+    discountCents = Math.min(discountCents, totalCents);
+
+    const discounts = allocateCents(discountCents, amounts.map(toCents)).map(c => c / 100);
+    return { promo, fundedBy: fundedBy(promo), discounts, totalDiscount: discountCents / 100 };
+};
+
+/**
+ * Re-check a quoted code under a lock and record its use.
+ *
+ * @param {Object} conn - Connection with an open transaction
+ * @param {Object} quote - From quotePromo
+ * @param {Object} checkout - Same as for quotePromo
+ * @param {Object} use
+ * @param {string} use.status - 'RESERVED' (Stripe checkout) or 'REDEEMED' (wallet)
+ * @param {string} [use.reference]
+ * @param {Date} [use.expiresAt] - When a reservation lapses
+ * @returns {Promise<number>} Redemption ID
+ * @throws {Error} "Promo code ..." if the code can no longer be used or its discount changed
+ */
+export const recordUse = async (conn, quote, checkout, { status, reference = null, expiresAt = null }) => {
+    const current = await quotePromo(quote.promo.code, checkout, conn);
+    if (toCents(current.totalDiscount) !== toCents(quote.totalDiscount)) {
+        throw new Error("Promo code discount has changed, please review your checkout");
+    }
+    return await PromoRepository.createRedemption(conn, {
+        promoId: quote.promo.promo_id,
+        userId: checkout.userId,
+        discountAmount: quote.totalDiscount,
+        status,
+        reference,
+        expiresAt: expiresAt ? toMySQLDateTime(expiresAt) : null
+    });
+};
+
+/**
+ * Reserve a code for a Stripe checkout until the session expires.
+ *
+ * @param {Object} quote - From quotePromo
+ * @param {Object} checkout - Same as for quotePromo
+ * @param {Date} expiresAt
+ * @returns {Promise<number>} Redemption ID
+ */
+export const reserveUse = async (quote, checkout, expiresAt) => {
+    const conn = await BookingRepository.getPool().getConnection();
+    try {
+        await conn.beginTransaction();
+        const redemptionId = await recordUse(conn, quote, checkout, { status: 'RESERVED', expiresAt });
+        await conn.commit();
+        return redemptionId;
+    } catch (err) {
+        await conn.rollback();
+        throw err;
+    } finally {
+        conn.release();
+    }
+};
+
+/**
+ * Settle a reservation once its checkout is paid, or free it when the
+ * checkout expires or could not be created.
+ *
+ * @param {number} redemptionId
+ * @param {boolean} paid
+ * @param {string|null} [reference] - Stripe session ID
+ * @param {Object} [conn] - Optional connection/transaction
+ */
+export const closeReservation = async (redemptionId, paid, reference = null, conn = null) => {
+    await PromoRepository.closeReservation(redemptionId, paid ? 'REDEEMED' : 'RELEASED', reference, conn);
+};
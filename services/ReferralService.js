@@ -0,0 +1,244 @@
+import { randomInt } from "crypto";
+import stripe from "../config/stripe.js";
+import * as ReferralRepository from "../repositories/ReferralRepository.js";
+import * as SplitPaymentRepository from "../repositories/SplitPaymentRepository.js";
+import * as BookingRepository from "../repositories/BookingRepository.js";
+import * as NotificationRepository from "../repositories/NotificationRepository.js";
+import * as LoyaltyService from "./LoyaltyService.js";
+import { NO_SHOW_REPORT_HOURS } from "./BookingService.js";
+
+/**
+ * Referral Service
+ *
+ * Every user has a referral code. A player who signs up with a code, or
+ * through a split invite (the invite link, or the invited email), is
+ * attributed to the referrer. Once the new player's first booking they paid
+ * for is completed, both players earn loyalty points, held like booking
+ * points until the no-show window has passed.
+ *
+ * A referral is rejected instead when the two accounts share a private email
+ * domain, a device or a card, as those are usually the same person.
+ */
+
+/** Loyalty points for the player who referred */
+export const REFERRER_REWARD_POINTS = 200;
+/** Loyalty points for the new player */
+export const REFERRED_REWARD_POINTS = 200;
+
+/** Email providers anyone can sign up with; sharing one proves nothing */
+const PUBLIC_EMAIL_DOMAINS = new Set([
+    'gmail.com', 'googlemail.com', 'yahoo.com', 'ymail.com', 'hotmail.com', 'outlook.com',
+    'live.com', 'msn.com', 'icloud.com', 'me.com', 'aol.com', 'proton.me', 'protonmail.com'
+]);
+
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+const MAX_DEVICE_ID_LENGTH = 128;
+
+const generateCode = () => {
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) code += CODE_ALPHABET[randomInt(CODE_ALPHABET.length)];
+    return code;
+};
+
+const emailDomain = (email) => String(email).split('@').pop().toLowerCase();
+
+/**
+ * A user's referral code, assigned on first use.
+ *
+ * @param {number} userId
+ * @returns {Promise<string>}
+ */
+export const ensureReferralCode = async (userId) => {
+    const existing = await ReferralRepository.getReferralCode(userId);
+    if (existing) return existing;
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+        try {
+            await ReferralRepository.setReferralCode(userId, generateCode());
+            return await ReferralRepository.getReferralCode(userId);
+        } catch (err) {
+            if (err.code !== 'ER_DUP_ENTRY') throw err;
+        }
+    }
+    throw new Error("Could not assign a referral code");
+};
+
+/**
+ * Work out who referred a signup. A referral code wins over an invite
+ * token; an unknown code is an error, a used or unknown token is ignored.
+ * Call before the invitee's guest bookings are linked, as that uses up the
+ * token.
+ *
+ * @param {Object} signup
+ * @param {string} [signup.referralCode]
+ * @param {string} [signup.inviteToken]
+ * @returns {Promise<{referrerId: number, source: string}|null>}
+ * @throws {Error} "Referral code is not valid"
+ */
+export const findReferrer = async ({ referralCode, inviteToken }) => {
+    if (referralCode) {
+        const referrer = await ReferralRepository.findUserByReferralCode(String(referralCode).trim().toUpperCase());
+        if (!referrer) throw new Error("Referral code is not valid");
+        return { referrerId: referrer.user_id, source: 'CODE' };
+    }
+    if (inviteToken) {
+        const invitation = await SplitPaymentRepository.findInvitationByToken(String(inviteToken));
+        if (invitation) return { referrerId: invitation.created_by, source: 'INVITE' };
+    }
+    return null;
+};
+
+/**
+ * Record a device a user signed up or logged in from.
+ *
+ * @param {number} userId
+ * @param {string} [deviceId] - Sent by the app in the X-Device-Id header
+ */
+export const recordDevice = async (userId, deviceId) => {
+    if (!deviceId || String(deviceId).length > MAX_DEVICE_ID_LENGTH) return;
+    await ReferralRepository.recordDevice(userId, String(deviceId));
+};
+
+/**
+ * Set up a new user's referrals: their own code, their signup device and,
+ * for players, who referred them.
+ *
+ * @param {Object} user - New user row (user_id, account_type)
+ * @param {{referrerId: number, source: string}|null} referral - From findReferrer
+ * @param {string} [deviceId]
+ */
+export const recordSignup = async (user, referral, deviceId) => {
+    await ensureReferralCode(user.user_id);
+    await recordDevice(user.user_id, deviceId);
+
+    if (referral && referral.referrerId !== user.user_id && user.account_type === 'PLAYER') {
+        await ReferralRepository.createReferral({
+            referrerId: referral.referrerId,
+            referredUserId: user.user_id,
+            source: referral.source
+        });
+    }
+};
+
+/**
+ * Remember the card behind a paid Stripe checkout so referrals between
+ * accounts paying with the same card can be rejected. Called after the
+ * webhook transaction commits, so the Stripe lookup holds no row locks.
+ * Failures are only logged so they never hold up the payment itself.
+ *
+ * @param {Object} session - Paid Stripe Checkout Session
+ */
+export const recordCardPayment = async (session) => {
+    const userId = Number(session.metadata?.user_id);
+    if (!userId || !session.payment_intent) return;
+
+    try {
+        const paymentIntent = await stripe.paymentIntents.retrieve(session.payment_intent, { expand: ['latest_charge'] });
+        const fingerprint = paymentIntent.latest_charge?.payment_method_details?.card?.fingerprint;
+        if (fingerprint) await ReferralRepository.recordPaymentMethod(userId, fingerprint);
+    } catch (err) {
+        console.error(`[Referrals] Could not record the card for session ${session.id}:`, err.message);
+    }
+};
+
+/**
+ * Why a referral looks like a self-referral, if it does.
+ *
+ * @param {Object} referral - Row from ReferralRepository.getQualifiedReferrals
+ * @returns {Promise<string|null>} Rejection reason
+ */
+const abuseReason = async (referral) => {
+    const domain = emailDomain(referral.referrer_email);
+    if (!PUBLIC_EMAIL_DOMAINS.has(domain) && domain === emailDomain(referral.referred_email)) {
+        return 'SAME_EMAIL_DOMAIN';
+    }
+    if (await ReferralRepository.shareDevice(referral.referrer_id, referral.referred_user_id)) {
+        return 'SAME_DEVICE';
+    }
+    if (await ReferralRepository.sharePaymentMethod(referral.referrer_id, referral.referred_user_id)) {
+        return 'SAME_PAYMENT_METHOD';
+    }
+    return null;
+};
+
+/**
+ * Reward (or reject) referrals whose new player has completed their first
+ * booking.
+ * Scheduled job.
+ *
+ * @returns {Promise<number>} Referrals rewarded
+ */
+export const processReferralRewards = async () => {
+    const referrals = await ReferralRepository.getQualifiedReferrals();
+    let rewarded = 0;
+
+    for (const referral of referrals) {
+        const reason = await abuseReason(referral);
+        const pendingUntil = new Date(new Date(referral.booking_end).getTime() + NO_SHOW_REPORT_HOURS * 60 * 60 * 1000);
+
+        const conn = await BookingRepository.getPool().getConnection();
+        try {
+            await conn.beginTransaction();
+            const settled = await ReferralRepository.settleReferral(conn, referral.referral_id, {
+                status: reason ? 'REJECTED' : 'REWARDED',
+                reason,
+                bookingId: referral.booking_id
+            });
+            if (settled && !reason) {
+                const base = { source: 'REFERRAL', bookingId: referral.booking_id, pendingUntil };
+                await LoyaltyService.awardPoints(conn, {
+                    ...base,
+                    userId: referral.referrer_id,
+                    points: REFERRER_REWARD_POINTS,
+                    description: `Referral bonus: ${referral.referred_name} played their first booking`
+                });
+                await LoyaltyService.awardPoints(conn, {
+                    ...base,
+                    userId: referral.referred_user_id,
+                    points: REFERRED_REWARD_POINTS,
+                    description: "Welcome bonus for joining through a referral"
+                });
+                await NotificationRepository.createNotification(
+                    referral.referrer_id,
+                    `${referral.referred_name} played their first booking. You earned ${REFERRER_REWARD_POINTS} referral points!`,
+                    'PAYMENT',
+                    conn
+                );
+                await NotificationRepository.createNotification(
+                    referral.referred_user_id,
+                    `You earned ${REFERRED_REWARD_POINTS} welcome points for joining through a referral.`,
+                    'PAYMENT',
+                    conn
+                );
+                rewarded++;
+            }
+            await conn.commit();
+        } catch (err) {
+            await conn.rollback();
+            throw err;
+        } finally {
+            conn.release();
+        }
+    }
+
+    if (referrals.length > 0) {
+        console.log(`[Referrals] Rewarded ${rewarded} of ${referrals.length} qualified referral(s)`);
+    }
+    return rewarded;
+};
+
+/**
+ * A user's referral code, the rewards and the players they referred.
+ *
+ * @param {number} userId
+ */
+export const getReferralSummary = async (userId) => {
+    const referralCode = await ensureReferralCode(userId);
+    const referrals = await ReferralRepository.getReferralsByReferrer(userId);
+    return {
+        referralCode,
+        rewardPoints: { referrer: REFERRER_REWARD_POINTS, referred: REFERRED_REWARD_POINTS },
+        referrals
+    };
+};
@@ -0,0 +1,166 @@
+/**
+ * Refund Service
+ *
+ * Sends booking refunds back to the card they were paid with.
+ *
+ * Responsibilities:
+ * - Decide whether a refund goes to the card or the PlayLink wallet
+ * - Issue Stripe refunds against the Checkout Session's PaymentIntent
+ * - Reconcile refund status updates from Stripe webhooks
+ * - Fall back to a wallet credit when a card refund fails
+ *
+ * @module services/RefundService
+ */
+
+import stripe from "../config/stripe.js";
+import pool from "../config/dbconnection.js";
+import * as PaymentRepository from "../repositories/PaymentRepository.js";
+import * as NotificationRepository from "../repositories/NotificationRepository.js";
+import * as LedgerService from "./LedgerService.js";
+
+export const REFUND_DESTINATIONS = ['WALLET', 'CARD'];
+
+/**
+ * Resolve where a cancellation refund should go
+ *
+ * A venue-level setting wins, then the destination the user asked for,
+ * then the platform default (DEFAULT_REFUND_DESTINATION, else WALLET).
+ *
+ * @param {Object} booking - Booking from getBookingWithPolicy
+ * @param {string} [requested] - 'WALLET' or 'CARD'
+ * @returns {string} 'WALLET' or 'CARD'
+ */
+export const resolveRefundDestination = (booking, requested) => {
+    if (REFUND_DESTINATIONS.includes(booking.venue_refund_destination)) {
+        return booking.venue_refund_destination;
+    }
+    if (REFUND_DESTINATIONS.includes(requested)) {
+        return requested;
+    }
+    const platformDefault = process.env.DEFAULT_REFUND_DESTINATION;
+    return REFUND_DESTINATIONS.includes(platformDefault) ? platformDefault : 'WALLET';
+};
+
+/**
+ * Credit a refund to a wallet because it could not go back to the card
+ *
+ * @param {Object} conn - Database connection
+ * @param {Object} data
+ * @param {number} data.userId
+ * @param {number} data.bookingId
+ * @param {number} data.amount
+ */
+const creditWalletFallback = async (conn, { userId, bookingId, amount }) => {
+    // The cancellation already moved this amount to Stripe clearing for the card refund
+    await LedgerService.postTransaction(conn, {
+        type: 'REFUND_FALLBACK',
+        bookingId,
+        description: `Refund for Booking #${bookingId} (card refund failed, credited to wallet)`,
+        legs: [
+            { account: LedgerService.ACCOUNTS.STRIPE_CLEARING, amount: -amount },
+            { userId, amount, referenceType: 'REFUND' }
+        ]
+    });
+    await NotificationRepository.createNotification(
+        userId,
+        `We couldn't refund LKR ${amount} for Booking #${bookingId} to your card, so it has been added to your PlayLink wallet instead.`,
+        'PAYMENT',
+        conn
+    );
+};
+
+/**
+ * Credit a failed card refund to the wallet in its own transaction
+ */
+const creditWalletFallbackNow = async (data) => {
+    const conn = await pool.getConnection();
+    try {
+        await conn.beginTransaction();
+        await creditWalletFallback(conn, data);
+        await conn.commit();
+    } catch (err) {
+        await conn.rollback();
+        throw err;
+    } finally {
+        conn.release();
+    }
+};
+
+/**
+ * Issue Stripe refunds for a cancelled booking
+ *
+ * Called after the cancellation has been committed. A refund that Stripe
+ * rejects outright is credited to the payer's wallet so the player is
+ * never left without their money.
+ *
+ * @param {number} bookingId
+ * @param {Object[]} refunds - [{ payment, userId, amount }]
+ * @returns {Promise<Object[]>} [{ paymentId, amount, refundId, status }]
+ */
+export const issueCardRefunds = async (bookingId, refunds) => {
+    const results = [];
+
+    for (const { payment, userId, amount } of refunds) {
+        let refund;
+        try {
+            const session = await stripe.checkout.sessions.retrieve(payment.provider_reference);
+            refund = await stripe.refunds.create({
+                payment_intent: session.payment_intent,
+                amount: Math.round(amount * 100),
+                metadata: {
+                    booking_id: String(bookingId),
+                    payment_id: String(payment.payment_id),
+                    user_id: String(userId)
+                }
+            }, {
+                idempotencyKey: `booking-${bookingId}-payment-${payment.payment_id}-refund`
+            });
+        } catch (err) {
+            console.error(`[Refund] Card refund failed for payment #${payment.payment_id}, crediting wallet:`, err);
+            await creditWalletFallbackNow({ userId, bookingId, amount });
+            results.push({ paymentId: payment.payment_id, amount, refundId: null, status: 'WALLET_FALLBACK' });
+            continue;
+        }
+
+        await PaymentRepository.recordRefund(payment.payment_id, {
+            refundId: refund.id,
+            status: refund.status,
+            amount
+        });
+
+        if (refund.status === 'failed') {
+            await creditWalletFallbackNow({ userId, bookingId, amount });
+        }
+
+        results.push({ paymentId: payment.payment_id, amount, refundId: refund.id, status: refund.status });
+    }
+
+    return results;
+};
+
+/**
+ * Apply a Stripe refund status update to the payment row
+ *
+ * Handles refund.updated / charge.refund.updated / refund.failed. The
+ * wallet fallback only runs on the transition into a failed state, so
+ * the same refund reported by several event types is credited once.
+ *
+ * @param {Object} conn - Connection with an open transaction
+ * @param {Object} refund - Stripe Refund object
+ */
+export const reconcileRefund = async (conn, refund) => {
+    const payment = await PaymentRepository.getPaymentByRefundId(conn, refund.id);
+    if (!payment) return; // Not issued by PlayLink (e.g. from the Stripe dashboard)
+    if (payment.refund_status === refund.status) return;
+
+    await PaymentRepository.updateRefundStatus(conn, refund.id, refund.status);
+
+    const failed = ['failed', 'canceled'];
+    if (failed.includes(refund.status) && !failed.includes(payment.refund_status)) {
+        await creditWalletFallback(conn, {
+            userId: payment.payer_id,
+            bookingId: payment.booking_id,
+            amount: Number(refund.amount) / 100
+        });
+    }
+};
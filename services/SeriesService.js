@@ -0,0 +1,557 @@
+import * as SeriesRepository from "../repositories/SeriesRepository.js";
+import * as BookingRepository from "../repositories/BookingRepository.js";
+import * as CourtRepository from "../repositories/CourtRepository.js";
+import * as WalletRepository from "../repositories/WalletRepository.js";
+import * as NotificationRepository from "../repositories/NotificationRepository.js";
+import * as CommissionRepository from "../repositories/CommissionRepository.js";
+import * as BookingService from "./BookingService.js";
+import * as WaitlistService from "./WaitlistService.js";
+import * as LedgerService from "./LedgerService.js";
+import * as CommissionService from "./CommissionService.js";
+import { calculateDynamicPrice } from "./VenueService.js";
+import { toMySQLDateTime, createISTDate, getISTDateString } from "../utils/dateUtil.js";
+
+/**
+ * Series Service
+ *
+ * Recurring player bookings: the same weekday and time every week or every
+ * second week. Each occurrence is a regular booking, so cancelling or
+ * rescheduling one occurrence goes through BookingService; this service
+ * creates the series and manages all upcoming occurrences as a unit.
+ * Occurrences are paid from the wallet, so platform commission applies but
+ * the player booking fee (a checkout charge) does not.
+ */
+
+export const SERIES_MAX_WEEKS = 26;
+
+/** Hours before an occurrence starts that a pay-per-occurrence series is charged */
+export const SERIES_CHARGE_HOURS = 24;
+
+const FREQUENCY_WEEKS = { WEEKLY: 1, FORTNIGHTLY: 2 };
+const PAYMENT_MODES = ['UPFRONT', 'PER_OCCURRENCE'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Add days to a YYYY-MM-DD date
+ */
+const addDays = (dateStr, days) => {
+    const date = new Date(`${dateStr}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Validate a series request and list its dates.
+ *
+ * @param {Object} data - { venueId, sportId, startDate, endDate, time, hours, frequency }
+ * @returns {string[]} Occurrence dates (YYYY-MM-DD)
+ */
+const getOccurrenceDates = ({ venueId, sportId, startDate, endDate, time, hours, frequency }) => {
+    if (!venueId || !sportId || !startDate || !endDate || !time || !hours || !frequency) {
+        throw new Error("Missing series details (venueId, sportId, startDate, endDate, time, hours, frequency)");
+    }
+    if (!DATE_PATTERN.test(startDate) || !DATE_PATTERN.test(endDate)) {
+        throw new Error("Series dates must be in YYYY-MM-DD format");
+    }
+    if (!TIME_PATTERN.test(time)) {
+        throw new Error("Series time must be in HH:MM format");
+    }
+    if (!FREQUENCY_WEEKS[frequency]) {
+        throw new Error("Series frequency must be WEEKLY or FORTNIGHTLY");
+    }
+    if (endDate < startDate) {
+        throw new Error("Series end date must be on or after the start date");
+    }
+    if (endDate > addDays(startDate, SERIES_MAX_WEEKS * 7)) {
+        throw new Error(`Series can run for at most ${SERIES_MAX_WEEKS} weeks`);
+    }
+    if (createISTDate(startDate, time) <= new Date()) {
+        throw new Error("Series must start in the future");
+    }
+
+    const dates = [];
+    for (let date = startDate; date <= endDate; date = addDays(date, FREQUENCY_WEEKS[frequency] * 7)) {
+        dates.push(date);
+    }
+    return dates;
+};
+
+/**
+ * Check every occurrence of a series request for availability and price.
+ *
+ * A requested court is required on every date. Otherwise the court found
+ * for the first free date is preferred for the rest, falling back to any
+ * free court.
+ *
+ * @param {Object} data - Series request
+ * @returns {Promise<{venue: Object, courtId: number|null, occurrences: Object[]}>}
+ */
+const planOccurrences = async (data) => {
+    const dates = getOccurrenceDates(data);
+    const { venueId, sportId, time } = data;
+    const hours = Number(data.hours);
+
+    const venue = await BookingRepository.getVenueById(venueId);
+    if (!venue) throw new Error("Venue not found");
+
+    const courts = new Map();
+    let preferredCourtId = null;
+
+    if (data.courtId) {
+        const court = await CourtRepository.getCourtById(data.courtId);
+        if (!court || court.venue_id !== Number(venueId) || !court.is_active) {
+            throw new Error("Court not found");
+        }
+        if (!(await CourtRepository.courtSupportsSport(court.court_id, sportId))) {
+            throw new Error(`${court.name} does not support this sport`);
+        }
+        courts.set(court.court_id, court);
+        preferredCourtId = court.court_id;
+    }
+
+    const occurrences = [];
+    for (const date of dates) {
+        const occurrence = { date, time, hours, available: false };
+        occurrences.push(occurrence);
+
+        const timeError = await BookingService.getBookingTimeError(venueId, date, time, hours);
+        if (timeError) {
+            occurrence.reason = timeError;
+            continue;
+        }
+
+        const start = createISTDate(date, time);
+        occurrence.startStr = toMySQLDateTime(start);
+        occurrence.endStr = toMySQLDateTime(new Date(start.getTime() + hours * 60 * 60 * 1000));
+
+        let courtId = null;
+        if (preferredCourtId && await BookingService.isCourtAvailable(venueId, preferredCourtId, occurrence.startStr, occurrence.endStr)) {
+            courtId = preferredCourtId;
+        } else if (data.courtId) {
+            occurrence.reason = `${courts.get(preferredCourtId).name} is already booked at this time`;
+            continue;
+        } else {
+            courtId = await BookingService.findAvailableCourt(venueId, occurrence.startStr, occurrence.endStr, sportId);
+        }
+
+        if (!courtId) {
+            occurrence.reason = "No courts available for this sport";
+            continue;
+        }
+
+        if (!courts.has(courtId)) courts.set(courtId, await CourtRepository.getCourtById(courtId));
+        if (!preferredCourtId) preferredCourtId = courtId;
+
+        const court = courts.get(courtId);
+        occurrence.available = true;
+        occurrence.courtId = courtId;
+        occurrence.courtName = court.name;
+        occurrence.amount = await calculateDynamicPrice(venue, date, time, hours, court);
+    }
+
+    return { venue, courtId: preferredCourtId, occurrences };
+};
+
+/**
+ * Public shape of a planned or created occurrence
+ */
+const formatOccurrence = (o) => ({
+    date: o.date,
+    time: o.time,
+    hours: o.hours,
+    status: o.bookingId ? 'BOOKED' : (o.available ? 'AVAILABLE' : 'CONFLICT'),
+    bookingId: o.bookingId || null,
+    courtId: o.courtId || null,
+    courtName: o.courtName || null,
+    amount: o.amount ?? null,
+    reason: o.reason || null
+});
+
+/**
+ * Preview a series: which dates can be booked and what they cost.
+ *
+ * @param {Object} data - See createSeries
+ * @returns {Promise<{occurrences: Object[], bookable: number, conflicts: number, totalAmount: number}>}
+ */
+export const previewSeries = async (data) => {
+    const { occurrences } = await planOccurrences(data);
+    const bookable = occurrences.filter(o => o.available);
+
+    return {
+        occurrences: occurrences.map(formatOccurrence),
+        bookable: bookable.length,
+        conflicts: occurrences.length - bookable.length,
+        totalAmount: bookable.reduce((sum, o) => sum + o.amount, 0)
+    };
+};
+
+/**
+ * Create a recurring booking series.
+ *
+ * Every free date is booked; dates with a conflict are skipped and reported.
+ * UPFRONT pays all booked occurrences from the wallet now. PER_OCCURRENCE
+ * reserves the courts and charges the wallet SERIES_CHARGE_HOURS before each
+ * occurrence (see chargeDueOccurrences).
+ *
+ * @param {number} userId
+ * @param {Object} data
+ * @param {number} data.venueId
+ * @param {number} data.sportId
+ * @param {number} [data.courtId] - Book this court on every date
+ * @param {string} data.startDate - YYYY-MM-DD, first occurrence
+ * @param {string} data.endDate - YYYY-MM-DD, last possible occurrence
+ * @param {string} data.time - HH:MM (IST)
+ * @param {number} data.hours
+ * @param {string} data.frequency - 'WEEKLY' or 'FORTNIGHTLY'
+ * @param {string} data.paymentMode - 'UPFRONT' or 'PER_OCCURRENCE'
+ * @returns {Promise<{seriesId: number, occurrences: Object[], amountCharged: number}>}
+ */
+export const createSeries = async (userId, data) => {
+    if (!PAYMENT_MODES.includes(data.paymentMode)) {
+        throw new Error("Series payment mode must be UPFRONT or PER_OCCURRENCE");
+    }
+
+    const { venue, courtId, occurrences } = await planOccurrences(data);
+    const bookable = occurrences.filter(o => o.available);
+    if (bookable.length === 0) {
+        throw new Error("None of the series dates are available");
+    }
+
+    const upfront = data.paymentMode === 'UPFRONT';
+    if (upfront) {
+        const total = bookable.reduce((sum, o) => sum + o.amount, 0);
+        const balance = await WalletRepository.getWalletBalance(userId);
+        if (balance < total) {
+            throw new Error(`Insufficient wallet balance: the series costs ${total} but your balance is ${balance}`);
+        }
+    }
+
+    const conn = await BookingRepository.getPool().getConnection();
+    let seriesId;
+    let amountCharged = 0;
+    let commission = 0;
+
+    try {
+        await conn.beginTransaction();
+        await CourtRepository.lockCourts(conn, [...new Set(bookable.map(o => o.courtId))]);
+
+        seriesId = await SeriesRepository.createSeries(conn, {
+            userId,
+            venueId: Number(data.venueId),
+            sportId: Number(data.sportId),
+            courtId,
+            startTime: data.time,
+            hours: Number(data.hours),
+            frequency: data.frequency,
+            startDate: data.startDate,
+            endDate: data.endDate,
+            paymentMode: data.paymentMode
+        });
+
+        for (const o of bookable) {
+            const taken = await BookingRepository.hasBookingConflict(venue.venue_id, o.startStr, o.endStr, o.courtId, null, conn);
+            if (taken) {
+                o.available = false;
+                o.reason = "Booked by someone else while the series was being created";
+                continue;
+            }
+
+            o.bookingId = await BookingRepository.createBooking(conn, {
+                venueId: venue.venue_id,
+                courtId: o.courtId,
+                sportId: data.sportId,
+                userId,
+                bookingStart: o.startStr,
+                bookingEnd: o.endStr,
+                totalAmount: o.amount,
+                cancellationPolicyId: venue.cancellation_policy_id,
+                customCancellationPolicy: venue.custom_cancellation_policy,
+                customRefundPercentage: venue.custom_refund_percentage,
+                customHoursBeforeStart: venue.custom_hours_before_start,
+                pointsUsed: upfront ? o.amount : 0,
+                paidAmount: 0,
+                seriesId
+            });
+
+            await BookingRepository.addBookingParticipant(conn, {
+                bookingId: o.bookingId, userId, shareAmount: o.amount, isInitiator: 1, paymentStatus: upfront ? 'PAID' : 'PENDING'
+            });
+
+            if (upfront) {
+                await BookingRepository.updateBookingStatus(conn, o.bookingId, 'CONFIRMED');
+                const [fees] = await CommissionService.quoteBookingFees(venue.venue_id, [o.amount], conn);
+                await CommissionRepository.setBookingFees(conn, o.bookingId, { commission: fees.commission, playerFee: 0 });
+                commission += fees.commission;
+                const reference = `SERIES_${seriesId}_${o.bookingId}`;
+                await BookingRepository.createPayment(conn, {
+                    bookingId: o.bookingId, payerId: userId, amount: o.amount, currency: "LKR", providerReference: reference
+                });
+                await BookingRepository.updatePaymentStatus(conn, reference, 'SUCCEEDED');
+                amountCharged += o.amount;
+            }
+        }
+
+        const bookingIds = bookable.filter(o => o.bookingId).map(o => o.bookingId);
+        if (bookingIds.length === 0) {
+            throw new Error("None of the series dates are available");
+        }
+
+        if (upfront) {
+            await LedgerService.postTransaction(conn, {
+                type: "BOOKING_PAYMENT",
+                reference: `SERIES_${seriesId}`,
+                description: `Revenue from Recurring Series #${seriesId}. IDs: ${bookingIds.join(',')}`,
+                legs: [
+                    {
+                        userId,
+                        amount: -amountCharged,
+                        description: `Recurring booking series #${seriesId} at ${venue.name} (${bookingIds.length} sessions)`
+                    },
+                    ...CommissionService.revenueLegs(venue.owner_id, { amount: amountCharged, commission })
+                ]
+            });
+        }
+
+        await conn.commit();
+    } catch (err) {
+        await conn.rollback();
+        throw err;
+    } finally {
+        conn.release();
+    }
+
+    return { seriesId, occurrences: occurrences.map(formatOccurrence), amountCharged };
+};
+
+/**
+ * Get a series owned by the player.
+ *
+ * @param {number} seriesId
+ * @param {number} userId
+ * @returns {Promise<Object>} Series
+ */
+const getOwnedSeries = async (seriesId, userId) => {
+    const series = await SeriesRepository.getSeriesById(seriesId);
+    if (!series || series.user_id !== userId) throw new Error("Series not found");
+    return series;
+};
+
+/**
+ * Get the player's series.
+ *
+ * @param {number} userId
+ */
+export const getMySeries = async (userId) => {
+    return await SeriesRepository.getUserSeries(userId);
+};
+
+/**
+ * Get a series with all of its occurrences.
+ *
+ * @param {number} seriesId
+ * @param {number} userId
+ */
+export const getSeriesDetails = async (seriesId, userId) => {
+    const series = await getOwnedSeries(seriesId, userId);
+    const occurrences = await SeriesRepository.getSeriesBookings(seriesId);
+    return { ...series, occurrences };
+};
+
+/**
+ * Cancel every upcoming occurrence of a series.
+ *
+ * Each occurrence is cancelled like a single booking, so the venue's
+ * cancellation policy applies to paid ones. Occurrences that cannot be
+ * cancelled are reported instead of stopping the rest.
+ *
+ * @param {number} seriesId
+ * @param {number} userId
+ * @param {Object} [options] - Passed to BookingService.cancelBooking
+ * @returns {Promise<{cancelled: Object[], failed: Object[], refundAmount: number}>}
+ */
+export const cancelSeries = async (seriesId, userId, options = {}) => {
+    const series = await getOwnedSeries(seriesId, userId);
+    if (series.status === 'CANCELLED') throw new Error("Series is already cancelled");
+
+    const upcoming = await SeriesRepository.getSeriesBookings(seriesId, true);
+    const cancelled = [];
+    const failed = [];
+
+    for (const booking of upcoming) {
+        try {
+            const result = await BookingService.cancelBooking(booking.booking_id, userId, options);
+            cancelled.push({ bookingId: booking.booking_id, refundAmount: result.refundAmount });
+        } catch (err) {
+            failed.push({ bookingId: booking.booking_id, reason: err.message });
+        }
+    }
+
+    await SeriesRepository.updateSeriesStatus(seriesId, 'CANCELLED');
+
+    return {
+        cancelled,
+        failed,
+        refundAmount: cancelled.reduce((sum, c) => sum + Number(c.refundAmount || 0), 0)
+    };
+};
+
+/**
+ * Move every upcoming occurrence of a series to a new start time on the
+ * same dates, keeping each one on its court where possible.
+ *
+ * Each occurrence is rescheduled like a single booking (see
+ * BookingService.rescheduleBooking), paid from the wallet: it is repriced
+ * for the new time and the venue's reschedule policy and fee apply.
+ * Occurrences that cannot move stay at their current time and are reported.
+ *
+ * @param {number} seriesId
+ * @param {number} userId
+ * @param {string} time - New start time, HH:MM (IST)
+ * @returns {Promise<{occurrences: Object[], moved: number, charged: number, refunded: number}>}
+ */
+export const rescheduleSeries = async (seriesId, userId, time) => {
+    const series = await getOwnedSeries(seriesId, userId);
+    if (series.status !== 'ACTIVE') throw new Error("Only active series can be rescheduled");
+    if (!time || !TIME_PATTERN.test(time)) throw new Error("Series time must be in HH:MM format");
+
+    const upcoming = await SeriesRepository.getSeriesBookings(seriesId, true);
+    const results = [];
+
+    for (const booking of upcoming) {
+        const start = new Date(booking.booking_start);
+        const hours = (new Date(booking.booking_end) - start) / (60 * 60 * 1000);
+        const date = getISTDateString(start);
+        const result = { bookingId: booking.booking_id, date, status: 'CONFLICT', courtId: booking.court_id, reason: null };
+        results.push(result);
+
+        try {
+            const moved = await BookingService.rescheduleBooking(booking.booking_id, userId, date, time, hours, {
+                paymentMethod: 'WALLET',
+                preferredCourtId: booking.court_id
+            });
+            Object.assign(result, {
+                status: 'MOVED',
+                courtId: moved.newCourtId,
+                priceDifference: moved.priceDifference,
+                fee: moved.fee,
+                charged: moved.charged,
+                refunded: moved.refunded
+            });
+        } catch (err) {
+            result.reason = err.message;
+        }
+    }
+
+    const moved = results.filter(r => r.status === 'MOVED');
+    if (moved.length > 0) {
+        await SeriesRepository.updateSeriesStartTime(seriesId, time);
+    }
+
+    return {
+        occurrences: results,
+        moved: moved.length,
+        charged: moved.reduce((sum, r) => sum + Math.round(r.charged * 100), 0) / 100,
+        refunded: moved.reduce((sum, r) => sum + Math.round(r.refunded * 100), 0) / 100
+    };
+};
+
+/**
+ * Pay one pay-per-occurrence booking from the player's wallet.
+ *
+ * @param {Object} occurrence - Row from SeriesRepository.getDueOccurrences
+ * @returns {Promise<boolean>} False if the occurrence was no longer pending
+ * @throws {Error} "Insufficient funds..." from the wallet debit
+ */
+const chargeOccurrence = async (occurrence) => {
+    const amount = Number(occurrence.total_amount);
+    const conn = await BookingRepository.getPool().getConnection();
+    try {
+        await conn.beginTransaction();
+        if ((await BookingRepository.lockBookingStatus(conn, occurrence.booking_id)) !== 'PENDING') {
+            await conn.rollback();
+            return false;
+        }
+
+        const reference = `SERIES_${occurrence.series_id}_${occurrence.booking_id}`;
+        const [fees] = await CommissionService.quoteBookingFees(occurrence.venue_id, [amount], conn);
+        await LedgerService.postTransaction(conn, {
+            type: "BOOKING_PAYMENT",
+            bookingId: occurrence.booking_id,
+            reference,
+            description: `Revenue from Recurring Series #${occurrence.series_id}. ID: ${occurrence.booking_id}`,
+            legs: [
+                {
+                    userId: occurrence.user_id,
+                    amount: -amount,
+                    description: `Recurring booking series #${occurrence.series_id} at ${occurrence.venue_name} (Booking #${occurrence.booking_id})`
+                },
+                ...CommissionService.revenueLegs(occurrence.owner_id, { amount, commission: fees.commission })
+            ]
+        });
+        await CommissionRepository.setBookingFees(conn, occurrence.booking_id, { commission: fees.commission, playerFee: 0 });
+
+        await BookingRepository.createPayment(conn, {
+            bookingId: occurrence.booking_id, payerId: occurrence.user_id, amount, currency: "LKR", providerReference: reference
+        });
+        await BookingRepository.updatePaymentStatus(conn, reference, 'SUCCEEDED');
+        await SeriesRepository.markOccurrencePaid(conn, occurrence.booking_id, amount);
+        await BookingRepository.updateParticipantsPaymentStatus(conn, occurrence.booking_id, 'PAID');
+
+        await NotificationRepository.createNotification(
+            occurrence.user_id,
+            `Booking #${occurrence.booking_id} at ${occurrence.venue_name} from your recurring series was paid from your wallet (${amount}).`,
+            'PAYMENT',
+            conn
+        );
+
+        await conn.commit();
+        return true;
+    } catch (err) {
+        await conn.rollback();
+        throw err;
+    } finally {
+        conn.release();
+    }
+};
+
+/**
+ * Charge the wallet for pay-per-occurrence bookings starting within
+ * SERIES_CHARGE_HOURS. An occurrence the player cannot pay for is cancelled
+ * and its court released.
+ * Scheduled job.
+ *
+ * @returns {Promise<number>} Number of occurrences charged
+ */
+export const chargeDueOccurrences = async () => {
+    const due = await SeriesRepository.getDueOccurrences(SERIES_CHARGE_HOURS);
+    let charged = 0;
+
+    for (const occurrence of due) {
+        try {
+            if (await chargeOccurrence(occurrence)) charged++;
+        } catch (err) {
+            if (!err.message.startsWith("Insufficient funds")) {
+                console.error(`[Series] Failed to charge booking #${occurrence.booking_id}:`, err);
+                continue;
+            }
+
+            try {
+                await BookingService.cancelBooking(occurrence.booking_id, occurrence.user_id);
+            } catch (cancelErr) {
+                console.error(`[Series] Failed to cancel unpaid booking #${occurrence.booking_id}:`, cancelErr);
+                continue;
+            }
+            await NotificationRepository.createNotification(
+                occurrence.user_id,
+                `Booking #${occurrence.booking_id} at ${occurrence.venue_name} from your recurring series was cancelled because your wallet balance could not cover it. Top up your wallet to keep the rest of the series.`,
+                'BOOKING_ALERT'
+            );
+        }
+    }
+
+    if (charged > 0) {
+        console.log(`[Series] Charged ${charged} recurring booking(s)`);
+    }
+    return charged;
+};
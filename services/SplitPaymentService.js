@@ -7,45 +7,247 @@
  * - Calculate split shares
  * - Orchestrate booking participants setup
  * - Handle reimbursement to initiator logic
+ * - Enforce split-share payment deadlines (reminders and the deadline outcome)
  */
 
 import * as BookingRepository from "../repositories/BookingRepository.js";
 import * as UserRepository from "../repositories/UserRepository.js";
-import * as WalletRepository from "../repositories/WalletRepository.js";
 import * as NotificationRepository from "../repositories/NotificationRepository.js";
+import * as SplitPaymentRepository from "../repositories/SplitPaymentRepository.js";
+import * as BookingService from "./BookingService.js";
+import * as LedgerService from "./LedgerService.js";
+import * as RefundService from "./RefundService.js";
+import * as PolicyService from "./PolicyService.js";
+import * as PaymentRepository from "../repositories/PaymentRepository.js";
 import pool from "../config/dbconnection.js";
+import { toMySQLDateTime, formatISTDateTime } from "../utils/dateUtil.js";
 
 /**
- * Calculate equal share amount
- * 
- * @param {number} totalAmount 
- * @param {number} participantCount - Number of invited friends (excluding initiator)
- * @returns {number} Share per person including initiator
+ * What happens to shares still unpaid at the deadline:
+ * - INITIATOR_COVERS: the initiator, who paid the full price at checkout,
+ *   takes over the share (no further charge)
+ * - REASSIGN: the initiator gets SPLIT_REASSIGN_GRACE_HOURS to pass the share
+ *   to another player; anything still unpaid is then covered by the initiator
+ * - CANCEL: the booking is cancelled under the venue's cancellation policy
+ */
+export const SPLIT_DEADLINE_ACTIONS = ['INITIATOR_COVERS', 'REASSIGN', 'CANCEL'];
+
+/** Default deadline: this many hours before the booking starts */
+const DEFAULT_SPLIT_DEADLINE_HOURS = 24;
+const MAX_SPLIT_DEADLINE_HOURS = 168;
+
+/** Invitees always get at least this long to pay, unless the booking starts sooner */
+const MIN_SPLIT_WINDOW_HOURS = 1;
+
+/** Reminders go out when this many hours are left before the deadline */
+export const SPLIT_REMINDER_HOURS = [24, 2];
+
+export const SPLIT_REASSIGN_GRACE_HOURS = 12;
+
+const HOUR = 60 * 60 * 1000;
+
+/** How a split booking is divided: equally, by exact amounts, or by weights */
+export const SPLIT_METHODS = ['EQUAL', 'AMOUNT', 'WEIGHT'];
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+/**
+ * Check that an amount is positive and has at most 2 decimals
  */
-export const calculateShares = (totalAmount, participantCount) => {
-    if (participantCount <= 0) return totalAmount;
-    // total people = invitees + initiator
-    const totalPeople = participantCount + 1;
-    // Round to 2 decimal places
-    return Math.round((totalAmount / totalPeople) * 100) / 100;
+const isValidShareAmount = (amount) => {
+    const value = Number(amount);
+    return value > 0 && Math.abs(value * 100 - Math.round(value * 100)) < 1e-6;
+};
+
+/**
+ * Divide an amount in cents by weights.
+ *
+ * Every share is rounded down, and the cents left over go one each to the
+ * shares with the largest remainders (ties go to the earlier share, so the
+ * initiator first). The shares always add up to the total exactly.
+ *
+ * @param {number} totalCents
+ * @param {number[]} weights - Non-negative, at least one positive
+ * @returns {number[]} Shares in cents
+ */
+export const allocateCents = (totalCents, weights) => {
+    const weightSum = weights.reduce((sum, w) => sum + w, 0);
+    const exact = weights.map(w => (totalCents * w) / weightSum);
+    const cents = exact.map(x => Math.floor(x));
+
+    const leftover = totalCents - cents.reduce((sum, c) => sum + c, 0);
+    const order = exact
+        .map((x, i) => ({ i, remainder: x - Math.floor(x) }))
+        .sort((a, b) => b.remainder - a.remainder || a.i - b.i);
+    for (let k = 0; k < leftover; k++) cents[order[k % order.length].i]++;
+
+    return cents;
+};
+
+/**
+ * Normalize the invites of a checkout.
+ *
+ * Each invite is an email (equal split), { email, amount } or
+ * { email, weight }. All invites must use the same form. The initiator's
+ * own email is ignored.
+ *
+ * @param {Array<string|Object>} rawInvites
+ * @param {string} initiatorEmail
+ * @returns {{method: string, invitees: Object[]}} invitees: [{ email, amount?, weight? }]
+ * @throws {Error} "Split ..." / "Invite ..." on invalid invites
+ */
+export const normalizeInvites = (rawInvites, initiatorEmail) => {
+    if (!Array.isArray(rawInvites)) throw new Error("Invites must be a list");
+
+    const seen = new Set();
+    const invitees = [];
+    for (const raw of rawInvites) {
+        const invite = typeof raw === 'string' ? { email: raw } : { ...raw };
+        invite.email = typeof invite.email === 'string' ? invite.email.trim() : '';
+        if (!invite.email) throw new Error("Invite email is missing");
+
+        const key = invite.email.toLowerCase();
+        if (key === String(initiatorEmail).toLowerCase()) continue;
+        if (seen.has(key)) throw new Error(`Invite ${invite.email} is listed more than once`);
+        seen.add(key);
+        invitees.push(invite);
+    }
+
+    const withAmount = invitees.filter(i => i.amount !== undefined).length;
+    const withWeight = invitees.filter(i => i.weight !== undefined).length;
+    if (withAmount > 0 && withWeight > 0) {
+        throw new Error("Split invites must all use amount or all use weight, not both");
+    }
+    if ((withAmount > 0 && withAmount < invitees.length) || (withWeight > 0 && withWeight < invitees.length)) {
+        throw new Error("Split amounts or weights must be given for every invitee");
+    }
+    if (invitees.some(i => i.amount !== undefined && !isValidShareAmount(i.amount))) {
+        throw new Error("Split amounts must be positive with at most 2 decimals");
+    }
+    if (invitees.some(i => i.weight !== undefined && !(Number(i.weight) > 0))) {
+        throw new Error("Split weights must be positive numbers");
+    }
+
+    let method = 'EQUAL';
+    if (withAmount > 0) method = 'AMOUNT';
+    else if (withWeight > 0) method = 'WEIGHT';
+
+    return { method, invitees };
+};
+
+/**
+ * Work out who owes what on each booking of a split checkout.
+ *
+ * First each person's share of the checkout total is fixed in cents (equal,
+ * by weight, or the given amounts with the initiator paying the rest). Each
+ * booking is then divided in proportion to what everyone still owes, so
+ * every booking and every person's total add up exactly.
+ *
+ * @param {number[]} bookingAmounts - Price of each booking in the checkout
+ * @param {Object} split - From normalizeInvites
+ * @param {Object} [options]
+ * @param {number} [options.initiatorAmount] - AMOUNT split: the initiator's share; must make the total add up
+ * @param {number} [options.initiatorWeight=1] - WEIGHT split: the initiator's weight (0 if not playing)
+ * @returns {Object[]} Per booking: { method, initiatorShare, invitees: [{ email, amount }] }
+ * @throws {Error} "Split ..." if the shares do not add up
+ */
+export const allocateSplit = (bookingAmounts, { method, invitees }, { initiatorAmount, initiatorWeight = 1 } = {}) => {
+    const totalCents = bookingAmounts.reduce((sum, a) => sum + toCents(a), 0);
+    let personCents;
+
+    if (method === 'AMOUNT') {
+        const inviteeCents = invitees.map(i => toCents(i.amount));
+        const initiatorCents = totalCents - inviteeCents.reduce((sum, c) => sum + c, 0);
+        const expected = initiatorAmount === undefined || initiatorAmount === null ? initiatorCents : toCents(initiatorAmount);
+        if (initiatorCents < 0 || expected !== initiatorCents) {
+            throw new Error(`Split amounts must add up to the total of LKR ${totalCents / 100}`);
+        }
+        personCents = [initiatorCents, ...inviteeCents];
+    } else {
+        const weights = method === 'WEIGHT'
+            ? [Number(initiatorWeight), ...invitees.map(i => Number(i.weight))]
+            : invitees.map(() => 1).concat(1);
+        if (!(weights[0] >= 0)) throw new Error("Split weights must be positive numbers");
+        personCents = allocateCents(totalCents, weights);
+    }
+
+    const remaining = [...personCents];
+    return bookingAmounts.map((amount) => {
+        const bookingCents = toCents(amount);
+        const owed = remaining.reduce((sum, c) => sum + c, 0);
+        const shares = bookingCents === owed
+            ? [...remaining]
+            : allocateCents(bookingCents, remaining);
+        shares.forEach((c, i) => { remaining[i] -= c; });
+
+        return {
+            method,
+            initiatorShare: shares[0] / 100,
+            invitees: invitees.map((invite, i) => ({ email: invite.email, amount: shares[i + 1] / 100 }))
+        };
+    });
 };
 
 import { randomUUID } from 'crypto';
 import * as EmailUtil from "../utils/emailUtil.js";
 
+/**
+ * Resolve the deadline settings of a split booking.
+ *
+ * Falls back to SPLIT_DEADLINE_HOURS / SPLIT_DEADLINE_ACTION from the
+ * environment, then to 24 hours before the start and INITIATOR_COVERS.
+ *
+ * @param {Object} [settings]
+ * @param {number} [settings.hours] - Hours before the booking starts
+ * @param {string} [settings.action] - One of SPLIT_DEADLINE_ACTIONS
+ * @returns {{hoursBeforeStart: number, action: string}}
+ * @throws {Error} "Split deadline ..." on invalid settings
+ */
+export const resolveSplitDeadlineSettings = ({ hours, action } = {}) => {
+    const hoursBeforeStart = Number(hours ?? process.env.SPLIT_DEADLINE_HOURS ?? DEFAULT_SPLIT_DEADLINE_HOURS);
+    const deadlineAction = action ?? process.env.SPLIT_DEADLINE_ACTION ?? 'INITIATOR_COVERS';
+
+    if (!Number.isFinite(hoursBeforeStart) || hoursBeforeStart < 0 || hoursBeforeStart > MAX_SPLIT_DEADLINE_HOURS) {
+        throw new Error(`Split deadline hours must be between 0 and ${MAX_SPLIT_DEADLINE_HOURS}`);
+    }
+    if (!SPLIT_DEADLINE_ACTIONS.includes(deadlineAction)) {
+        throw new Error(`Split deadline action must be one of ${SPLIT_DEADLINE_ACTIONS.join(', ')}`);
+    }
+    return { hoursBeforeStart, action: deadlineAction };
+};
+
+/**
+ * Deadline for paying shares: hoursBeforeStart before the booking, but never
+ * sooner than MIN_SPLIT_WINDOW_HOURS from now, and never after the start.
+ *
+ * @param {Date|string} bookingStart
+ * @param {number} hoursBeforeStart
+ * @returns {Date}
+ */
+const computeSplitDeadline = (bookingStart, hoursBeforeStart) => {
+    const start = new Date(bookingStart).getTime();
+    const earliest = Date.now() + MIN_SPLIT_WINDOW_HOURS * HOUR;
+    return new Date(Math.min(start, Math.max(start - hoursBeforeStart * HOUR, earliest)));
+};
+
 /**
  * Setup Booking Splits
  * 
  * Adds invited users as participants to the booking.
- * Handles both registered users and guest invites.
+ * Handles both registered users and guest invites. Invitees start as
+ * INVITED; guest invite links expire at the payment deadline.
  * 
  * @param {number} bookingId 
  * @param {number} initiatorId 
- * @param {string[]} inviteeEmails 
- * @param {number} shareAmount 
+ * @param {Object} allocation - One booking's entry from allocateSplit
+ * @param {Object} [externalConn]
+ * @param {Object} [deadlineSettings] - From resolveSplitDeadlineSettings; defaults apply if omitted
  */
-export const setupBookingSplits = async (bookingId, initiatorId, inviteeEmails, shareAmount, externalConn = null) => {
-    if (!inviteeEmails || inviteeEmails.length === 0) return;
+export const setupBookingSplits = async (bookingId, initiatorId, allocation, externalConn = null, deadlineSettings = null) => {
+    if (!allocation || allocation.invitees.length === 0) return;
+
+    const inviteeEmails = allocation.invitees.map(i => i.email);
+    const amountByEmail = new Map(allocation.invitees.map(i => [i.email.toLowerCase(), i.amount]));
 
     const conn = externalConn || await pool.getConnection();
 
@@ -58,32 +260,41 @@ export const setupBookingSplits = async (bookingId, initiatorId, inviteeEmails,
         const [initiatorRows] = await conn.execute("SELECT full_name FROM users WHERE user_id = ?", [initiatorId]);
         const initiatorName = initiatorRows[0]?.full_name || "A friend";
 
+        // Payment deadline for the invitees
+        const settings = deadlineSettings || resolveSplitDeadlineSettings();
+        const [bookingRows] = await conn.execute("SELECT booking_start FROM bookings WHERE booking_id = ?", [bookingId]);
+        const deadline = computeSplitDeadline(bookingRows[0].booking_start, settings.hoursBeforeStart);
+        await SplitPaymentRepository.setSplitDeadline(conn, bookingId, toMySQLDateTime(deadline), settings.action);
+        await SplitPaymentRepository.setSplitMethod(conn, bookingId, allocation.method);
+
         // 1. Resolve Emails to User IDs
         const existingUsers = await UserRepository.findIdsByEmails(inviteeEmails);
-        const existingEmails = new Set(existingUsers.map(u => u.email));
+        const existingEmails = new Set(existingUsers.map(u => u.email.toLowerCase()));
 
         // 2. Add Existing Users
         for (const user of existingUsers) {
             if (user.user_id === initiatorId) continue;
+            const shareAmount = amountByEmail.get(user.email.toLowerCase());
 
             await BookingRepository.addBookingParticipant(conn, {
                 bookingId,
                 userId: user.user_id,
                 shareAmount: shareAmount,
-                isInitiator: 0
+                isInitiator: 0,
+                inviteStatus: 'INVITED'
             });
 
             // Notify participant
             await NotificationRepository.createNotification(
                 user.user_id,
-                `${initiatorName} has invited you to split a booking. Your share is LKR ${shareAmount}. Please pay from "My Bookings" to confirm.`,
+                `${initiatorName} has invited you to split Booking #${bookingId}. Your share is LKR ${shareAmount}. Accept or decline from "My Bookings", and pay by ${formatISTDateTime(deadline)} to confirm.`,
                 'BOOKING_ALERT',
                 conn
             );
         }
 
         // 3. Handle Guest Users (Emails not found in DB)
-        const guestEmails = inviteeEmails.filter(email => !existingEmails.has(email));
+        const guestEmails = inviteeEmails.filter(email => !existingEmails.has(email.toLowerCase()));
 
         for (const email of guestEmails) {
             const token = randomUUID(); // Generate unique token
@@ -91,10 +302,12 @@ export const setupBookingSplits = async (bookingId, initiatorId, inviteeEmails,
             await BookingRepository.addBookingParticipant(conn, {
                 bookingId,
                 userId: null,
-                shareAmount: shareAmount,
+                shareAmount: amountByEmail.get(email.toLowerCase()),
                 isInitiator: 0,
                 guestEmail: email,
-                inviteToken: token
+                inviteToken: token,
+                inviteStatus: 'INVITED',
+                inviteExpiresAt: toMySQLDateTime(deadline)
             });
 
             // Send Invitation Email
@@ -118,7 +331,7 @@ export const setupBookingSplits = async (bookingId, initiatorId, inviteeEmails,
         // 4. Update Initiator's share amount
         await conn.execute(
             "UPDATE booking_participants SET share_amount = ? WHERE booking_id = ? AND user_id = ?",
-            [shareAmount, bookingId, initiatorId]
+            [allocation.initiatorShare, bookingId, initiatorId]
         );
 
         if (!externalConn) {
@@ -143,18 +356,30 @@ export const setupBookingSplits = async (bookingId, initiatorId, inviteeEmails,
  * Logic:
  * 1. Verify participant payment (handled by caller/BookingController usually, but we check here too if needed).
  * 2. Mark participant as PAID.
- * 3. Credit Initiator's wallet.
- * 4. Record Transaction.
+ * 3. Move the money to the Initiator's wallet (one ledger transaction).
+ * 
+ * Only an unpaid share of a confirmed booking can be paid. A card payment
+ * that arrives after the share was settled otherwise (cancelled, covered,
+ * reassigned or withdrawn) is credited to the payer's wallet instead.
  * 
  * @param {number} participantUserId 
  * @param {number} bookingId 
  * @param {number} amountPaid 
+ * @param {Object} [externalConn] - Optional connection whose transaction the caller manages
+ * @param {string} [source='CARD'] - 'CARD' (paid through Stripe) or 'WALLET' (debited from the participant's wallet)
+ * @returns {Promise<boolean>} False if a card payment was credited to the wallet instead
+ * @throws {Error} "This share is no longer payable" for a wallet payment
  */
-export const executeReimbursement = async (participantUserId, bookingId, amountPaid) => {
-    const conn = await pool.getConnection();
+export const executeReimbursement = async (participantUserId, bookingId, amountPaid, externalConn = null, source = 'CARD') => {
+    const conn = externalConn || await pool.getConnection();
 
     try {
-        await conn.beginTransaction();
+        if (!externalConn) {
+            await conn.beginTransaction();
+        }
+
+        // Lock the booking so a deadline cancel or cover cannot run while the share is paid
+        const locked = await SplitPaymentRepository.lockSplitBooking(conn, bookingId);
 
         // 1. Get Booking & Initiator Info
         // We need to find who the initiator is for this booking
@@ -167,27 +392,59 @@ export const executeReimbursement = async (participantUserId, bookingId, amountP
         if (rows.length === 0) throw new Error("Booking initiator not found");
         const initiatorId = rows[0].user_id;
 
-        // 2. Update Participant Status to PAID
-        await conn.execute(
-            "UPDATE booking_participants SET payment_status = 'PAID' WHERE booking_id = ? AND user_id = ?",
-            [bookingId, participantUserId]
-        );
+        // 2. Update Participant Status to PAID (paying accepts the invitation)
+        let updated = { affectedRows: 0 };
+        if (locked?.status === 'CONFIRMED') {
+            [updated] = await conn.execute(
+                `UPDATE booking_participants SET payment_status = 'PAID', invite_status = 'ACCEPTED'
+                 WHERE booking_id = ? AND user_id = ? AND payment_status = 'PENDING'`,
+                [bookingId, participantUserId]
+            );
+        }
+        if (updated.affectedRows === 0) {
+            if (source === 'WALLET') throw new Error("This share is no longer payable");
 
-        // 3. Credit Initiator Wallet
-        await WalletRepository.updateWalletBalance(conn, initiatorId, amountPaid);
+            await LedgerService.postTransaction(conn, {
+                type: 'SPLIT_SHARE_REFUND',
+                bookingId,
+                description: `Share payment for Booking #${bookingId} that was no longer payable`,
+                legs: [
+                    { account: LedgerService.ACCOUNTS.STRIPE_CLEARING, amount: -amountPaid },
+                    { userId: participantUserId, amount: amountPaid, description: `Share of Booking #${bookingId} no longer payable (card payment credited)` }
+                ]
+            });
+            await NotificationRepository.createNotification(
+                participantUserId,
+                `Your share of Booking #${bookingId} was no longer payable when your payment came through, so LKR ${amountPaid} was added to your wallet.`,
+                'PAYMENT',
+                conn
+            );
+            if (!externalConn) {
+                await conn.commit();
+            }
+            return false;
+        }
 
         // Fetch Payer Name for Description
         const [payerRows] = await conn.execute("SELECT full_name FROM users WHERE user_id = ?", [participantUserId]);
         const payerName = payerRows[0] ? payerRows[0].full_name : "Participant";
 
-        // 4. Record Transaction for Initiator (Credit from Split)
-        await WalletRepository.createTransaction(conn, {
-            userId: initiatorId,
-            amount: amountPaid,
-            type: "CREDIT",
+        // 3. Debit the payer (wallet or Stripe clearing) and credit the Initiator
+        await LedgerService.postTransaction(conn, {
+            type: 'SPLIT_REIMBURSEMENT',
+            bookingId,
             description: `Reimbursement from ${payerName} (Booking #${bookingId})`,
-            referenceType: "BOOKING_REIMBURSEMENT",
-            referenceId: bookingId
+            legs: [
+                source === 'WALLET'
+                    ? {
+                        userId: participantUserId,
+                        amount: -amountPaid,
+                        description: `Split Share Payment for Booking #${bookingId}`,
+                        referenceType: "BOOKING_SPLIT_PAYMENT"
+                    }
+                    : { account: LedgerService.ACCOUNTS.STRIPE_CLEARING, amount: -amountPaid },
+                { userId: initiatorId, amount: amountPaid, referenceType: "BOOKING_REIMBURSEMENT" }
+            ]
         });
 
         // 5. Notify the Initiator (Main Booker)
@@ -198,13 +455,657 @@ export const executeReimbursement = async (participantUserId, bookingId, amountP
             conn
         );
 
+        if (!externalConn) {
+            await conn.commit();
+        }
+        return true;
+    } catch (err) {
+        if (!externalConn) {
+            await conn.rollback();
+        }
+        console.error("Error executing reimbursement:", err);
+        throw err;
+    } finally {
+        if (!externalConn) {
+            conn.release();
+        }
+    }
+};
+
+/**
+ * Send payment reminders for unpaid shares as their deadline approaches
+ * (one per SPLIT_REMINDER_HOURS threshold), by notification and email.
+ * Scheduled job.
+ *
+ * @returns {Promise<number>} Number of reminders sent
+ */
+export const sendSplitReminders = async () => {
+    const shares = await SplitPaymentRepository.getSharesDueSoon(Math.max(...SPLIT_REMINDER_HOURS));
+    const now = Date.now();
+    let sent = 0;
+
+    for (const share of shares) {
+        const deadline = new Date(share.split_deadline);
+        const hoursLeft = (deadline.getTime() - now) / HOUR;
+        const due = SPLIT_REMINDER_HOURS.filter(h => hoursLeft <= h).length;
+        if (due <= share.reminders_sent) continue;
+
+        const deadlineText = formatISTDateTime(deadline);
+        const amount = Number(share.share_amount);
+
+        if (share.user_id) {
+            await NotificationRepository.createNotification(
+                share.user_id,
+                `Reminder: your share of LKR ${amount} for Booking #${share.booking_id} at ${share.venue_name} is due by ${deadlineText}.`,
+                'PAYMENT'
+            );
+        }
+        if (share.email) {
+            await EmailUtil.sendSplitReminderEmail(share.email, {
+                bookingId: share.booking_id,
+                venueName: share.venue_name,
+                amount,
+                deadline: deadlineText,
+                inviteToken: share.user_id ? null : share.invite_token
+            });
+        }
+
+        await SplitPaymentRepository.setRemindersSent(share, due);
+        sent++;
+    }
+
+    return sent;
+};
+
+/**
+ * Notify the registered players among a list of shares
+ *
+ * @param {Object[]} shares - From SplitPaymentRepository.getUnpaidShares
+ * @param {string} message
+ * @param {Object} [conn]
+ */
+const notifySharePayers = async (shares, message, conn = null) => {
+    for (const share of shares) {
+        if (share.user_id) {
+            await NotificationRepository.createNotification(share.user_id, message, 'BOOKING_ALERT', conn);
+        }
+    }
+};
+
+/**
+ * Apply the deadline outcome to one split booking.
+ *
+ * @param {Object} booking - Row from SplitPaymentRepository.getExpiredSplitBookings
+ * @returns {Promise<boolean>} False if nothing was left to do
+ */
+const applySplitDeadline = async (booking) => {
+    const bookingId = booking.booking_id;
+
+    // A booking that has already started can no longer be cancelled, so its
+    // unpaid shares are covered by the initiator instead
+    if (booking.split_deadline_action === 'CANCEL' && new Date(booking.booking_start) > new Date()) {
+        // Re-checked under the booking lock the cancellation holds, so a share
+        // paid just before the job ran keeps the booking
+        let unpaid = [];
+        const result = await BookingService.cancelBooking(bookingId, booking.created_by, {
+            precondition: async (conn) => {
+                const locked = await SplitPaymentRepository.lockSplitBooking(conn, bookingId);
+                unpaid = await SplitPaymentRepository.getUnpaidShares(bookingId, conn);
+                return Boolean(locked) && locked.status === 'CONFIRMED'
+                    && new Date(locked.split_deadline) <= new Date() && unpaid.length > 0;
+            }
+        });
+        if (!result) return false;
+
+        await NotificationRepository.createNotification(
+            booking.created_by,
+            `Booking #${bookingId} at ${booking.venue_name} was cancelled because ${unpaid.length} share(s) were not paid by the deadline. ${result.message}`,
+            'BOOKING_ALERT'
+        );
+        await notifySharePayers(unpaid, `Booking #${bookingId} at ${booking.venue_name} was cancelled because not every share was paid by the deadline.`);
+        return true;
+    }
+
+    const conn = await pool.getConnection();
+    try {
+        await conn.beginTransaction();
+
+        const locked = await SplitPaymentRepository.lockSplitBooking(conn, bookingId);
+        const unpaid = await SplitPaymentRepository.getUnpaidShares(bookingId, conn);
+        if (!locked || locked.status !== 'CONFIRMED' || new Date(locked.split_deadline) > new Date() || unpaid.length === 0) {
+            await conn.rollback();
+            return false;
+        }
+
+        const names = unpaid.map(s => s.name).join(', ');
+
+        if (locked.split_deadline_action === 'REASSIGN') {
+            const graceEnd = new Date(Math.min(Date.now() + SPLIT_REASSIGN_GRACE_HOURS * HOUR, new Date(booking.booking_start).getTime()));
+            if (graceEnd > new Date()) {
+                await SplitPaymentRepository.setSplitDeadline(conn, bookingId, toMySQLDateTime(graceEnd), 'INITIATOR_COVERS');
+                await NotificationRepository.createNotification(
+                    booking.created_by,
+                    `${names} did not pay their share for Booking #${bookingId} at ${booking.venue_name}. You can reassign these shares to other players until ${formatISTDateTime(graceEnd)}; after that they become part of your share.`,
+                    'BOOKING_ALERT',
+                    conn
+                );
+                await conn.commit();
+                return true;
+            }
+        }
+
+        const amount = Math.round(unpaid.reduce((sum, s) => sum + Number(s.share_amount), 0) * 100) / 100;
+        await SplitPaymentRepository.coverUnpaidShares(conn, bookingId, amount);
+
+        await NotificationRepository.createNotification(
+            booking.created_by,
+            `${names} did not pay their share for Booking #${bookingId} at ${booking.venue_name} by the deadline. You paid the full price at checkout, so the unpaid LKR ${amount} is now part of your share.`,
+            'BOOKING_ALERT',
+            conn
+        );
+        await notifySharePayers(
+            unpaid,
+            `Your share for Booking #${bookingId} at ${booking.venue_name} was not paid by the deadline and has been settled by the booking organiser.`,
+            conn
+        );
+
         await conn.commit();
         return true;
     } catch (err) {
         await conn.rollback();
-        console.error("Error executing reimbursement:", err);
         throw err;
     } finally {
         conn.release();
     }
 };
+
+/**
+ * Apply the deadline outcome to split bookings with shares still unpaid
+ * after their deadline.
+ * Scheduled job.
+ *
+ * @returns {Promise<number>} Number of bookings settled
+ */
+export const enforceSplitDeadlines = async () => {
+    const bookings = await SplitPaymentRepository.getExpiredSplitBookings();
+    let settled = 0;
+
+    for (const booking of bookings) {
+        try {
+            if (await applySplitDeadline(booking)) settled++;
+        } catch (err) {
+            console.error(`[SplitPayment] Failed to apply the deadline of booking #${booking.booking_id}:`, err);
+        }
+    }
+
+    if (settled > 0) {
+        console.log(`[SplitPayment] Applied the payment deadline to ${settled} booking(s)`);
+    }
+    return settled;
+};
+
+/**
+ * Hand an unpaid share to another player.
+ *
+ * Only the initiator can reassign, and only before the share has been
+ * settled at the deadline. The new player is notified, or invited by email
+ * if they are not registered.
+ *
+ * @param {number} bookingId
+ * @param {number} initiatorId
+ * @param {string} fromEmail - Email of the invitee who has not paid
+ * @param {string} toEmail - Email of the player taking over the share
+ * @returns {Promise<{shareAmount: number, deadline: string|null}>}
+ */
+export const reassignShare = async (bookingId, initiatorId, fromEmail, toEmail) => {
+    if (!fromEmail || !toEmail) throw new Error("Both from and to emails are required");
+
+    const booking = await BookingRepository.getBookingWithPolicy(bookingId);
+    if (!booking) throw new Error("Booking not found");
+    if (booking.created_by !== initiatorId) throw new Error("Unauthorized: Only the booking creator can reassign shares.");
+    if (booking.status !== 'CONFIRMED' || new Date(booking.booking_start) <= new Date()) {
+        throw new Error("Shares can only be reassigned on upcoming confirmed bookings");
+    }
+
+    const share = await SplitPaymentRepository.findParticipantByEmail(bookingId, fromEmail);
+    if (!share || share.is_initiator) throw new Error("Participant not found");
+    if (share.payment_status !== 'PENDING') throw new Error("Only unpaid shares can be reassigned");
+    if (await SplitPaymentRepository.findParticipantByEmail(bookingId, toEmail)) {
+        throw new Error("That player is already part of this booking");
+    }
+
+    const [registered] = await UserRepository.findIdsByEmails([toEmail]);
+    const target = registered
+        ? { userId: registered.user_id }
+        : {
+            guestEmail: toEmail,
+            inviteToken: randomUUID(),
+            inviteExpiresAt: booking.split_deadline ? toMySQLDateTime(new Date(booking.split_deadline)) : null
+        };
+
+    const conn = await pool.getConnection();
+    try {
+        await conn.beginTransaction();
+        if (!(await SplitPaymentRepository.reassignShare(conn, share, target))) {
+            throw new Error("Only unpaid shares can be reassigned");
+        }
+
+        const deadlineText = booking.split_deadline ? ` by ${formatISTDateTime(new Date(booking.split_deadline))}` : "";
+        if (target.userId) {
+            await NotificationRepository.createNotification(
+                target.userId,
+                `You have been asked to take over a share of LKR ${Number(share.share_amount)} for Booking #${bookingId}. Please pay from "My Bookings"${deadlineText}.`,
+                'BOOKING_ALERT',
+                conn
+            );
+        }
+        if (share.user_id) {
+            await NotificationRepository.createNotification(
+                share.user_id,
+                `Your unpaid share for Booking #${bookingId} has been passed to another player.`,
+                'BOOKING_ALERT',
+                conn
+            );
+        }
+
+        await conn.commit();
+    } catch (err) {
+        await conn.rollback();
+        throw err;
+    } finally {
+        conn.release();
+    }
+
+    if (target.inviteToken) {
+        try {
+            await EmailUtil.sendInvitationEmail(toEmail, target.inviteToken);
+        } catch (e) {
+            console.error(`Failed to send invite email to ${toEmail}`, e);
+        }
+    }
+
+    return { shareAmount: Number(share.share_amount), deadline: booking.split_deadline };
+};
+
+/**
+ * Change the amounts of unpaid invitee shares.
+ *
+ * Paid shares stay as they are; the initiator's share takes up the
+ * difference so the shares still add up to the booking total.
+ *
+ * @param {number} bookingId
+ * @param {number} initiatorId
+ * @param {Array<{email: string, amount: number}>} changes
+ * @returns {Promise<Object[]>} All shares after the change
+ */
+export const updateSplitShares = async (bookingId, initiatorId, changes) => {
+    if (!Array.isArray(changes) || changes.length === 0) throw new Error("No share changes given");
+    if (changes.some(c => !c?.email || !isValidShareAmount(c.amount))) {
+        throw new Error("Split amounts must be positive with at most 2 decimals");
+    }
+
+    const booking = await BookingRepository.getBookingWithPolicy(bookingId);
+    if (!booking) throw new Error("Booking not found");
+    if (booking.created_by !== initiatorId) throw new Error("Unauthorized: Only the booking creator can change shares.");
+    if (booking.status !== 'CONFIRMED' || new Date(booking.booking_start) <= new Date()) {
+        throw new Error("Shares can only be changed on upcoming confirmed bookings");
+    }
+
+    const conn = await pool.getConnection();
+    const changed = [];
+    try {
+        await conn.beginTransaction();
+        await SplitPaymentRepository.lockSplitBooking(conn, bookingId);
+
+        const shares = await SplitPaymentRepository.getShares(bookingId, conn);
+        const byEmail = new Map(shares.filter(s => !s.is_initiator).map(s => [s.email.toLowerCase(), s]));
+        const newCents = new Map();
+
+        for (const { email, amount } of changes) {
+            const share = byEmail.get(email.trim().toLowerCase());
+            if (!share) throw new Error(`Participant not found: ${email}`);
+            if (share.payment_status !== 'PENDING') throw new Error(`The share of ${email} is no longer unpaid and cannot be changed`);
+            newCents.set(share, toCents(amount));
+        }
+
+        const owedByInvitees = shares
+            .filter(s => !s.is_initiator && ['PENDING', 'PAID'].includes(s.payment_status))
+            .reduce((sum, s) => sum + (newCents.get(s) ?? toCents(s.share_amount)), 0);
+        // Shares split what was paid: the list price less promo, loyalty and package discounts
+        const paidCents = toCents(booking.total_amount) - toCents(booking.discount_amount || 0)
+            - toCents(booking.loyalty_discount || 0) - toCents(booking.package_discount || 0);
+        const initiatorCents = paidCents - owedByInvitees;
+        if (initiatorCents < 0) {
+            throw new Error(`Split amounts must add up to the total of LKR ${paidCents / 100}`);
+        }
+
+        for (const [share, cents] of newCents) {
+            if (cents === toCents(share.share_amount)) continue;
+            if (!(await SplitPaymentRepository.updateShareAmount(conn, { booking_id: bookingId, ...share }, cents / 100))) {
+                throw new Error(`The share of ${share.email} is no longer unpaid and cannot be changed`);
+            }
+            changed.push({ ...share, share_amount: cents / 100 });
+        }
+        await SplitPaymentRepository.setInitiatorShare(conn, bookingId, initiatorCents / 100);
+        if (changed.length > 0) await SplitPaymentRepository.setSplitMethod(conn, bookingId, 'AMOUNT');
+
+        for (const share of changed) {
+            if (!share.user_id) continue;
+            await NotificationRepository.createNotification(
+                share.user_id,
+                `Your share for Booking #${bookingId} has been changed to LKR ${share.share_amount}.`,
+                'BOOKING_ALERT',
+                conn
+            );
+        }
+
+        await conn.commit();
+    } catch (err) {
+        await conn.rollback();
+        throw err;
+    } finally {
+        conn.release();
+    }
+
+    return await SplitPaymentRepository.getShares(bookingId);
+};
+
+/**
+ * Tell the initiator that an invitee declined, and what they can do about it.
+ *
+ * @param {Object} booking - { booking_id, created_by, venue_name }
+ * @param {string} name - Who declined
+ * @param {number} amount - Their share
+ * @param {Object} conn
+ */
+const notifyInvitationDeclined = async ({ booking_id, created_by, venue_name }, name, amount, conn) => {
+    await NotificationRepository.createNotification(
+        created_by,
+        `${name} declined your invitation for Booking #${booking_id} at ${venue_name}. Pass their share of LKR ${amount} to another player or cover it yourself; otherwise it is settled at the payment deadline.`,
+        'BOOKING_ALERT',
+        conn
+    );
+};
+
+/**
+ * Accept or decline an invitation to a split booking.
+ *
+ * Paying a share also accepts it. A declined share stays open until the
+ * initiator reassigns or covers it.
+ *
+ * @param {number} bookingId
+ * @param {number} userId - The invitee
+ * @param {boolean} accept
+ * @returns {Promise<{inviteStatus: string}>}
+ */
+export const respondToInvitation = async (bookingId, userId, accept) => {
+    const conn = await pool.getConnection();
+    try {
+        await conn.beginTransaction();
+        if (!(await SplitPaymentRepository.lockSplitBooking(conn, bookingId))) throw new Error("Booking not found");
+        const booking = await BookingRepository.getBookingWithVenue(conn, bookingId);
+        const share = await BookingRepository.getBookingParticipant(conn, bookingId, userId);
+        if (!share || share.is_initiator) throw new Error("Invitation not found");
+
+        if (booking.status !== 'CONFIRMED' || new Date(booking.booking_start) <= new Date()) {
+            throw new Error("This booking is no longer open for invitations");
+        }
+        if (share.payment_status !== 'PENDING') throw new Error("This invitation is already settled");
+        if (accept && share.invite_status !== 'INVITED') {
+            throw new Error(`You have already ${share.invite_status.toLowerCase()} this invitation`);
+        }
+        if (!accept && !['INVITED', 'ACCEPTED'].includes(share.invite_status)) {
+            throw new Error(`You have already ${share.invite_status.toLowerCase()} this invitation`);
+        }
+
+        const status = accept ? 'ACCEPTED' : 'DECLINED';
+        await SplitPaymentRepository.setInviteStatus(conn, share, status);
+
+        const [userRows] = await conn.execute("SELECT full_name FROM users WHERE user_id = ?", [userId]);
+        const name = userRows[0]?.full_name || "An invitee";
+        if (accept) {
+            await NotificationRepository.createNotification(
+                booking.created_by,
+                `${name} accepted your invitation for Booking #${bookingId}.`,
+                'BOOKING_ALERT',
+                conn
+            );
+        } else {
+            await notifyInvitationDeclined({ booking_id: bookingId, created_by: booking.created_by, venue_name: booking.venue_name }, name, Number(share.share_amount), conn);
+        }
+
+        await conn.commit();
+        return { inviteStatus: status };
+    } catch (err) {
+        await conn.rollback();
+        throw err;
+    } finally {
+        conn.release();
+    }
+};
+
+/**
+ * Look up a guest invitation by its token.
+ *
+ * @param {string} token
+ * @returns {Promise<Object>} Participant row with booking details
+ * @throws {Error} "Invitation not found" if unknown or already used,
+ *   "This invitation has expired" once past its expiry or the booking start
+ */
+const getOpenGuestInvitation = async (token) => {
+    const invitation = token ? await SplitPaymentRepository.findInvitationByToken(token) : null;
+    if (!invitation || invitation.invite_status !== 'INVITED') throw new Error("Invitation not found");
+
+    const expired = (invitation.invite_expires_at && new Date(invitation.invite_expires_at) <= new Date())
+        || new Date(invitation.booking_start) <= new Date()
+        || invitation.booking_status !== 'CONFIRMED'
+        || invitation.payment_status !== 'PENDING';
+    if (expired) throw new Error("This invitation has expired");
+
+    return invitation;
+};
+
+/**
+ * Details of a guest invitation, for the sign-up page the invite link opens.
+ *
+ * @param {string} token
+ */
+export const getGuestInvitation = async (token) => {
+    const invitation = await getOpenGuestInvitation(token);
+    return {
+        bookingId: invitation.booking_id,
+        email: invitation.guest_email,
+        venueName: invitation.venue_name,
+        bookingStart: invitation.booking_start,
+        shareAmount: Number(invitation.share_amount),
+        initiatorName: invitation.initiator_name,
+        expiresAt: invitation.invite_expires_at
+    };
+};
+
+/**
+ * Decline a guest invitation. The token cannot be used again.
+ *
+ * @param {string} token
+ */
+export const declineGuestInvitation = async (token) => {
+    const invitation = await getOpenGuestInvitation(token);
+
+    const conn = await pool.getConnection();
+    try {
+        await conn.beginTransaction();
+        await SplitPaymentRepository.lockSplitBooking(conn, invitation.booking_id);
+        if (!(await SplitPaymentRepository.setInviteStatus(conn, invitation, 'DECLINED'))) {
+            throw new Error("Invitation not found");
+        }
+        await notifyInvitationDeclined(invitation, invitation.guest_email, Number(invitation.share_amount), conn);
+        await conn.commit();
+    } catch (err) {
+        await conn.rollback();
+        throw err;
+    } finally {
+        conn.release();
+    }
+};
+
+/**
+ * Cover an unpaid share (typically a declined one) as the initiator.
+ *
+ * The initiator paid the full price at checkout, so the share simply
+ * becomes part of theirs.
+ *
+ * @param {number} bookingId
+ * @param {number} initiatorId
+ * @param {string} email - Email of the invitee whose share is covered
+ * @returns {Promise<{coveredAmount: number}>}
+ */
+export const coverShare = async (bookingId, initiatorId, email) => {
+    if (!email) throw new Error("Email is required");
+
+    const booking = await BookingRepository.getBookingWithPolicy(bookingId);
+    if (!booking) throw new Error("Booking not found");
+    if (booking.created_by !== initiatorId) throw new Error("Unauthorized: Only the booking creator can cover shares.");
+    if (booking.status !== 'CONFIRMED') throw new Error("Shares can only be covered on confirmed bookings");
+
+    const share = await SplitPaymentRepository.findParticipantByEmail(bookingId, email);
+    if (!share || share.is_initiator) throw new Error("Participant not found");
+
+    const conn = await pool.getConnection();
+    try {
+        await conn.beginTransaction();
+        await SplitPaymentRepository.lockSplitBooking(conn, bookingId);
+        if (!(await SplitPaymentRepository.coverShare(conn, share))) {
+            throw new Error("Only unpaid shares can be covered");
+        }
+        if (share.user_id && share.invite_status !== 'DECLINED') {
+            await NotificationRepository.createNotification(
+                share.user_id,
+                `Your share for Booking #${bookingId} has been covered by the booking organiser. You no longer need to pay it.`,
+                'BOOKING_ALERT',
+                conn
+            );
+        }
+        await conn.commit();
+    } catch (err) {
+        await conn.rollback();
+        throw err;
+    } finally {
+        conn.release();
+    }
+
+    return { coveredAmount: Number(share.share_amount) };
+};
+
+/**
+ * Withdraw from a split booking as an invitee.
+ *
+ * The share moves onto the initiator's, who can pass it on to the players
+ * still to pay (updateSplitShares) or keep it. An invitee who already paid
+ * gets back what the booking's cancellation policy refunds on their share.
+ * Their payment went to the initiator's wallet, so the refund comes from
+ * there; it goes back to the card when that is the refund destination and
+ * the invitee paid by card, to their wallet otherwise.
+ *
+ * @param {number} bookingId
+ * @param {number} userId - The invitee
+ * @param {Object} [options]
+ * @param {string} [options.refundMethod] - Requested refund destination ('WALLET' or 'CARD')
+ * @returns {Promise<Object>} { refundAmount, refundDestination, cardRefunds, message }
+ */
+export const withdrawFromSplit = async (bookingId, userId, { refundMethod } = {}) => {
+    const booking = await BookingRepository.getBookingWithPolicy(bookingId);
+    if (!booking) throw new Error("Booking not found");
+    const hoursRemaining = (new Date(booking.booking_start) - new Date()) / HOUR;
+    if (booking.status !== 'CONFIRMED' || hoursRemaining <= 0) {
+        throw new Error("You can only withdraw from upcoming confirmed bookings");
+    }
+
+    const refundShare = PolicyService.getRefundShare(booking, hoursRemaining);
+    const refundDestination = RefundService.resolveRefundDestination(booking, refundMethod);
+    const cardPayments = refundDestination === 'CARD'
+        ? (await PaymentRepository.getRefundableCardPayments(bookingId)).filter(p => p.payer_id === userId && p.refundable > 0)
+        : [];
+    const cardRefunds = [];
+    let refundAmount = 0;
+
+    const conn = await pool.getConnection();
+    try {
+        await conn.beginTransaction();
+        await SplitPaymentRepository.lockSplitBooking(conn, bookingId);
+        const share = await BookingRepository.getBookingParticipant(conn, bookingId, userId);
+        if (!share) throw new Error("Participant not found");
+        if (share.is_initiator) throw new Error("The booking creator cannot withdraw; cancel the booking instead");
+        if (!(await SplitPaymentRepository.withdrawShare(conn, share))) {
+            throw new Error("You are no longer part of this booking");
+        }
+
+        const [userRows] = await conn.execute("SELECT full_name FROM users WHERE user_id = ?", [userId]);
+        const name = userRows[0]?.full_name || "An invitee";
+        let message = `${name} withdrew from Booking #${bookingId}. Their share of LKR ${Number(share.share_amount)} is now part of yours; you can pass it on to the players still to pay by changing the shares.`;
+
+        if (share.payment_status === 'PAID') {
+            refundAmount = Math.round(toCents(share.share_amount) * refundShare) / 100;
+        }
+        if (refundAmount > 0) {
+            let walletPortion = refundAmount;
+            const refundLegs = [];
+            for (const payment of cardPayments) {
+                const portion = Math.round(Math.min(walletPortion, payment.refundable) * 100) / 100;
+                if (!(portion > 0)) continue;
+                cardRefunds.push({ payment, userId, amount: portion });
+                refundLegs.push({ account: LedgerService.ACCOUNTS.STRIPE_CLEARING, amount: portion });
+                walletPortion = Math.round((walletPortion - portion) * 100) / 100;
+            }
+            if (walletPortion > 0) {
+                refundLegs.push({
+                    userId,
+                    amount: walletPortion,
+                    description: `Refund for withdrawing from Booking #${bookingId}`,
+                    referenceType: 'REFUND'
+                });
+            }
+
+            try {
+                await LedgerService.postTransaction(conn, {
+                    type: 'SPLIT_WITHDRAWAL',
+                    bookingId,
+                    description: `${name} withdrew from Booking #${bookingId}`,
+                    legs: [
+                        {
+                            userId: booking.created_by,
+                            amount: -refundAmount,
+                            description: `Refund to ${name} for withdrawing from Booking #${bookingId}`
+                        },
+                        ...refundLegs
+                    ]
+                });
+            } catch (err) {
+                if (err.message.startsWith("Insufficient funds")) {
+                    throw new Error(`The booking organiser's wallet cannot cover your refund of LKR ${refundAmount} right now`);
+                }
+                throw err;
+            }
+            message += ` LKR ${refundAmount} of what they paid was refunded to them from your wallet.`;
+        }
+
+        await NotificationRepository.createNotification(booking.created_by, message, 'BOOKING_ALERT', conn);
+        await conn.commit();
+    } catch (err) {
+        await conn.rollback();
+        throw err;
+    } finally {
+        conn.release();
+    }
+
+    // Card refunds go to Stripe only once the withdrawal is committed
+    const cardRefundResults = await RefundService.issueCardRefunds(bookingId, cardRefunds);
+
+    return {
+        refundAmount,
+        refundDestination,
+        cardRefunds: cardRefundResults,
+        message: refundAmount > 0
+            ? `You have withdrawn from the booking. LKR ${refundAmount} has been refunded.`
+            : "You have withdrawn from the booking."
+    };
+};
@@ -15,6 +15,7 @@
 
 import * as userRepository from "../repositories/UserRepository.js";
 import * as NotificationRepository from "../repositories/NotificationRepository.js";
+import * as ReferralService from "./ReferralService.js";
 import bcrypt from "bcryptjs";
 
 /**
@@ -58,6 +59,7 @@ export const getUsers = async () => {
  * @async
  * @param {string} email - User email address
  * @param {string} plainPassword - Plain text password to verify
+ * @param {string} [deviceId] - Device the user logged in from
  * @returns {Promise<Object>} Authenticated user object
  * @returns {number} user.id - User ID
  * @returns {string} user.fullName - User full name
@@ -68,7 +70,7 @@ export const getUsers = async () => {
  * @returns {string} user.updatedAt - Last update timestamp
  * @throws {Error} 'Invalid credentials' - User not found or password mismatch
  */
-export const logInUser = async (email, plainPassword) => {
+export const logInUser = async (email, plainPassword, deviceId) => {
   const user = await userRepository.findByEmail(email);
 
   if (!user) {
@@ -82,6 +84,12 @@ export const logInUser = async (email, plainPassword) => {
     throw new Error("Invalid credentials");
   }
 
+  try {
+    await ReferralService.recordDevice(user.user_id, deviceId);
+  } catch (err) {
+    console.error("Error recording login device:", err);
+  }
+
   return {
     id: user.user_id,
     fullName: user.full_name,
@@ -109,8 +117,12 @@ import * as bookingRepository from "../repositories/BookingRepository.js";
  * @param {string} data.plainPassword
  * @param {string} [data.phone]
  * @param {string} [data.accountType] - Defaults to 'PLAYER'
+ * @param {string} [data.referralCode] - Referral code of the player who referred them
+ * @param {string} [data.inviteToken] - Guest invite token the user signed up through
+ * @param {string} [data.deviceId] - Device the user signed up from
  * @returns {Promise<Object>} Newly created user object
  * @throws {Error} 'Email already in use'
+ * @throws {Error} 'Referral code is not valid'
  */
 export const registerUser = async ({
   fullName,
@@ -119,6 +131,9 @@ export const registerUser = async ({
   phone,
   city,
   accountType = "PLAYER",
+  referralCode,
+  inviteToken,
+  deviceId,
 }) => {
   const existing = await userRepository.findByEmail(email);
 
@@ -126,6 +141,9 @@ export const registerUser = async ({
     throw new Error("Email already in use");
   }
 
+  // Resolve the referrer before linking guest bookings uses up the invite token
+  let referral = await ReferralService.findReferrer({ referralCode, inviteToken });
+
   const passwordHash = await bcrypt.hash(plainPassword, 10);
 
   const newUser = await userRepository.createUser({
@@ -144,6 +162,11 @@ export const registerUser = async ({
     if (linkedBookingIds.length > 0) {
       const initiators = await bookingRepository.getBookingInitiators(linkedBookingIds);
 
+      // Signing up with an invited email counts as coming through the invite
+      if (!referral && initiators.length > 0) {
+        referral = { referrerId: initiators[0].user_id, source: "INVITE" };
+      }
+
       const linkingNotifications = initiators.map(init =>
         NotificationRepository.createNotification(
           newUser.user_id,
@@ -158,6 +181,12 @@ export const registerUser = async ({
     // Don't fail registration if linking fails, just log logic error
   }
 
+  try {
+    await ReferralService.recordSignup(newUser, referral, deviceId);
+  } catch (err) {
+    console.error("Error recording referral during registration:", err);
+  }
+
   // Personalization for Venue Owners: Notify nearby owners if a new owner joins
   if (accountType === "VENUE_OWNER" && city) {
     try {
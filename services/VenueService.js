@@ -15,8 +15,57 @@
 
 import * as venueRepository from "../repositories/VenueRepository.js";
 import * as BookingRepository from "../repositories/BookingRepository.js";
+import * as CourtRepository from "../repositories/CourtRepository.js";
 import * as BookingService from "./BookingService.js";
-import { createISTDate, toMySQLDateTime } from "../utils/dateUtil.js";
+import * as PolicyService from "./PolicyService.js";
+import { REFUND_DESTINATIONS } from "./RefundService.js";
+import { createISTDate, toMySQLDateTime, timeToMinutes, isValid15MinInterval } from "../utils/dateUtil.js";
+
+const TIME_PATTERN = /^([01]\d|2[0-4]):[0-5]\d$/;
+const MAX_SLOT_MINUTES = 240;
+
+/**
+ * Validate and normalize weekly operating hours
+ *
+ * @param {Object[]} operatingHours - [{ dayOfWeek, openTime, closeTime, isClosed }]
+ * @returns {Object[]} Normalized rows
+ * @throws {Error} "Operating hours ..." on invalid input
+ */
+const normalizeOperatingHours = (operatingHours) => {
+  if (!Array.isArray(operatingHours)) {
+    throw new Error("Operating hours must be a list of days");
+  }
+
+  const seenDays = new Set();
+  return operatingHours.map((day) => {
+    const dayOfWeek = Number(day.dayOfWeek);
+    if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+      throw new Error("Operating hours dayOfWeek must be 0 (Sunday) to 6 (Saturday)");
+    }
+    if (seenDays.has(dayOfWeek)) {
+      throw new Error(`Operating hours contain day ${dayOfWeek} more than once`);
+    }
+    seenDays.add(dayOfWeek);
+
+    const isClosed = Boolean(day.isClosed);
+    const openTime = day.openTime || "00:00";
+    const closeTime = day.closeTime || "00:00";
+
+    if (!isClosed) {
+      if (!TIME_PATTERN.test(openTime) || !TIME_PATTERN.test(closeTime)) {
+        throw new Error("Operating hours times must be in HH:MM format");
+      }
+      if (!isValid15MinInterval(openTime) || !isValid15MinInterval(closeTime)) {
+        throw new Error("Operating hours must be in 15-minute intervals");
+      }
+      if (timeToMinutes(closeTime) > 24 * 60 || timeToMinutes(openTime) >= timeToMinutes(closeTime)) {
+        throw new Error("Operating hours closing time must be after opening time (latest 24:00)");
+      }
+    }
+
+    return { dayOfWeek, openTime, closeTime, isClosed };
+  });
+};
 
 /**
  * Retrieve all venues from the database
@@ -72,6 +121,22 @@ export const searchVenues = async (searchText) => {
   return venues;
 };
 
+/**
+ * Get a venue for an owner action
+ *
+ * @async
+ * @param {number} venueId - Venue ID
+ * @param {number} ownerId - Authenticated owner's user ID
+ * @returns {Promise<Object>} Venue (from BookingRepository.getVenueById)
+ * @throws {Error} "Venue not found" or "Unauthorized"
+ */
+export const getOwnedVenue = async (venueId, ownerId) => {
+  const venue = await BookingRepository.getVenueById(venueId);
+  if (!venue) throw new Error("Venue not found");
+  if (venue.owner_id !== ownerId) throw new Error("Unauthorized");
+  return venue;
+};
+
 /**
  * Create a new venue
  *
@@ -87,10 +152,55 @@ export const createVenue = async (data) => {
     throw new Error("Missing required fields");
   }
 
+  if (data.cancellationPolicyId) {
+    await PolicyService.assertAssignablePolicy(Number(data.cancellationPolicyId), ownerId);
+  }
+  if (data.customCancellationTiers) {
+    data.customCancellationTiers = PolicyService.normalizeTiers(data.customCancellationTiers);
+  } else if (data.customRefundPercentage !== undefined && data.customRefundPercentage !== null) {
+    data.customCancellationTiers = PolicyService.singleThresholdTiers(data.customHoursBeforeStart, data.customRefundPercentage);
+  }
+
   const venueId = await venueRepository.createVenue(data);
   return { venueId, ...data };
 };
 
+/**
+ * Check the cancellation policy fields of a venue update. The venue's own
+ * tiers (custom_cancellation_tiers, null to use its policy) are stored as
+ * JSON; a single custom threshold (custom_refund_percentage /
+ * custom_hours_before_start) is turned into tiers. New bookings snapshot
+ * whichever applies.
+ *
+ * @param {number} venueId
+ * @param {Object} updates - Modified in place
+ * @throws {Error} "Policy not found" or "Cancellation tiers ..."
+ */
+const normalizeCancellationPolicy = async (venueId, updates) => {
+  const thresholdChanged = updates.custom_refund_percentage !== undefined || updates.custom_hours_before_start !== undefined;
+  if (updates.cancellation_policy_id === undefined && updates.custom_cancellation_tiers === undefined && !thresholdChanged) return;
+
+  const venue = await venueRepository.findVenueById(venueId);
+  if (!venue) return;
+
+  if (updates.cancellation_policy_id !== undefined && updates.cancellation_policy_id !== null) {
+    updates.cancellation_policy_id = Number(updates.cancellation_policy_id);
+    await PolicyService.assertAssignablePolicy(updates.cancellation_policy_id, venue.owner_id);
+  }
+
+  if (updates.custom_cancellation_tiers !== undefined) {
+    updates.custom_cancellation_tiers = updates.custom_cancellation_tiers === null
+      ? null
+      : JSON.stringify(PolicyService.normalizeTiers(updates.custom_cancellation_tiers));
+  } else if (thresholdChanged) {
+    const refundPercentage = updates.custom_refund_percentage !== undefined ? updates.custom_refund_percentage : venue.custom_refund_percentage;
+    const hoursBeforeStart = updates.custom_hours_before_start !== undefined ? updates.custom_hours_before_start : venue.custom_hours_before_start;
+    updates.custom_cancellation_tiers = refundPercentage === null || refundPercentage === undefined
+      ? null
+      : JSON.stringify(PolicyService.singleThresholdTiers(hoursBeforeStart, refundPercentage));
+  }
+};
+
 /**
  * Update venue details
  */
@@ -107,6 +217,35 @@ export const updateVenue = async (venueId, updates) => {
   if (updates.description !== undefined && (!updates.description || !updates.description.trim())) {
     throw new Error("Description cannot be empty");
   }
+  if (updates.refund_destination !== undefined && updates.refund_destination !== null && !REFUND_DESTINATIONS.includes(updates.refund_destination)) {
+    throw new Error(`Refund destination must be one of ${REFUND_DESTINATIONS.join(", ")} or null`);
+  }
+  for (const field of ['reschedule_max_count', 'reschedule_cutoff_hours']) {
+    if (updates[field] !== undefined && updates[field] !== null) {
+      const value = Number(updates[field]);
+      if (!Number.isInteger(value) || value < 0) {
+        throw new Error("Reschedule limit and cutoff must be whole numbers of zero or more, or null");
+      }
+      updates[field] = value;
+    }
+  }
+  if (updates.reschedule_fee !== undefined) {
+    const fee = Number(updates.reschedule_fee ?? 0);
+    if (!Number.isFinite(fee) || fee < 0) throw new Error("Reschedule fee must be zero or more");
+    updates.reschedule_fee = Math.round(fee * 100) / 100;
+  }
+  await normalizeCancellationPolicy(venueId, updates);
+  // null takes the venue off a slot grid
+  if (updates.slot_duration_minutes !== undefined && updates.slot_duration_minutes !== null) {
+    const slotMinutes = Number(updates.slot_duration_minutes);
+    if (!Number.isInteger(slotMinutes) || slotMinutes <= 0 || slotMinutes % 15 !== 0 || slotMinutes > MAX_SLOT_MINUTES) {
+      throw new Error(`Slot duration must be a multiple of 15 minutes, up to ${MAX_SLOT_MINUTES}`);
+    }
+    updates.slot_duration_minutes = slotMinutes;
+  }
+  if (updates.operatingHours !== undefined) {
+    updates.operatingHours = normalizeOperatingHours(updates.operatingHours);
+  }
   return await venueRepository.updateVenue(venueId, updates);
 };
 
@@ -116,20 +255,36 @@ export const updateVenue = async (venueId, updates) => {
 /**
  * Block a venue slot (Single or Recurring)
  */
-export const blockVenueSlot = async (venueId, userId, dateStr, startTime, endTime, reason, recurrence, sportId = null) => {
+export const blockVenueSlot = async (venueId, userId, dateStr, startTime, endTime, reason, recurrence, sportId = null, courtId = null) => {
   let blockedCount = 0;
   let conflictCount = 0;
 
+  // Blocks must fall within the venue's opening hours for that day
+  const getBlockTimeError = async (currentDateStr) => {
+    const window = await BookingService.getVenueBookingWindow(venueId, currentDateStr);
+    if (!window) return "Venue not found";
+    if (window.isClosed) return "Venue is closed on this day";
+
+    const startMinutes = timeToMinutes(startTime);
+    const endMinutes = timeToMinutes(endTime);
+    if (startMinutes < window.openMinutes || endMinutes > window.closeMinutes) {
+      return "Block must be within the venue's operating hours";
+    }
+    return null;
+  };
+
   // Function to process a single slot
   const processSlot = async (currentDateStr) => {
+    if (await getBlockTimeError(currentDateStr)) return false;
+
     const start = createISTDate(currentDateStr, startTime);
     const end = createISTDate(currentDateStr, endTime);
     const sSql = toMySQLDateTime(start);
     const eSql = toMySQLDateTime(end);
 
-    // Find a specific court if sportId is provided
-    let availableCourtId = null;
-    if (sportId) {
+    // Use the requested court, else find a specific court if sportId is provided
+    let availableCourtId = courtId;
+    if (!availableCourtId && sportId) {
       availableCourtId = await BookingService.findAvailableCourt(venueId, sSql, eSql, sportId);
       if (!availableCourtId) return false; // No available court for this sport
     }
@@ -142,7 +297,17 @@ export const blockVenueSlot = async (venueId, userId, dateStr, startTime, endTim
     return false;
   };
 
+  if (courtId) {
+    const court = await CourtRepository.getCourtById(courtId);
+    if (!court || court.venue_id !== Number(venueId) || !court.is_active) {
+      throw new Error("Court not found");
+    }
+  }
+
   if (!recurrence || recurrence.type === 'single') {
+    const timeError = await getBlockTimeError(dateStr);
+    if (timeError) throw new Error(timeError);
+
     const success = await processSlot(dateStr);
     if (!success) throw new Error("Slot already booked or blocked");
     return { blocked: 1, conflicts: 0 };
@@ -179,10 +344,12 @@ export const blockVenueSlot = async (venueId, userId, dateStr, startTime, endTim
 
 /**
  * Calculate dynamic price based on rules
+ *
+ * A court's own price_per_hour, when set, replaces the venue rate.
  */
-export const calculateDynamicPrice = async (venue, date, time, hours) => {
+export const calculateDynamicPrice = async (venue, date, time, hours, court = null) => {
   // Base price
-  let total = Number(venue.price_per_hour) * Number(hours);
+  let total = Number(court?.price_per_hour ?? venue.price_per_hour) * Number(hours);
 
   // Fetch rules
   const rules = await venueRepository.getPricingRules(venue.venue_id);
@@ -272,6 +439,7 @@ export const getVenueById = async (venueId) => {
   if (!venue) {
     throw new Error("Venue not found");
   }
+  venue.operating_hours = await venueRepository.getOperatingHours(venueId);
   return venue;
 };
 
@@ -317,7 +485,3 @@ export const deleteVenueReview = async (reviewId, userId) => {
   }
   return true;
 };
-
-export const getAllPolicies = async () => {
-  return await VenueRepository.getAllPolicies();
-};
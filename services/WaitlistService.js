@@ -0,0 +1,286 @@
+import * as WaitlistRepository from "../repositories/WaitlistRepository.js";
+import * as BookingRepository from "../repositories/BookingRepository.js";
+import * as CourtRepository from "../repositories/CourtRepository.js";
+import * as SlotHoldRepository from "../repositories/SlotHoldRepository.js";
+import * as NotificationRepository from "../repositories/NotificationRepository.js";
+import * as BookingService from "./BookingService.js";
+import { toMySQLDateTime, createISTDate, timeToMinutes } from "../utils/dateUtil.js";
+
+/**
+ * Waitlist Service
+ *
+ * Queues players for fully booked slots and offers freed courts to them
+ * in order. An offer holds the court for the player for
+ * WAITLIST_CLAIM_MINUTES; starting checkout with the waitlist ID claims it.
+ */
+
+export const WAITLIST_CLAIM_MINUTES = 15;
+
+/**
+ * Join the waitlist for a slot that is currently fully booked.
+ *
+ * @param {number} userId
+ * @param {Object} data
+ * @param {number} data.venueId
+ * @param {number} data.sportId
+ * @param {string} data.date (YYYY-MM-DD)
+ * @param {string} data.startTime (HH:MM)
+ * @param {string} data.endTime (HH:MM)
+ * @returns {Promise<{waitlistId: number}>}
+ */
+export const joinWaitlist = async (userId, { venueId, sportId, date, startTime, endTime }) => {
+    if (!venueId || !sportId || !date || !startTime || !endTime) {
+        throw new Error("Missing waitlist details (venueId, sportId, date, startTime, endTime)");
+    }
+
+    const hours = (timeToMinutes(endTime) - timeToMinutes(startTime)) / 60;
+    if (!(hours > 0)) throw new Error("End time must be after start time");
+
+    const timeError = await BookingService.getBookingTimeError(venueId, date, startTime, hours);
+    if (timeError) throw new Error(timeError);
+
+    const start = createISTDate(date, startTime);
+    if (start <= new Date()) throw new Error("You can only join the waitlist for future slots");
+
+    const entry = {
+        userId,
+        venueId: Number(venueId),
+        sportId: Number(sportId),
+        desiredStart: toMySQLDateTime(start),
+        desiredEnd: toMySQLDateTime(new Date(start.getTime() + hours * 60 * 60 * 1000))
+    };
+
+    const courts = await CourtRepository.getCourtsByVenueAndSport(entry.venueId, entry.sportId);
+    if (courts.length === 0) throw new Error("This venue has no courts for this sport");
+
+    const freeCourtId = await BookingService.findAvailableCourt(entry.venueId, entry.desiredStart, entry.desiredEnd, entry.sportId);
+    if (freeCourtId) throw new Error("This slot is available. Book it directly instead.");
+
+    if (await WaitlistRepository.hasOpenEntry(entry)) {
+        throw new Error("You are already on the waitlist for this slot");
+    }
+
+    const waitlistId = await WaitlistRepository.createEntry(entry);
+    return { waitlistId };
+};
+
+/**
+ * Get the player's waitlist entries.
+ *
+ * @param {number} userId
+ */
+export const getMyWaitlist = async (userId) => {
+    return await WaitlistRepository.getUserEntries(userId);
+};
+
+/**
+ * Hold a court for a waiting player and notify them.
+ *
+ * @param {Object} entry - WAITING waitlist entry
+ * @param {number} courtId
+ * @param {string} startStr (UTC)
+ * @param {string} endStr (UTC)
+ * @returns {Promise<boolean>} True if the offer was made
+ */
+const createOffer = async (entry, courtId, startStr, endStr) => {
+    const conn = await BookingRepository.getPool().getConnection();
+    try {
+        await conn.beginTransaction();
+        await CourtRepository.lockCourts(conn, [courtId]);
+
+        const current = await WaitlistRepository.getEntryById(entry.waitlist_id, conn);
+        const taken = await BookingRepository.hasBookingConflict(entry.venue_id, startStr, endStr, courtId, null, conn);
+        if (current?.status !== 'WAITING' || taken) {
+            await conn.rollback();
+            return false;
+        }
+
+        const expiresAt = toMySQLDateTime(new Date(Date.now() + WAITLIST_CLAIM_MINUTES * 60 * 1000));
+        const holdId = await SlotHoldRepository.createHold(conn, {
+            venueId: entry.venue_id,
+            courtId,
+            sportId: entry.sport_id,
+            userId: entry.user_id,
+            holdStart: startStr,
+            holdEnd: endStr,
+            expiresAt
+        });
+        await WaitlistRepository.markOffered(conn, entry.waitlist_id, { courtId, holdId, expiresAt });
+
+        await NotificationRepository.createNotification(
+            entry.user_id,
+            `A court opened up for your waitlisted slot (Waitlist #${entry.waitlist_id}). It is held for you for ${WAITLIST_CLAIM_MINUTES} minutes; complete checkout to claim it.`,
+            'BOOKING_ALERT',
+            conn
+        );
+
+        await conn.commit();
+        return true;
+    } catch (err) {
+        await conn.rollback();
+        throw err;
+    } finally {
+        conn.release();
+    }
+};
+
+/**
+ * Offer a freed time range to the waitlist.
+ *
+ * Walks the WAITING entries that overlap the range in queue order and offers
+ * each one a free court, so a freed 2-hour slot can serve two 1-hour waiters.
+ *
+ * @param {number} venueId
+ * @param {string} freedStart (UTC MySQL DateTime)
+ * @param {string} freedEnd (UTC MySQL DateTime)
+ * @returns {Promise<number>} Number of offers made
+ */
+export const offerFreedSlot = async (venueId, freedStart, freedEnd) => {
+    const entries = await WaitlistRepository.getWaitingEntriesForRange(venueId, freedStart, freedEnd);
+    let offers = 0;
+
+    for (const entry of entries) {
+        const startStr = toMySQLDateTime(new Date(entry.desired_start));
+        const endStr = toMySQLDateTime(new Date(entry.desired_end));
+
+        const courtId = await BookingService.findAvailableCourt(venueId, startStr, endStr, entry.sport_id);
+        if (!courtId) continue;
+
+        if (await createOffer(entry, courtId, startStr, endStr)) offers++;
+    }
+
+    return offers;
+};
+
+/**
+ * Get a player's live offer, for checkout.
+ *
+ * @param {number} waitlistId
+ * @param {number} userId
+ * @returns {Promise<Object>} Entry with startStr / endStr (UTC)
+ */
+export const getActiveOffer = async (waitlistId, userId) => {
+    const entry = await WaitlistRepository.getEntryById(waitlistId);
+    if (!entry || entry.user_id !== userId) throw new Error("Waitlist entry not found");
+    if (entry.status !== 'OFFERED' || new Date(entry.offer_expires_at) <= new Date()) {
+        throw new Error("This waitlist offer is no longer available");
+    }
+
+    return {
+        ...entry,
+        startStr: toMySQLDateTime(new Date(entry.desired_start)),
+        endStr: toMySQLDateTime(new Date(entry.desired_end))
+    };
+};
+
+/**
+ * Mark an offer as claimed once checkout has started.
+ *
+ * @param {number} waitlistId
+ * @param {Object} [conn] - Optional connection/transaction
+ */
+export const markClaimed = async (waitlistId, conn = null) => {
+    await WaitlistRepository.updateStatus(waitlistId, 'CLAIMED', conn);
+};
+
+/**
+ * Close an OFFERED entry and pass the court to the next player.
+ *
+ * @param {Object} entry - OFFERED waitlist entry
+ * @param {string} status - 'EXPIRED' or 'CANCELLED'
+ * @returns {Promise<boolean>} False if the entry had already moved on
+ */
+const withdrawOffer = async (entry, status) => {
+    const conn = await BookingRepository.getPool().getConnection();
+    try {
+        await conn.beginTransaction();
+        const current = await WaitlistRepository.getEntryById(entry.waitlist_id, conn);
+        if (current?.status !== 'OFFERED') {
+            await conn.rollback();
+            return false;
+        }
+
+        await WaitlistRepository.updateStatus(entry.waitlist_id, status, conn);
+        await SlotHoldRepository.releaseHolds([entry.offer_hold_id], conn);
+
+        if (status === 'EXPIRED') {
+            await NotificationRepository.createNotification(
+                entry.user_id,
+                `Your waitlist offer (Waitlist #${entry.waitlist_id}) expired and has been passed to the next player.`,
+                'BOOKING_ALERT',
+                conn
+            );
+        }
+
+        await conn.commit();
+    } catch (err) {
+        await conn.rollback();
+        throw err;
+    } finally {
+        conn.release();
+    }
+
+    await offerFreedSlot(
+        entry.venue_id,
+        toMySQLDateTime(new Date(entry.desired_start)),
+        toMySQLDateTime(new Date(entry.desired_end))
+    );
+    return true;
+};
+
+/**
+ * Leave the waitlist. A live offer is passed to the next player.
+ *
+ * @param {number} waitlistId
+ * @param {number} userId
+ */
+export const leaveWaitlist = async (waitlistId, userId) => {
+    const entry = await WaitlistRepository.getEntryById(waitlistId);
+    if (!entry || entry.user_id !== userId) throw new Error("Waitlist entry not found");
+
+    if (entry.status === 'WAITING') {
+        await WaitlistRepository.updateStatus(waitlistId, 'CANCELLED');
+    } else if (entry.status === 'OFFERED') {
+        await withdrawOffer(entry, 'CANCELLED');
+    } else {
+        throw new Error("Waitlist entry is already closed");
+    }
+};
+
+/**
+ * Expire unclaimed offers (moving them down the queue) and entries whose
+ * slot has already started.
+ * Scheduled job.
+ *
+ * @returns {Promise<number>} Number of offers expired
+ */
+export const processExpiredOffers = async () => {
+    await WaitlistRepository.expireStaleWaitingEntries();
+
+    const offers = await WaitlistRepository.getExpiredOffers();
+    let expired = 0;
+    for (const entry of offers) {
+        if (await withdrawOffer(entry, 'EXPIRED')) expired++;
+    }
+
+    if (expired > 0) {
+        console.log(`[Waitlist] Expired ${expired} unclaimed offer(s)`);
+    }
+    return expired;
+};
+
+/**
+ * Waitlist demand per slot for an owner's venues.
+ *
+ * @param {number} ownerId
+ * @param {string} [startDate] - Defaults to 30 days ago
+ * @param {string} [endDate]
+ */
+export const getWaitlistDemand = async (ownerId, startDate, endDate) => {
+    const from = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    const to = endDate ? new Date(endDate) : null;
+    if (Number.isNaN(from.getTime()) || (to && Number.isNaN(to.getTime()))) {
+        throw new Error("Invalid date range");
+    }
+    return await WaitlistRepository.getWaitlistDemand(ownerId, toMySQLDateTime(from), to ? toMySQLDateTime(to) : null);
+};
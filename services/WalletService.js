@@ -1,10 +1,48 @@
 import * as WalletRepository from "../repositories/WalletRepository.js";
+import * as TopUpRepository from "../repositories/TopUpRepository.js";
+import * as WithdrawalRepository from "../repositories/WithdrawalRepository.js";
+import * as NotificationRepository from "../repositories/NotificationRepository.js";
+import * as LedgerService from "./LedgerService.js";
+import * as LoyaltyService from "./LoyaltyService.js";
+import stripe from "../config/stripe.js";
 import pool from "../config/dbconnection.js"; // Direct pool access for simple queries if needed
 
+/** Top-up limits per checkout (LKR) */
+export const MIN_TOP_UP_AMOUNT = 100;
+export const MAX_TOP_UP_AMOUNT = 100000;
+
+/** Smallest withdrawal an owner can request (LKR) */
+export const MIN_WITHDRAWAL_AMOUNT = 500;
+
+/**
+ * Allowed withdrawal status changes
+ * PENDING -> APPROVED -> PAID; PENDING/APPROVED -> REJECTED (amount returned)
+ */
+const WITHDRAWAL_TRANSITIONS = {
+    PENDING: ['APPROVED', 'REJECTED'],
+    APPROVED: ['PAID', 'REJECTED'],
+    PAID: [],
+    REJECTED: []
+};
+
+/**
+ * Parse an amount in LKR with at most 2 decimals
+ *
+ * @param {*} value
+ * @returns {number|null} The amount, or null if invalid
+ */
+const parseAmount = (value) => {
+    const amount = Number(value);
+    if (!Number.isFinite(amount) || amount <= 0 || Math.abs(amount * 100 - Math.round(amount * 100)) > 1e-6) return null;
+    return amount;
+};
+
 export const getWalletSummary = async (userId) => {
     // 1. Get Balance
     const balance = await WalletRepository.getWalletBalance(userId);
 
+    const heldForWithdrawal = await WithdrawalRepository.getHeldAmount(userId);
+
     // 2. Get Transaction History
     const transactions = await WalletRepository.getTransactionsWithDetails(userId);
 
@@ -12,8 +50,248 @@ export const getWalletSummary = async (userId) => {
     // (Optional: If we wanted to "fake" the Payer Name by parsing description or complex logic, we'd do it here)
     // For now, we pass the rich data (Venue Name) through.
 
+    // 4. Loyalty points are kept apart from the cash balance
+    const loyaltyPoints = await LoyaltyService.getPointsSummary(userId);
+
     return {
         balance,
-        transactions
+        heldForWithdrawal,
+        transactions,
+        loyaltyPoints
     };
 };
+
+/**
+ * Start a Stripe checkout that tops up the user's wallet.
+ * The wallet is credited by the webhook once the payment completes.
+ *
+ * @param {number} userId
+ * @param {string} email - Prefilled on the checkout page
+ * @param {number} amount - LKR
+ * @returns {Promise<{checkoutUrl: string, topUpId: number}>}
+ */
+export const createTopUpSession = async (userId, email, amount) => {
+    const value = parseAmount(amount);
+    if (!value) throw new Error("Top-up amount must be a positive amount with at most 2 decimals");
+    if (value < MIN_TOP_UP_AMOUNT || value > MAX_TOP_UP_AMOUNT) {
+        throw new Error(`Top-up amount must be between LKR ${MIN_TOP_UP_AMOUNT} and LKR ${MAX_TOP_UP_AMOUNT}`);
+    }
+
+    const session = await stripe.checkout.sessions.create({
+        mode: "payment",
+        payment_method_types: ["card"],
+        customer_email: email,
+        line_items: [{
+            price_data: {
+                currency: "lkr",
+                product_data: { name: "PlayLink wallet top-up" },
+                unit_amount: Math.round(value * 100),
+            },
+            quantity: 1,
+        }],
+        metadata: {
+            type: 'WALLET_TOP_UP',
+            user_id: String(userId),
+        },
+        payment_intent_data: {
+            metadata: { type: 'WALLET_TOP_UP', user_id: String(userId) }
+        },
+        success_url: `${process.env.FRONTEND_URL}/wallet?topup=success&session_id={CHECKOUT_SESSION_ID}`,
+        cancel_url: `${process.env.FRONTEND_URL}/wallet?topup=cancelled`,
+    });
+
+    const topUpId = await TopUpRepository.createTopUp({ userId, amount: value, sessionId: session.id });
+    return { checkoutUrl: session.url, topUpId };
+};
+
+/**
+ * Credit a paid top-up to the wallet. Called from the Stripe webhook;
+ * a top-up is credited only once.
+ *
+ * @param {Object} conn - Connection with an open transaction
+ * @param {Object} session - Stripe Checkout Session
+ */
+export const completeTopUp = async (conn, session) => {
+    const topUp = await TopUpRepository.lockTopUpBySession(conn, session.id);
+    if (!topUp || topUp.status === 'COMPLETED') return;
+
+    const amount = Number(session.amount_total) / 100;
+    if (amount !== Number(topUp.amount)) {
+        console.warn(`[TopUp] Session ${session.id} paid LKR ${amount} for a top-up of LKR ${topUp.amount}; crediting the amount paid`);
+    }
+
+    await TopUpRepository.updateTopUpStatus(conn, topUp.topup_id, 'COMPLETED');
+    await LedgerService.postTransaction(conn, {
+        type: "WALLET_TOP_UP",
+        reference: session.id,
+        description: "Wallet top-up (card)",
+        legs: [
+            { account: LedgerService.ACCOUNTS.STRIPE_CLEARING, amount: -amount },
+            { userId: topUp.user_id, amount }
+        ]
+    });
+    await NotificationRepository.createNotification(
+        topUp.user_id,
+        `LKR ${amount} has been added to your wallet.`,
+        'PAYMENT',
+        conn
+    );
+};
+
+/**
+ * Mark a top-up whose checkout expired unpaid.
+ *
+ * @param {Object} conn - Connection with an open transaction
+ * @param {Object} session - Stripe Checkout Session
+ */
+export const expireTopUp = async (conn, session) => {
+    const topUp = await TopUpRepository.lockTopUpBySession(conn, session.id);
+    if (topUp?.status === 'PENDING') {
+        await TopUpRepository.updateTopUpStatus(conn, topUp.topup_id, 'EXPIRED');
+    }
+};
+
+/**
+ * Request a payout of wallet funds.
+ *
+ * The amount leaves the wallet straight away and is held until the request
+ * is paid or rejected.
+ *
+ * @param {number} userId - Venue owner
+ * @param {Object} data
+ * @param {number} data.amount - LKR
+ * @param {string} data.payoutDetails - Bank account or other payout destination
+ * @returns {Promise<{withdrawalId: number}>}
+ */
+export const requestWithdrawal = async (userId, { amount, payoutDetails } = {}) => {
+    const value = parseAmount(amount);
+    if (!value) throw new Error("Withdrawal amount must be a positive amount with at most 2 decimals");
+    if (value < MIN_WITHDRAWAL_AMOUNT) throw new Error(`The minimum withdrawal is LKR ${MIN_WITHDRAWAL_AMOUNT}`);
+    if (!payoutDetails || !String(payoutDetails).trim()) throw new Error("Payout details are required");
+
+    const conn = await pool.getConnection();
+    try {
+        await conn.beginTransaction();
+
+        const withdrawalId = await WithdrawalRepository.createWithdrawal(conn, {
+            userId,
+            amount: value,
+            payoutDetails: String(payoutDetails).trim().slice(0, 255)
+        });
+        try {
+            await LedgerService.postTransaction(conn, {
+                type: "WITHDRAWAL",
+                reference: `WITHDRAWAL_${withdrawalId}`,
+                description: `Withdrawal request #${withdrawalId} (held for review)`,
+                legs: [
+                    { userId, amount: -value },
+                    { account: LedgerService.ACCOUNTS.PAYOUT_CLEARING, amount: value }
+                ]
+            });
+        } catch (err) {
+            if (err.message.startsWith("Insufficient funds")) throw new Error("Insufficient wallet balance");
+            throw err;
+        }
+
+        await conn.commit();
+        return { withdrawalId };
+    } catch (err) {
+        await conn.rollback();
+        throw err;
+    } finally {
+        conn.release();
+    }
+};
+
+/**
+ * Get the user's withdrawal requests.
+ *
+ * @param {number} userId
+ */
+export const getMyWithdrawals = async (userId) => {
+    return await WithdrawalRepository.getUserWithdrawals(userId);
+};
+
+/**
+ * Withdrawal requests for admins to review.
+ *
+ * @param {string} [status] - Defaults to all open requests
+ */
+export const getWithdrawalsForReview = async (status) => {
+    if (status && !WITHDRAWAL_TRANSITIONS[status]) throw new Error("Invalid withdrawal status");
+    return await WithdrawalRepository.getWithdrawalsForReview(status || null);
+};
+
+/**
+ * Move a withdrawal along its review workflow.
+ *
+ * A rejected request returns the held amount to the owner's wallet.
+ *
+ * @param {number} withdrawalId
+ * @param {number} adminId
+ * @param {string} status - 'APPROVED', 'PAID' or 'REJECTED'
+ * @param {Object} [details]
+ * @param {string} [details.payoutReference] - Required when PAID
+ * @param {string} [details.reason] - Shown to the owner when REJECTED
+ * @returns {Promise<Object>} The updated withdrawal
+ */
+export const reviewWithdrawal = async (withdrawalId, adminId, status, { payoutReference, reason } = {}) => {
+    if (status === 'PAID' && !payoutReference) throw new Error("Payout reference is required");
+
+    const conn = await pool.getConnection();
+    try {
+        await conn.beginTransaction();
+
+        const withdrawal = await WithdrawalRepository.lockWithdrawal(conn, withdrawalId);
+        if (!withdrawal) throw new Error("Withdrawal not found");
+        if (!WITHDRAWAL_TRANSITIONS[withdrawal.status].includes(status)) {
+            throw new Error(`Cannot change withdrawal status from ${withdrawal.status} to ${status}`);
+        }
+
+        await WithdrawalRepository.updateWithdrawalStatus(conn, withdrawalId, {
+            status,
+            reviewedBy: adminId,
+            payoutReference: payoutReference || null,
+            rejectionReason: reason || null
+        });
+
+        const amount = Number(withdrawal.amount);
+        let message;
+        if (status === 'REJECTED') {
+            await LedgerService.postTransaction(conn, {
+                type: "WITHDRAWAL_REVERSAL",
+                reference: `WITHDRAWAL_${withdrawalId}`,
+                description: `Withdrawal request #${withdrawalId} rejected, amount returned`,
+                legs: [
+                    { account: LedgerService.ACCOUNTS.PAYOUT_CLEARING, amount: -amount },
+                    { userId: withdrawal.user_id, amount }
+                ]
+            });
+            message = `Your withdrawal request #${withdrawalId} of LKR ${amount} was rejected${reason ? `: ${reason}` : ""}. The amount is back in your wallet.`;
+        } else if (status === 'APPROVED') {
+            message = `Your withdrawal request #${withdrawalId} of LKR ${amount} was approved and will be paid out shortly.`;
+        } else {
+            // The payout leaves the platform's Stripe balance
+            await LedgerService.postTransaction(conn, {
+                type: "WITHDRAWAL_PAYOUT",
+                reference: payoutReference,
+                description: `Payout of withdrawal request #${withdrawalId}`,
+                legs: [
+                    { account: LedgerService.ACCOUNTS.PAYOUT_CLEARING, amount: -amount },
+                    { account: LedgerService.ACCOUNTS.STRIPE_CLEARING, amount }
+                ]
+            });
+            message = `Your withdrawal of LKR ${amount} (request #${withdrawalId}) has been paid out. Reference: ${payoutReference}.`;
+        }
+        await NotificationRepository.createNotification(withdrawal.user_id, message, 'PAYMENT', conn);
+
+        await conn.commit();
+    } catch (err) {
+        await conn.rollback();
+        throw err;
+    } finally {
+        conn.release();
+    }
+
+    return await WithdrawalRepository.getWithdrawalById(withdrawalId);
+};
@@ -41,44 +41,165 @@ export const isValid15MinInterval = (timeString) => {
 };
 
 /**
- * Check if time is within booking window (7am - 10pm)
+ * Default booking window used when a venue has no operating hours
+ * configured for a day: 7am - 10pm, shown in 60-minute slots.
  *
- * @param {string} timeString - Time in "HH:MM" format
- * @returns {boolean} - True if time is within 7am-10pm
+ * All values are minutes from midnight (IST). `fixedSlots` is set for
+ * venues with their own slot length: bookings must then start on a slot
+ * and last whole slots. Otherwise any quarter-hour start of at least
+ * MIN_BOOKING_MINUTES is taken.
  */
-export const isWithinBookingWindow = (timeString) => {
-  if (!timeString) return false;
+export const DEFAULT_BOOKING_WINDOW = {
+  isClosed: false,
+  openMinutes: 7 * 60,
+  closeMinutes: 22 * 60,
+  slotMinutes: 60,
+  fixedSlots: false
+};
 
-  const [hours, minutes] = timeString.split(':').map(Number);
-  const totalMinutes = hours * 60 + minutes;
+/** Shortest booking at venues without their own slot length */
+export const MIN_BOOKING_MINUTES = 60;
+
+/**
+ * Convert "HH:MM" or "HH:MM:SS" to minutes from midnight
+ *
+ * @param {string} timeString - Time string ("24:00" is allowed for midnight close)
+ * @returns {number} - Minutes from midnight
+ */
+export const timeToMinutes = (timeString) => {
+  const [hours, minutes] = String(timeString).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Convert minutes from midnight to "HH:MM"
+ *
+ * @param {number} totalMinutes - Minutes from midnight
+ * @returns {string} - Time in "HH:MM" format
+ */
+export const minutesToTime = (totalMinutes) => {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${pad(Math.floor(totalMinutes / 60))}:${pad(totalMinutes % 60)}`;
+};
+
+/**
+ * Format minutes from midnight for messages, e.g. 420 -> "7:00 AM"
+ *
+ * @param {number} totalMinutes - Minutes from midnight
+ * @returns {string} - 12-hour time
+ */
+const formatWindowTime = (totalMinutes) => {
+  if (totalMinutes === 24 * 60) return "midnight";
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = String(totalMinutes % 60).padStart(2, "0");
+  const suffix = hours < 12 ? "AM" : "PM";
+  return `${hours % 12 || 12}:${minutes} ${suffix}`;
+};
+
+/**
+ * Get the day of week (0 = Sunday) of a calendar date
+ *
+ * @param {string} dateStr - YYYY-MM-DD
+ * @returns {number} - 0-6
+ */
+export const getDayOfWeek = (dateStr) => {
+  return new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+};
+
+/**
+ * Get the IST calendar date of an instant
+ *
+ * @param {Date} [dateObj] - Instant (defaults to now)
+ * @returns {string} - YYYY-MM-DD
+ */
+export const getISTDateString = (dateObj = new Date()) => {
+  return new Date(dateObj.getTime() + 330 * 60 * 1000).toISOString().slice(0, 10);
+};
+
+/**
+ * Get the UTC range of an IST calendar day
+ *
+ * @param {string} dateStr - YYYY-MM-DD (IST)
+ * @returns {{start: string, end: string}} - UTC MySQL DateTimes, end exclusive
+ */
+export const getISTDayRange = (dateStr) => {
+  const start = createISTDate(dateStr, '00:00');
+  return {
+    start: toMySQLDateTime(start),
+    end: toMySQLDateTime(new Date(start.getTime() + 24 * 60 * 60 * 1000))
+  };
+};
 
-  // 7am = 7 * 60 = 420 minutes
-  // 10pm = 22 * 60 = 1320 minutes
-  const startWindow = 7 * 60; // 7am
-  const endWindow = 22 * 60; // 10pm
+/**
+ * Format an instant as an IST date and time for messages
+ *
+ * @param {Date} dateObj - Instant
+ * @returns {string} - "YYYY-MM-DD HH:MM"
+ */
+export const formatISTDateTime = (dateObj) => {
+  return new Date(dateObj.getTime() + 330 * 60 * 1000).toISOString().slice(0, 16).replace("T", " ");
+};
 
-  return totalMinutes >= startWindow && totalMinutes < endWindow;
+/**
+ * Check if time is within the booking window
+ *
+ * @param {string} timeString - Time in "HH:MM" format
+ * @param {Object} [window] - Booking window (see DEFAULT_BOOKING_WINDOW)
+ * @returns {boolean} - True if time is within opening hours
+ */
+export const isWithinBookingWindow = (timeString, window = DEFAULT_BOOKING_WINDOW) => {
+  if (!timeString || window.isClosed) return false;
+
+  const totalMinutes = timeToMinutes(timeString);
+
+  return totalMinutes >= window.openMinutes && totalMinutes < window.closeMinutes;
 };
 
 /**
  * Check if booking end time exceeds the window
- * End time must be before or at 10pm
+ * End time must be before or at closing time
  *
  * @param {string} startTimeString - Start time in "HH:MM" format
  * @param {number} durationHours - Duration in hours
+ * @param {Object} [window] - Booking window (see DEFAULT_BOOKING_WINDOW)
  * @returns {boolean} - True if booking fits within window
  */
-export const doesBookingFitInWindow = (startTimeString, durationHours) => {
+export const doesBookingFitInWindow = (startTimeString, durationHours, window = DEFAULT_BOOKING_WINDOW) => {
   if (!startTimeString || !durationHours) return false;
 
-  const [hours, minutes] = startTimeString.split(':').map(Number);
-  const startTotalMinutes = hours * 60 + minutes;
+  const startTotalMinutes = timeToMinutes(startTimeString);
   const endTotalMinutes = startTotalMinutes + durationHours * 60;
 
-  // 10pm = 22 * 60 = 1320 minutes
-  const endWindow = 22 * 60; // 10pm
+  return endTotalMinutes <= window.closeMinutes;
+};
 
-  return endTotalMinutes <= endWindow;
+/**
+ * Check if a start time falls on the venue's slot grid
+ * Slots are counted from opening time, e.g. 30-minute slots from 5:00
+ * start at 5:00, 5:30, 6:00, ...
+ *
+ * @param {string} timeString - Time in "HH:MM" format
+ * @param {Object} [window] - Booking window (see DEFAULT_BOOKING_WINDOW)
+ * @returns {boolean} - True if time starts a slot
+ */
+export const isAlignedToSlot = (timeString, window = DEFAULT_BOOKING_WINDOW) => {
+  if (!timeString) return false;
+  return (timeToMinutes(timeString) - window.openMinutes) % window.slotMinutes === 0;
+};
+
+/**
+ * Find a partial-day closure that overlaps a booking
+ *
+ * @param {string} startTimeString - Start time in "HH:MM" format
+ * @param {number} durationHours - Duration in hours
+ * @param {Object} [window] - Booking window with optional `closures`
+ *   ([{ startMinutes, endMinutes, reason }])
+ * @returns {Object|null} - The first overlapping closure
+ */
+export const findOverlappingClosure = (startTimeString, durationHours, window = DEFAULT_BOOKING_WINDOW) => {
+  const start = timeToMinutes(startTimeString);
+  const end = start + Number(durationHours) * 60;
+  return (window.closures || []).find((c) => start < c.endMinutes && end > c.startMinutes) || null;
 };
 
 /**
@@ -86,35 +207,58 @@ export const doesBookingFitInWindow = (startTimeString, durationHours) => {
  *
  * @param {string} timeString - Time in "HH:MM" format
  * @param {number} durationHours - Duration in hours
+ * @param {Object} [window] - Booking window (see DEFAULT_BOOKING_WINDOW)
  * @returns {string|null} - Error message or null if valid
  */
-export const getTimeValidationError = (timeString, durationHours) => {
+export const getTimeValidationError = (timeString, durationHours, window = DEFAULT_BOOKING_WINDOW) => {
   if (!timeString) {
     return "Please select a time";
   }
 
+  if (window.isClosed) {
+    return window.closureReason
+      ? `Venue is closed on this day (${window.closureReason})`
+      : "Venue is closed on this day";
+  }
+
   if (!isValid15MinInterval(timeString)) {
     return "Times must be in 15-minute intervals (9:00, 9:15, 9:30, 9:45, etc.)";
   }
 
-  if (!isWithinBookingWindow(timeString)) {
-    return "Booking must start between 7:00 AM and 10:00 PM";
+  if (!isWithinBookingWindow(timeString, window)) {
+    return `Booking must start between ${formatWindowTime(window.openMinutes)} and ${formatWindowTime(window.closeMinutes)}`;
+  }
+
+  if (window.fixedSlots && !isAlignedToSlot(timeString, window)) {
+    return `Booking must start on a ${window.slotMinutes}-minute slot from ${formatWindowTime(window.openMinutes)}`;
+  }
+
+  if (!doesBookingFitInWindow(timeString, durationHours, window)) {
+    return `Booking must end by ${formatWindowTime(window.closeMinutes)}`;
   }
 
-  if (!doesBookingFitInWindow(timeString, durationHours)) {
-    return "Booking must end by 10:00 PM";
+  const closure = findOverlappingClosure(timeString, durationHours, window);
+  if (closure) {
+    const reason = closure.reason ? ` (${closure.reason})` : "";
+    return `Venue is closed from ${formatWindowTime(closure.startMinutes)} to ${formatWindowTime(closure.endMinutes)}${reason}`;
   }
 
-  // Duration constraints: minimum 1 hour, maximum 4 hours
+  // Duration constraints: minimum one slot (or an hour), maximum 15 hours
   const duration = Number(durationHours);
   if (Number.isNaN(duration)) {
     return "Please select a valid duration";
   }
 
-  if (duration < 1) {
-    return "Booking must be at least 1 hour";
+  const durationMinutes = Math.round(duration * 60);
+  const minMinutes = window.fixedSlots ? window.slotMinutes : MIN_BOOKING_MINUTES;
+  const stepMinutes = window.fixedSlots ? window.slotMinutes : 15;
+  if (durationMinutes < minMinutes) {
+    return `Booking must be at least ${minMinutes} minutes`;
   }
 
+  if (durationMinutes % stepMinutes !== 0) {
+    return `Booking length must be a multiple of ${stepMinutes} minutes`;
+  }
 
   if (duration > 15) {
     return "Booking cannot exceed 15 hours";
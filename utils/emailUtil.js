@@ -85,3 +85,139 @@ export const sendInvitationEmail = async (email, token, initiatorName = "A frien
         console.error("Error sending email:", error);
     }
 };
+
+/**
+ * Remind an invitee to pay their share of a split booking
+ * @param {string} email - Recipient email
+ * @param {Object} details
+ * @param {number} details.bookingId - Booking ID
+ * @param {string} details.venueName - Venue name
+ * @param {number} details.amount - Share amount (LKR)
+ * @param {string} details.deadline - Payment deadline (IST, "YYYY-MM-DD HH:MM")
+ * @param {string|null} [details.inviteToken] - Guest invitation token, if not registered
+ */
+export const sendSplitReminderEmail = async (email, { bookingId, venueName, amount, deadline, inviteToken = null }) => {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    const payLink = inviteToken
+        ? `${frontendUrl}/signup?invite=${inviteToken}&email=${encodeURIComponent(email)}`
+        : `${frontendUrl}/my-bookings`;
+
+    const mailOptions = {
+        from: `"PlayLink" <no-reply@playlink.com>`,
+        to: email,
+        subject: `Reminder: pay your share for ${venueName} by ${deadline}`,
+        html: `
+      <div style="font-family: Arial, sans-serif; color: #333; max-width: 600px; margin: 0 auto; border: 1px solid #eee; padding: 20px; border-radius: 10px;">
+        <h2 style="color: #22c55e;">Your share is still unpaid</h2>
+        <p>Your share of <strong>LKR ${amount}</strong> for Booking #${bookingId} at <strong>${venueName}</strong> is due by <strong>${deadline}</strong>.</p>
+        <p style="text-align: center; margin: 30px 0;">
+          <a href="${payLink}" style="background-color: #22c55e; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">Pay my share</a>
+        </p>
+        <p style="font-size: 12px; color: #666;">Or copy this link: <br> ${payLink}</p>
+      </div>
+    `,
+    };
+
+    try {
+        const transporter = await createTransporter();
+        await transporter.sendMail(mailOptions);
+        console.log(`Split reminder email sent to ${email}`);
+    } catch (error) {
+        console.error("Error sending email:", error);
+    }
+};
+
+/**
+ * Tell an invitee that a booking they were invited to has moved
+ * @param {string} email - Recipient email
+ * @param {Object} details
+ * @param {number} details.bookingId - Booking ID
+ * @param {string} details.venueName - Venue name
+ * @param {string} details.summary - What changed, e.g. "Court 2, 2025-06-01 18:00 (2h)"
+ */
+export const sendBookingChangeEmail = async (email, { bookingId, venueName, summary }) => {
+    const mailOptions = {
+        from: `"PlayLink" <no-reply@playlink.com>`,
+        to: email,
+        subject: `Booking #${bookingId} at ${venueName} has changed`,
+        html: `
+      <div style="font-family: Arial, sans-serif; color: #333; max-width: 600px; margin: 0 auto; border: 1px solid #eee; padding: 20px; border-radius: 10px;">
+        <h2 style="color: #22c55e;">Your booking has changed</h2>
+        <p>Booking #${bookingId} at <strong>${venueName}</strong> has changed. It is now on <strong>${summary}</strong>.</p>
+      </div>
+    `,
+    };
+
+    try {
+        const transporter = await createTransporter();
+        await transporter.sendMail(mailOptions);
+        console.log(`Booking change email sent to ${email}`);
+    } catch (error) {
+        console.error("Error sending email:", error);
+    }
+};
+
+/**
+ * Tell a player that a venue disruption cancelled their booking or lets
+ * them reschedule it for free
+ * @param {string} email - Recipient email
+ * @param {Object} details
+ * @param {string} details.name - Recipient name
+ * @param {number} details.bookingId - Booking ID
+ * @param {number} details.venueId - Venue ID
+ * @param {string} details.venueName - Venue name
+ * @param {string} details.when - Booking time (IST, "YYYY-MM-DD HH:MM")
+ * @param {string} details.reason - Why the venue is closed
+ * @param {string} details.action - 'CANCEL' or 'OFFER_RESCHEDULE'
+ * @param {boolean} details.isOrganiser - The recipient made the booking
+ * @param {Object|null} [details.credit] - Rebooking credit: { code, amount, validUntil }
+ */
+export const sendDisruptionEmail = async (email, { name, bookingId, venueId, venueName, when, reason, action, isOrganiser, credit = null }) => {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    const cancelled = action === 'CANCEL';
+    const bookingsLink = `${frontendUrl}/my-bookings`;
+    const rebookLink = credit ? `${frontendUrl}/venues/${venueId}?promo=${encodeURIComponent(credit.code)}` : null;
+
+    let nextStep;
+    if (cancelled) {
+        nextStep = "<p>It has been cancelled and anything paid for it has been refunded in full.</p>";
+    } else if (isOrganiser) {
+        nextStep = `<p>You can reschedule it for free, or cancel it for a full refund, until it starts. If you do neither, it will be cancelled with a full refund.</p>
+        <p style="text-align: center; margin: 30px 0;">
+          <a href="${bookingsLink}" style="background-color: #22c55e; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">Manage my booking</a>
+        </p>`;
+    } else {
+        nextStep = "<p>The player who made the booking can reschedule it for free or cancel it for a full refund.</p>";
+    }
+
+    const creditBlock = credit ? `
+        <p>As an apology, <strong>${venueName}</strong> has given you <strong>LKR ${credit.amount}</strong> off your next booking there with code <strong>${credit.code}</strong>, valid until ${credit.validUntil}.</p>
+        <p style="text-align: center; margin: 30px 0;">
+          <a href="${rebookLink}" style="background-color: #22c55e; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">Book again</a>
+        </p>` : '';
+
+    const mailOptions = {
+        from: `"PlayLink" <no-reply@playlink.com>`,
+        to: email,
+        subject: cancelled
+            ? `Booking #${bookingId} at ${venueName} has been cancelled`
+            : `Booking #${bookingId} at ${venueName}: reschedule for free`,
+        html: `
+      <div style="font-family: Arial, sans-serif; color: #333; max-width: 600px; margin: 0 auto; border: 1px solid #eee; padding: 20px; border-radius: 10px;">
+        <h2 style="color: #22c55e;">${cancelled ? 'Your booking has been cancelled' : 'Your booking is affected by a closure'}</h2>
+        <p>Hi ${name},</p>
+        <p><strong>${venueName}</strong> is closed for your booking #${bookingId} on <strong>${when}</strong>: ${reason}.</p>
+        ${nextStep}
+        ${creditBlock}
+      </div>
+    `,
+    };
+
+    try {
+        const transporter = await createTransporter();
+        await transporter.sendMail(mailOptions);
+        console.log(`Disruption email sent to ${email}`);
+    } catch (error) {
+        console.error("Error sending email:", error);
+    }
+};
@@ -0,0 +1,111 @@
+/**
+ * iCal Utilities
+ *
+ * Minimal iCalendar (RFC 5545) reader for importing holiday lists.
+ * Only VEVENT UID, SUMMARY, DTSTART, DTEND and a yearly RRULE are read.
+ *
+ * @module utils/icalUtil
+ */
+
+const IST_OFFSET_MINUTES = 330;
+
+/**
+ * Unescape an iCal TEXT value
+ *
+ * @param {string} value - Escaped text
+ * @returns {string} - Plain text
+ */
+const unescapeText = (value) => {
+  return value
+    .replace(/\\[nN]/g, " ")
+    .replace(/\\([,;\\])/g, "$1")
+    .trim();
+};
+
+/**
+ * Parse a DTSTART / DTEND value into an IST date and time
+ *
+ * Date-only values ("20260114") have no time. UTC values ("...Z") are
+ * converted to IST; floating and TZID values are taken as IST.
+ *
+ * @param {string} value - iCal date or date-time
+ * @returns {{date: string, time: string|null}|null} - YYYY-MM-DD and HH:MM
+ */
+const parseDateValue = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+  if (!match) return null;
+
+  const [, yyyy, mm, dd, hh, mi, , utc] = match;
+  if (hh === undefined) {
+    return { date: `${yyyy}-${mm}-${dd}`, time: null };
+  }
+
+  if (!utc) {
+    return { date: `${yyyy}-${mm}-${dd}`, time: `${hh}:${mi}` };
+  }
+
+  const ist = new Date(Date.UTC(+yyyy, +mm - 1, +dd, +hh, +mi) + IST_OFFSET_MINUTES * 60 * 1000);
+  return {
+    date: ist.toISOString().slice(0, 10),
+    time: ist.toISOString().slice(11, 16),
+  };
+};
+
+/**
+ * Parse the events of an iCalendar file
+ *
+ * @param {string} icsText - Contents of a .ics file
+ * @returns {Object[]} - [{ uid, summary, start: {date, time}, end: {date, time}|null, recursAnnually }]
+ */
+export const parseICalEvents = (icsText) => {
+  // Unfold continuation lines (CRLF followed by a space or tab)
+  const lines = String(icsText).replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const events = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (line === "BEGIN:VEVENT") {
+      current = {};
+      continue;
+    }
+    if (line === "END:VEVENT") {
+      if (current?.start) {
+        events.push({
+          uid: current.uid || null,
+          summary: current.summary || null,
+          start: current.start,
+          end: current.end || null,
+          recursAnnually: Boolean(current.recursAnnually),
+        });
+      }
+      current = null;
+      continue;
+    }
+    if (!current) continue;
+
+    const separator = line.indexOf(":");
+    if (separator === -1) continue;
+    const name = line.slice(0, separator).split(";")[0].toUpperCase();
+    const value = line.slice(separator + 1);
+
+    switch (name) {
+      case "UID":
+        current.uid = value.trim();
+        break;
+      case "SUMMARY":
+        current.summary = unescapeText(value);
+        break;
+      case "DTSTART":
+        current.start = parseDateValue(value);
+        break;
+      case "DTEND":
+        current.end = parseDateValue(value);
+        break;
+      case "RRULE":
+        current.recursAnnually = /(^|;)FREQ=YEARLY(;|$)/i.test(value);
+        break;
+    }
+  }
+
+  return events;
+};